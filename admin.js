@@ -11,6 +11,11 @@ class AdminInterface {
         this.currentPage = 1;
         this.pageSize = 20;
         this.currentFilters = {};
+        this.editingUserId = null;
+        this.auditPage = 1;
+        this.auditPageSize = 50;
+        this.auditEntries = new Map();
+        this.importWizard = null;
     }
 
     async init() {
@@ -21,6 +26,13 @@ class AdminInterface {
         this.setupStudentsPanel();
         this.setupClassesPanel();
         this.setupAttendancePanel();
+        this.setupBackupPanel();
+        this.setupDataPanel();
+        this.setupSyncPanel();
+        this.setupUsersPanel();
+        this.setupAuditPanel();
+        this.setupReportsPanel();
+        this.applyPermissions();
         
         console.log('Admin interface initialized with full functionality');
         this.isInitialized = true;
@@ -94,6 +106,7 @@ class AdminInterface {
     setupStudentsPanel() {
         this.setupStudentModal();
         this.setupStudentActions();
+        this.setupImportWizard();
     }
 
     setupStudentModal() {
@@ -190,6 +203,7 @@ class AdminInterface {
             return;
         }
 
+        const canManage = window.db.can('students.manage');
         students.forEach(student => {
             const row = document.createElement('tr');
             row.dataset.studentId = student.id;
@@ -205,6 +219,7 @@ class AdminInterface {
                 <td>${student.className}</td>
                 <td>${student.guardianPhone || '-'}</td>
                 <td>
+                    ${canManage ? `
                     <div class="action-buttons">
                         <button class="action-btn edit" onclick="window.adminInterface.editStudent('${student.id}')" title="تعديل">
                             ✏️
@@ -213,6 +228,7 @@ class AdminInterface {
                             🗑️
                         </button>
                     </div>
+                    ` : '-'}
                 </td>
             `;
             
@@ -323,60 +339,438 @@ class AdminInterface {
     // CSV Import functionality
     async importCSV(file) {
         try {
-            const text = await file.text();
-            const lines = text.split('\n');
-            const headers = lines[0].split(',').map(h => h.trim());
+            const parsed = await window.db.parseCSV(file, 'students');
             
             // Validate headers
             const requiredHeaders = ['id', 'name', 'grade', 'className'];
-            const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+            const missingHeaders = requiredHeaders.filter(h => !parsed.headers.includes(h));
             
             if (missingHeaders.length > 0) {
                 this.showToast(`الملف يفتقد للأعمدة: ${missingHeaders.join(', ')}`, 'error');
                 return;
             }
             
-            const students = [];
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                
-                const values = line.split(',').map(v => v.trim());
-                const student = {};
-                
-                headers.forEach((header, index) => {
-                    student[header] = values[index] || '';
-                });
-                
-                if (student.id && student.name) {
-                    students.push(student);
-                }
-            }
+            // Rows that cannot be read or fail validation are skipped and reported by line
+            const validation = await window.db.validateImportData(parsed.records, 'students', {
+                lineNumbers: parsed.lineNumbers
+            });
+            const result = await window.db.processImport(validation.validRecords, 'students', {
+                lineNumbers: validation.validLineNumbers
+            });
             
-            // Import students
-            let imported = 0;
-            let failed = 0;
+            const rowErrors = [
+                ...parsed.errors,
+                ...validation.invalidRecords.map(record => ({ line: record.row, message: record.errors.join('، ') })),
+                ...result.errors.map(error => ({ line: error.row, message: error.error }))
+            ].sort((a, b) => a.line - b.line);
             
-            for (const student of students) {
-                try {
-                    await window.db.addStudent(student);
-                    imported++;
-                } catch (error) {
-                    console.warn('Failed to import student:', student.id, error);
-                    failed++;
-                }
+            if (rowErrors.length > 0) {
+                console.warn('CSV rows not imported:', rowErrors);
+                const first = rowErrors[0];
+                this.showToast(`تم استيراد ${result.successCount} طالب. فشل: ${rowErrors.length} (السطر ${first.line}: ${first.message})`, 'warning');
+            } else {
+                this.showToast(`تم استيراد ${result.successCount} طالب`, 'success');
             }
-            
-            this.showToast(`تم استيراد ${imported} طالب. فشل: ${failed}`, 'success');
             this.closeModal('csvModal');
             this.loadStudents();
             
         } catch (error) {
             console.error('Failed to import CSV:', error);
-            this.showToast('فشل في استيراد الملف', 'error');
+            this.showToast(error.message || 'فشل في استيراد الملف', 'error');
+        }
+    }
+
+    // Import wizard: file, column mapping, preview, results
+    setupImportWizard() {
+        const fileInput = document.getElementById('importStudentsFile');
+        
+        document.getElementById('importStudentsBtn')?.addEventListener('click', () => {
+            this.openImportWizard();
+        });
+        ['closeImportModal', 'cancelImportBtn'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                this.closeModal('importStudentsModal');
+            });
+        });
+        
+        document.getElementById('selectFileBtn')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.loadImportFile(fileInput.files[0]);
+            }
+        });
+        
+        document.getElementById('downloadTemplateBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const fields = window.db.IMPORT_FIELDS[this.importWizard?.dataType || 'students'];
+            this.downloadFile(window.db.getCsvCodec().toBlob([fields.map(field => field.label)]), 'قالب_استيراد_الطلاب.csv');
+        });
+        
+        document.getElementById('importPresetSelect')?.addEventListener('change', (e) => {
+            this.applyImportPreset(e.target.value);
+        });
+        document.getElementById('saveImportPresetBtn')?.addEventListener('click', () => {
+            this.saveImportPreset();
+        });
+        document.getElementById('deleteImportPresetBtn')?.addEventListener('click', () => {
+            this.deleteImportPreset();
+        });
+        
+        document.getElementById('prevStepBtn')?.addEventListener('click', () => {
+            this.showImportStep(this.importWizard.step - 1);
+        });
+        document.getElementById('nextStepBtn')?.addEventListener('click', () => {
+            this.nextImportStep();
+        });
+        document.getElementById('importBtn')?.addEventListener('click', () => {
+            this.runImport();
+        });
+    }
+
+    openImportWizard() {
+        this.importWizard = { dataType: 'students', step: 1, file: null, table: null, mapping: {}, preview: null };
+        
+        const fileInput = document.getElementById('importStudentsFile');
+        if (fileInput) fileInput.value = '';
+        document.getElementById('fileInfo').textContent = '';
+        document.getElementById('importPresetName').value = '';
+        
+        this.showImportStep(1);
+        this.openModal('importStudentsModal');
+    }
+
+    showImportStep(step) {
+        const wizard = this.importWizard;
+        wizard.step = step;
+        
+        document.querySelectorAll('#importStudentsModal .step').forEach(element => {
+            element.classList.toggle('active', element.id === `step${step}`);
+        });
+        
+        document.getElementById('prevStepBtn').style.display = step === 2 || step === 3 ? '' : 'none';
+        document.getElementById('nextStepBtn').style.display = (step === 1 && wizard.table) || step === 2 ? '' : 'none';
+        document.getElementById('importBtn').style.display = step === 3 ? '' : 'none';
+        document.getElementById('cancelImportBtn').textContent = step === 4 ? 'إغلاق' : 'إلغاء';
+    }
+
+    async nextImportStep() {
+        const wizard = this.importWizard;
+        
+        if (wizard.step === 1 && wizard.table) {
+            this.showImportStep(2);
+        } else if (wizard.step === 2) {
+            const missing = window.db.getMissingImportFields(wizard.mapping, wizard.dataType);
+            if (missing.length > 0) {
+                this.showToast(`اختر عموداً للحقول: ${missing.map(field => field.label).join('، ')}`, 'error');
+                return;
+            }
+            
+            try {
+                await this.buildImportPreview();
+                this.showImportStep(3);
+            } catch (error) {
+                console.error('Import preview failed:', error);
+                this.showToast(error.message || 'فشل في معاينة البيانات', 'error');
+            }
         }
     }
 
+    async loadImportFile(file) {
+        const wizard = this.importWizard;
+        const fileInfo = document.getElementById('fileInfo');
+        
+        try {
+            wizard.file = file;
+            wizard.table = await window.db.readImportTable(file, wizard.dataType);
+            wizard.mapping = window.db.suggestImportMapping(wizard.table.headers, wizard.dataType);
+            fileInfo.textContent = `${file.name} - ${wizard.table.rows.length} صف`;
+            
+            this.loadImportPresets();
+            this.renderImportMapping();
+            this.showImportStep(2);
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            wizard.table = null;
+            fileInfo.textContent = '';
+            this.showImportStep(1);
+            this.showToast(error.message || 'فشل في قراءة الملف', 'error');
+        }
+    }
+
+    renderImportMapping() {
+        const { table, mapping, dataType } = this.importWizard;
+        const container = document.getElementById('mappingContainer');
+        const firstRow = table.rows[0]?.values || [];
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>حقل حاضر</th><th>عمود الملف</th><th>مثال من الصف الأول</th></tr>
+                </thead>
+                <tbody>
+                    ${window.db.IMPORT_FIELDS[dataType].map(field => `
+                        <tr>
+                            <td>${this.escapeHtml(field.label)}${field.required ? ' *' : ''}</td>
+                            <td>
+                                <select class="form-input" data-import-field="${field.key}">
+                                    <option value="">- تجاهل -</option>
+                                    ${table.headers.map((header, index) => `
+                                        <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${this.escapeHtml(header || `عمود ${index + 1}`)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td data-import-sample="${field.key}">${this.escapeHtml(this.formatImportValue(firstRow[mapping[field.key]]))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('select[data-import-field]').forEach(select => {
+            select.addEventListener('change', () => {
+                const field = select.dataset.importField;
+                if (select.value === '') {
+                    delete mapping[field];
+                } else {
+                    mapping[field] = Number(select.value);
+                }
+                container.querySelector(`[data-import-sample="${field}"]`).textContent = this.formatImportValue(firstRow[mapping[field]]);
+            });
+        });
+    }
+
+    formatImportValue(value) {
+        if (value === null || value === undefined || value === '') return '-';
+        if (value instanceof Date) return value.toISOString().split('T')[0];
+        if (Array.isArray(value)) return value.join('، ');
+        return String(value);
+    }
+
+    loadImportPresets(selectedId = '') {
+        const select = document.getElementById('importPresetSelect');
+        const presets = window.db.getImportPresets(this.importWizard.dataType);
+        
+        select.innerHTML = '<option value="">بدون قالب</option>' + presets.map(preset => `
+            <option value="${preset.id}" ${preset.id === selectedId ? 'selected' : ''}>${this.escapeHtml(preset.name)}</option>
+        `).join('');
+        document.getElementById('deleteImportPresetBtn').disabled = !selectedId;
+    }
+
+    applyImportPreset(id) {
+        const wizard = this.importWizard;
+        const preset = window.db.getImportPresets(wizard.dataType).find(p => p.id === id) || null;
+        
+        wizard.mapping = window.db.suggestImportMapping(wizard.table.headers, wizard.dataType, preset);
+        document.getElementById('deleteImportPresetBtn').disabled = !preset;
+        document.getElementById('importPresetName').value = preset?.name || '';
+        this.renderImportMapping();
+    }
+
+    saveImportPreset() {
+        const wizard = this.importWizard;
+        
+        try {
+            const preset = window.db.saveImportPreset(
+                document.getElementById('importPresetName').value,
+                wizard.dataType,
+                wizard.mapping,
+                wizard.table.headers
+            );
+            this.loadImportPresets(preset.id);
+            this.showToast('تم حفظ القالب', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteImportPreset() {
+        const id = document.getElementById('importPresetSelect').value;
+        if (!id || !confirm('هل تريد حذف هذا القالب؟')) return;
+        
+        window.db.deleteImportPreset(id);
+        document.getElementById('importPresetName').value = '';
+        this.loadImportPresets();
+    }
+
+    /**
+     * Validate every mapped row, then show the first ones with their result and
+     * list the rows that match existing records so each can be inserted,
+     * updated or skipped
+     */
+    async buildImportPreview() {
+        const wizard = this.importWizard;
+        const { dataType, table } = wizard;
+        const fields = window.db.IMPORT_FIELDS[dataType].filter(field => wizard.mapping[field.key] !== undefined);
+        
+        const { records, lineNumbers } = window.db.mapImportRows(table, wizard.mapping, dataType);
+        const validation = await window.db.validateImportData(records, dataType, { lineNumbers });
+        const duplicates = await window.db.findImportDuplicates(validation.validRecords, dataType);
+        wizard.preview = { records, lineNumbers, validation, duplicates };
+        
+        const rowErrors = new Map(validation.invalidRecords.map(record => [record.row, record.errors]));
+        table.errors.forEach(error => rowErrors.set(error.line, [error.message]));
+        const duplicateLines = new Set([...duplicates.keys()].map(index => validation.validLineNumbers[index]));
+        
+        const previewRows = records.slice(0, 10).map((record, i) => {
+            const line = lineNumbers[i];
+            const errors = rowErrors.get(line);
+            const status = errors
+                ? `<span class="import-row-errors">${this.escapeHtml(errors.join('، '))}</span>`
+                : duplicateLines.has(line) ? 'موجود مسبقاً' : 'صالح';
+            
+            return `
+                <tr class="${errors ? 'import-row-invalid' : duplicateLines.has(line) ? 'import-row-duplicate' : ''}">
+                    <td>${line}</td>
+                    ${fields.map(field => `<td>${this.escapeHtml(this.formatImportValue(record[field.key]))}</td>`).join('')}
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        document.getElementById('previewContainer').innerHTML = `
+            <p class="import-summary">
+                ${records.length} صف: ${validation.validRecords.length - duplicates.size} جديد،
+                ${duplicates.size} موجود مسبقاً، ${validation.invalidRecords.length + table.errors.length} غير صالح لن يُستورد
+            </p>
+            <div class="import-table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>السطر</th>
+                            ${fields.map(field => `<th>${this.escapeHtml(field.label)}</th>`).join('')}
+                            <th>النتيجة</th>
+                        </tr>
+                    </thead>
+                    <tbody>${previewRows}</tbody>
+                </table>
+            </div>
+            ${records.length > 10 ? `<p>تعرض أول 10 صفوف من ${records.length}</p>` : ''}
+        `;
+        
+        this.renderImportDuplicates();
+    }
+
+    renderImportDuplicates() {
+        const { preview } = this.importWizard;
+        const container = document.getElementById('duplicatesContainer');
+        
+        if (preview.duplicates.size === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        // Adding a duplicate as a new record would only fail on the existing id or day
+        const actionOptions = (selected) => [
+            ['skip', 'تخطي'],
+            ['upsert', 'تحديث الموجود']
+        ].map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        
+        container.innerHTML = `
+            <h4>سجلات موجودة مسبقاً (${preview.duplicates.size})</h4>
+            <div class="import-preset-bar">
+                <label for="importDuplicatePolicy">للجميع:</label>
+                <select id="importDuplicatePolicy" class="form-input">${actionOptions('skip')}</select>
+            </div>
+            <div class="import-table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>السطر</th><th>في الملف</th><th>المحفوظ</th><th>الإجراء</th></tr>
+                    </thead>
+                    <tbody>
+                        ${[...preview.duplicates].map(([index, existing]) => {
+                            const record = preview.validation.validRecords[index];
+                            return `
+                                <tr>
+                                    <td>${preview.validation.validLineNumbers[index]}</td>
+                                    <td>${this.escapeHtml(`${record.id ?? ''} ${record.name ?? ''}`.trim())}</td>
+                                    <td>${this.escapeHtml(`${existing.id ?? ''} ${existing.name ?? ''}`.trim())}</td>
+                                    <td><select class="form-input" data-duplicate-index="${index}">${actionOptions('skip')}</select></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        document.getElementById('importDuplicatePolicy').addEventListener('change', (e) => {
+            container.querySelectorAll('select[data-duplicate-index]').forEach(select => {
+                select.value = e.target.value;
+            });
+        });
+    }
+
+    async runImport() {
+        const wizard = this.importWizard;
+        const { validation } = wizard.preview;
+        const importBtn = document.getElementById('importBtn');
+        
+        const duplicateActions = {};
+        document.querySelectorAll('#duplicatesContainer select[data-duplicate-index]').forEach(select => {
+            duplicateActions[select.dataset.duplicateIndex] = select.value;
+        });
+        
+        importBtn.disabled = true;
+        try {
+            const result = await window.db.processImport(validation.validRecords, wizard.dataType, {
+                lineNumbers: validation.validLineNumbers,
+                onDuplicate: document.getElementById('importDuplicatePolicy')?.value || 'skip',
+                duplicateActions
+            });
+            
+            await window.db.logAudit('admin', 'IMPORT_DATA', wizard.dataType, null, {
+                dataType: wizard.dataType,
+                recordCount: wizard.preview.records.length,
+                successCount: result.successCount,
+                skippedCount: result.skippedCount,
+                errorCount: result.errorCount,
+                filename: wizard.file.name
+            });
+            
+            this.renderImportResults(result);
+            this.showImportStep(4);
+            this.loadStudents();
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showToast(error.message || 'فشل في استيراد البيانات', 'error');
+        } finally {
+            importBtn.disabled = false;
+        }
+    }
+
+    renderImportResults(result) {
+        const { table, preview } = this.importWizard;
+        const failures = [
+            ...table.errors,
+            ...preview.validation.invalidRecords.map(record => ({ line: record.row, message: record.errors.join('، ') })),
+            ...result.errors.map(error => ({ line: error.row, message: error.error }))
+        ].sort((a, b) => a.line - b.line);
+        
+        document.getElementById('importResults').innerHTML = `
+            <p class="import-summary">
+                تم استيراد ${result.successCount}، تخطي ${result.skippedCount}، فشل ${failures.length}
+            </p>
+            ${failures.length > 0 ? `
+            <div class="import-table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>السطر</th><th>السبب</th></tr>
+                    </thead>
+                    <tbody>
+                        ${failures.map(failure => `
+                            <tr>
+                                <td>${failure.line}</td>
+                                <td class="import-row-errors">${this.escapeHtml(failure.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+        `;
+    }
+
     // Classes functionality
     setupClassesPanel() {
         const addClassBtn = document.getElementById('addClassBtn');
@@ -500,6 +894,7 @@ class AdminInterface {
         
         tableBody.innerHTML = '';
         
+        const canCorrect = window.db.can('attendance.correct');
         attendance.forEach(record => {
             const row = document.createElement('tr');
             row.innerHTML = `
@@ -514,9 +909,11 @@ class AdminInterface {
                 </td>
                 <td>${record.lateMinutes || 0}</td>
                 <td>
+                    ${canCorrect ? `
                     <button class="btn btn-ghost btn-sm" onclick="window.adminInterface.editAttendance('${record.id}')">
                         تعديل
                     </button>
+                    ` : '-'}
                 </td>
             `;
             tableBody.appendChild(row);
@@ -562,6 +959,972 @@ class AdminInterface {
         this.showToast('سيتم إضافة هذه الميزة قريباً', 'info');
     }
 
+    setupBackupPanel() {
+        const createBackupBtn = document.getElementById('createFullBackupBtn');
+        if (createBackupBtn) {
+            createBackupBtn.addEventListener('click', () => {
+                this.createBackup();
+            });
+        }
+        
+        // Re-run the preview whenever the file or options change
+        ['restoreFile', 'restoreMode', 'restoreConflictRule', 'restorePassphrase'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.previewRestore();
+            });
+        });
+        
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                this.restoreBackup();
+            });
+        }
+        
+        const createSnapshotBtn = document.getElementById('createSnapshotBtn');
+        if (createSnapshotBtn) {
+            createSnapshotBtn.addEventListener('click', async () => {
+                try {
+                    await window.db.createSnapshot('manual');
+                    this.showToast('تم حفظ النسخة على الجهاز', 'success');
+                    this.loadSnapshots();
+                } catch (error) {
+                    console.error('Snapshot failed:', error);
+                    this.showToast('فشل في حفظ النسخة', 'error');
+                }
+            });
+        }
+        
+        window.addEventListener('hader:backup:created', () => {
+            this.loadSnapshots();
+        });
+        
+        this.loadSnapshots();
+    }
+
+    // Import/export sub-tabs
+    setupDataPanel() {
+        document.querySelectorAll('.sub-tab[data-subtab]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.sub-tab[data-subtab]').forEach(tab => {
+                    tab.classList.toggle('active', tab === button);
+                });
+                document.querySelectorAll('.sub-tab-content').forEach(content => {
+                    content.classList.toggle('active', content.id === `${button.dataset.subtab}-subtab`);
+                });
+            });
+        });
+        
+        // Attendance and full workbook exports take a date range
+        document.querySelectorAll('input[name="exportDataType"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                const range = document.getElementById('attendanceDateRange');
+                if (range) {
+                    range.style.display = ['attendance', 'all'].includes(radio.value) ? '' : 'none';
+                }
+            });
+        });
+        
+        document.getElementById('startExportBtn')?.addEventListener('click', () => {
+            this.exportData();
+        });
+        
+        const importFile = document.getElementById('importFile');
+        const importBtn = document.getElementById('startImportBtn');
+        if (importFile && importBtn) {
+            importFile.addEventListener('change', () => {
+                importBtn.disabled = importFile.files.length === 0;
+            });
+            importBtn.addEventListener('click', () => {
+                this.importData();
+            });
+        }
+    }
+
+    async exportData() {
+        const dataType = document.querySelector('input[name="exportDataType"]:checked')?.value || 'students';
+        const format = document.getElementById('exportFormat')?.value || 'csv';
+        
+        try {
+            const result = await window.db.exportData(dataType, format, {
+                startDate: document.getElementById('exportStartDate')?.value || undefined,
+                endDate: document.getElementById('exportEndDate')?.value || undefined
+            });
+            this.downloadFile(result.blob, result.filename);
+            this.showToast('تم تصدير البيانات بنجاح', 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showToast(error.message || 'فشل في تصدير البيانات', 'error');
+        }
+    }
+
+    async importData() {
+        const file = document.getElementById('importFile')?.files[0];
+        if (!file) return;
+        
+        const dataType = document.getElementById('importDataType')?.value || 'students';
+        
+        try {
+            const result = await window.db.importData(file, dataType, {
+                updateExisting: document.getElementById('updateExisting')?.checked || false
+            });
+            
+            if (result.errors?.length > 0 && result.successCount === undefined) {
+                this.showToast(`لم يتم الاستيراد: ${result.errors.slice(0, 3).join('، ')}`, 'error');
+            } else {
+                this.showToast(`تم استيراد ${result.successCount} من ${result.totalCount} سجل`, result.errorCount > 0 ? 'warning' : 'success');
+                this.loadStudents();
+                this.loadClasses();
+            }
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showToast(error.message || 'فشل في استيراد البيانات', 'error');
+        }
+    }
+
+    async loadSnapshots() {
+        const tbody = document.getElementById('snapshotsTableBody');
+        if (!tbody) return;
+        
+        try {
+            const snapshots = await window.db.getSnapshots();
+            const reasonLabels = { daily: 'يومية', writes: 'بعد تسجيلات الحضور', manual: 'يدوية' };
+            
+            if (snapshots.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">لا توجد نسخ محفوظة</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = snapshots.map(snapshot => `
+                <tr>
+                    <td>${new Date(snapshot.createdAt).toLocaleString('ar-SA')}</td>
+                    <td>${reasonLabels[snapshot.reason] || snapshot.reason}</td>
+                    <td>${this.formatSize(snapshot.size)}</td>
+                    <td>${snapshot.counts.students}</td>
+                    <td>${snapshot.counts.attendance}</td>
+                    <td>
+                        ${window.db.can('backups.manage') ? `
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.restoreSnapshot('${snapshot.id}')">استعادة</button>
+                        <button class="btn btn-sm btn-danger" onclick="window.adminInterface.deleteSnapshot('${snapshot.id}')">حذف</button>
+                        ` : '-'}
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+        }
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async restoreSnapshot(id) {
+        const options = this.getRestoreOptions();
+        const warning = options.mode === 'replace'
+            ? 'سيتم حذف جميع البيانات الحالية واستبدالها بهذه النسخة. هل تريد المتابعة؟'
+            : 'سيتم دمج هذه النسخة مع البيانات الحالية. هل تريد المتابعة؟';
+        if (!confirm(warning)) return;
+        
+        const result = await window.db.restoreSnapshot(id, options);
+        if (result.success) {
+            this.showToast('تمت استعادة النسخة بنجاح', 'success');
+            this.loadStudents();
+            this.loadClasses();
+        } else {
+            this.showToast(result.message, 'error');
+        }
+    }
+
+    async deleteSnapshot(id) {
+        if (!confirm('هل أنت متأكد من حذف هذه النسخة؟')) return;
+        
+        await window.db.deleteSnapshot(id);
+        this.loadSnapshots();
+    }
+
+    setupSyncPanel() {
+        const saveBtn = document.getElementById('saveSyncServerBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveSyncServer();
+            });
+        }
+        
+        const syncNowBtn = document.getElementById('syncNowBtn');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', () => {
+                window.syncManager?.drain();
+            });
+        }
+        
+        const retryBtn = document.getElementById('retryFailedSyncBtn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', async () => {
+                const count = await window.syncManager?.retryFailed();
+                this.showToast(`تمت إعادة ${count || 0} تغيير إلى الطابور`, 'info');
+            });
+        }
+        
+        window.addEventListener('hader:sync:status', (event) => {
+            this.renderSyncStatus(event.detail);
+        });
+        
+        window.addEventListener('hader:sync:conflict', () => {
+            this.loadSyncConflicts();
+        });
+        
+        this.loadSyncSettings();
+        this.loadSyncConflicts();
+    }
+
+    async loadSyncConflicts() {
+        const tbody = document.getElementById('syncConflictsTableBody');
+        if (!tbody) return;
+        
+        try {
+            const conflicts = await window.db.getSyncConflicts();
+            const ruleLabels = {
+                'earliest-arrival': 'الأسبق وصولاً',
+                'manual-wins': 'التعديل اليدوي أولاً',
+                'last-writer': 'آخر تعديل',
+                'tombstone': 'حذف مقابل تعديل'
+            };
+            
+            if (conflicts.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">لا توجد تعارضات</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = conflicts.map(conflict => `
+                <tr>
+                    <td>${new Date(conflict.detectedAt).toLocaleString('ar-SA')}</td>
+                    <td>${this.escapeHtml(this.formatConflictRecord(conflict))}</td>
+                    <td>${ruleLabels[conflict.rule] || conflict.rule}</td>
+                    <td>${conflict.kept === 'local' ? 'هذا الجهاز' : 'جهاز آخر'}</td>
+                    <td>${this.escapeHtml(this.describeConflictCopy(conflict.local))} ← ${this.escapeHtml(this.describeConflictCopy(conflict.remote))}</td>
+                    <td>
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.overrideSyncConflict(${conflict.id})">اعتماد النسخة الأخرى</button>
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.dismissSyncConflict(${conflict.id})">تجاهل</button>
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load sync conflicts:', error);
+        }
+    }
+
+    formatConflictRecord(conflict) {
+        const record = conflict.local || conflict.remote || {};
+        if (conflict.store === 'attendance') {
+            return `حضور ${record.studentId} - ${record.dateISO}`;
+        }
+        if (conflict.store === 'students') {
+            return `طالب ${record.name || conflict.key}`;
+        }
+        return `تصحيح ${conflict.key}`;
+    }
+
+    describeConflictCopy(record) {
+        if (!record) return 'محذوف';
+        if (record.status) {
+            const time = record.timeISO ? new Date(record.timeISO).toLocaleTimeString('ar-SA') : '';
+            return `${this.getStatusText(record.status)} ${time}`.trim();
+        }
+        return record.name || record.newStatus || '-';
+    }
+
+    getStatusText(status) {
+        const labels = { present: 'حاضر', late: 'متأخر', absent: 'غائب', excused: 'معذور' };
+        return labels[status] || status;
+    }
+
+    // Conflict copies come from other devices
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    async overrideSyncConflict(id) {
+        if (!confirm('سيتم اعتماد النسخة الأخرى وإرسالها لجميع الأجهزة. هل تريد المتابعة؟')) return;
+        
+        try {
+            const result = await window.db.overrideSyncConflict(id);
+            this.showToast(result.success ? 'تم اعتماد النسخة الأخرى' : result.message, result.success ? 'success' : 'error');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+        this.loadSyncConflicts();
+    }
+
+    async dismissSyncConflict(id) {
+        try {
+            await window.db.dismissSyncConflict(id);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+        this.loadSyncConflicts();
+    }
+
+    async loadSyncSettings() {
+        const settings = await window.db.getSettings();
+        const urlInput = document.getElementById('syncServerUrlInput');
+        if (urlInput) urlInput.value = settings.syncServerUrl || '';
+        const tokenInput = document.getElementById('syncServerTokenInput');
+        if (tokenInput) tokenInput.value = settings.syncServerToken || '';
+        
+        this.renderSyncStatus({
+            connected: window.apiAdapter?.isConnected() || false,
+            lastSyncAt: window.syncManager?.lastSyncAt
+        });
+    }
+
+    async renderSyncStatus(detail) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        const configured = window.apiAdapter?.isConfigured();
+        setText('syncConnectionState', !configured ? 'محلي فقط' : detail.connected ? 'متصل' : 'غير متصل');
+        setText('syncLastSync', detail.lastSyncAt ? new Date(detail.lastSyncAt).toLocaleTimeString('ar-SA') : '-');
+        
+        const stats = await window.db.getSyncQueueStats();
+        setText('syncPendingCount', stats.pending);
+        setText('syncFailedCount', stats.failed);
+    }
+
+    async saveSyncServer() {
+        const url = document.getElementById('syncServerUrlInput')?.value.trim() || '';
+        const token = document.getElementById('syncServerTokenInput')?.value.trim() || '';
+        if (url && !/^wss?:\/\//i.test(url)) {
+            this.showToast('يجب أن يبدأ العنوان بـ ws:// أو wss://', 'error');
+            return;
+        }
+        if (url && !token) {
+            this.showToast('أدخل رمز المزامنة الذي يعرضه الخادم', 'error');
+            return;
+        }
+        
+        await window.db.updateSettings({ syncServerUrl: url, syncServerToken: token });
+        const settings = await window.db.getSettings();
+        const connected = await window.apiAdapter?.configure(settings.syncProvider, { url, token });
+        
+        if (!url) {
+            this.showToast('تم إيقاف المزامنة، الجهاز يعمل محلياً', 'info');
+        } else if (connected) {
+            this.showToast('تم الاتصال بخادم المزامنة', 'success');
+        } else {
+            this.showToast('تعذر الاتصال بالخادم، ستتم المحاولة تلقائياً', 'warning');
+        }
+        this.loadSyncSettings();
+    }
+
+    /**
+     * Hide controls whose data-permission the signed-in role lacks. HaderDB
+     * enforces the same permissions, this only keeps the screen honest.
+     */
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = window.db.can(element.dataset.permission) ? '' : 'none';
+        });
+    }
+
+    setupUsersPanel() {
+        const saveBtn = document.getElementById('saveUserBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveUser();
+            });
+        }
+        
+        const cancelBtn = document.getElementById('cancelUserEditBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.resetUserForm();
+            });
+        }
+        
+        const timeoutBtn = document.getElementById('saveSessionTimeoutBtn');
+        if (timeoutBtn) {
+            timeoutBtn.addEventListener('click', () => {
+                this.saveSessionTimeout();
+            });
+        }
+        
+        this.loadUsers();
+        this.loadSessionTimeout();
+    }
+
+    async loadUsers() {
+        const tbody = document.getElementById('usersTableBody');
+        if (!tbody) return;
+        
+        try {
+            const users = await window.db.getUsers();
+            const currentUser = window.db.getCurrentUser();
+            
+            tbody.innerHTML = users.map(user => `
+                <tr>
+                    <td>${this.escapeHtml(user.displayName)}${currentUser?.id === user.id ? ' (أنت)' : ''}</td>
+                    <td dir="ltr">${this.escapeHtml(user.username)}</td>
+                    <td>${window.db.USER_ROLES[user.role] || user.role}</td>
+                    <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString('ar-SA') : '-'}</td>
+                    <td>${user.active ? 'مفعّل' : 'معطّل'}</td>
+                    <td>
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.editUser('${user.id}')">تعديل</button>
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.toggleUserActive('${user.id}', ${!user.active})">${user.active ? 'تعطيل' : 'تفعيل'}</button>
+                        <button class="btn btn-sm btn-danger" onclick="window.adminInterface.deleteUser('${user.id}')">حذف</button>
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load users:', error);
+        }
+    }
+
+    async editUser(id) {
+        const user = (await window.db.getUsers()).find(candidate => candidate.id === id);
+        if (!user) return;
+        
+        this.editingUserId = id;
+        document.getElementById('userFormTitle').textContent = `تعديل ${user.displayName}`;
+        document.getElementById('userDisplayNameInput').value = user.displayName;
+        document.getElementById('userUsernameInput').value = user.username;
+        document.getElementById('userUsernameInput').disabled = true;
+        document.getElementById('userRoleSelect').value = user.role;
+        document.getElementById('userSecretInput').value = '';
+        document.getElementById('userSecretHint').textContent = 'اتركه فارغاً للإبقاء على الرمز الحالي';
+        document.getElementById('cancelUserEditBtn').hidden = false;
+    }
+
+    resetUserForm() {
+        this.editingUserId = null;
+        document.getElementById('userFormTitle').textContent = 'إضافة مستخدم';
+        document.getElementById('userDisplayNameInput').value = '';
+        document.getElementById('userUsernameInput').value = '';
+        document.getElementById('userUsernameInput').disabled = false;
+        document.getElementById('userRoleSelect').value = 'teacher';
+        document.getElementById('userSecretInput').value = '';
+        document.getElementById('userSecretHint').textContent = 'رمز من 4 إلى 8 أرقام أو كلمة مرور من 8 أحرف على الأقل';
+        document.getElementById('cancelUserEditBtn').hidden = true;
+    }
+
+    async saveUser() {
+        const userData = {
+            displayName: document.getElementById('userDisplayNameInput').value,
+            role: document.getElementById('userRoleSelect').value,
+            secret: document.getElementById('userSecretInput').value
+        };
+        
+        try {
+            if (this.editingUserId) {
+                await window.db.updateUser(this.editingUserId, userData);
+                this.showToast('تم تحديث المستخدم', 'success');
+            } else {
+                await window.db.createUser({ ...userData, username: document.getElementById('userUsernameInput').value });
+                this.showToast('تمت إضافة المستخدم', 'success');
+            }
+            this.resetUserForm();
+            this.loadUsers();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async toggleUserActive(id, active) {
+        try {
+            await window.db.updateUser(id, { active });
+            this.loadUsers();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteUser(id) {
+        if (!confirm('هل أنت متأكد من حذف هذا المستخدم؟')) return;
+        
+        const result = await window.db.deleteUser(id);
+        this.showToast(result.success ? 'تم حذف المستخدم' : result.message, result.success ? 'success' : 'error');
+        this.loadUsers();
+    }
+
+    async loadSessionTimeout() {
+        const settings = await window.db.getSettings();
+        const input = document.getElementById('sessionTimeoutInput');
+        if (input) input.value = settings.sessionTimeoutMin || 15;
+    }
+
+    // Applies from the next sign-in
+    async saveSessionTimeout() {
+        const minutes = parseInt(document.getElementById('sessionTimeoutInput')?.value, 10);
+        if (!minutes || minutes < 1 || minutes > 240) {
+            this.showToast('مدة الجلسة يجب أن تكون بين 1 و 240 دقيقة', 'error');
+            return;
+        }
+        
+        await window.db.updateSettings({ sessionTimeoutMin: minutes });
+        this.showToast('تم حفظ مدة الجلسة', 'success');
+    }
+
+    setupAuditPanel() {
+        const loadBtn = document.getElementById('loadAuditBtn');
+        if (loadBtn) {
+            loadBtn.addEventListener('click', () => {
+                this.auditPage = 1;
+                this.loadAuditLog();
+            });
+        }
+        
+        const exportBtn = document.getElementById('exportAuditBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportAuditLog();
+            });
+        }
+        
+        const verifyBtn = document.getElementById('verifyAuditBtn');
+        if (verifyBtn) {
+            verifyBtn.addEventListener('click', () => {
+                this.verifyAuditChain();
+            });
+        }
+        
+        document.getElementById('auditPrevBtn')?.addEventListener('click', () => {
+            if (this.auditPage > 1) {
+                this.auditPage--;
+                this.loadAuditLog();
+            }
+        });
+        
+        document.getElementById('auditNextBtn')?.addEventListener('click', () => {
+            this.auditPage++;
+            this.loadAuditLog();
+        });
+        
+        // The log grows with every change, so it is read when the tab is opened
+        window.addEventListener('ui:tab:changed', (event) => {
+            if (event.detail.tab === 'logs') {
+                this.loadTabContent('logs');
+            }
+        });
+    }
+
+    getAuditFilters() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        return {
+            user: value('auditUserFilter'),
+            action: value('auditActionFilter'),
+            entity: value('auditEntityFilter'),
+            from: value('auditFromDate'),
+            to: value('auditToDate')
+        };
+    }
+
+    async loadAuditFilterOptions() {
+        const options = await window.db.getAuditFilterOptions();
+        const fill = (id, values, label, format = value => value) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            const selected = select.value;
+            select.innerHTML = `<option value="">${label}</option>` + values
+                .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(format(value))}</option>`)
+                .join('');
+            select.value = values.includes(selected) ? selected : '';
+        };
+        
+        fill('auditUserFilter', options.users, 'جميع المستخدمين');
+        fill('auditActionFilter', options.actions, 'جميع العمليات', action => this.getAuditActionText(action));
+        fill('auditEntityFilter', options.entities, 'جميع الأقسام');
+    }
+
+    async loadAuditLog() {
+        const tbody = document.getElementById('auditTableBody');
+        if (!tbody || !window.db.can('audit.view')) return;
+        
+        try {
+            await this.loadAuditFilterOptions();
+            const result = await window.db.queryAuditLog(this.getAuditFilters(), this.auditPage, this.auditPageSize);
+            
+            // Stepped past the last page, e.g. after narrowing the filters
+            if (result.entries.length === 0 && this.auditPage > 1) {
+                this.auditPage = 1;
+                return this.loadAuditLog();
+            }
+            
+            this.auditEntries = new Map(result.entries.map(entry => [entry.id, entry]));
+            document.getElementById('auditPageInfo').textContent = `صفحة ${this.auditPage}`;
+            document.getElementById('auditPrevBtn').disabled = this.auditPage === 1;
+            document.getElementById('auditNextBtn').disabled = !result.hasMore;
+            
+            if (result.entries.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">لا توجد سجلات مطابقة</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = result.entries.map(entry => {
+                const fields = window.db.diffAuditEntry(entry).map(diff => diff.field);
+                const summary = fields.length > 3 ? `${fields.slice(0, 3).join('، ')} و${fields.length - 3} أخرى` : fields.join('، ');
+                
+                return `
+                    <tr data-audit-id="${entry.id}">
+                        <td>${new Date(entry.ts).toLocaleString('ar-SA')}</td>
+                        <td>${this.escapeHtml(entry.user)}${entry.role ? ` (${window.db.USER_ROLES[entry.role] || entry.role})` : ''}</td>
+                        <td>${this.escapeHtml(this.getAuditActionText(entry.action))}</td>
+                        <td>${this.escapeHtml(entry.entity || '-')}</td>
+                        <td dir="ltr">${this.escapeHtml(summary || '-')}</td>
+                        <td>
+                            <button class="btn btn-sm btn-secondary" onclick="window.adminInterface.toggleAuditDetails(${entry.id})">التفاصيل</button>
+                            ${window.db.isRevertibleAuditEntry(entry) ? `<button class="btn btn-sm btn-danger" onclick="window.adminInterface.revertAuditEntry(${entry.id})">تراجع</button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    toggleAuditDetails(id) {
+        const row = document.querySelector(`tr[data-audit-id="${id}"]`);
+        if (!row) return;
+        
+        if (row.nextElementSibling?.classList.contains('audit-details')) {
+            row.nextElementSibling.remove();
+            return;
+        }
+        
+        const diffs = window.db.diffAuditEntry(this.auditEntries.get(id));
+        const details = document.createElement('tr');
+        details.className = 'audit-details';
+        details.innerHTML = `
+            <td colspan="6">
+                ${diffs.length === 0 ? 'لا توجد تغييرات في الحقول' : `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>الحقل</th><th>قبل</th><th>بعد</th></tr>
+                    </thead>
+                    <tbody>
+                        ${diffs.map(diff => `
+                            <tr class="audit-diff-${diff.change}">
+                                <td dir="ltr">${this.escapeHtml(diff.field)}</td>
+                                <td>${this.escapeHtml(window.db.formatAuditValue(diff.before))}</td>
+                                <td>${this.escapeHtml(window.db.formatAuditValue(diff.after))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </td>
+        `;
+        row.after(details);
+    }
+
+    async revertAuditEntry(id) {
+        if (!confirm('سيتم التراجع عن هذا التغيير وتسجيل ذلك في السجل. هل تريد المتابعة؟')) return;
+        
+        try {
+            let result = await window.db.revertAuditEntry(id);
+            if (result.conflict && confirm(`${result.message}. التراجع الآن سيلغي التعديلات اللاحقة على هذه الحقول. هل تريد المتابعة؟`)) {
+                result = await window.db.revertAuditEntry(id, { force: true });
+            }
+            if (result.conflict) return;
+            
+            this.showToast(result.success ? 'تم التراجع عن التغيير' : result.message, result.success ? 'success' : 'error');
+            this.loadAuditLog();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Check the hash chain, and against the newest snapshot's chain head so a
+     * log cut back to before that snapshot is caught as well
+     */
+    async verifyAuditChain() {
+        const status = document.getElementById('auditChainStatus');
+        if (!status) return;
+        
+        status.hidden = false;
+        status.className = 'audit-chain-status';
+        status.textContent = 'جاري التحقق...';
+        
+        try {
+            const snapshot = await window.db.getLatestSnapshot();
+            const report = await window.db.verifyAuditChain({ expectedHead: snapshot?.auditChainHead });
+            
+            if (report.ok) {
+                status.classList.add('valid');
+                status.textContent = `السجل سليم: تم التحقق من ${report.checked} سجل` +
+                    (report.legacy ? ` (${report.legacy} سجل أقدم من التوقيع)` : '');
+            } else {
+                status.classList.add('broken');
+                status.textContent = `⚠️ السلسلة مكسورة: ${report.broken.message}`;
+            }
+        } catch (error) {
+            status.classList.add('broken');
+            status.textContent = error.message;
+        }
+    }
+
+    async exportAuditLog() {
+        try {
+            const { blob, filename } = await window.db.exportAuditLog(this.getAuditFilters());
+            this.downloadFile(blob, filename);
+        } catch (error) {
+            this.showToast(error.message || 'فشل تصدير السجل', 'error');
+        }
+    }
+
+    getAuditActionText(action) {
+        const labels = {
+            CREATE_STUDENT: 'إضافة طالب',
+            UPDATE_STUDENT: 'تعديل طالب',
+            DELETE_STUDENT: 'حذف طالب',
+            CREATE_ATTENDANCE: 'تسجيل حضور',
+            UPDATE_ATTENDANCE: 'تكرار مسح',
+            CORRECT_ATTENDANCE: 'تصحيح حضور',
+            MARK_ABSENT: 'تسجيل غياب',
+            LATE_TOTALS: 'تحديث مجموع التأخير',
+            DELETE_ATTENDANCE: 'حذف سجل حضور',
+            UPDATE_SETTINGS: 'تعديل الإعدادات',
+            LOGIN: 'تسجيل دخول',
+            LOGIN_FAILED: 'محاولة دخول فاشلة',
+            LOGOUT: 'تسجيل خروج',
+            SESSION_TIMEOUT: 'انتهاء الجلسة',
+            SESSION_REVOKED: 'إلغاء الجلسة',
+            PERMISSION_DENIED: 'عملية مرفوضة',
+            REVERT_CHANGE: 'تراجع عن تغيير',
+            RESTORE_BACKUP: 'استعادة نسخة احتياطية',
+            OVERRIDE_SYNC_CONFLICT: 'اعتماد النسخة الأخرى من تعارض',
+            DISMISS_SYNC_CONFLICT: 'تجاهل تعارض مزامنة'
+        };
+        return labels[action] || action;
+    }
+
+    async createBackup() {
+        try {
+            const passphraseInput = document.getElementById('backupPassphrase');
+            const passphrase = passphraseInput?.value || null;
+            
+            const { blob, filename } = await window.db.exportFullBackup('json', { includeSounds: true, passphrase });
+            this.downloadFile(blob, filename);
+            if (passphraseInput) passphraseInput.value = '';
+            
+            this.showToast(passphrase ? 'تم إنشاء نسخة احتياطية مشفرة' : 'تم إنشاء النسخة الاحتياطية', 'success');
+        } catch (error) {
+            console.error('Backup failed:', error);
+            this.showToast(error.message || 'فشل في إنشاء النسخة الاحتياطية', 'error');
+        }
+    }
+
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    getRestoreOptions() {
+        return {
+            mode: document.getElementById('restoreMode')?.value || 'merge',
+            conflictRule: document.getElementById('restoreConflictRule')?.value || 'newer'
+        };
+    }
+
+    async previewRestore() {
+        const file = document.getElementById('restoreFile')?.files[0];
+        const previewEl = document.getElementById('restorePreview');
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        
+        this.pendingBackup = null;
+        if (restoreBtn) restoreBtn.disabled = true;
+        if (!file || !previewEl) return;
+        
+        try {
+            const passphrase = document.getElementById('restorePassphrase')?.value || null;
+            this.pendingBackup = await window.db.parseBackup(file, passphrase);
+            const preview = await window.db.previewRestore(this.pendingBackup, this.getRestoreOptions());
+            
+            const storeLabels = {
+                grades: 'الصفوف', classes: 'الفصول', students: 'الطلاب', sessions: 'الحصص',
+                attendance: 'الحضور', attendance_corrections: 'تصحيحات الحضور', messages: 'الرسائل',
+                announcements: 'الإعلانات', settings: 'الإعدادات', sounds: 'الأصوات',
+                users: 'المستخدمون', audit: 'سجل التدقيق'
+            };
+            
+            previewEl.innerHTML = `
+                <p>نسخة بتاريخ ${new Date(preview.timestamp).toLocaleString('ar-SA')}</p>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>البيانات</th><th>في النسخة</th><th>الحالية</th><th>جديدة</th><th>محدثة</th><th>متجاهلة</th><th>محذوفة</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(preview.stores).map(([storeName, counts]) => `
+                            <tr>
+                                <td>${storeLabels[storeName] || storeName}</td>
+                                <td>${counts.incoming}</td>
+                                <td>${counts.existing}</td>
+                                <td>${counts.added}</td>
+                                <td>${counts.updated}</td>
+                                <td>${counts.skipped}</td>
+                                <td>${counts.removed}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            
+            if (restoreBtn) restoreBtn.disabled = false;
+        } catch (error) {
+            previewEl.innerHTML = '';
+            if (error.code === 'BACKUP_ENCRYPTED') {
+                document.getElementById('restorePassphrase')?.focus();
+                this.showToast(error.message, 'warning');
+            } else {
+                this.showToast(error.message, 'error');
+            }
+        }
+    }
+
+    async restoreBackup() {
+        if (!this.pendingBackup) return;
+        
+        const options = this.getRestoreOptions();
+        const warning = options.mode === 'replace'
+            ? 'سيتم حذف جميع البيانات الحالية واستبدالها بالنسخة الاحتياطية. هل تريد المتابعة؟'
+            : 'سيتم دمج النسخة الاحتياطية مع البيانات الحالية. هل تريد المتابعة؟';
+        if (!confirm(warning)) return;
+        
+        const result = await window.db.restoreBackup(this.pendingBackup, options);
+        if (result.success) {
+            this.showToast('تمت استعادة النسخة الاحتياطية بنجاح', 'success');
+            this.pendingBackup = null;
+            document.getElementById('restoreBackupBtn').disabled = true;
+            document.getElementById('restorePassphrase').value = '';
+            this.loadStudents();
+            this.loadClasses();
+        } else {
+            this.showToast(result.message, 'error');
+        }
+    }
+
+    // Reports
+    setupReportsPanel() {
+        const today = new Date().toISOString().split('T')[0];
+        const setDefault = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && !input.value) input.value = value;
+        };
+        setDefault('reportDateInput', today);
+        setDefault('reportMonthInput', today.slice(0, 7));
+        setDefault('reportFromDate', `${today.slice(0, 7)}-01`);
+        setDefault('reportToDate', today);
+        
+        const typeSelect = document.getElementById('reportTypeSelect');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateReportInputs());
+            this.updateReportInputs();
+        }
+        
+        document.getElementById('previewReportBtn')?.addEventListener('click', () => {
+            this.previewReport();
+        });
+        
+        document.getElementById('printReportBtn')?.addEventListener('click', () => {
+            this.printReport();
+        });
+        
+        document.getElementById('exportReportPdfBtn')?.addEventListener('click', () => {
+            this.exportReportPDF();
+        });
+        
+        window.addEventListener('ui:tab:changed', (event) => {
+            if (event.detail.tab === 'reports') {
+                this.loadTabContent('reports');
+            }
+        });
+    }
+
+    // Only the date inputs used by the selected report type are shown
+    updateReportInputs() {
+        const type = document.getElementById('reportTypeSelect').value;
+        document.querySelectorAll('[data-report-types]').forEach(input => {
+            input.hidden = !input.dataset.reportTypes.split(' ').includes(type);
+        });
+    }
+
+    async loadReportClasses() {
+        const select = document.getElementById('reportClassSelect');
+        if (!select || !window.reportsGenerator) return;
+        
+        try {
+            const current = select.value;
+            const options = await window.reportsGenerator.getClassOptions();
+            select.innerHTML = '<option value="">جميع الفصول</option>' + options
+                .map(option => `<option value="${this.escapeHtml(option.key)}">${this.escapeHtml(option.label)}</option>`)
+                .join('');
+            select.value = options.some(option => option.key === current) ? current : '';
+        } catch (error) {
+            console.error('Failed to load report classes:', error);
+        }
+    }
+
+    async buildReport() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        
+        try {
+            return await window.reportsGenerator.generate(value('reportTypeSelect'), {
+                date: value('reportDateInput'),
+                month: value('reportMonthInput'),
+                startDate: value('reportFromDate'),
+                endDate: value('reportToDate'),
+                classKey: value('reportClassSelect')
+            });
+        } catch (error) {
+            console.error('Failed to build report:', error);
+            this.showToast(error.message || 'فشل في إنشاء التقرير', 'error');
+            return null;
+        }
+    }
+
+    async previewReport() {
+        const report = await this.buildReport();
+        if (!report) return;
+        
+        const preview = document.getElementById('reportPreview');
+        preview.srcdoc = window.reportsGenerator.renderHTML(report);
+        preview.hidden = false;
+    }
+
+    async printReport() {
+        const report = await this.buildReport();
+        if (report) {
+            window.reportsGenerator.print(report);
+        }
+    }
+
+    async exportReportPDF() {
+        const report = await this.buildReport();
+        if (!report) return;
+        
+        try {
+            await window.reportsGenerator.exportPDF(report);
+            this.showToast('تم تصدير التقرير بنجاح', 'success');
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.showToast(error.message || 'فشل في تصدير التقرير', 'error');
+        }
+    }
+
     // Tab content loading
     loadTabContent(tabName) {
         switch (tabName) {
@@ -574,6 +1937,12 @@ class AdminInterface {
             case 'attendance':
                 this.loadAttendanceData();
                 break;
+            case 'logs':
+                this.loadAuditLog();
+                break;
+            case 'reports':
+                this.loadReportClasses();
+                break;
             default:
                 break;
         }
@@ -8,6 +8,7 @@ class AdminSimple {
         this.currentTab = 'present';
         this.attendanceData = [];
         this.studentsData = [];
+        this.refreshTimer = null;
         this.isInitialized = false;
     }
 
@@ -71,21 +72,15 @@ class AdminSimple {
             });
         }
 
-        // Listen for attendance updates
+        // Attendance and settings changes arrive live from the kiosk tabs via the event bus
         window.addEventListener('hader:attendance:updated', () => {
-            this.refreshData();
+            this.scheduleRefresh();
         });
 
-        // Listen for settings updates
         window.addEventListener('hader:settings:updated', () => {
-            this.refreshData();
+            this.scheduleRefresh();
         });
 
-        // Auto-refresh every 30 seconds
-        setInterval(() => {
-            this.refreshData();
-        }, 30000);
-
         // Listen for database ready
         window.addEventListener('hader:db:ready', () => {
             this.refreshData();
@@ -131,6 +126,18 @@ class AdminSimple {
         }
     }
 
+    /**
+     * Coalesce bursts of updates (a queue of students at the gate) into one refresh
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshData();
+        }, 250);
+    }
+
     /**
      * Refresh data and update dashboard
      */
@@ -387,27 +394,34 @@ class AdminSimple {
     exportCurrentView() {
         try {
             const data = this.getFilteredAttendanceData();
-            const csvData = data.map(record => {
+            const rows = data.map(record => {
                 const student = record.student || this.studentsData.find(s => s.id === record.studentId) || {};
                 
-                return {
-                    'رقم الطالب': student.id || record.studentId,
-                    'الاسم': student.name || 'غير محدد',
-                    'الصف': student.grade || '-',
-                    'الفصل': student.className || '-',
-                    'الوقت': record.timeISO ? window.ui.formatTime(record.timeISO) : '-',
-                    'الحالة': this.getStatusText(record.status),
-                    'دقائق التأخر': record.lateMinutes || 0
-                };
+                return [
+                    student.id || record.studentId,
+                    student.name || 'غير محدد',
+                    student.grade || '-',
+                    student.className || '-',
+                    record.timeISO ? window.ui.formatTime(record.timeISO) : '-',
+                    this.getStatusText(record.status),
+                    record.lateMinutes || 0
+                ];
             });
+            const headers = ['رقم الطالب', 'الاسم', 'الصف', 'الفصل', 'الوقت', 'الحالة', 'دقائق التأخر'];
 
-            const today = new Date().toLocaleDateString('ar-SA');
+            const today = new Date().toISOString().split('T')[0];
             const filename = `حضور_${this.getTabText(this.currentTab)}_${today}.csv`;
             
-            if (window.ui) {
-                window.ui.downloadCSV(csvData, filename);
-                window.ui.showToast('تم تصدير البيانات بنجاح', 'success');
-            }
+            const url = URL.createObjectURL(window.csvCodec.toBlob([headers, ...rows]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            window.ui?.showToast('تم تصدير البيانات بنجاح', 'success');
             
         } catch (error) {
             console.error('Export failed:', error);
@@ -416,35 +430,25 @@ class AdminSimple {
     }
 
     /**
-     * Print current view
+     * Export the current tab as today's gate report in PDF
      */
-    printCurrentView() {
+    async printCurrentView() {
         try {
-            // Add print-specific styles
-            const printStyles = `
-                <style>
-                    @media print {
-                        body * { visibility: hidden; }
-                        .attendance-section, .attendance-section * { visibility: visible; }
-                        .attendance-section { position: absolute; top: 0; left: 0; width: 100%; }
-                        .actions, .nav-buttons { display: none !important; }
-                        .card-header h3::after { 
-                            content: " - ${this.getTabText(this.currentTab)}";
-                        }
-                    }
-                </style>
-            `;
-            
-            document.head.insertAdjacentHTML('beforeend', printStyles);
-            
-            // Print
-            window.print();
-            
-            window.ui?.showToast('تم إعداد الطباعة', 'info');
+            if (!window.reportsGenerator) {
+                throw new Error('مولد التقارير غير متاح');
+            }
+
+            const today = new Date().toISOString().split('T')[0];
+            const status = ['present', 'late', 'absent'].includes(this.currentTab) ? this.currentTab : '';
+            const report = await window.reportsGenerator.generate('daily', { date: today, status });
+            report.title += ` - ${this.getTabText(this.currentTab)}`;
+
+            await window.reportsGenerator.exportPDF(report);
+            window.ui?.showToast('تم تصدير التقرير بنجاح', 'success');
             
         } catch (error) {
-            console.error('Print failed:', error);
-            window.ui?.showToast('فشل في الطباعة', 'error');
+            console.error('PDF export failed:', error);
+            window.ui?.showToast(error.message || 'فشل في تصدير التقرير', 'error');
         }
     }
 
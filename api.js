@@ -1,29 +1,346 @@
 /**
  * Hader API Adapter
  * Pluggable sync adapters for WebSocket/Firebase
+ *
+ * Every provider implements the SyncAdapter interface:
+ *   connect() / disconnect() / isConnected()
+ *   pushChanges(changes)  -> { results: [{ idempotencyKey, status, error }], cursor }
+ *                            status is 'accepted', 'duplicate' or 'rejected'
+ *   pullChanges(cursor)   -> { changes, cursor, hasMore }
+ *   subscribe(listener)   -> unsubscribe function; listener receives
+ *                            { type: 'status', connected } and { type: 'changes', cursor }
  */
 
+class SyncAdapter {
+    constructor(options = {}) {
+        this.options = options;
+        this.listeners = new Set();
+    }
+
+    async connect() {
+        throw new Error('مزود المزامنة لا يدعم الاتصال');
+    }
+
+    async disconnect() {}
+
+    isConnected() {
+        return false;
+    }
+
+    async pushChanges(changes) {
+        throw new Error('مزود المزامنة لا يدعم إرسال التغييرات');
+    }
+
+    async pullChanges(cursor) {
+        throw new Error('مزود المزامنة لا يدعم جلب التغييرات');
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Sync listener failed:', error);
+            }
+        });
+    }
+}
+
+/**
+ * WebSocket provider speaking the protocol of sync-server.js
+ */
+class WebSocketAdapter extends SyncAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url;
+        this.token = options.token || '';
+        this.deviceId = options.deviceId;
+        this.socket = null;
+        this.connected = false;
+        this.connectPromise = null;
+        this.shouldReconnect = false;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectDelayMs = 30 * 1000;
+        this.requestTimeoutMs = 15 * 1000;
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+    }
+
+    connect() {
+        if (!this.url) {
+            return Promise.reject(new Error('عنوان خادم المزامنة غير محدد'));
+        }
+        if (this.connected) return Promise.resolve();
+        if (this.connectPromise) return this.connectPromise;
+
+        this.shouldReconnect = true;
+
+        this.connectPromise = new Promise((resolve, reject) => {
+            let settled = false;
+            const socket = new WebSocket(this.getSocketUrl());
+            this.socket = socket;
+
+            socket.onopen = () => {
+                socket.send(JSON.stringify({ type: 'hello', deviceId: this.deviceId }));
+            };
+
+            socket.onmessage = (event) => {
+                const message = this.parseMessage(event.data);
+                if (!message) return;
+
+                if (message.type === 'welcome') {
+                    this.connected = true;
+                    this.reconnectAttempts = 0;
+                    this.emit({ type: 'status', connected: true });
+                    if (!settled) {
+                        settled = true;
+                        resolve();
+                    }
+                    return;
+                }
+
+                this.handleMessage(message);
+            };
+
+            socket.onclose = () => {
+                const wasConnected = this.connected;
+                this.connected = false;
+                if (this.socket === socket) this.socket = null;
+                this.rejectPendingRequests(new Error('انقطع الاتصال بخادم المزامنة'));
+
+                if (wasConnected) this.emit({ type: 'status', connected: false });
+                if (!settled) {
+                    settled = true;
+                    reject(new Error('تعذر الاتصال بخادم المزامنة'));
+                }
+                if (this.shouldReconnect) this.scheduleReconnect();
+            };
+
+            // onclose always follows onerror, which settles the promise
+            socket.onerror = () => {};
+        }).finally(() => {
+            this.connectPromise = null;
+        });
+
+        return this.connectPromise;
+    }
+
+    // The server refuses the upgrade unless the shared token is in the URL
+    getSocketUrl() {
+        if (!this.token) return this.url;
+        const url = new URL(this.url);
+        url.searchParams.set('token', this.token);
+        return url.toString();
+    }
+
+    async disconnect() {
+        this.shouldReconnect = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            this.socket.close(1000);
+        }
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.reconnectAttempts++;
+        const delay = Math.min(this.maxReconnectDelayMs, 1000 * Math.pow(2, this.reconnectAttempts - 1));
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => {
+                // onclose schedules the next attempt
+            });
+        }, delay);
+    }
+
+    parseMessage(data) {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed sync message');
+            return null;
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type === 'changes') {
+            this.emit({ type: 'changes', cursor: message.cursor });
+            return;
+        }
+
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) return;
+
+        this.pendingRequests.delete(message.requestId);
+        clearTimeout(pending.timer);
+
+        if (message.type === 'error') {
+            const error = new Error(message.message || 'رفض الخادم الطلب');
+            error.retryable = message.retryable !== false;
+            pending.reject(error);
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    request(type, payload = {}) {
+        if (!this.connected || !this.socket) {
+            return Promise.reject(new Error('لا يوجد اتصال بخادم المزامنة'));
+        }
+
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error('انتهت مهلة الاستجابة من خادم المزامنة'));
+            }, this.requestTimeoutMs);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timer });
+            this.socket.send(JSON.stringify({ type, requestId, ...payload }));
+        });
+    }
+
+    rejectPendingRequests(error) {
+        this.pendingRequests.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        });
+        this.pendingRequests.clear();
+    }
+
+    async pushChanges(changes) {
+        const response = await this.request('push', { changes });
+        return { results: response.results, cursor: response.cursor };
+    }
+
+    async pullChanges(cursor) {
+        const response = await this.request('pull', { cursor });
+        return { changes: response.changes, cursor: response.cursor, hasMore: response.hasMore };
+    }
+}
+
+/**
+ * Holds the provider selected in settings and forwards calls to it
+ */
 class APIAdapter {
     constructor() {
         this.currentAdapter = null;
+        this.provider = null;
+        this.listeners = new Set();
         this.isInitialized = false;
     }
 
     async init() {
         if (this.isInitialized) return;
-        
-        console.log('API adapter ready for implementation in M7');
+
+        const settings = await window.db.getSettings();
         this.isInitialized = true;
+        await this.configure(settings.syncProvider, { url: settings.syncServerUrl, token: settings.syncServerToken });
+    }
+
+    /**
+     * Swap the active provider. Without a server URL the app stays local-only.
+     */
+    async configure(provider, options = {}) {
+        if (this.currentAdapter) {
+            await this.currentAdapter.disconnect();
+            this.currentAdapter = null;
+        }
+        this.provider = provider;
+
+        if (!options.url) {
+            this.notify({ type: 'status', connected: false });
+            return false;
+        }
+
+        const Adapter = APIAdapter.PROVIDERS[provider];
+        if (!Adapter) {
+            console.warn(`Sync provider "${provider}" is not available`);
+            this.notify({ type: 'status', connected: false });
+            return false;
+        }
+
+        this.currentAdapter = new Adapter({ ...options, deviceId: window.db.getDeviceId() });
+        this.currentAdapter.subscribe(event => this.notify(event));
+
+        try {
+            await this.currentAdapter.connect();
+            return true;
+        } catch (error) {
+            // The adapter keeps retrying in the background
+            console.warn('Sync server unreachable:', error.message);
+            return false;
+        }
+    }
+
+    isConfigured() {
+        return this.currentAdapter !== null;
+    }
+
+    isConnected() {
+        return this.currentAdapter ? this.currentAdapter.isConnected() : false;
+    }
+
+    async pushChanges(changes) {
+        if (!this.currentAdapter) throw new Error('لم يتم إعداد خادم المزامنة');
+        return await this.currentAdapter.pushChanges(changes);
+    }
+
+    async pullChanges(cursor) {
+        if (!this.currentAdapter) throw new Error('لم يتم إعداد خادم المزامنة');
+        return await this.currentAdapter.pullChanges(cursor);
+    }
+
+    // Listeners survive provider swaps
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(event) {
+        this.listeners.forEach(listener => listener(event));
+        window.dispatchEvent(new CustomEvent('hader:api:' + event.type, { detail: event }));
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-    const apiAdapter = new APIAdapter();
-    await apiAdapter.init();
-    window.apiAdapter = apiAdapter;
-});
+APIAdapter.PROVIDERS = {
+    websocket: WebSocketAdapter
+};
+
+// Create the instance right away so other modules can subscribe, connect once the database is open
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const apiAdapter = new APIAdapter();
+        window.apiAdapter = apiAdapter;
+
+        const start = () => apiAdapter.init().catch(error => {
+            console.error('Failed to initialize API adapter:', error);
+        });
+
+        if (window.db?.isInitialized) {
+            start();
+        } else {
+            window.addEventListener('hader:db:ready', start, { once: true });
+        }
+    });
+}
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = APIAdapter;
-}
\ No newline at end of file
+    module.exports = { APIAdapter, SyncAdapter, WebSocketAdapter };
+}
@@ -0,0 +1,210 @@
+/**
+ * Hader Auth Manager
+ * Login screen and inactivity timeout for the admin panel
+ *
+ * Accounts and sessions live in HaderDB (users store, sessionStorage). This
+ * module only drives the screen: it blocks the page until someone signs in,
+ * creates the first principal account on a fresh install, and signs the user
+ * out once the session runs past its inactivity timeout.
+ */
+
+class AuthManager {
+    constructor() {
+        this.mode = 'login';
+        this.pendingResolve = null;
+        this.signedInUserId = null;
+        this.checkInterval = null;
+        this.checkEveryMs = 15 * 1000;
+        this.lastTouch = 0;
+        this.touchThrottleMs = 5 * 1000;
+        this.activityEvents = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+        this.isBound = false;
+    }
+
+    /**
+     * Resolve with the signed-in user, showing the login screen first if needed
+     */
+    async requireLogin() {
+        this.bindElements();
+
+        const user = await window.db.verifySession();
+        if (user) {
+            this.onSignedIn(user);
+            return user;
+        }
+
+        await this.showLoginScreen();
+        return await new Promise(resolve => {
+            this.pendingResolve = resolve;
+        });
+    }
+
+    bindElements() {
+        if (this.isBound) return;
+
+        this.screen = document.getElementById('loginScreen');
+        this.form = document.getElementById('loginForm');
+        this.title = document.getElementById('loginTitle');
+        this.hint = document.getElementById('loginHint');
+        this.displayNameGroup = document.getElementById('loginDisplayNameGroup');
+        this.displayNameInput = document.getElementById('loginDisplayName');
+        this.usernameInput = document.getElementById('loginUsername');
+        this.secretInput = document.getElementById('loginSecret');
+        this.errorBox = document.getElementById('loginError');
+        this.submitBtn = document.getElementById('loginSubmitBtn');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        document.getElementById('logoutBtn')?.addEventListener('click', () => this.logout());
+
+        this.onActivity = () => this.recordActivity();
+        this.isBound = true;
+    }
+
+    /**
+     * A fresh install has no accounts, so the first screen creates the principal
+     */
+    async showLoginScreen(message) {
+        this.mode = await window.db.hasUsers() ? 'login' : 'setup';
+
+        if (this.mode === 'setup') {
+            this.title.textContent = 'إنشاء حساب مدير المدرسة';
+            this.hint.textContent = 'لا توجد حسابات بعد. أنشئ حساب مدير المدرسة للمتابعة';
+            this.submitBtn.textContent = 'إنشاء الحساب والدخول';
+            this.secretInput.autocomplete = 'new-password';
+        } else {
+            this.title.textContent = 'تسجيل الدخول';
+            this.hint.textContent = message || 'أدخل اسم المستخدم والرمز السري للمتابعة';
+            this.submitBtn.textContent = 'دخول';
+            this.secretInput.autocomplete = 'current-password';
+        }
+
+        this.displayNameGroup.hidden = this.mode !== 'setup';
+        this.secretInput.value = '';
+        this.errorBox.textContent = '';
+        this.screen.hidden = false;
+
+        (this.usernameInput.value ? this.secretInput : this.usernameInput).focus();
+    }
+
+    async submit() {
+        const username = this.usernameInput.value;
+        const secret = this.secretInput.value;
+
+        this.errorBox.textContent = '';
+        this.submitBtn.disabled = true;
+
+        try {
+            if (this.mode === 'setup') {
+                await window.db.createUser({
+                    username,
+                    displayName: this.displayNameInput.value,
+                    role: 'principal',
+                    secret
+                });
+            }
+
+            await window.db.authenticate(username, secret);
+            this.secretInput.value = '';
+            this.screen.hidden = true;
+
+            const user = window.db.getCurrentUser();
+
+            // Someone else signed in after a timeout: start over with their account
+            if (this.signedInUserId && this.signedInUserId !== user.id) {
+                location.reload();
+                return;
+            }
+
+            this.onSignedIn(user);
+            if (this.pendingResolve) {
+                this.pendingResolve(user);
+                this.pendingResolve = null;
+            }
+        } catch (error) {
+            this.errorBox.textContent = error.message;
+            this.secretInput.value = '';
+            this.secretInput.focus();
+        } finally {
+            this.submitBtn.disabled = false;
+        }
+    }
+
+    onSignedIn(user) {
+        this.signedInUserId = user.id;
+        this.renderCurrentUser(user);
+        this.startSessionTimer();
+    }
+
+    renderCurrentUser(user) {
+        const container = document.getElementById('currentUser');
+        const name = document.getElementById('currentUserName');
+        if (!container || !name) return;
+
+        name.textContent = `${user.displayName} (${window.db.USER_ROLES[user.role] || user.role})`;
+        container.hidden = false;
+    }
+
+    startSessionTimer() {
+        this.stopSessionTimer();
+
+        this.activityEvents.forEach(type => {
+            document.addEventListener(type, this.onActivity, { passive: true });
+        });
+
+        this.checkInterval = setInterval(async () => {
+            if (!window.db.getCurrentUser()) {
+                this.expire();
+            } else if (!(await window.db.verifySession())) {
+                this.expire('تم إنهاء الجلسة لتغير بيانات الحساب، سجّل الدخول مرة أخرى');
+            }
+        }, this.checkEveryMs);
+    }
+
+    stopSessionTimer() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        this.activityEvents.forEach(type => {
+            document.removeEventListener(type, this.onActivity);
+        });
+    }
+
+    recordActivity() {
+        const now = Date.now();
+        if (now - this.lastTouch < this.touchThrottleMs) return;
+
+        this.lastTouch = now;
+        window.db.touchSession();
+    }
+
+    /**
+     * The page stays as it was behind the login screen, so the same user
+     * carries on where they left off after signing in again
+     */
+    async expire(message = 'انتهت الجلسة بسبب عدم النشاط، سجّل الدخول مرة أخرى') {
+        this.stopSessionTimer();
+        await window.db.logout('SESSION_TIMEOUT');
+        await this.showLoginScreen(message);
+    }
+
+    async logout() {
+        this.stopSessionTimer();
+        await window.db.logout();
+        location.reload();
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.auth = new AuthManager();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
+}
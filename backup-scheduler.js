@@ -0,0 +1,109 @@
+/**
+ * Hader Backup Scheduler
+ * Automatic local snapshots into the HaderDB backups store
+ */
+
+class BackupScheduler {
+    constructor() {
+        this.checkInterval = null;
+        this.checkEveryMs = 10 * 60 * 1000; // 10 minutes
+        this.writeCheckDelayMs = 30 * 1000; // 30 seconds
+        this.writeCheckTimer = null;
+        this.isRunning = false;
+        this.isChecking = false;
+    }
+
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.check();
+        
+        this.checkInterval = setInterval(() => {
+            this.check();
+        }, this.checkEveryMs);
+        
+        // Busy mornings can reach the write threshold between timer ticks. A burst of
+        // scans runs one check; writes relayed from other tabs are checked by that tab.
+        this.onAttendanceUpdated = (event) => {
+            if (event.detail?.remote || this.writeCheckTimer) return;
+            this.writeCheckTimer = setTimeout(() => {
+                this.writeCheckTimer = null;
+                this.check();
+            }, this.writeCheckDelayMs);
+        };
+        window.addEventListener('hader:attendance:updated', this.onAttendanceUpdated);
+        
+        console.log('Backup scheduler started');
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        if (this.onAttendanceUpdated) {
+            window.removeEventListener('hader:attendance:updated', this.onAttendanceUpdated);
+        }
+        if (this.writeCheckTimer) {
+            clearTimeout(this.writeCheckTimer);
+            this.writeCheckTimer = null;
+        }
+        this.isRunning = false;
+    }
+
+    /**
+     * Take a snapshot when the last one is from an earlier day or enough attendance was written since
+     */
+    async check() {
+        if (this.isChecking || !window.db?.isInitialized) return null;
+        this.isChecking = true;
+        
+        try {
+            const settings = await window.db.getSettings();
+            if (settings.autoBackupEnabled === false) return null;
+            
+            const [latest] = await window.db.getSnapshotTimes();
+            const reason = await this.getSnapshotReason(latest, settings);
+            if (!reason) return null;
+            
+            const snapshot = await window.db.createSnapshot(reason);
+            console.log('Automatic backup created:', snapshot.id, reason);
+            
+            window.dispatchEvent(new CustomEvent('hader:backup:created', {
+                detail: snapshot
+            }));
+            return snapshot;
+        } catch (error) {
+            console.error('Automatic backup failed:', error);
+            return null;
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async getSnapshotReason(latest, settings) {
+        if (!latest) return 'daily';
+        
+        const today = new Date().toISOString().split('T')[0];
+        if (latest.createdAt.split('T')[0] !== today) return 'daily';
+        
+        const threshold = settings.autoBackupWriteThreshold ?? 200;
+        if (threshold > 0) {
+            const writes = await window.db.countAttendanceWritesSince(latest.createdAt);
+            if (writes >= threshold) return 'writes';
+        }
+        
+        return null;
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.backupScheduler = new BackupScheduler();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupScheduler;
+}
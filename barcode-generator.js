@@ -17,9 +17,9 @@ class BarcodeGenerator {
     /**
      * Generate QR Code as SVG
      */
-    generateQRCode(data, size = 200) {
+    generateQRCode(data, size = 200, ecLevel = 'M') {
         try {
-            const modules = this.createQRMatrix(data);
+            const modules = this.createQRMatrix(data, ecLevel);
             return this.createQRSVG(modules, size);
         } catch (error) {
             console.error('QR Code generation failed:', error);
@@ -41,71 +41,562 @@ class BarcodeGenerator {
     }
 
     /**
-     * Create QR matrix (simplified implementation)
+     * Create QR matrix (ISO/IEC 18004, versions 1-40, error correction L/M/Q/H)
      */
-    createQRMatrix(data) {
-        const size = 21;
-        const matrix = Array(size).fill().map(() => Array(size).fill(0));
+    createQRMatrix(data, ecLevel = 'M') {
+        if (!['L', 'M', 'Q', 'H'].includes(ecLevel)) {
+            throw new Error(`Unknown QR error correction level: ${ecLevel}`);
+        }
         
-        this.addFinderPattern(matrix, 0, 0);
-        this.addFinderPattern(matrix, size - 7, 0);
-        this.addFinderPattern(matrix, 0, size - 7);
+        const segment = this.createQRSegment(data.toString());
+        const version = this.chooseQRVersion(segment, ecLevel);
+        const dataCodewords = this.createQRDataCodewords(segment, version, ecLevel);
+        const codewords = this.addQRErrorCorrection(dataCodewords, version, ecLevel);
         
-        const dataString = data.toString();
-        let dataIndex = 0;
+        const qr = this.createQRGrid(version);
+        this.drawQRFunctionPatterns(qr, ecLevel);
+        this.drawQRCodewords(qr, codewords);
         
-        for (let i = 8; i < size - 8; i++) {
-            for (let j = 8; j < size - 8; j++) {
-                if (dataIndex < dataString.length) {
-                    matrix[i][j] = dataString.charCodeAt(dataIndex) % 2;
-                    dataIndex++;
-                } else {
-                    matrix[i][j] = (i + j) % 2;
+        const mask = this.chooseQRMask(qr, ecLevel);
+        this.applyQRMask(qr, mask);
+        this.drawQRFormatBits(qr, ecLevel, mask);
+        
+        return qr.modules;
+    }
+
+    /**
+     * Pick the most compact encoding mode for the payload
+     */
+    createQRSegment(text) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        if (/^[0-9]*$/.test(text)) {
+            for (let i = 0; i < text.length; i += 3) {
+                const group = text.substr(i, 3);
+                push(parseInt(group, 10), group.length * 3 + 1);
+            }
+            return { mode: 0x1, count: text.length, bits };
+        }
+        
+        const alphanumeric = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+        if ([...text].every(char => alphanumeric.includes(char))) {
+            for (let i = 0; i + 1 < text.length; i += 2) {
+                push(alphanumeric.indexOf(text[i]) * 45 + alphanumeric.indexOf(text[i + 1]), 11);
+            }
+            if (text.length % 2 === 1) {
+                push(alphanumeric.indexOf(text[text.length - 1]), 6);
+            }
+            return { mode: 0x2, count: text.length, bits };
+        }
+        
+        const bytes = this.encodeUTF8(text);
+        bytes.forEach(byte => push(byte, 8));
+        return { mode: 0x4, count: bytes.length, bits };
+    }
+
+    /**
+     * Encode text as UTF-8 bytes
+     */
+    encodeUTF8(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(text));
+        }
+        return Array.from(unescape(encodeURIComponent(text)), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Get character count indicator length for mode and version
+     */
+    getQRCharCountBits(mode, version) {
+        const index = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+        const bits = {
+            0x1: [10, 12, 14],
+            0x2: [9, 11, 13],
+            0x4: [8, 16, 16]
+        };
+        return bits[mode][index];
+    }
+
+    /**
+     * Find the smallest version that fits the segment
+     */
+    chooseQRVersion(segment, ecLevel) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = this.getQRCharCountBits(segment.mode, version);
+            const usedBits = 4 + countBits + segment.bits.length;
+            
+            if (segment.count < (1 << countBits) && usedBits <= this.getQRDataCodewordCount(version, ecLevel) * 8) {
+                return version;
+            }
+        }
+        
+        throw new Error('البيانات أطول من سعة رمز QR');
+    }
+
+    /**
+     * Build data codewords: mode, count, payload, terminator and padding
+     */
+    createQRDataCodewords(segment, version, ecLevel) {
+        const capacity = this.getQRDataCodewordCount(version, ecLevel) * 8;
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        push(segment.mode, 4);
+        push(segment.count, this.getQRCharCountBits(segment.mode, version));
+        bits.push(...segment.bits);
+        
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        
+        return codewords;
+    }
+
+    /**
+     * Get error correction block structure (ISO/IEC 18004 table 9)
+     */
+    getQRBlockLayout(version, ecLevel) {
+        const eccPerBlock = {
+            L: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            M: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            Q: [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            H: [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        };
+        const numBlocks = {
+            L: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            M: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            Q: [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            H: [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        };
+        
+        return {
+            eccPerBlock: eccPerBlock[ecLevel][version - 1],
+            numBlocks: numBlocks[ecLevel][version - 1],
+            totalCodewords: this.getQRTotalCodewords(version)
+        };
+    }
+
+    /**
+     * Count codewords left once function patterns are placed
+     */
+    getQRTotalCodewords(version) {
+        let rawModules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            rawModules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) rawModules -= 36;
+        }
+        return Math.floor(rawModules / 8);
+    }
+
+    /**
+     * Count data codewords for version and error correction level
+     */
+    getQRDataCodewordCount(version, ecLevel) {
+        const { eccPerBlock, numBlocks, totalCodewords } = this.getQRBlockLayout(version, ecLevel);
+        return totalCodewords - eccPerBlock * numBlocks;
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon codewords and interleave
+     */
+    addQRErrorCorrection(data, version, ecLevel) {
+        const { eccPerBlock, numBlocks, totalCodewords } = this.getQRBlockLayout(version, ecLevel);
+        const numShortBlocks = numBlocks - totalCodewords % numBlocks;
+        const shortDataLength = Math.floor(totalCodewords / numBlocks) - eccPerBlock;
+        const generator = this.createReedSolomonGenerator(eccPerBlock);
+        
+        const blocks = [];
+        let offset = 0;
+        for (let b = 0; b < numBlocks; b++) {
+            const length = shortDataLength + (b < numShortBlocks ? 0 : 1);
+            const blockData = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: blockData, ecc: this.computeReedSolomon(blockData, generator) });
+        }
+        
+        // Data columns first (long blocks carry one extra), then ECC columns
+        const result = [];
+        for (let i = 0; i <= shortDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccPerBlock; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        
+        return result;
+    }
+
+    /**
+     * Build GF(256) tables for the QR primitive polynomial 0x11D
+     */
+    initGaloisField() {
+        if (this.gfExp) return;
+        
+        this.gfExp = new Uint8Array(512);
+        this.gfLog = new Uint8Array(256);
+        
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            this.gfExp[i] = value;
+            this.gfLog[value] = i;
+            value <<= 1;
+            if (value & 0x100) value ^= 0x11D;
+        }
+        for (let i = 255; i < 512; i++) {
+            this.gfExp[i] = this.gfExp[i - 255];
+        }
+    }
+
+    /**
+     * Multiply in GF(256)
+     */
+    gfMultiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.gfExp[this.gfLog[a] + this.gfLog[b]];
+    }
+
+    /**
+     * Generator polynomial with roots alpha^0 .. alpha^(degree-1), highest term dropped
+     */
+    createReedSolomonGenerator(degree) {
+        this.initGaloisField();
+        
+        let generator = [1];
+        for (let i = 0; i < degree; i++) {
+            const next = new Array(generator.length + 1).fill(0);
+            for (let j = 0; j < generator.length; j++) {
+                next[j] ^= generator[j];
+                next[j + 1] ^= this.gfMultiply(generator[j], this.gfExp[i]);
+            }
+            generator = next;
+        }
+        
+        return generator.slice(1);
+    }
+
+    /**
+     * Remainder of data polynomial divided by the generator
+     */
+    computeReedSolomon(data, generator) {
+        const remainder = new Array(generator.length).fill(0);
+        
+        for (const byte of data) {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            for (let i = 0; i < generator.length; i++) {
+                remainder[i] ^= this.gfMultiply(generator[i], factor);
+            }
+        }
+        
+        return remainder;
+    }
+
+    /**
+     * Create empty module grid with function pattern tracking
+     */
+    createQRGrid(version) {
+        const size = version * 4 + 17;
+        return {
+            version,
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(0)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+    }
+
+    /**
+     * Set a module that belongs to a function pattern
+     */
+    setQRFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark ? 1 : 0;
+        qr.isFunction[y][x] = true;
+    }
+
+    /**
+     * Draw finder, timing, alignment, format and version patterns
+     */
+    drawQRFunctionPatterns(qr, ecLevel) {
+        const size = qr.size;
+        
+        for (let i = 0; i < size; i++) {
+            this.setQRFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setQRFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+        
+        this.addFinderPattern(qr, 3, 3);
+        this.addFinderPattern(qr, size - 4, 3);
+        this.addFinderPattern(qr, 3, size - 4);
+        
+        const positions = this.getQRAlignmentPositions(qr.version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setQRFunctionModule(qr, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format area; real bits are drawn once the mask is chosen
+        this.drawQRFormatBits(qr, ecLevel, 0);
+        this.drawQRVersionBits(qr);
+    }
+
+    /**
+     * Add finder pattern with its separator, centred at (centerX, centerY)
+     */
+    addFinderPattern(qr, centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || y < 0 || x >= qr.size || y >= qr.size) continue;
+                
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setQRFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    /**
+     * Get alignment pattern centre coordinates for version
+     */
+    getQRAlignmentPositions(version) {
+        if (version === 1) return [];
+        
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        
+        for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        
+        return positions;
+    }
+
+    /**
+     * Draw both copies of the 15-bit format information
+     */
+    drawQRFormatBits(qr, ecLevel, mask) {
+        const levelBits = { L: 1, M: 0, Q: 3, H: 2 };
+        const data = (levelBits[ecLevel] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        const size = qr.size;
+        
+        for (let i = 0; i <= 5; i++) this.setQRFunctionModule(qr, 8, i, bit(i));
+        this.setQRFunctionModule(qr, 8, 7, bit(6));
+        this.setQRFunctionModule(qr, 8, 8, bit(7));
+        this.setQRFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setQRFunctionModule(qr, 14 - i, 8, bit(i));
+        
+        for (let i = 0; i < 8; i++) this.setQRFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setQRFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setQRFunctionModule(qr, 8, size - 8, true); // Dark module
+    }
+
+    /**
+     * Draw both copies of the 18-bit version information (version 7+)
+     */
+    drawQRVersionBits(qr) {
+        if (qr.version < 7) return;
+        
+        let remainder = qr.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (qr.version << 12) | remainder;
+        
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = qr.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setQRFunctionModule(qr, a, b, dark);
+            this.setQRFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    /**
+     * Place codeword bits in the zigzag order, skipping function patterns
+     */
+    drawQRCodewords(qr, codewords) {
+        const size = qr.size;
+        let bitIndex = 0;
+        
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    
+                    if (qr.isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                    
+                    qr.modules[y][x] = (codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether mask pattern flips module (x, y)
+     */
+    getQRMaskBit(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return x * y % 2 + x * y % 3 === 0;
+            case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+            case 7: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+            default: return false;
+        }
+    }
+
+    /**
+     * XOR a mask over the data modules (applying twice undoes it)
+     */
+    applyQRMask(qr, mask) {
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && this.getQRMaskBit(mask, x, y)) {
+                    qr.modules[y][x] ^= 1;
                 }
             }
         }
+    }
+
+    /**
+     * Try all eight masks and keep the one with the lowest penalty
+     */
+    chooseQRMask(qr, ecLevel) {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyQRMask(qr, mask);
+            this.drawQRFormatBits(qr, ecLevel, mask);
+            
+            const penalty = this.getQRPenaltyScore(qr.modules);
+            if (penalty < bestPenalty) {
+                bestPenalty = penalty;
+                bestMask = mask;
+            }
+            
+            this.applyQRMask(qr, mask);
+        }
         
-        return matrix;
+        return bestMask;
     }
 
     /**
-     * Add finder pattern to QR matrix
+     * Mask penalty rules N1-N4 from ISO/IEC 18004 section 7.8.3
      */
-    addFinderPattern(matrix, startX, startY) {
-        const pattern = [
-            [1,1,1,1,1,1,1],
-            [1,0,0,0,0,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,0,0,0,0,1],
-            [1,1,1,1,1,1,1]
-        ];
+    getQRPenaltyScore(modules) {
+        const size = modules.length;
+        const finderLike = ['10111010000', '00001011101'];
+        let penalty = 0;
+        let dark = 0;
+        
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
         
-        for (let i = 0; i < 7; i++) {
-            for (let j = 0; j < 7; j++) {
-                if (startX + i < matrix.length && startY + j < matrix[0].length) {
-                    matrix[startX + i][startY + j] = pattern[i][j];
+        lines.forEach(line => {
+            // N1: runs of five or more same-coloured modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+            
+            // N3: finder-like 1:1:3:1:1 patterns next to four light modules
+            const text = line.join('');
+            finderLike.forEach(pattern => {
+                for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+                    penalty += 40;
+                }
+            });
+        });
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                dark += modules[y][x];
+                
+                // N2: 2x2 blocks of one colour
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
                 }
             }
         }
+        
+        // N4: deviation of the dark module ratio from 50%
+        const percent = dark * 100 / (size * size);
+        penalty += Math.floor(Math.abs(percent - 50) / 5) * 10;
+        
+        return penalty;
     }
 
     /**
-     * Create QR SVG from matrix
+     * Create QR SVG from matrix, with the 4-module quiet zone scanners need
      */
-    createQRSVG(matrix, size) {
-        const moduleSize = size / matrix.length;
-        let svg = `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">`;
-        svg += `<rect width="${size}" height="${size}" fill="white"/>`;
+    createQRSVG(matrix, size, quietZone = 4) {
+        const count = matrix.length + quietZone * 2;
+        let svg = `<svg width="${size}" height="${size}" viewBox="0 0 ${count} ${count}" shape-rendering="crispEdges" xmlns="http://www.w3.org/2000/svg">`;
+        svg += `<rect width="${count}" height="${count}" fill="white"/>`;
         
+        // One rect per horizontal run of dark modules keeps the markup small
         for (let i = 0; i < matrix.length; i++) {
             for (let j = 0; j < matrix[i].length; j++) {
-                if (matrix[i][j] === 1) {
-                    const x = j * moduleSize;
-                    const y = i * moduleSize;
-                    svg += `<rect x="${x}" y="${y}" width="${moduleSize}" height="${moduleSize}" fill="black"/>`;
-                }
+                if (matrix[i][j] !== 1) continue;
+                
+                let run = 1;
+                while (j + run < matrix[i].length && matrix[i][j + run] === 1) run++;
+                
+                svg += `<rect x="${j + quietZone}" y="${i + quietZone}" width="${run}" height="1" fill="black"/>`;
+                j += run - 1;
             }
         }
         
@@ -114,46 +605,136 @@ class BarcodeGenerator {
     }
 
     /**
-     * Create Code128 pattern (simplified)
+     * Create Code128 bar/space widths, switching between subsets A, B and C
      */
     createCode128Pattern(data) {
-        let pattern = [2,1,2,2,2,2];
-        const digits = data.toString().replace(/\D/g, '');
+        const codes = this.encodeCode128(data.toString());
+        
+        // Modulo 103 checksum: start value plus each symbol weighted by its position
+        const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(index, 1), 0) % 103;
+        codes.push(checksum, 106);
+        
+        return codes.reduce((pattern, code) => pattern.concat(this.getCode128Widths(code)), []);
+    }
+
+    /**
+     * Encode text into Code128 symbol values, starting with the start code
+     */
+    encodeCode128(text) {
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) > 127) {
+                throw new Error('Code128 يدعم أحرف ASCII فقط');
+            }
+        }
+        
+        const digitRun = (from) => {
+            let end = from;
+            while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+            return end - from;
+        };
+        
+        const codes = [];
+        const leadingDigits = digitRun(0);
+        let set;
         
-        for (let i = 0; i < digits.length; i++) {
-            const digit = parseInt(digits[i]);
-            pattern = pattern.concat(this.getCode128DigitPattern(digit));
+        if (leadingDigits >= 4 || (leadingDigits === text.length && leadingDigits >= 2 && leadingDigits % 2 === 0)) {
+            set = 'C';
+            codes.push(105);
+        } else {
+            set = this.chooseCode128Set(text, 0);
+            codes.push(set === 'A' ? 103 : 104);
         }
         
-        const checksum = digits.split('').reduce((sum, digit) => sum + parseInt(digit), 0) % 10;
-        pattern = pattern.concat(this.getCode128DigitPattern(checksum));
-        pattern = pattern.concat([2,3,3,1,1,1,2]);
+        let i = 0;
+        while (i < text.length) {
+            if (set === 'C') {
+                if (digitRun(i) >= 2) {
+                    codes.push(parseInt(text.substr(i, 2), 10));
+                    i += 2;
+                } else {
+                    set = this.chooseCode128Set(text, i);
+                    codes.push(set === 'A' ? 101 : 100);
+                }
+                continue;
+            }
+            
+            // Long digit runs are cheaper in subset C; an odd leading digit stays in A/B
+            const run = digitRun(i);
+            if (run >= 6 || (run >= 4 && i + run === text.length)) {
+                if (run % 2 === 1) {
+                    codes.push(this.getCode128Value(text.charCodeAt(i), set));
+                    i++;
+                }
+                set = 'C';
+                codes.push(99);
+                continue;
+            }
+            
+            const charCode = text.charCodeAt(i);
+            const value = this.getCode128Value(charCode, set);
+            if (value !== null) {
+                codes.push(value);
+                i++;
+                continue;
+            }
+            
+            // Shift a single out-of-set character, otherwise switch subsets
+            const other = set === 'A' ? 'B' : 'A';
+            const nextFits = i + 1 < text.length && this.getCode128Value(text.charCodeAt(i + 1), set) !== null;
+            if (nextFits) {
+                codes.push(98, this.getCode128Value(charCode, other));
+                i++;
+            } else {
+                set = other;
+                codes.push(set === 'A' ? 101 : 100);
+            }
+        }
         
-        return pattern;
+        return codes;
     }
 
     /**
-     * Get Code128 pattern for digit
+     * Pick subset A (control characters) or B (lower case) by whichever is needed first
      */
-    getCode128DigitPattern(digit) {
-        const patterns = {
-            0: [2,1,2,2,2,2], 1: [2,2,2,1,2,2], 2: [2,2,2,2,2,1], 3: [1,2,1,2,2,3], 4: [1,2,1,3,2,2],
-            5: [1,3,1,2,2,2], 6: [1,2,2,2,1,3], 7: [1,2,2,3,1,2], 8: [1,3,2,2,1,2], 9: [2,2,1,2,1,3]
-        };
-        return patterns[digit] || patterns[0];
+    chooseCode128Set(text, from) {
+        for (let i = from; i < text.length; i++) {
+            const charCode = text.charCodeAt(i);
+            if (charCode < 32) return 'A';
+            if (charCode >= 96) return 'B';
+        }
+        return 'B';
     }
 
     /**
-     * Create Code128 SVG
+     * Get symbol value of an ASCII character in subset A or B, or null if absent
      */
-    createCode128SVG(pattern, data, width, height) {
-        const totalBars = pattern.reduce((sum, bar) => sum + bar, 0);
+    getCode128Value(charCode, set) {
+        if (set === 'A') {
+            if (charCode < 32) return charCode + 64;
+            if (charCode < 96) return charCode - 32;
+            return null;
+        }
+        return charCode >= 32 ? charCode - 32 : null;
+    }
+
+    /**
+     * Get bar/space module widths for a Code128 symbol value (106 = stop)
+     */
+    getCode128Widths(code) {
+        return BarcodeGenerator.CODE128_PATTERNS[code].split('').map(Number);
+    }
+
+    /**
+     * Create Code128 SVG with a 10-module quiet zone on each side
+     */
+    createCode128SVG(pattern, data, width, height, quietZone = 10) {
+        const totalBars = pattern.reduce((sum, bar) => sum + bar, 0) + quietZone * 2;
         const barWidth = width / totalBars;
         
         let svg = `<svg width="${width}" height="${height + 30}" viewBox="0 0 ${width} ${height + 30}" xmlns="http://www.w3.org/2000/svg">`;
         svg += `<rect width="${width}" height="${height + 30}" fill="white"/>`;
         
-        let x = 0;
+        let x = quietZone * barWidth;
         let isBlack = true;
         
         for (const barSize of pattern) {
@@ -239,6 +820,21 @@ class BarcodeGenerator {
     }
 }
 
+// Code128 bar/space widths for symbol values 0-105, then the stop pattern (106)
+BarcodeGenerator.CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
 // Create global instance
 const barcodeGenerator = new BarcodeGenerator();
 
@@ -0,0 +1,279 @@
+/**
+ * Hader CSV Codec
+ * Streaming CSV reader and writer shared by imports, exports and the admin pages
+ *
+ * parse() reads a File, Blob or string chunk by chunk and hands every record to
+ * a callback (or collects them) together with the file line it starts on, so
+ * callers can report problems the way a user sees them in a text editor. Quoted
+ * fields may contain delimiters, doubled quotes and line breaks. The delimiter
+ * (comma, semicolon or tab) is detected from the first lines, a byte order mark
+ * is dropped, and files that are not valid UTF-8 are read as Windows-1256, the
+ * encoding older Arabic Excel versions save CSV files in.
+ *
+ * toBlob() writes rows with a UTF-8 byte order mark so Excel shows Arabic text
+ * correctly, quoting only the fields that need it. Text a spreadsheet would run
+ * as a formula (starting with =, +, -, @, a tab or a line break) gets a leading
+ * apostrophe. parse() removes it again only from files that start with that
+ * byte order mark; other files are read as they are.
+ */
+
+class CsvCodec {
+    constructor() {
+        this.sampleSize = 64 * 1024;
+    }
+
+    // ============ READER ============
+
+    /**
+     * @param {string|Blob} source
+     * @param {{delimiter?: string, encoding?: string, onRow?: Function}} options
+     *   onRow(values, line) receives each record as soon as it is complete;
+     *   without it the records are collected in rows
+     * @returns {Promise<{rows: Array<{line: number, values: string[]}>,
+     *   errors: Array<{line: number, message: string}>, delimiter: string, encoding: string}>}
+     */
+    async parse(source, options = {}) {
+        const rows = [];
+        const errors = [];
+        const onRow = options.onRow || ((values, line) => rows.push({ line, values }));
+        let delimiter = options.delimiter;
+        let encoding = 'utf-8';
+        let parser = null;
+        let guarded = false;
+
+        const feed = (text) => {
+            if (!text) return;
+            if (!parser) {
+                delimiter = delimiter || this.detectDelimiter(text);
+                parser = this.createParser(delimiter, onRow, errors, guarded);
+            }
+            parser.write(text);
+        };
+
+        if (typeof source === 'string') {
+            guarded = source.startsWith('\uFEFF');
+            feed(source.replace(/^\uFEFF/, ''));
+        } else {
+            const head = new Uint8Array(await source.slice(0, this.sampleSize).arrayBuffer());
+            encoding = options.encoding || this.detectEncoding(head);
+            guarded = head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF;
+
+            // The decoder drops a matching byte order mark by itself
+            const decoder = new TextDecoder(encoding);
+            if (typeof source.stream === 'function') {
+                const reader = source.stream().getReader();
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    feed(decoder.decode(value, { stream: true }));
+                }
+                feed(decoder.decode());
+            } else {
+                feed(decoder.decode(new Uint8Array(await source.arrayBuffer())));
+            }
+        }
+
+        if (parser) {
+            parser.end();
+        }
+
+        return { rows, errors, delimiter: delimiter || ',', encoding };
+    }
+
+    /**
+     * State machine fed with text chunks of any size; a chunk may end anywhere,
+     * even between the two quotes of an escaped quote or inside a CRLF.
+     * guarded: the text may hold formula guards written by toBlob()
+     */
+    createParser(delimiter, onRow, errors, guarded = false) {
+        let values = [];
+        let field = '';
+        let mode = 'start'; // start | unquoted | quoted | closed (after a closing quote)
+        let line = 1;
+        let recordLine = 1;
+        let skipLF = false;
+
+        const endField = () => {
+            values.push(guarded && CsvCodec.FORMULA_GUARD.test(field) ? field.slice(1) : field);
+            field = '';
+            mode = 'start';
+        };
+
+        const endRecord = () => {
+            endField();
+            // Blank lines and rows of empty cells carry nothing to import
+            if (values.some(value => value.trim() !== '')) {
+                onRow(values, recordLine);
+            }
+            values = [];
+        };
+
+        const newLine = (char) => {
+            line++;
+            skipLF = char === '\r';
+        };
+
+        return {
+            write(text) {
+                for (let i = 0; i < text.length; i++) {
+                    const char = text[i];
+
+                    if (skipLF) {
+                        skipLF = false;
+                        if (char === '\n') continue;
+                    }
+
+                    const isBreak = char === '\n' || char === '\r';
+
+                    if (mode === 'quoted') {
+                        if (char === '"') {
+                            mode = 'closed';
+                        } else if (isBreak) {
+                            field += '\n';
+                            newLine(char);
+                        } else {
+                            field += char;
+                        }
+                    } else if (char === delimiter) {
+                        endField();
+                    } else if (isBreak) {
+                        endRecord();
+                        newLine(char);
+                        recordLine = line;
+                    } else if (char === '"' && mode === 'start') {
+                        mode = 'quoted';
+                    } else if (char === '"' && mode === 'closed') {
+                        // Doubled quote inside a quoted field
+                        field += '"';
+                        mode = 'quoted';
+                    } else {
+                        // Text after a closing quote is kept as typed, like Excel does
+                        field += char;
+                        mode = 'unquoted';
+                    }
+                }
+            },
+
+            end() {
+                if (mode === 'quoted') {
+                    errors.push({ line: recordLine, message: 'علامة تنصيص غير مغلقة حتى نهاية الملف' });
+                    return;
+                }
+                if (values.length > 0 || field !== '' || mode !== 'start') {
+                    endRecord();
+                }
+            }
+        };
+    }
+
+    /**
+     * Pick the candidate that splits the first records into the same number of
+     * columns most often; ties go to the one giving more columns
+     */
+    detectDelimiter(sample) {
+        const records = [];
+        let counts = {};
+        let hasContent = false;
+        let inQuotes = false;
+
+        for (let i = 0; i < sample.length && records.length < 10; i++) {
+            const char = sample[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                if (hasContent) records.push(counts);
+                counts = {};
+                hasContent = false;
+                continue;
+            } else if (!inQuotes && CsvCodec.DELIMITERS.includes(char)) {
+                counts[char] = (counts[char] || 0) + 1;
+            }
+            hasContent = true;
+        }
+        if (records.length === 0 && hasContent) {
+            records.push(counts);
+        }
+
+        let best = ',';
+        let bestScore = 0;
+        let bestColumns = 0;
+        for (const delimiter of CsvCodec.DELIMITERS) {
+            const columns = records[0]?.[delimiter] || 0;
+            if (columns === 0) continue;
+
+            const score = records.filter(record => (record[delimiter] || 0) === columns).length;
+            if (score > bestScore || (score === bestScore && columns > bestColumns)) {
+                best = delimiter;
+                bestScore = score;
+                bestColumns = columns;
+            }
+        }
+        return best;
+    }
+
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        try {
+            // stream keeps a multi-byte character cut at the end of the sample from failing
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1256';
+        }
+    }
+
+    // ============ WRITER ============
+
+    /**
+     * @param {Array<Array>} rows first row is usually the header
+     * @param {{delimiter?: string, bom?: boolean}} options
+     * @returns {Blob}
+     */
+    toBlob(rows, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const parts = options.bom === false ? [] : ['\uFEFF'];
+
+        for (const row of rows) {
+            parts.push(this.formatRow(row, delimiter) + '\r\n');
+        }
+
+        return new Blob(parts, { type: CsvCodec.MIME_TYPE });
+    }
+
+    formatRow(row, delimiter = ',') {
+        return row.map(value => this.formatField(value, delimiter)).join(delimiter);
+    }
+
+    formatField(value, delimiter = ',') {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        // Plain numbers such as -5 or +9665... cannot do harm and stay as they are.
+        // Text already starting with apostrophes gets one more, so parse() restores it.
+        if (/^'*[=+\-@\t\r\n]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+        return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+CsvCodec.DELIMITERS = [',', ';', '\t'];
+// A field toBlob() protected from being run as a formula. Line breaks in
+// quoted fields are read as \n, so a guarded \r comes back as \n.
+CsvCodec.FORMULA_GUARD = /^'+[=+\-@\t\r\n]/;
+CsvCodec.MIME_TYPE = 'text/csv;charset=utf-8';
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.CsvCodec = CsvCodec;
+    window.csvCodec = new CsvCodec();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvCodec;
+}
@@ -3,12 +3,27 @@
  * IndexedDB wrapper for offline-first attendance system
  */
 
+/**
+ * Thrown when the signed-in role may not perform a mutation
+ */
+class PermissionError extends Error {
+    constructor(permission, role) {
+        super(role ? 'ليس لديك صلاحية لتنفيذ هذه العملية' : 'يجب تسجيل الدخول لتنفيذ هذه العملية');
+        this.name = 'PermissionError';
+        this.code = 'PERMISSION_DENIED';
+        this.permission = permission;
+        this.role = role || null;
+    }
+}
+
 class HaderDB {
     constructor() {
         this.dbName = 'haderDB';
-        this.version = 1;
+        this.version = HaderDB.MIGRATIONS[HaderDB.MIGRATIONS.length - 1].version;
         this.db = null;
         this.isInitialized = false;
+        this.migrationReport = null;
+        this.deviceId = null;
     }
 
     /**
@@ -25,99 +40,324 @@ class HaderDB {
                 reject(request.error);
             };
 
-            request.onsuccess = () => {
+            request.onsuccess = async () => {
                 this.db = request.result;
                 this.isInitialized = true;
                 console.log('Database opened successfully');
-                resolve(this.db);
+                
+                // Let a newer version in another tab upgrade the schema
+                this.db.onversionchange = () => {
+                    console.warn('Database upgraded in another tab; reload to continue');
+                    this.db.close();
+                    this.isInitialized = false;
+                };
+                
+                // An error here would otherwise leave init() pending forever
+                try {
+                    if (this.migrationReport) {
+                        await this.finishMigration();
+                    }
+                    resolve(this.db);
+                } catch (error) {
+                    console.error('Database migration could not be completed:', error);
+                    reject(error);
+                }
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade waiting for other open tabs to close');
             };
 
             request.onupgradeneeded = (e) => {
                 this.db = e.target.result;
-                this.createStores();
+                this.runMigrations(e.oldVersion, e.target.transaction);
             };
         });
     }
 
     /**
-     * Create all object stores
+     * Run pending migrations inside the version change transaction.
+     * Each step finishes its record transforms before the next one starts;
+     * any failure aborts the transaction and leaves the old database untouched.
      */
-    createStores() {
-        console.log('Creating object stores...');
+    runMigrations(oldVersion, transaction) {
+        const pending = HaderDB.MIGRATIONS.filter(migration => migration.version > oldVersion);
+        this.migrationReport = { fromVersion: oldVersion, toVersion: this.version, steps: [] };
 
-        // Students store
-        if (!this.db.objectStoreNames.contains('students')) {
-            const studentsStore = this.db.createObjectStore('students', { keyPath: 'id' });
-            studentsStore.createIndex('name', 'name', { unique: false });
-            studentsStore.createIndex('grade', 'grade', { unique: false });
-            studentsStore.createIndex('className', 'className', { unique: false });
-        }
+        const runNext = (index) => {
+            if (index >= pending.length) return;
 
-        // Classes store
-        if (!this.db.objectStoreNames.contains('classes')) {
-            const classesStore = this.db.createObjectStore('classes', { keyPath: 'id' });
-            classesStore.createIndex('name', 'name', { unique: false });
-            classesStore.createIndex('grade', 'grade', { unique: false });
-        }
+            const migration = pending[index];
+            console.log(`Migrating database to version ${migration.version}: ${migration.description}`);
+
+            const step = { version: migration.version, description: migration.description, transformed: {} };
+            this.migrationReport.steps.push(step);
 
-        // Grades store
-        if (!this.db.objectStoreNames.contains('grades')) {
-            const gradesStore = this.db.createObjectStore('grades', { keyPath: 'id' });
-            gradesStore.createIndex('name', 'name', { unique: false });
-            gradesStore.createIndex('order', 'order', { unique: false });
+            try {
+                this.applySchemaChanges(migration, transaction);
+            } catch (error) {
+                console.error(`Migration ${migration.version} failed:`, error);
+                transaction.abort();
+                return;
+            }
+
+            // Fresh databases have no records to transform
+            if (oldVersion === 0) {
+                runNext(index + 1);
+            } else {
+                this.transformRecords(migration, transaction, step.transformed, () => runNext(index + 1));
+            }
+        };
+
+        runNext(0);
+    }
+
+    /**
+     * Create the stores and indexes a migration declares, skipping existing ones
+     */
+    applySchemaChanges(migration, transaction) {
+        for (const [storeName, definition] of Object.entries(migration.stores || {})) {
+            const store = this.db.objectStoreNames.contains(storeName)
+                ? transaction.objectStore(storeName)
+                : this.db.createObjectStore(storeName, definition.options);
+
+            for (const [indexName, keyPath, options] of definition.indexes || []) {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, keyPath, options || { unique: false });
+                }
+            }
         }
+    }
+
+    /**
+     * Rewrite existing records through a migration's transforms, one store at a time
+     */
+    transformRecords(migration, transaction, counts, done) {
+        const stores = Object.entries(migration.transforms || {})
+            .filter(([storeName]) => this.db.objectStoreNames.contains(storeName));
+
+        const nextStore = (index) => {
+            if (index >= stores.length) {
+                done();
+                return;
+            }
+
+            const [storeName, transform] = stores[index];
+            counts[storeName] = 0;
+
+            const request = transaction.objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    nextStore(index + 1);
+                    return;
+                }
+
+                try {
+                    const updated = transform({ ...cursor.value });
+                    if (JSON.stringify(updated) !== JSON.stringify(cursor.value)) {
+                        cursor.update(updated);
+                        counts[storeName]++;
+                    }
+                    cursor.continue();
+                } catch (error) {
+                    console.error(`Migration ${migration.version} failed on ${storeName} record ${cursor.primaryKey}:`, error);
+                    transaction.abort();
+                }
+            };
+        };
+
+        nextStore(0);
+    }
+
+    /**
+     * Verify the upgraded schema and record the migration in the audit log
+     */
+    async finishMigration() {
+        const report = this.migrationReport;
+        this.migrationReport = null;
 
-        // Attendance store
-        if (!this.db.objectStoreNames.contains('attendance')) {
-            const attendanceStore = this.db.createObjectStore('attendance', { keyPath: 'id', autoIncrement: true });
-            attendanceStore.createIndex('studentId', 'studentId', { unique: false });
-            attendanceStore.createIndex('dateISO', 'dateISO', { unique: false });
-            attendanceStore.createIndex('studentDate', ['studentId', 'dateISO'], { unique: false });
+        const verification = this.verifySchema();
+        if (!verification.ok) {
+            console.error('Database schema verification failed:', verification);
         }
 
-        // Sessions store
-        if (!this.db.objectStoreNames.contains('sessions')) {
-            const sessionsStore = this.db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
-            sessionsStore.createIndex('active', 'active', { unique: false });
+        if (report.fromVersion > 0) {
+            console.log('Database migrated:', report);
+            await this.logAudit('system', 'MIGRATE_SCHEMA', 'database',
+                { version: report.fromVersion },
+                { version: report.toVersion, steps: report.steps, verification });
         }
+    }
+
+    /**
+     * Check that every store and index declared by the migrations exists
+     */
+    verifySchema() {
+        const missingStores = [];
+        const missingIndexes = [];
 
-        // Messages store
-        if (!this.db.objectStoreNames.contains('messages')) {
-            const messagesStore = this.db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
-            messagesStore.createIndex('active', 'active', { unique: false });
+        if (!this.db) {
+            return { ok: false, version: 0, missingStores, missingIndexes };
         }
 
-        // Announcements store
-        if (!this.db.objectStoreNames.contains('announcements')) {
-            const announcementsStore = this.db.createObjectStore('announcements', { keyPath: 'id', autoIncrement: true });
-            announcementsStore.createIndex('active', 'active', { unique: false });
-            announcementsStore.createIndex('order', 'order', { unique: false });
+        const expected = this.getExpectedSchema();
+        const storeNames = Object.keys(expected).filter(name => this.db.objectStoreNames.contains(name));
+        const transaction = storeNames.length > 0 ? this.db.transaction(storeNames, 'readonly') : null;
+
+        for (const [storeName, indexNames] of Object.entries(expected)) {
+            if (!this.db.objectStoreNames.contains(storeName)) {
+                missingStores.push(storeName);
+                continue;
+            }
+
+            const store = transaction.objectStore(storeName);
+            for (const indexName of indexNames) {
+                if (!store.indexNames.contains(indexName)) {
+                    missingIndexes.push(`${storeName}.${indexName}`);
+                }
+            }
         }
 
-        // Sounds store
-        if (!this.db.objectStoreNames.contains('sounds')) {
-            const soundsStore = this.db.createObjectStore('sounds', { keyPath: 'id' });
+        return {
+            ok: missingStores.length === 0 && missingIndexes.length === 0,
+            version: this.db.version,
+            missingStores,
+            missingIndexes
+        };
+    }
+
+    /**
+     * Store and index names the latest schema should have
+     */
+    getExpectedSchema() {
+        const expected = {};
+        for (const migration of HaderDB.MIGRATIONS) {
+            for (const [storeName, definition] of Object.entries(migration.stores || {})) {
+                expected[storeName] = expected[storeName] || [];
+                for (const [indexName] of definition.indexes || []) {
+                    expected[storeName].push(indexName);
+                }
+            }
         }
+        return expected;
+    }
+
+    /**
+     * Dry run: report what the pending migrations would change without writing anything.
+     * Safe to call before init() on a production database.
+     */
+    async planMigrations() {
+        const db = await this.openCurrentVersion();
+        const currentVersion = db ? db.version : 0;
+        const plan = { currentVersion, targetVersion: this.version, steps: [] };
+        const records = {};
+
+        try {
+            for (const migration of HaderDB.MIGRATIONS.filter(m => m.version > currentVersion)) {
+                const step = {
+                    version: migration.version,
+                    description: migration.description,
+                    createStores: [],
+                    createIndexes: [],
+                    transformed: {},
+                    errors: []
+                };
+
+                for (const [storeName, definition] of Object.entries(migration.stores || {})) {
+                    const exists = db && db.objectStoreNames.contains(storeName);
+                    const store = exists ? db.transaction([storeName], 'readonly').objectStore(storeName) : null;
+
+                    if (!exists) {
+                        step.createStores.push(storeName);
+                    }
+                    for (const [indexName] of definition.indexes || []) {
+                        if (!store || !store.indexNames.contains(indexName)) {
+                            step.createIndexes.push(`${storeName}.${indexName}`);
+                        }
+                    }
+                }
+
+                // Transforms run on in-memory copies, chained across steps like the real upgrade
+                for (const [storeName, transform] of Object.entries(migration.transforms || {})) {
+                    if (!db || !db.objectStoreNames.contains(storeName)) continue;
+
+                    if (!records[storeName]) {
+                        records[storeName] = await this.readAllFrom(db, storeName);
+                    }
+
+                    step.transformed[storeName] = 0;
+                    records[storeName] = records[storeName].map(record => {
+                        try {
+                            const updated = transform({ ...record });
+                            if (JSON.stringify(updated) !== JSON.stringify(record)) {
+                                step.transformed[storeName]++;
+                            }
+                            return updated;
+                        } catch (error) {
+                            step.errors.push({ store: storeName, id: record.id, message: error.message });
+                            return record;
+                        }
+                    });
+                }
 
-        // Settings store
-        if (!this.db.objectStoreNames.contains('settings')) {
-            this.db.createObjectStore('settings', { keyPath: 'id' });
+                plan.steps.push(step);
+            }
+        } finally {
+            if (db && db !== this.db) {
+                db.close();
+            }
         }
 
-        // Sync queue store
-        if (!this.db.objectStoreNames.contains('syncQueue')) {
-            const syncStore = this.db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
-            syncStore.createIndex('status', 'status', { unique: false });
-            syncStore.createIndex('ts', 'ts', { unique: false });
+        plan.ok = plan.steps.every(step => step.errors.length === 0);
+        return plan;
+    }
+
+    /**
+     * Open the database at whatever version is on disk, or resolve null if it does not exist yet
+     */
+    async openCurrentVersion() {
+        if (this.isInitialized) {
+            return this.db;
         }
 
-        // Audit log store
-        if (!this.db.objectStoreNames.contains('audit')) {
-            const auditStore = this.db.createObjectStore('audit', { keyPath: 'id', autoIncrement: true });
-            auditStore.createIndex('user', 'user', { unique: false });
-            auditStore.createIndex('action', 'action', { unique: false });
-            auditStore.createIndex('ts', 'ts', { unique: false });
+        if (typeof indexedDB.databases === 'function') {
+            const databases = await indexedDB.databases();
+            if (!databases.some(database => database.name === this.dbName)) {
+                return null;
+            }
         }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName);
+            let created = null;
+
+            // Opening without a version would create an empty database; cancel that
+            request.onupgradeneeded = (e) => {
+                created = e.target.result;
+                e.target.transaction.abort();
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                if (request.error && request.error.name === 'AbortError') {
+                    created?.close();
+                    resolve(null);
+                } else {
+                    reject(request.error);
+                }
+            };
+        });
+    }
+
+    /**
+     * Read every record of a store from a given connection
+     */
+    readAllFrom(db, storeName) {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
@@ -126,7 +366,8 @@ class HaderDB {
     async put(storeName, data) {
         await this.ensureInit();
         
-        const transaction = this.db.transaction([storeName], 'readwrite');
+        const synced = HaderDB.SYNCED_STORES.includes(storeName);
+        const transaction = this.db.transaction(synced ? [storeName, 'syncQueue', 'tombstones'] : [storeName], 'readwrite');
         const store = transaction.objectStore(storeName);
         
         // Add timestamps
@@ -134,10 +375,42 @@ class HaderDB {
         if (!data.createdAt) data.createdAt = now;
         data.updatedAt = now;
 
+        if (!synced) {
+            return new Promise((resolve, reject) => {
+                const request = store.put(data);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // The change record is written in the same transaction so the queue
+        // never misses (or invents) a local write
         return new Promise((resolve, reject) => {
-            const request = store.put(data);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+            const tombstoneId = `${storeName}:${this.getSyncKey(storeName, data)}`;
+            const tombstones = transaction.objectStore('tombstones');
+            const tombstoneRequest = tombstones.get(tombstoneId);
+            let request;
+            
+            tombstoneRequest.onsuccess = () => {
+                // A record re-created after a delete must dominate the tombstone
+                const tombstone = tombstoneRequest.result;
+                const base = tombstone ? this.mergeVersions(data.syncVersion, tombstone.version) : data.syncVersion;
+                data.syncVersion = this.incrementVersion(base);
+                data.syncDeviceId = this.getDeviceId();
+                if (tombstone) tombstones.delete(tombstoneId);
+                
+                request = store.put(data);
+                request.onsuccess = () => {
+                    const record = { ...data, [store.keyPath]: request.result };
+                    this.addSyncChange(transaction, storeName, 'put', this.getSyncKey(storeName, record), record, data.syncVersion);
+                };
+            };
+            transaction.oncomplete = () => {
+                this.notifySyncQueued();
+                resolve(request.result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
@@ -181,14 +454,153 @@ class HaderDB {
     async delete(storeName, key) {
         await this.ensureInit();
         
-        const transaction = this.db.transaction([storeName], 'readwrite');
+        const synced = HaderDB.SYNCED_STORES.includes(storeName);
+        const transaction = this.db.transaction(synced ? [storeName, 'syncQueue', 'tombstones'] : [storeName], 'readwrite');
         const store = transaction.objectStore(storeName);
         
+        if (!synced) {
+            return new Promise((resolve, reject) => {
+                const request = store.delete(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // Deletes leave a tombstone so an older copy from another device cannot bring the record back
         return new Promise((resolve, reject) => {
-            const request = store.delete(key);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+            const getRequest = store.get(key);
+            let request;
+            
+            getRequest.onsuccess = () => {
+                const record = getRequest.result;
+                request = store.delete(key);
+                if (!record) return;
+                
+                const syncKey = this.getSyncKey(storeName, record);
+                const tombstone = {
+                    id: `${storeName}:${syncKey}`,
+                    store: storeName,
+                    key: syncKey,
+                    version: this.incrementVersion(record.syncVersion),
+                    deviceId: this.getDeviceId(),
+                    deletedAt: new Date().toISOString()
+                };
+                transaction.objectStore('tombstones').put(tombstone);
+                this.addSyncChange(transaction, storeName, 'delete', syncKey, tombstone, tombstone.version);
+            };
+            transaction.oncomplete = () => {
+                this.notifySyncQueued();
+                resolve(request.result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Append a change record to the sync queue inside an open transaction
+     */
+    addSyncChange(transaction, storeName, op, key, data, version) {
+        const now = new Date().toISOString();
+        transaction.objectStore('syncQueue').add({
+            idempotencyKey: this.generateIdempotencyKey(),
+            deviceId: this.getDeviceId(),
+            store: storeName,
+            op,
+            key,
+            data,
+            version,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: now,
+            ts: now
+        });
+    }
+
+    /**
+     * Identity of a record across devices. Attendance ids are assigned locally,
+     * so attendance is matched by student and day instead.
+     */
+    getSyncKey(storeName, record) {
+        if (storeName === 'attendance') {
+            return `${record.studentId}|${record.dateISO}`;
+        }
+        return record.id;
+    }
+
+    // Version vectors map deviceId -> number of writes that device made to the record
+    incrementVersion(version = {}) {
+        const deviceId = this.getDeviceId();
+        return { ...version, [deviceId]: (version[deviceId] || 0) + 1 };
+    }
+
+    mergeVersions(a = {}, b = {}) {
+        const merged = { ...a };
+        Object.entries(b).forEach(([deviceId, count]) => {
+            merged[deviceId] = Math.max(merged[deviceId] || 0, count);
+        });
+        return merged;
+    }
+
+    /**
+     * 'greater' when a has seen everything b has, 'less' for the opposite,
+     * 'equal', or 'concurrent' when each has writes the other has not seen
+     */
+    compareVersions(a = {}, b = {}) {
+        let aAhead = false;
+        let bAhead = false;
+        new Set([...Object.keys(a), ...Object.keys(b)]).forEach(deviceId => {
+            if ((a[deviceId] || 0) > (b[deviceId] || 0)) aAhead = true;
+            if ((b[deviceId] || 0) > (a[deviceId] || 0)) bAhead = true;
         });
+        
+        if (aAhead && bAhead) return 'concurrent';
+        if (aAhead) return 'greater';
+        if (bAhead) return 'less';
+        return 'equal';
+    }
+
+    /**
+     * Let the sync manager know that new changes are waiting
+     */
+    notifySyncQueued() {
+        this.dispatch('hader:sync:queued');
+    }
+
+    /**
+     * Dispatch a change event on window; event-bus.js relays it to the other open pages
+     */
+    dispatch(eventName, detail = {}) {
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+            window.dispatchEvent(new CustomEvent(eventName, { detail }));
+        }
+    }
+
+    /**
+     * Stable per-device identifier used to tag queued changes
+     */
+    getDeviceId() {
+        if (this.deviceId) return this.deviceId;
+
+        try {
+            this.deviceId = localStorage.getItem('hader-device-id');
+            if (!this.deviceId) {
+                this.deviceId = this.generateIdempotencyKey();
+                localStorage.setItem('hader-device-id', this.deviceId);
+            }
+        } catch (error) {
+            this.deviceId = this.generateIdempotencyKey();
+        }
+
+        return this.deviceId;
+    }
+
+    generateIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return this.generateId() + Math.random().toString(36).substr(2, 9);
     }
 
     /**
@@ -203,9 +615,37 @@ class HaderDB {
         }
     }
 
+    // ============ PERMISSION METHODS ============
+
+    /**
+     * Whether the signed-in user's role grants a permission
+     */
+    can(permission) {
+        const user = this.getCurrentUser();
+        return !!user && (HaderDB.PERMISSIONS[user.role] || []).includes(permission);
+    }
+
+    /**
+     * Throw a PermissionError unless the signed-in user may perform the mutation.
+     * Before the first account exists the device stays open, as it was before logins.
+     * The account is read again first, so a session ended by deactivation, a role
+     * change or a new secret grants nothing.
+     */
+    async requirePermission(permission) {
+        const user = await this.verifySession();
+        if (user ? this.can(permission) : !(await this.hasUsers())) {
+            return;
+        }
+        
+        await this.logAudit('anonymous', 'PERMISSION_DENIED', permission, null, null);
+        throw new PermissionError(permission, user?.role);
+    }
+
     // ============ STUDENT METHODS ============
 
     async addStudent(student) {
+        await this.requirePermission('students.manage');
+        
         // Validate required fields
         if (!student.id || !student.name || !student.grade || !student.className) {
             throw new Error('جميع البيانات مطلوبة: الرقم، الاسم، الصف، الفصل');
@@ -243,6 +683,8 @@ class HaderDB {
     }
 
     async updateStudent(id, updates) {
+        await this.requirePermission('students.manage');
+        
         const existing = await this.getStudent(id);
         if (!existing) throw new Error('الطالب غير موجود');
         
@@ -267,16 +709,53 @@ class HaderDB {
         return await this.put('students', updated);
     }
 
+    /**
+     * Move a student's attendance to a new student ID in one transaction.
+     * Attendance syncs under studentId|dateISO, so every old key gets a
+     * tombstone and a queued delete; other devices would keep it otherwise.
+     */
     async transferStudentData(oldId, newId) {
-        // Transfer attendance records
         const attendanceRecords = await this.getAll('attendance', 'studentId', oldId);
-        for (const record of attendanceRecords) {
-            const updated = { ...record, studentId: newId };
-            await this.put('attendance', updated);
-        }
+        if (attendanceRecords.length === 0) return;
+        
+        const transaction = this.db.transaction(['attendance', 'syncQueue', 'tombstones'], 'readwrite');
+        const store = transaction.objectStore('attendance');
+        const tombstones = transaction.objectStore('tombstones');
+        const now = new Date().toISOString();
+        
+        return new Promise((resolve, reject) => {
+            for (const record of attendanceRecords) {
+                this.addSyncTombstone(transaction, 'attendance', record);
+                
+                // Same versioning as put(): the moved copy must dominate any tombstone under the new key
+                const updated = { ...record, studentId: newId, updatedAt: now };
+                const syncKey = this.getSyncKey('attendance', updated);
+                const tombstoneId = `attendance:${syncKey}`;
+                const tombstoneRequest = tombstones.get(tombstoneId);
+                tombstoneRequest.onsuccess = () => {
+                    const tombstone = tombstoneRequest.result;
+                    const base = tombstone ? this.mergeVersions(record.syncVersion, tombstone.version) : record.syncVersion;
+                    updated.syncVersion = this.incrementVersion(base);
+                    updated.syncDeviceId = this.getDeviceId();
+                    if (tombstone) tombstones.delete(tombstoneId);
+                    
+                    store.put(updated);
+                    this.addSyncChange(transaction, 'attendance', 'put', syncKey, updated, updated.syncVersion);
+                };
+            }
+            
+            transaction.oncomplete = () => {
+                this.notifySyncQueued();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
     async deleteStudent(id) {
+        await this.requirePermission('students.manage');
+        
         const existing = await this.getStudent(id);
         if (existing) {
             await this.logAudit('system', 'DELETE_STUDENT', 'students', existing, null);
@@ -387,6 +866,8 @@ class HaderDB {
     // ============ CLASS MANAGEMENT METHODS ============
 
     async addClass(classData) {
+        await this.requirePermission('classes.manage');
+        
         // Validate required fields
         if (!classData.name || !classData.grade) {
             throw new Error('اسم الفصل والصف مطلوبان');
@@ -437,6 +918,8 @@ class HaderDB {
     }
 
     async updateClass(id, updates) {
+        await this.requirePermission('classes.manage');
+        
         const existing = await this.getClass(id);
         if (!existing) throw new Error('الفصل غير موجود');
         
@@ -446,6 +929,8 @@ class HaderDB {
     }
 
     async deleteClass(id) {
+        await this.requirePermission('classes.manage');
+        
         const existing = await this.getClass(id);
         if (existing) {
             // Check if class has students
@@ -601,6 +1086,7 @@ class HaderDB {
             const updated = {
                 ...existingRecord,
                 timeISO,
+                firstScanISO: this.getFirstScanTime(existingRecord),
                 status: actualStatus === 'late' ? 'late' : existingRecord.status,
                 lateMinutes: Math.max(existingRecord.lateMinutes, calculatedLateMinutes),
                 updatedAt: timeISO,
@@ -617,6 +1103,7 @@ class HaderDB {
             studentId,
             dateISO,
             timeISO,
+            firstScanISO: timeISO,
             status: actualStatus,
             lateMinutes: calculatedLateMinutes,
             sessionId: await this.getCurrentSessionId(),
@@ -626,21 +1113,30 @@ class HaderDB {
         const recordId = await this.put('attendance', attendanceRecord);
         attendanceRecord.id = recordId;
 
-        // Update student late statistics if late
         if (actualStatus === 'late' && calculatedLateMinutes > 0) {
-            const currentLateDays = student.lateDays || 0;
-            const currentLateMinutesTotal = student.lateMinutesTotal || 0;
-            
-            await this.updateStudent(studentId, {
-                lateDays: currentLateDays + 1,
-                lateMinutesTotal: currentLateMinutesTotal + calculatedLateMinutes
-            });
+            await this.addLateTotals(student, calculatedLateMinutes);
         }
 
         await this.logAudit('system', 'CREATE_ATTENDANCE', 'attendance', null, attendanceRecord);
         return { record: attendanceRecord, isRepeat: false, student };
     }
 
+    /**
+     * Count one more late day on the student. Written without requirePermission:
+     * the scan itself is the permission, the gate kiosk may not edit students.
+     */
+    async addLateTotals(student, lateMinutes) {
+        const updated = {
+            ...student,
+            lateDays: (student.lateDays || 0) + 1,
+            lateMinutesTotal: (student.lateMinutesTotal || 0) + lateMinutes
+        };
+        
+        await this.put('students', updated);
+        await this.logAudit('system', 'LATE_TOTALS', 'students', student, updated);
+        return updated;
+    }
+
     calculateAttendanceStatus(currentTime, workStartTime, lateThresholdMin) {
         // Parse work start time
         const [workHour, workMinute] = workStartTime.split(':').map(Number);
@@ -691,10 +1187,17 @@ class HaderDB {
     }
 
     async updateSettings(updates) {
+        // The theme is a display preference every page may change
+        if (Object.keys(updates).some(key => key !== 'theme')) {
+            await this.requirePermission('settings.manage');
+        }
+        
         const existing = await this.getSettings();
         const updated = { ...existing, ...updates, id: 'global' };
         await this.logAudit('system', 'UPDATE_SETTINGS', 'settings', existing, updated);
-        return await this.put('settings', updated);
+        const result = await this.put('settings', updated);
+        this.dispatch('hader:settings:updated', updated);
+        return result;
     }
 
     getDefaultSettings() {
@@ -705,7 +1208,16 @@ class HaderDB {
             workStartHHmm: '07:00',
             lateThresholdMin: 15,
             theme: 'light',
-            syncProvider: 'websocket'
+            syncProvider: 'websocket',
+            syncServerUrl: '', // e.g. ws://192.168.1.10:8787, empty keeps the device local-only
+            syncServerToken: '', // Shared secret printed by sync-server.js
+            sessionTimeoutMin: 15, // Admin panel signs out after this much inactivity
+            schoolWeekDays: [0, 1, 2, 3, 4], // Sunday to Thursday, used by reports
+            scannerPrefix: '',
+            scannerSuffix: 'Enter',
+            scannerMaxKeyIntervalMs: 50,
+            autoBackupEnabled: true,
+            autoBackupWriteThreshold: 200 // Attendance writes before an extra snapshot
         };
     }
 
@@ -749,13 +1261,17 @@ class HaderDB {
     }
 
     async getCurrentSessionId() {
-        const activeSessions = await this.getAll('sessions', 'active', true);
-        return activeSessions.length > 0 ? activeSessions[0].id : null;
+        // true is not a valid IndexedDB key, so the active index cannot be queried with it
+        const activeSession = (await this.getAll('sessions')).find(session => session.active);
+        return activeSession ? activeSession.id : null;
     }
 
     async logAudit(user, action, entity, before, after) {
+        // The signed-in account replaces generic labels like 'admin'
+        const actor = this.getCurrentUser ? this.getCurrentUser() : null;
         const auditRecord = {
-            user,
+            user: actor ? actor.username : user,
+            role: actor ? actor.role : null,
             action,
             entity,
             before: before ? JSON.stringify(before) : null,
@@ -764,12 +1280,65 @@ class HaderDB {
         };
         
         try {
-            await this.put('audit', auditRecord);
+            await this.appendAuditRecord(auditRecord);
         } catch (error) {
             console.warn('Failed to log audit:', error);
         }
     }
 
+    /**
+     * Link the record to the chain head: it stores the head's hash and a SHA-256
+     * hash over its own content, so editing or deleting an earlier record breaks
+     * every later link. Appends are serialized, across tabs through Web Locks,
+     * because two writers reading the same head would fork the chain.
+     */
+    appendAuditRecord(record) {
+        const append = async () => {
+            const head = await this.getAuditHead();
+            record.seq = head && head.hash ? head.seq + 1 : 1;
+            record.prevHash = head && head.hash ? head.hash : HaderDB.AUDIT_GENESIS_HASH;
+            record.hash = await this.hashAuditRecord(record);
+            return await this.put('audit', record);
+        };
+        
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request('hader-audit-chain', append);
+        }
+        
+        this.auditQueue = (this.auditQueue || Promise.resolve()).then(append, append);
+        return this.auditQueue;
+    }
+
+    // The newest audit record, by insertion order
+    async getAuditHead() {
+        await this.ensureInit();
+        
+        const transaction = this.db.transaction(['audit'], 'readonly');
+        return new Promise((resolve, reject) => {
+            const request = transaction.objectStore('audit').openCursor(null, 'prev');
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Fixed field order so the same record always hashes to the same value
+    async hashAuditRecord(record) {
+        const bytes = new TextEncoder().encode(JSON.stringify([
+            record.seq,
+            record.prevHash,
+            record.ts,
+            record.user,
+            record.role,
+            record.action,
+            record.entity,
+            record.before,
+            record.after
+        ]));
+        
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
     // ============ STATISTICS METHODS ============
 
     async getTodayStats() {
@@ -897,37 +1466,193 @@ class HaderDB {
     }
 }
 
-// Create global database instance
-const db = new HaderDB();
-
-// Initialize database when DOM is loaded
-if (typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', async () => {
-        try {
-            await db.init();
-            await db.initializeDefaultData();
-            console.log('Hader database initialized successfully');
-            
-            // Dispatch custom event for other modules
-            window.dispatchEvent(new CustomEvent('hader:db:ready'));
-        } catch (error) {
-            console.error('Failed to initialize database:', error);
-            window.dispatchEvent(new CustomEvent('hader:db:error', { detail: error }));
-        }
-    });
-}
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
+/**
+ * Schema migrations, oldest first. Each step lists stores (with indexes) to
+ * create or extend, and optional per-store record transforms. Never edit a
+ * released step; add a new version instead.
+ */
+HaderDB.MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema',
+        stores: {
+            students: {
+                options: { keyPath: 'id' },
+                indexes: [['name', 'name'], ['grade', 'grade'], ['className', 'className']]
+            },
+            classes: {
+                options: { keyPath: 'id' },
+                indexes: [['name', 'name'], ['grade', 'grade']]
+            },
+            grades: {
+                options: { keyPath: 'id' },
+                indexes: [['name', 'name'], ['order', 'order']]
+            },
+            attendance: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['studentId', 'studentId'], ['dateISO', 'dateISO'], ['studentDate', ['studentId', 'dateISO']]]
+            },
+            sessions: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['active', 'active']]
+            },
+            messages: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['active', 'active']]
+            },
+            announcements: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['active', 'active'], ['order', 'order']]
+            },
+            sounds: { options: { keyPath: 'id' } },
+            settings: { options: { keyPath: 'id' } },
+            syncQueue: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['status', 'status'], ['ts', 'ts']]
+            },
+            audit: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['user', 'user'], ['action', 'action'], ['ts', 'ts']]
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Attendance corrections store, session and status indexes',
+        stores: {
+            attendance: {
+                indexes: [['sessionId', 'sessionId'], ['status', 'status']]
+            },
+            attendance_corrections: {
+                options: { keyPath: 'id' },
+                indexes: [['attendanceId', 'attendanceId'], ['correctedAt', 'correctedAt']]
+            }
+        },
+        transforms: {
+            // Older records may miss fields the new indexes and reports rely on
+            attendance: (record) => {
+                if (!record.status) {
+                    record.status = 'present';
+                }
+                if (typeof record.lateMinutes !== 'number') {
+                    record.lateMinutes = Number(record.lateMinutes) || 0;
+                }
+                if (!record.dateISO && record.timeISO) {
+                    record.dateISO = record.timeISO.split('T')[0];
+                }
+                return record;
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Local backup snapshots',
+        stores: {
+            backups: {
+                options: { keyPath: 'id' },
+                indexes: [['createdAt', 'createdAt']]
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Sync tombstones and conflict log',
+        stores: {
+            tombstones: {
+                options: { keyPath: 'id' },
+                indexes: [['store', 'store']]
+            },
+            sync_conflicts: {
+                options: { keyPath: 'id', autoIncrement: true },
+                indexes: [['status', 'status'], ['detectedAt', 'detectedAt']]
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'User accounts',
+        stores: {
+            users: {
+                options: { keyPath: 'id' },
+                indexes: [['username', 'username', { unique: true }], ['role', 'role']]
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Audit log query indexes',
+        stores: {
+            audit: {
+                indexes: [
+                    ['entity', 'entity'],
+                    ['userTs', ['user', 'ts']],
+                    ['actionTs', ['action', 'ts']],
+                    ['entityTs', ['entity', 'ts']]
+                ]
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Attendance write time index',
+        stores: {
+            attendance: {
+                indexes: [['updatedAt', 'updatedAt']]
+            }
+        }
+    }
+];
+
+// Stores whose local writes are queued for the server
+HaderDB.SYNCED_STORES = ['students', 'attendance', 'attendance_corrections'];
+
+// What each role may change (and read, for the audit log). Recording attendance from a scan needs no permission.
+HaderDB.PERMISSIONS = {
+    principal: ['students.manage', 'classes.manage', 'attendance.correct', 'settings.manage', 'sounds.manage', 'messages.manage', 'backups.manage', 'users.manage', 'audit.view'],
+    supervisor: ['students.manage', 'classes.manage', 'attendance.correct', 'sounds.manage', 'messages.manage', 'audit.view'],
+    teacher: ['attendance.correct', 'messages.manage'],
+    gate: []
+};
+
+HaderDB.PermissionError = PermissionError;
+
+// prevHash of the first chained audit record
+HaderDB.AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Create global database instance
+const db = new HaderDB();
+
+// Initialize database when DOM is loaded
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        try {
+            await db.init();
+            await db.initializeDefaultData();
+            console.log('Hader database initialized successfully');
+            
+            // Dispatch custom event for other modules
+            window.dispatchEvent(new CustomEvent('hader:db:ready'));
+        } catch (error) {
+            console.error('Failed to initialize database:', error);
+            window.dispatchEvent(new CustomEvent('hader:db:error', { detail: error }));
+        }
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
     module.exports = HaderDB;
 } else {
     window.HaderDB = HaderDB;
+    window.PermissionError = PermissionError;
     window.db = db;
 }
 
 // ============ GRADES METHODS ============
 
 window.db.addGrade = async function(gradeData) {
+    await this.requirePermission('classes.manage');
+    
     if (!gradeData.name) {
         throw new Error('اسم الصف مطلوب');
     }
@@ -970,6 +1695,8 @@ window.db.getGradeByName = async function(name) {
 };
 
 window.db.updateGrade = async function(gradeData) {
+    await this.requirePermission('classes.manage');
+    
     const existing = await this.getGrade(gradeData.id);
     if (!existing) {
         return { success: false, message: 'الصف غير موجود' };
@@ -982,6 +1709,8 @@ window.db.updateGrade = async function(gradeData) {
 };
 
 window.db.deleteGrade = async function(id) {
+    await this.requirePermission('classes.manage');
+    
     const existing = await this.getGrade(id);
     if (!existing) {
         return { success: false, message: 'الصف غير موجود' };
@@ -1009,6 +1738,8 @@ window.db.getGradeClasses = async function(gradeId) {
 // ============ SESSIONS METHODS ============
 
 window.db.addSession = async function(sessionData) {
+    await this.requirePermission('classes.manage');
+    
     if (!sessionData.name || !sessionData.startTime || !sessionData.endTime) {
         throw new Error('اسم الحصة ووقت البداية والنهاية مطلوبة');
     }
@@ -1068,6 +1799,8 @@ window.db.getCurrentSession = async function() {
 };
 
 window.db.updateSession = async function(sessionData) {
+    await this.requirePermission('classes.manage');
+    
     const existing = await this.getSession(sessionData.id);
     if (!existing) {
         return { success: false, message: 'الحصة غير موجودة' };
@@ -1080,6 +1813,8 @@ window.db.updateSession = async function(sessionData) {
 };
 
 window.db.deleteSession = async function(id) {
+    await this.requirePermission('classes.manage');
+    
     const existing = await this.getSession(id);
     if (!existing) {
         return { success: false, message: 'الحصة غير موجودة' };
@@ -1157,6 +1892,8 @@ window.db.getWeeklySessionSchedule = async function() {
 // ============ ADVANCED ATTENDANCE METHODS ============
 
 window.db.correctAttendance = async function(attendanceId, newStatus, newLateMinutes = 0, reason = '') {
+    await this.requirePermission('attendance.correct');
+    
     const existing = await this.get('attendance', attendanceId);
     if (!existing) {
         return { success: false, message: 'سجل الحضور غير موجود' };
@@ -1165,12 +1902,13 @@ window.db.correctAttendance = async function(attendanceId, newStatus, newLateMin
     const correction = {
         id: this.generateId(),
         attendanceId,
+        attendanceKey: this.getSyncKey('attendance', existing),
         originalStatus: existing.status,
         originalLateMinutes: existing.lateMinutes,
         newStatus,
         newLateMinutes,
         reason,
-        correctedBy: 'admin',
+        correctedBy: this.getCurrentUser()?.username || 'admin',
         correctedAt: new Date().toISOString()
     };
     
@@ -1189,13 +1927,14 @@ window.db.correctAttendance = async function(attendanceId, newStatus, newLateMin
     
     await this.put('attendance', updated);
     await this.logAudit('admin', 'CORRECT_ATTENDANCE', 'attendance', existing, updated);
+    this.dispatch('hader:attendance:updated', { action: 'correct', record: updated });
     
     return { success: true, data: updated, correction };
 };
 
 window.db.getAttendanceCorrections = async function(attendanceId) {
-    const corrections = await this.getAll('attendance_corrections');
-    return corrections.filter(c => c.attendanceId === attendanceId)
+    const corrections = await this.getAll('attendance_corrections', 'attendanceId', attendanceId);
+    return corrections
         .sort((a, b) => b.correctedAt.localeCompare(a.correctedAt));
 };
 
@@ -1261,7 +2000,8 @@ window.db.getAttendanceByDateRange = async function(startDate, endDate, filters
     return filtered.sort((a, b) => b.dateISO.localeCompare(a.dateISO) || b.timeISO.localeCompare(a.timeISO));
 };
 
-window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 'student') {
+// options.schoolDays: the dates students were expected, defaults to every day in the range
+window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 'student', options = {}) {
     const attendance = await this.getAttendanceByDateRange(startDate, endDate);
     const summary = {};
     
@@ -1282,6 +2022,7 @@ window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 's
                 present: 0,
                 late: 0,
                 absent: 0,
+                excused: 0,
                 totalLateMinutes: 0
             };
         }
@@ -1293,12 +2034,18 @@ window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 's
         } else if (record.status === 'late') {
             summary[key].late++;
             summary[key].totalLateMinutes += record.lateMinutes || 0;
+        } else if (record.status === 'excused') {
+            summary[key].excused++;
+        } else if (record.status === 'absent') {
+            summary[key].absent++;
         }
     }
     
-    // Calculate absent days (for student grouping)
+    // Calculate absent days (for student grouping): every expected day without an attendance.
+    // Days after today have not happened yet and are not expected.
     if (groupBy === 'student') {
-        const dateRange = this.getDateRange(startDate, endDate);
+        const today = new Date().toISOString().split('T')[0];
+        const dateRange = (options.schoolDays || this.getDateRange(startDate, endDate)).filter(day => day <= today);
         const allStudents = await this.getAllStudents();
         
         for (const student of allStudents) {
@@ -1308,10 +2055,12 @@ window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 's
                     present: 0,
                     late: 0,
                     absent: dateRange.length,
+                    excused: 0,
                     totalLateMinutes: 0
                 };
             } else {
-                summary[student.id].absent = dateRange.length - summary[student.id].total;
+                const entry = summary[student.id];
+                entry.absent = Math.max(0, dateRange.length - entry.present - entry.late - entry.excused);
             }
         }
     }
@@ -1319,6 +2068,15 @@ window.db.getAttendanceSummary = async function(startDate, endDate, groupBy = 's
     return summary;
 };
 
+// Days in the range that fall on the school week from settings
+window.db.getSchoolDays = async function(startDate, endDate) {
+    const settings = await this.getSettings();
+    const weekDays = settings.schoolWeekDays || [0, 1, 2, 3, 4];
+    
+    return this.getDateRange(startDate, endDate)
+        .filter(dateISO => weekDays.includes(new Date(dateISO).getUTCDay()));
+};
+
 window.db.getDateRange = function(startDate, endDate) {
     const dates = [];
     const current = new Date(startDate);
@@ -1333,6 +2091,8 @@ window.db.getDateRange = function(startDate, endDate) {
 };
 
 window.db.markAbsent = async function(studentId, dateISO, sessionId = null, reason = '') {
+    await this.requirePermission('attendance.correct');
+    
     // Check if attendance already exists
     const existing = await this.getAll('attendance')
         .then(records => records.find(r => r.studentId === studentId && r.dateISO === dateISO));
@@ -1349,7 +2109,7 @@ window.db.markAbsent = async function(studentId, dateISO, sessionId = null, reas
         lateMinutes: 0,
         sessionId,
         reason,
-        markedBy: 'admin',
+        markedBy: this.getCurrentUser()?.username || 'admin',
         isManual: true
     };
     
@@ -1357,6 +2117,7 @@ window.db.markAbsent = async function(studentId, dateISO, sessionId = null, reas
     absentRecord.id = recordId;
     
     await this.logAudit('admin', 'MARK_ABSENT', 'attendance', null, absentRecord);
+    this.dispatch('hader:attendance:updated', { action: 'absent', record: absentRecord });
     
     return { success: true, data: absentRecord };
 };
@@ -1401,6 +2162,8 @@ window.db.getAttendanceHistory = async function(studentId, limit = 30) {
 };
 
 window.db.deleteAttendanceRecord = async function(attendanceId, reason = '') {
+    await this.requirePermission('attendance.correct');
+    
     const existing = await this.get('attendance', attendanceId);
     if (!existing) {
         return { success: false, message: 'سجل الحضور غير موجود' };
@@ -1411,6 +2174,7 @@ window.db.deleteAttendanceRecord = async function(attendanceId, reason = '') {
     
     // Delete the record
     await this.delete('attendance', attendanceId);
+    this.dispatch('hader:attendance:updated', { action: 'delete', studentId: existing.studentId });
     
     return { success: true };
 };
@@ -1418,6 +2182,8 @@ window.db.deleteAttendanceRecord = async function(attendanceId, reason = '') {
 // ============ MESSAGES AND ANNOUNCEMENTS METHODS ============
 
 window.db.addMessage = async function(messageData) {
+    await this.requirePermission('messages.manage');
+    
     if (!messageData.title || !messageData.content) {
         throw new Error('عنوان الرسالة والمحتوى مطلوبان');
     }
@@ -1446,6 +2212,7 @@ window.db.addMessage = async function(messageData) {
     
     await this.logAudit('admin', 'CREATE_MESSAGE', 'messages', null, newMessage);
     const result = await this.put('messages', newMessage);
+    this.dispatch('hader:messages:updated', { entity: 'messages', action: 'create', id: result });
     return { success: true, data: result };
 };
 
@@ -1493,6 +2260,8 @@ window.db.getActiveMessages = async function(targetAudience = 'all') {
 };
 
 window.db.updateMessage = async function(messageData) {
+    await this.requirePermission('messages.manage');
+    
     const existing = await this.getMessage(messageData.id);
     if (!existing) {
         return { success: false, message: 'الرسالة غير موجودة' };
@@ -1506,10 +2275,13 @@ window.db.updateMessage = async function(messageData) {
     
     await this.logAudit('admin', 'UPDATE_MESSAGE', 'messages', existing, updated);
     const result = await this.put('messages', updated);
+    this.dispatch('hader:messages:updated', { entity: 'messages', action: 'update', id: result });
     return { success: true, data: result };
 };
 
 window.db.deleteMessage = async function(id) {
+    await this.requirePermission('messages.manage');
+    
     const existing = await this.getMessage(id);
     if (!existing) {
         return { success: false, message: 'الرسالة غير موجودة' };
@@ -1517,10 +2289,13 @@ window.db.deleteMessage = async function(id) {
     
     await this.logAudit('admin', 'DELETE_MESSAGE', 'messages', existing, null);
     await this.delete('messages', id);
+    this.dispatch('hader:messages:updated', { entity: 'messages', action: 'delete', id: id });
     return { success: true };
 };
 
 window.db.addAnnouncement = async function(announcementData) {
+    await this.requirePermission('messages.manage');
+    
     if (!announcementData.title || !announcementData.content) {
         throw new Error('عنوان الإعلان والمحتوى مطلوبان');
     }
@@ -1552,6 +2327,7 @@ window.db.addAnnouncement = async function(announcementData) {
     
     await this.logAudit('admin', 'CREATE_ANNOUNCEMENT', 'announcements', null, newAnnouncement);
     const result = await this.put('announcements', newAnnouncement);
+    this.dispatch('hader:messages:updated', { entity: 'announcements', action: 'create', id: result });
     return { success: true, data: result };
 };
 
@@ -1604,6 +2380,8 @@ window.db.getActiveAnnouncements = async function(location = 'dashboard', target
 };
 
 window.db.updateAnnouncement = async function(announcementData) {
+    await this.requirePermission('messages.manage');
+    
     const existing = await this.getAnnouncement(announcementData.id);
     if (!existing) {
         return { success: false, message: 'الإعلان غير موجود' };
@@ -1617,10 +2395,13 @@ window.db.updateAnnouncement = async function(announcementData) {
     
     await this.logAudit('admin', 'UPDATE_ANNOUNCEMENT', 'announcements', existing, updated);
     const result = await this.put('announcements', updated);
+    this.dispatch('hader:messages:updated', { entity: 'announcements', action: 'update', id: result });
     return { success: true, data: result };
 };
 
 window.db.deleteAnnouncement = async function(id) {
+    await this.requirePermission('messages.manage');
+    
     const existing = await this.getAnnouncement(id);
     if (!existing) {
         return { success: false, message: 'الإعلان غير موجود' };
@@ -1628,6 +2409,7 @@ window.db.deleteAnnouncement = async function(id) {
     
     await this.logAudit('admin', 'DELETE_ANNOUNCEMENT', 'announcements', existing, null);
     await this.delete('announcements', id);
+    this.dispatch('hader:messages:updated', { entity: 'announcements', action: 'delete', id: id });
     return { success: true };
 };
 
@@ -1666,6 +2448,8 @@ window.db.getMessagesStatistics = async function() {
 // ============ SOUND MANAGEMENT METHODS ============
 
 window.db.addSound = async function(soundData) {
+    await this.requirePermission('sounds.manage');
+    
     if (!soundData.name || !soundData.audioData) {
         throw new Error('اسم الصوت والبيانات الصوتية مطلوبان');
     }
@@ -1730,6 +2514,8 @@ window.db.getDefaultSound = async function(eventType) {
 };
 
 window.db.updateSound = async function(soundData) {
+    await this.requirePermission('sounds.manage');
+    
     const existing = await this.getSound(soundData.id);
     if (!existing) {
         return { success: false, message: 'الملف الصوتي غير موجود' };
@@ -1755,6 +2541,8 @@ window.db.updateSound = async function(soundData) {
 };
 
 window.db.deleteSound = async function(id) {
+    await this.requirePermission('sounds.manage');
+    
     const existing = await this.getSound(id);
     if (!existing) {
         return { success: false, message: 'الملف الصوتي غير موجود' };
@@ -1765,6 +2553,14 @@ window.db.deleteSound = async function(id) {
     return { success: true };
 };
 
+// Audio files uploaded for the built-in event sounds (sounds.js)
+window.db.saveSoundFile = async function(soundFile) {
+    await this.requirePermission('sounds.manage');
+    
+    await this.logAudit('admin', 'UPLOAD_SOUND', 'sounds', null, { id: soundFile.id, fileName: soundFile.fileName });
+    return await this.put('sounds', soundFile);
+};
+
 window.db.unsetDefaultSounds = async function(eventType, excludeId = null) {
     const sounds = await this.getSoundsByEventType(eventType);
     
@@ -1779,6 +2575,8 @@ window.db.unsetDefaultSounds = async function(eventType, excludeId = null) {
 };
 
 window.db.setSoundConfiguration = async function(config) {
+    await this.requirePermission('sounds.manage');
+    
     const soundConfig = {
         id: 'sound_config',
         enableSounds: config.enableSounds !== false,
@@ -1884,7 +2682,7 @@ window.db.exportData = async function(dataType, format = 'csv', options = {}) {
                 filename = `students_${new Date().toISOString().split('T')[0]}`;
                 break;
             case 'attendance':
-                data = await this.getAttendanceRecords(options.startDate, options.endDate);
+                data = await this.getAttendanceExportRows(options.startDate, options.endDate);
                 filename = `attendance_${options.startDate || 'all'}_${options.endDate || 'all'}`;
                 break;
             case 'classes':
@@ -1909,6 +2707,11 @@ window.db.exportData = async function(dataType, format = 'csv', options = {}) {
                 break;
             case 'backup':
                 return await this.exportFullBackup(format, options);
+            case 'all':
+                if (format !== 'excel') {
+                    throw new Error('تصدير جميع البيانات متاح بصيغة Excel فقط');
+                }
+                return await this.exportWorkbook(this.WORKBOOK_DATA_TYPES, options);
             default:
                 throw new Error(`نوع البيانات غير مدعوم: ${dataType}`);
         }
@@ -1916,7 +2719,7 @@ window.db.exportData = async function(dataType, format = 'csv', options = {}) {
         if (format === 'csv') {
             return this.convertToCSV(data, filename, dataType);
         } else if (format === 'excel') {
-            return this.convertToExcel(data, filename, dataType);
+            return await this.convertToExcel(data, filename, dataType);
         } else if (format === 'json') {
             return this.convertToJSON(data, filename, dataType);
         }
@@ -1932,32 +2735,41 @@ window.db.exportData = async function(dataType, format = 'csv', options = {}) {
 // Import data from various formats
 window.db.importData = async function(file, dataType, options = {}) {
     try {
-        const fileContent = await this.readFileContent(file);
         let parsedData = [];
+        let lineNumbers;
+        let parseErrors = [];
         
         if (file.name.endsWith('.csv')) {
-            parsedData = this.parseCSV(fileContent, dataType);
+            const parsed = await this.parseCSV(file, dataType);
+            parsedData = parsed.records;
+            lineNumbers = parsed.lineNumbers;
+            parseErrors = parsed.errors;
         } else if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
             parsedData = await this.parseExcel(file, dataType);
         } else if (file.name.endsWith('.json')) {
-            parsedData = JSON.parse(fileContent);
+            parsedData = JSON.parse(await this.readFileContent(file));
         } else {
             throw new Error('تنسيق الملف غير مدعوم');
         }
         
         // Validate data before import
-        const validationResult = await this.validateImportData(parsedData, dataType);
-        if (!validationResult.valid) {
+        const validationResult = await this.validateImportData(parsedData, dataType, { lineNumbers });
+        if (parseErrors.length > 0 || !validationResult.valid) {
+            const invalidRecords = [
+                ...parseErrors.map(error => ({ row: error.line, data: null, errors: [error.message] })),
+                ...validationResult.invalidRecords
+            ].sort((a, b) => a.row - b.row);
+            
             return {
                 success: false,
-                errors: validationResult.errors,
+                errors: invalidRecords.flatMap(record => record.errors.map(error => `السطر ${record.row}: ${error}`)),
                 validRecords: validationResult.validRecords,
-                invalidRecords: validationResult.invalidRecords
+                invalidRecords
             };
         }
         
         // Process import based on data type
-        const importResult = await this.processImport(parsedData, dataType, options);
+        const importResult = await this.processImport(parsedData, dataType, { ...options, lineNumbers });
         
         await this.logAudit('admin', 'IMPORT_DATA', dataType, null, {
             dataType,
@@ -1975,45 +2787,60 @@ window.db.importData = async function(file, dataType, options = {}) {
     }
 };
 
-// Process import data based on type
-window.db.processImport = async function(data, dataType, options) {
+// Process import data based on type. A record that matches an existing one
+// (see findImportDuplicates) is handled by options.duplicateActions[index] or
+// else options.onDuplicate: 'upsert' updates the existing record with the
+// non-empty fields and 'skip' leaves it alone. Without either, 'insert' adds it
+// anyway and reports the failed add. updateExisting is the older spelling of 'upsert'.
+window.db.processImport = async function(data, dataType, options = {}) {
     let successCount = 0;
+    let skippedCount = 0;
     let errorCount = 0;
     const errors = [];
+    const onDuplicate = options.onDuplicate || (options.updateExisting ? 'upsert' : 'insert');
+    const duplicates = await this.findImportDuplicates(data, dataType);
     
     for (let i = 0; i < data.length; i++) {
         try {
             const record = data[i];
+            const existing = duplicates.get(i);
+            const action = existing ? (options.duplicateActions?.[i] || onDuplicate) : 'insert';
+            
+            if (action === 'skip') {
+                skippedCount++;
+                continue;
+            }
+            
+            // Empty cells leave the stored value as it was
+            const updates = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== ''));
             
             switch (dataType) {
                 case 'students':
-                    if (options.updateExisting && record.id) {
-                        await this.updateStudent(record);
+                    if (action === 'upsert') {
+                        await this.updateStudent(existing.id, updates);
                     } else {
                         await this.addStudent(record);
                     }
                     break;
                 case 'attendance':
-                    await this.recordAttendance(record.studentId, record.status, {
-                        timestamp: record.timestamp,
-                        sessionId: record.sessionId,
-                        notes: record.notes
-                    });
+                    await this.importAttendanceRecord(record, action === 'upsert' ? existing : null);
                     break;
                 case 'classes':
-                    if (options.updateExisting && record.id) {
-                        await this.updateClass(record);
+                    if (action === 'upsert') {
+                        await this.updateClass(existing.id, updates);
                     } else {
                         await this.addClass(record);
                     }
                     break;
-                case 'grades':
-                    if (options.updateExisting && record.id) {
-                        await this.updateGrade(record);
-                    } else {
-                        await this.addGrade(record);
+                case 'grades': {
+                    const result = action === 'upsert'
+                        ? await this.updateGrade({ ...updates, id: existing.id })
+                        : await this.addGrade(record);
+                    if (result?.success === false) {
+                        throw new Error(result.message);
                     }
                     break;
+                }
                 default:
                     throw new Error(`نوع البيانات غير مدعوم للاستيراد: ${dataType}`);
             }
@@ -2022,7 +2849,7 @@ window.db.processImport = async function(data, dataType, options) {
         } catch (error) {
             errorCount++;
             errors.push({
-                row: i + 1,
+                row: options.lineNumbers?.[i] ?? i + 1,
                 data: data[i],
                 error: error.message
             });
@@ -2032,20 +2859,132 @@ window.db.processImport = async function(data, dataType, options) {
     return {
         success: errorCount === 0,
         successCount,
+        skippedCount,
         errorCount,
         totalCount: data.length,
         errors
     };
 };
 
-// Validate import data
-window.db.validateImportData = async function(data, dataType) {
+/**
+ * Write an attendance row from a file with its own date, time and late minutes;
+ * recordAttendance would stamp it with the time of the import instead. existing
+ * is the record of the same student and day to overwrite (upsert).
+ */
+window.db.importAttendanceRecord = async function(record, existing = null) {
+    await this.requirePermission('attendance.correct');
+    
+    const student = await this.getStudent(String(record.studentId ?? '').trim());
+    if (!student) {
+        throw new Error('الطالب غير موجود');
+    }
+    
+    const time = this.getImportAttendanceTime(record);
+    if (!time) {
+        throw new Error('تاريخ ووقت الحضور مطلوب');
+    }
+    
+    const fields = {
+        studentId: student.id,
+        dateISO: time.dateISO,
+        timeISO: time.timeISO,
+        firstScanISO: time.timeISO,
+        status: record.status,
+        lateMinutes: record.status === 'late' ? Math.max(0, Number(record.lateMinutes) || 0) : 0,
+        sessionId: record.sessionId || null,
+        notes: record.notes || ''
+    };
+    
+    if (existing) {
+        const updated = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+        await this.put('attendance', updated);
+        await this.logAudit('admin', 'UPDATE_ATTENDANCE', 'attendance', existing, updated);
+        return updated;
+    }
+    
+    // Also catches a second row for the same student and day in one file
+    const sameDay = await this.getAll('attendance', 'studentDate', [student.id, time.dateISO]);
+    if (sameDay.length > 0) {
+        throw new Error('يوجد سجل حضور لهذا الطالب في هذا اليوم');
+    }
+    
+    const attendanceRecord = { ...fields, isRepeat: false, importedAt: new Date().toISOString() };
+    attendanceRecord.id = await this.put('attendance', attendanceRecord);
+    
+    if (fields.status === 'late' && fields.lateMinutes > 0) {
+        await this.addLateTotals(student, fields.lateMinutes);
+    }
+    
+    await this.logAudit('admin', 'CREATE_ATTENDANCE', 'attendance', null, attendanceRecord);
+    return attendanceRecord;
+};
+
+// timeISO and the UTC calendar day of an import row, as recordAttendance stores them
+window.db.getImportAttendanceTime = function(record) {
+    const date = record.timestamp ? new Date(record.timestamp) : null;
+    if (!date || isNaN(date)) return null;
+    
+    const timeISO = date.toISOString();
+    return { timeISO, dateISO: timeISO.split('T')[0] };
+};
+
+// Map of record index to the stored record it would collide with: students by
+// number, classes by id or name within the grade, grades by id or name,
+// attendance by student and day.
+window.db.findImportDuplicates = async function(data, dataType) {
+    const duplicates = new Map();
+    let match;
+    
+    switch (dataType) {
+        case 'students': {
+            const ids = new Map((await this.getAllStudents()).map(student => [student.id, student]));
+            match = record => ids.get(String(record.id ?? '').trim());
+            break;
+        }
+        case 'classes': {
+            const classes = await this.getAllClasses();
+            match = record => classes.find(cls => (record.id && cls.id === record.id) ||
+                (cls.name === record.name && cls.grade === record.grade));
+            break;
+        }
+        case 'grades': {
+            const grades = await this.getAllGrades();
+            match = record => grades.find(grade => (record.id && grade.id === record.id) || grade.name === record.name);
+            break;
+        }
+        case 'attendance': {
+            const days = data.map(record => this.getImportAttendanceTime(record)?.dateISO).filter(Boolean).sort();
+            if (days.length === 0) return duplicates;
+            
+            const stored = await this.getAttendanceByDateRange(days[0], days[days.length - 1]);
+            const byStudentDay = new Map(stored.map(record => [`${record.studentId}|${record.dateISO}`, record]));
+            match = record => byStudentDay.get(`${String(record.studentId ?? '').trim()}|${this.getImportAttendanceTime(record)?.dateISO}`);
+            break;
+        }
+        default:
+            return duplicates;
+    }
+    
+    data.forEach((record, index) => {
+        const existing = match(record);
+        if (existing) {
+            duplicates.set(index, existing);
+        }
+    });
+    return duplicates;
+};
+
+// Validate import data; options.lineNumbers maps each record to its file line
+// for the messages, otherwise records are numbered from 1
+window.db.validateImportData = async function(data, dataType, options = {}) {
     const errors = [];
     const validRecords = [];
+    const validLineNumbers = [];
     const invalidRecords = [];
     
     for (let i = 0; i < data.length; i++) {
         const record = data[i];
+        const row = options.lineNumbers?.[i] ?? i + 1;
         const rowErrors = [];
         
         switch (dataType) {
@@ -2071,7 +3010,9 @@ window.db.validateImportData = async function(data, dataType) {
                 if (!['present', 'absent', 'late'].includes(record.status)) {
                     rowErrors.push('حالة الحضور غير صحيحة');
                 }
-                if (record.timestamp && !this.isValidDate(record.timestamp)) {
+                if (!record.timestamp) {
+                    rowErrors.push('تاريخ ووقت الحضور مطلوب');
+                } else if (!this.isValidDate(record.timestamp)) {
                     rowErrors.push('تاريخ ووقت غير صحيح');
                 }
                 break;
@@ -2087,10 +3028,11 @@ window.db.validateImportData = async function(data, dataType) {
         }
         
         if (rowErrors.length > 0) {
-            invalidRecords.push({ row: i + 1, data: record, errors: rowErrors });
-            errors.push(...rowErrors.map(error => `السطر ${i + 1}: ${error}`));
+            invalidRecords.push({ row, data: record, errors: rowErrors });
+            errors.push(...rowErrors.map(error => `السطر ${row}: ${error}`));
         } else {
             validRecords.push(record);
+            validLineNumbers.push(row);
         }
     }
     
@@ -2098,37 +3040,196 @@ window.db.validateImportData = async function(data, dataType) {
         valid: errors.length === 0,
         errors,
         validRecords,
+        validLineNumbers,
         invalidRecords
     };
 };
 
-// CSV conversion functions
-window.db.convertToCSV = function(data, filename, dataType) {
-    if (!data || data.length === 0) {
-        throw new Error('لا توجد بيانات للتصدير');
+// ============ IMPORT MAPPING ============
+
+// Fields the import wizard maps source columns to. Besides the key and label,
+// a column is recognised by any of the aliases: the Arabic headers other
+// exports and school systems use for the same data.
+window.db.IMPORT_FIELDS = {
+    students: [
+        { key: 'id', label: 'رقم الطالب', required: true, aliases: ['الرقم', 'رقم الهوية', 'السجل المدني', 'الرقم الأكاديمي', 'student id'] },
+        { key: 'name', label: 'اسم الطالب', required: true, aliases: ['الاسم', 'الاسم الكامل', 'الاسم الرباعي', 'student name'] },
+        { key: 'grade', label: 'الصف', required: true, aliases: ['الصف الدراسي', 'المرحلة الدراسية'] },
+        { key: 'className', label: 'الفصل', required: true, aliases: ['الشعبة', 'class', 'section'] },
+        { key: 'email', label: 'البريد الإلكتروني', aliases: ['البريد', 'الإيميل', 'e-mail', 'mail'] },
+        { key: 'guardianName', label: 'اسم ولي الأمر', aliases: ['ولي الأمر', 'guardian'] },
+        { key: 'guardianPhone', label: 'هاتف ولي الأمر', aliases: ['جوال ولي الأمر', 'رقم ولي الأمر', 'الجوال', 'رقم الجوال', 'الهاتف', 'phone', 'mobile'] },
+        { key: 'address', label: 'العنوان', aliases: [] },
+        { key: 'birthDate', label: 'تاريخ الميلاد', aliases: ['birth date', 'date of birth'] },
+        { key: 'enrollmentDate', label: 'تاريخ التسجيل', aliases: ['تاريخ الالتحاق'] }
+    ],
+    classes: [
+        { key: 'id', label: 'المعرف', aliases: [] },
+        { key: 'name', label: 'اسم الفصل', required: true, aliases: ['الفصل', 'الشعبة'] },
+        { key: 'grade', label: 'الصف', required: true, aliases: ['الصف الدراسي'] },
+        { key: 'capacity', label: 'السعة', aliases: ['عدد الطلاب'] },
+        { key: 'room', label: 'القاعة', aliases: ['الغرفة'] },
+        { key: 'teacher', label: 'رائد الفصل', aliases: ['المعلم'] },
+        { key: 'notes', label: 'ملاحظات', aliases: [] }
+    ],
+    grades: [
+        { key: 'id', label: 'المعرف', aliases: [] },
+        { key: 'name', label: 'اسم الصف', required: true, aliases: ['الصف'] },
+        { key: 'level', label: 'المرحلة', aliases: [] },
+        { key: 'year', label: 'العام الدراسي', aliases: ['السنة'] },
+        { key: 'order', label: 'الترتيب', aliases: [] },
+        { key: 'coordinator', label: 'المنسق', aliases: [] },
+        { key: 'maxClasses', label: 'عدد الفصول', aliases: [] },
+        { key: 'description', label: 'الوصف', aliases: [] }
+    ],
+    attendance: [
+        { key: 'studentId', label: 'رقم الطالب', required: true, aliases: ['الرقم'] },
+        { key: 'status', label: 'الحالة', required: true, aliases: [] },
+        { key: 'timestamp', label: 'الوقت', required: true, aliases: ['التاريخ', 'وقت الحضور'] },
+        { key: 'sessionId', label: 'الحصة', aliases: [] },
+        { key: 'lateMinutes', label: 'دقائق التأخر', aliases: [] },
+        { key: 'notes', label: 'ملاحظات', aliases: [] }
+    ]
+};
+
+window.db.IMPORT_PRESETS_KEY = 'hader-import-presets';
+
+// Header text reduced to what tells columns apart: case, spacing, diacritics,
+// tatweel and the alef/teh marbuta/alef maksura spelling variants are ignored
+window.db.normalizeImportHeader = function(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/[\u064B-\u0652\u0640]/g, '')
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/[\s_\-.:*]+/g, '');
+};
+
+// Rows of a CSV or Excel file for the import wizard, before any mapping
+window.db.readImportTable = async function(file, dataType) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.csv')) {
+        return await this.readCSVTable(file);
     }
+    if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+        return await this.readExcelTable(file, dataType);
+    }
+    throw new Error('تنسيق الملف غير مدعوم');
+};
+
+/**
+ * Column index for each field ({field: index}); unmatched fields are left out.
+ * A preset's saved header wins over the built-in names, and a column is never
+ * given to two fields.
+ */
+window.db.suggestImportMapping = function(headers, dataType, preset = null) {
+    const fields = this.IMPORT_FIELDS[dataType] || [];
+    const normalized = headers.map(header => this.normalizeImportHeader(header));
+    const mapping = {};
+    const used = new Set();
     
-    const headers = this.getCSVHeaders(dataType);
-    const csvRows = [];
+    const assign = (field, names) => {
+        const index = normalized.findIndex((header, i) => header && !used.has(i) &&
+            names.some(name => this.normalizeImportHeader(name) === header));
+        if (index !== -1) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    };
+    
+    if (preset) {
+        fields.filter(field => preset.mapping[field.key]).forEach(field => assign(field, [preset.mapping[field.key]]));
+    }
+    fields.filter(field => mapping[field.key] === undefined)
+        .forEach(field => assign(field, [field.key, field.label, ...field.aliases]));
     
-    // Add headers
-    csvRows.push(headers.join(','));
+    return mapping;
+};
+
+// Typed records from the table rows through a {field: index} mapping
+window.db.mapImportRows = function(table, mapping, dataType) {
+    const records = [];
+    const lineNumbers = [];
     
-    // Add data rows
-    data.forEach(item => {
-        const row = headers.map(header => {
-            const value = this.getFieldValue(item, header, dataType);
-            // Escape CSV values
-            return `"${String(value || '').replace(/"/g, '""')}"`;
+    table.rows.forEach(({ line, values }) => {
+        const record = {};
+        Object.entries(mapping).forEach(([field, index]) => {
+            const value = values[index];
+            record[field] = this.parseExcelValue(typeof value === 'string' ? value.trim() : value, field, dataType);
         });
-        csvRows.push(row.join(','));
+        records.push(record);
+        lineNumbers.push(line);
     });
     
-    const csvContent = csvRows.join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    return { records, lineNumbers };
+};
+
+// Fields marked required that the mapping leaves without a column
+window.db.getMissingImportFields = function(mapping, dataType) {
+    return (this.IMPORT_FIELDS[dataType] || [])
+        .filter(field => field.required && mapping[field.key] === undefined);
+};
+
+// Presets keep the header text per field so they apply to any file laid out
+// the same way; they are kept per device like the scanner preferences
+window.db.getImportPresets = function(dataType) {
+    let presets = [];
+    try {
+        presets = JSON.parse(localStorage.getItem(this.IMPORT_PRESETS_KEY)) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable import presets:', error);
+    }
+    return dataType ? presets.filter(preset => preset.dataType === dataType) : presets;
+};
+
+window.db.saveImportPreset = function(name, dataType, mapping, headers) {
+    if (!name || !name.trim()) {
+        throw new Error('اسم القالب مطلوب');
+    }
+    
+    const preset = {
+        id: this.generateId(),
+        name: name.trim(),
+        dataType,
+        mapping: Object.fromEntries(Object.entries(mapping).map(([field, index]) => [field, headers[index]])),
+        createdAt: new Date().toISOString()
+    };
+    
+    // Saving under an existing name replaces that preset
+    const presets = this.getImportPresets()
+        .filter(existing => !(existing.dataType === dataType && existing.name === preset.name));
+    presets.push(preset);
+    localStorage.setItem(this.IMPORT_PRESETS_KEY, JSON.stringify(presets));
+    return preset;
+};
+
+window.db.deleteImportPreset = function(id) {
+    const presets = this.getImportPresets().filter(preset => preset.id !== id);
+    localStorage.setItem(this.IMPORT_PRESETS_KEY, JSON.stringify(presets));
+};
+
+// ============ CSV ============
+
+window.db.getCsvCodec = function() {
+    const Codec = typeof CsvCodec !== 'undefined' ? CsvCodec : window.CsvCodec;
+    if (!Codec) {
+        throw new Error('وحدة CSV غير محملة');
+    }
+    return new Codec();
+};
+
+// CSV conversion functions
+window.db.convertToCSV = function(data, filename, dataType) {
+    if (!data || data.length === 0) {
+        throw new Error('لا توجد بيانات للتصدير');
+    }
+    
+    const headers = this.getCSVHeaders(dataType);
+    const rows = data.map(item => headers.map(header => this.getFieldValue(item, header, dataType)));
     
     return {
-        blob,
+        blob: this.getCsvCodec().toBlob([headers, ...rows]),
         filename: `${filename}.csv`,
         type: 'csv'
     };
@@ -2151,6 +3252,8 @@ window.db.getCSVHeaders = function(dataType) {
             return ['id', 'title', 'content', 'type', 'priority', 'targetType', 'targets', 'scheduledAt', 'createdAt'];
         case 'announcements':
             return ['id', 'title', 'content', 'type', 'priority', 'isPublic', 'expiresAt', 'createdAt'];
+        case 'audit':
+            return ['ts', 'user', 'role', 'action', 'entity', 'changes'];
         default:
             return Object.keys(data[0] || {});
     }
@@ -2178,60 +3281,54 @@ window.db.getFieldValue = function(item, field, dataType) {
     return String(value);
 };
 
-// Parse CSV content
-window.db.parseCSV = function(content, dataType) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length < 2) {
-        throw new Error('ملف CSV فارغ أو لا يحتوي على بيانات');
+// Header and data rows of a CSV file (File, Blob or text), each row with the
+// file line it starts on
+window.db.readCSVTable = async function(source, options = {}) {
+    const result = await this.getCsvCodec().parse(source, options);
+    if (result.rows.length < 2) {
+        const error = result.errors[0];
+        throw new Error(error ? `السطر ${error.line}: ${error.message}` : 'ملف CSV فارغ أو لا يحتوي على بيانات');
     }
     
-    const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
-    const data = [];
+    const [header, ...rows] = result.rows;
+    return {
+        headers: header.values.map(h => h.trim()),
+        rows,
+        errors: result.errors,
+        delimiter: result.delimiter,
+        encoding: result.encoding
+    };
+};
+
+// Parse CSV content into typed records; rows that cannot be read are reported
+// in errors by line instead of being dropped silently
+window.db.parseCSV = async function(source, dataType) {
+    const table = await this.readCSVTable(source);
+    const records = [];
+    const lineNumbers = [];
+    const errors = [...table.errors];
     
-    for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCSVLine(lines[i]);
-        if (values.length !== headers.length) {
-            console.warn(`تحذير: السطر ${i + 1} يحتوي على عدد أعمدة مختلف`);
-            continue;
+    table.rows.forEach(({ line, values }) => {
+        // Trailing empty cells are tolerated, anything else must match the header
+        const extra = values.slice(table.headers.length);
+        if (values.length < table.headers.length || extra.some(value => value.trim() !== '')) {
+            errors.push({
+                line,
+                message: `عدد الأعمدة (${values.length}) لا يطابق عدد العناوين (${table.headers.length})`
+            });
+            return;
         }
         
         const record = {};
-        headers.forEach((header, index) => {
-            record[header] = this.parseCSVValue(values[index], header, dataType);
+        table.headers.forEach((header, index) => {
+            record[header] = this.parseCSVValue(values[index].trim(), header, dataType);
         });
         
-        data.push(record);
-    }
-    
-    return data;
-};
-
-// Parse a single CSV line handling quoted values
-window.db.parseCSVLine = function(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++; // Skip next quote
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
+        records.push(record);
+        lineNumbers.push(line);
+    });
     
-    values.push(current.trim());
-    return values;
+    return { headers: table.headers, records, lineNumbers, errors };
 };
 
 // Parse CSV value based on field type
@@ -2240,9 +3337,6 @@ window.db.parseCSVValue = function(value, field, dataType) {
         return null;
     }
     
-    // Remove quotes
-    value = value.replace(/^"(.*)"$/, '$1');
-    
     // Boolean fields
     if (['isActive', 'isPublic', 'isDefault'].includes(field)) {
         return value === 'نعم' || value === 'true' || value === '1';
@@ -2255,7 +3349,7 @@ window.db.parseCSVValue = function(value, field, dataType) {
     }
     
     // Date fields
-    if (['birthDate', 'enrollmentDate', 'timestamp', 'scheduledAt', 'createdAt', 'expiresAt'].includes(field)) {
+    if (this.DATE_FIELDS.includes(field)) {
         return value; // Keep as string, will be validated later
     }
     
@@ -2277,70 +3371,1881 @@ window.db.readFileContent = function(file) {
     });
 };
 
-// Excel functions (simplified - would need SheetJS library for full implementation)
-window.db.convertToExcel = function(data, filename, dataType) {
-    // For now, convert to CSV and suggest using SheetJS for real Excel support
-    console.warn('Excel export requires SheetJS library. Converting to CSV instead.');
-    return this.convertToCSV(data, filename, dataType);
+// ============ EXCEL (XLSX) ============
+
+// Fields written as spreadsheet dates; the date-only ones are read back as YYYY-MM-DD
+window.db.DATE_FIELDS = ['birthDate', 'enrollmentDate', 'date', 'dateISO', 'timestamp', 'timeISO', 'scheduledAt', 'createdAt', 'expiresAt'];
+window.db.DATE_ONLY_FIELDS = ['birthDate', 'enrollmentDate', 'date', 'dateISO'];
+
+// Sheets of the all-data workbook, in order; their names are also accepted on import
+window.db.WORKBOOK_DATA_TYPES = ['students', 'classes', 'grades', 'attendance'];
+window.db.SHEET_NAMES = {
+    students: 'الطلاب',
+    classes: 'الفصول',
+    grades: 'الصفوف',
+    attendance: 'الحضور',
+    sessions: 'الحصص',
+    messages: 'الرسائل',
+    announcements: 'الإعلانات'
 };
 
-window.db.parseExcel = async function(file, dataType) {
-    // For now, throw error suggesting CSV import
-    throw new Error('استيراد ملفات Excel يتطلب مكتبة SheetJS. يرجى استخدام ملفات CSV.');
+window.db.getXlsxCodec = function() {
+    const Codec = typeof XlsxCodec !== 'undefined' ? XlsxCodec : window.XlsxCodec;
+    if (!Codec) {
+        throw new Error('وحدة Excel غير محملة');
+    }
+    return new Codec();
 };
 
-// JSON conversion
-window.db.convertToJSON = function(data, filename, dataType) {
-    const jsonContent = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+// Attendance rows with the student name and a timestamp column for exports
+window.db.getAttendanceExportRows = async function(startDate, endDate) {
+    const records = await this.getAttendanceByDateRange(startDate || '0000-01-01', endDate || '9999-12-31');
+    const students = new Map((await this.getAllStudents()).map(student => [student.id, student]));
     
+    return records.map(record => ({
+        ...record,
+        studentName: students.get(record.studentId)?.name || '',
+        timestamp: record.timeISO
+    }));
+};
+
+// Typed cell value: numbers and booleans as such, date fields as Date. Times
+// are written as local wall-clock time, which is what Excel shows.
+window.db.getExcelValue = function(item, field, dataType) {
+    const value = item[field];
+    
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return value;
+    }
+    
+    if (this.DATE_FIELDS.includes(field) && typeof value === 'string') {
+        const date = new Date(value);
+        if (!isNaN(date)) return this.DATE_ONLY_FIELDS.includes(field) ? date : this.toWallClockDate(date);
+    }
+    
+    return this.getFieldValue(item, field, dataType);
+};
+
+// Spreadsheet serials have no time zone: the local time is stored in the UTC
+// fields the codec writes, and fromWallClockDate() reads it back as local time
+window.db.toWallClockDate = function(date) {
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()));
+};
+
+window.db.fromWallClockDate = function(date) {
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds());
+};
+
+window.db.buildSheet = function(data, dataType) {
+    const headers = this.getCSVHeaders(dataType);
     return {
-        blob,
-        filename: `${filename}.json`,
-        type: 'json'
+        name: this.SHEET_NAMES[dataType] || dataType,
+        rows: [headers, ...data.map(item => headers.map(header => this.getExcelValue(item, header, dataType)))]
     };
 };
 
-// Full backup export
-window.db.exportFullBackup = async function(format = 'json', options = {}) {
-    try {
-        const backup = {
-            version: '1.0',
-            timestamp: new Date().toISOString(),
-            data: {
-                students: await this.getAllStudents(),
-                classes: await this.getAllClasses(),
-                grades: await this.getAllGrades(),
-                sessions: await this.getAllSessions(),
-                attendance: await this.getAllAttendanceRecords(),
-                messages: await this.getAllMessages(),
-                announcements: await this.getAllAnnouncements(),
-                settings: await this.getSettings()
-            },
-            statistics: {
-                totalStudents: (await this.getAllStudents()).length,
-                totalClasses: (await this.getAllClasses()).length,
-                totalAttendanceRecords: (await this.getAllAttendanceRecords()).length
-            }
-        };
-        
-        if (options.includeSounds) {
-            backup.data.sounds = await this.getAllSounds();
-            backup.data.soundConfig = await this.getSoundConfiguration();
-        }
-        
-        const filename = `hader_backup_${new Date().toISOString().split('T')[0]}`;
-        
-        if (format === 'json') {
-            return this.convertToJSON(backup, filename, 'backup');
-        } else {
-            throw new Error('تنسيق النسخة الاحتياطية غير مدعوم');
-        }
-        
-    } catch (error) {
-        console.error('Backup export failed:', error);
-        throw error;
+window.db.convertToExcel = async function(data, filename, dataType) {
+    if (!data || data.length === 0) {
+        throw new Error('لا توجد بيانات للتصدير');
     }
+    
+    const codec = this.getXlsxCodec();
+    const bytes = await codec.write([this.buildSheet(data, dataType)]);
+    
+    return {
+        blob: new Blob([bytes], { type: codec.constructor.MIME_TYPE }),
+        filename: `${filename}.xlsx`,
+        type: 'excel'
+    };
+};
+
+// One workbook with a sheet per data type
+window.db.exportWorkbook = async function(dataTypes, options = {}) {
+    const sources = {
+        students: () => this.getAllStudents(),
+        classes: () => this.getAllClasses(),
+        grades: () => this.getAllGrades(),
+        attendance: () => this.getAttendanceExportRows(options.startDate, options.endDate)
+    };
+    
+    const sheets = [];
+    for (const dataType of dataTypes) {
+        if (!sources[dataType]) {
+            throw new Error(`نوع البيانات غير مدعوم: ${dataType}`);
+        }
+        sheets.push(this.buildSheet(await sources[dataType](), dataType));
+    }
+    
+    const codec = this.getXlsxCodec();
+    const bytes = await codec.write(sheets);
+    
+    return {
+        blob: new Blob([bytes], { type: codec.constructor.MIME_TYPE }),
+        filename: `hader_data_${new Date().toISOString().split('T')[0]}.xlsx`,
+        type: 'excel'
+    };
+};
+
+// Read the sheet for the data type (by key or Arabic name), or the first sheet
+// Header and data rows of the sheet for dataType, in the same shape as
+// readCSVTable; line is the spreadsheet row number
+window.db.readExcelTable = async function(file, dataType) {
+    if (file.name.endsWith('.xls')) {
+        throw new Error('صيغة xls القديمة غير مدعومة، احفظ الملف بصيغة xlsx');
+    }
+    
+    const workbook = await this.getXlsxCodec().read(await file.arrayBuffer());
+    const names = [dataType, this.SHEET_NAMES[dataType]].filter(Boolean).map(name => name.toLowerCase());
+    const sheet = workbook.sheets.find(s => names.includes(s.name.trim().toLowerCase())) || workbook.sheets[0];
+    
+    const rows = (sheet?.rows || [])
+        .map((values, index) => ({ line: index + 1, values }))
+        .filter(row => row.values.some(value => value !== null && value !== ''));
+    if (rows.length < 2) {
+        throw new Error('ملف Excel فارغ أو لا يحتوي على بيانات');
+    }
+    
+    const [header, ...dataRows] = rows;
+    return {
+        headers: header.values.map(value => String(value ?? '').trim()),
+        rows: dataRows,
+        errors: []
+    };
+};
+
+window.db.parseExcel = async function(file, dataType) {
+    const table = await this.readExcelTable(file, dataType);
+    return table.rows.map(({ values }) => {
+        const record = {};
+        table.headers.forEach((header, index) => {
+            if (!header) return;
+            record[header] = this.parseExcelValue(values[index], header, dataType);
+        });
+        return record;
+    });
+};
+
+window.db.parseExcelValue = function(value, field, dataType) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    
+    if (value instanceof Date) {
+        return this.DATE_ONLY_FIELDS.includes(field)
+            ? value.toISOString().split('T')[0]
+            : this.fromWallClockDate(value).toISOString();
+    }
+    
+    // Same typing rules as CSV once the cell is text
+    return this.parseCSVValue(String(value), field, dataType);
+};
+
+// JSON conversion
+window.db.convertToJSON = function(data, filename, dataType) {
+    const jsonContent = JSON.stringify(data, null, 2);
+    const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+    
+    return {
+        blob,
+        filename: `${filename}.json`,
+        type: 'json'
+    };
+};
+
+// Full backup export
+// Snapshot of every restorable store, shared by file exports and scheduled backups
+window.db.buildFullBackup = async function(options = {}) {
+    const backup = {
+        version: '1.0',
+        schemaVersion: this.version,
+        timestamp: new Date().toISOString(),
+        data: {
+            students: await this.getAllStudents(),
+            classes: await this.getAllClasses(),
+            grades: await this.getAllGrades(),
+            sessions: await this.getAllSessions(),
+            attendance: await this.getAllAttendanceRecords(),
+            messages: await this.getAllMessages(),
+            announcements: await this.getAllAnnouncements(),
+            settings: await this.getSettings(),
+            attendance_corrections: await this.getAll('attendance_corrections'),
+            // Accounts keep their stored credential hashes so they can sign in after a restore
+            users: await this.getAll('users'),
+            audit: await this.getAll('audit')
+        },
+        statistics: {
+            totalStudents: (await this.getAllStudents()).length,
+            totalClasses: (await this.getAllClasses()).length,
+            totalAttendanceRecords: (await this.getAllAttendanceRecords()).length
+        },
+        // Lets a later check prove the audit log was not cut back past this point
+        auditChainHead: await this.getAuditChainHead()
+    };
+    
+    if (options.includeSounds) {
+        backup.data.sounds = await Promise.all((await this.getAll('sounds')).map(sound => this.encodeBackupSound(sound)));
+        backup.data.soundConfig = await this.getSoundConfiguration();
+    }
+    
+    return backup;
+};
+
+window.db.exportFullBackup = async function(format = 'json', options = {}) {
+    try {
+        const backup = await this.buildFullBackup(options);
+        
+        const filename = `hader_backup_${new Date().toISOString().split('T')[0]}`;
+        
+        if (format === 'json' && options.passphrase) {
+            const encrypted = await this.encryptBackup(backup, options.passphrase);
+            return this.convertToJSON(encrypted, `${filename}_encrypted`, 'backup');
+        } else if (format === 'json') {
+            return this.convertToJSON(backup, filename, 'backup');
+        } else {
+            throw new Error('تنسيق النسخة الاحتياطية غير مدعوم');
+        }
+        
+    } catch (error) {
+        console.error('Backup export failed:', error);
+        throw error;
+    }
+};
+
+window.db.getAllAttendanceRecords = async function() {
+    return await this.getAll('attendance');
+};
+
+// ============ BACKUP RESTORE METHODS ============
+
+window.db.SUPPORTED_BACKUP_VERSIONS = ['1.0'];
+
+// ============ ENCRYPTED BACKUPS ============
+
+window.db.ENCRYPTED_BACKUP_FORMAT = 'hader-encrypted-backup';
+window.db.BACKUP_KDF_ITERATIONS = 600000;
+
+window.db.isEncryptedBackup = function(backup) {
+    return !!backup && typeof backup === 'object' && backup.format === this.ENCRYPTED_BACKUP_FORMAT;
+};
+
+// Encrypt a backup with AES-GCM under a PBKDF2-derived key. The header (salt,
+// iterations, IV) is bound to the ciphertext as additional data, so editing
+// any part of the file makes decryption fail.
+window.db.encryptBackup = async function(backup, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+        throw new Error('كلمة المرور يجب أن تكون 8 أحرف على الأقل');
+    }
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const header = {
+        format: this.ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.BACKUP_KDF_ITERATIONS, salt: this.bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: this.bytesToBase64(iv) }
+    };
+    
+    const key = await this.deriveBackupKey(passphrase, salt, header.kdf.iterations);
+    const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: this.getBackupHeaderBytes(header) },
+        key,
+        plaintext
+    );
+    
+    return { ...header, data: this.bytesToBase64(new Uint8Array(ciphertext)) };
+};
+
+window.db.decryptBackup = async function(envelope, passphrase) {
+    const { kdf, cipher } = envelope;
+    
+    if (envelope.version !== 1 || !kdf || !cipher || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+        cipher.name !== 'AES-GCM' || typeof envelope.data !== 'string') {
+        throw new Error('صيغة النسخة الاحتياطية المشفرة غير مدعومة');
+    }
+    
+    // Bound the work factor so a crafted file cannot freeze the device
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 100000 || kdf.iterations > 10000000) {
+        throw new Error('إعدادات تشفير النسخة الاحتياطية غير صالحة');
+    }
+    
+    const header = {
+        format: envelope.format,
+        version: envelope.version,
+        kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+        cipher: { name: cipher.name, iv: cipher.iv }
+    };
+    
+    let plaintext;
+    try {
+        const key = await this.deriveBackupKey(passphrase, this.base64ToBytes(kdf.salt), kdf.iterations);
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(cipher.iv), additionalData: this.getBackupHeaderBytes(header) },
+            key,
+            this.base64ToBytes(envelope.data)
+        );
+    } catch (error) {
+        // AES-GCM cannot tell a wrong passphrase from a modified file
+        throw new Error('كلمة المرور غير صحيحة أو أن ملف النسخة الاحتياطية تم التلاعب به');
+    }
+    
+    return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+window.db.deriveBackupKey = async function(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Fixed field order so the same header always yields the same bytes
+window.db.getBackupHeaderBytes = function(header) {
+    return new TextEncoder().encode(JSON.stringify([
+        header.format,
+        header.version,
+        header.kdf.name,
+        header.kdf.hash,
+        header.kdf.iterations,
+        header.kdf.salt,
+        header.cipher.name,
+        header.cipher.iv
+    ]));
+};
+
+window.db.bytesToBase64 = function(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+window.db.base64ToBytes = function(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+// Stores a backup can restore, in the order they are written
+window.db.RESTORE_STORES = ['grades', 'classes', 'students', 'sessions', 'attendance', 'attendance_corrections',
+    'messages', 'announcements', 'settings', 'sounds', 'users', 'audit'];
+
+// Stores older backups (or backups without sounds) do not carry; a restore leaves them alone
+window.db.OPTIONAL_RESTORE_STORES = ['attendance_corrections', 'sounds', 'users', 'audit'];
+
+window.db.getRestoreStores = function(backup) {
+    return this.RESTORE_STORES.filter(storeName =>
+        !this.OPTIONAL_RESTORE_STORES.includes(storeName) || Array.isArray(backup.data[storeName]));
+};
+
+// Read and validate a backup from a File, JSON string or parsed object.
+// Encrypted backups need the passphrase they were created with.
+window.db.parseBackup = async function(input, passphrase = null) {
+    let backup = input;
+    
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        backup = await input.text();
+    }
+    if (typeof backup === 'string') {
+        try {
+            backup = JSON.parse(backup.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('ملف النسخة الاحتياطية غير صالح');
+        }
+    }
+    
+    if (this.isEncryptedBackup(backup)) {
+        if (!passphrase) {
+            const error = new Error('النسخة الاحتياطية مشفرة. يرجى إدخال كلمة المرور');
+            error.code = 'BACKUP_ENCRYPTED';
+            throw error;
+        }
+        backup = await this.decryptBackup(backup, passphrase);
+    }
+    
+    if (!backup || typeof backup !== 'object' || !backup.data || typeof backup.data !== 'object') {
+        throw new Error('ملف النسخة الاحتياطية غير صالح');
+    }
+    
+    if (!this.SUPPORTED_BACKUP_VERSIONS.includes(backup.version)) {
+        throw new Error(`إصدار النسخة الاحتياطية غير مدعوم: ${backup.version || 'غير معروف'}`);
+    }
+    
+    if (backup.schemaVersion && backup.schemaVersion > this.version) {
+        throw new Error('النسخة الاحتياطية من إصدار أحدث من النظام. يرجى تحديث التطبيق أولاً');
+    }
+    
+    for (const storeName of this.RESTORE_STORES) {
+        const records = this.getBackupRecords(backup, storeName);
+        if (!Array.isArray(records)) {
+            throw new Error(`بيانات ${storeName} في النسخة الاحتياطية غير صالحة`);
+        }
+        
+        const invalid = records.findIndex(record => !record || typeof record !== 'object' ||
+            (storeName !== 'attendance' && (record.id === undefined || record.id === null)));
+        if (invalid !== -1) {
+            throw new Error(`السجل ${invalid + 1} في ${storeName} بدون معرف`);
+        }
+    }
+    
+    return backup;
+};
+
+// Records of one store as an array; settings and sound config are stored as single objects
+window.db.getBackupRecords = function(backup, storeName) {
+    const data = backup.data;
+    
+    if (storeName === 'settings') {
+        return [data.settings, data.soundConfig].filter(Boolean);
+    }
+    if (storeName === 'sounds') {
+        return (data.sounds || []).map(sound => this.decodeBackupSound(sound));
+    }
+    return data[storeName] || [];
+};
+
+// Uploaded sounds keep their audio in a Blob, which JSON turns into {}; backups
+// carry it as base64 and restores rebuild the Blob
+window.db.encodeBackupSound = async function(sound) {
+    if (typeof Blob === 'undefined' || !(sound.blobRef instanceof Blob)) {
+        return sound;
+    }
+    
+    const { blobRef, ...rest } = sound;
+    return {
+        ...rest,
+        blobData: this.bytesToBase64(new Uint8Array(await blobRef.arrayBuffer())),
+        blobType: blobRef.type
+    };
+};
+
+window.db.decodeBackupSound = function(sound) {
+    if (typeof sound.blobData !== 'string') {
+        return sound;
+    }
+    
+    const { blobData, blobType, ...rest } = sound;
+    const restored = { ...rest, blobRef: new Blob([this.base64ToBytes(blobData)], { type: blobType || '' }) };
+    // Object URLs die with the page that created them
+    if (typeof restored.url === 'string' && restored.url.startsWith('blob:')) {
+        delete restored.url;
+    }
+    return restored;
+};
+
+// Attendance IDs are auto-increment per device, so records match on student and day instead.
+// Users match on their unique username.
+window.db.getRestoreMatchKey = function(storeName, record) {
+    if (storeName === 'attendance') {
+        return `${record.studentId}|${record.dateISO}`;
+    }
+    if (storeName === 'users') {
+        return String(record.username);
+    }
+    return String(record.id);
+};
+
+// Decide whether an incoming record replaces an existing one in merge mode
+window.db.resolveRestoreConflict = function(existing, incoming, conflictRule) {
+    switch (conflictRule) {
+        case 'overwrite':
+            return true;
+        case 'skip':
+            return false;
+        case 'newer':
+        default:
+            return (incoming.updatedAt || incoming.createdAt || '') > (existing.updatedAt || existing.createdAt || '');
+    }
+};
+
+// Count what a restore would do per store without writing anything
+window.db.previewRestore = async function(backup, options = {}) {
+    const { mode = 'merge', conflictRule = 'newer' } = options;
+    const preview = {
+        version: backup.version,
+        timestamp: backup.timestamp,
+        mode,
+        stores: {}
+    };
+    
+    for (const storeName of this.getRestoreStores(backup)) {
+        const incoming = this.getBackupRecords(backup, storeName);
+        const existing = await this.getAll(storeName);
+        const existingByKey = new Map(existing.map(record => [this.getRestoreMatchKey(storeName, record), record]));
+        
+        const counts = { incoming: incoming.length, existing: existing.length, added: 0, updated: 0, skipped: 0, removed: 0 };
+        
+        if (mode === 'replace') {
+            counts.added = incoming.length;
+            counts.removed = existing.length;
+        } else if (storeName === 'audit') {
+            counts.skipped = incoming.length;
+        } else {
+            for (const record of incoming) {
+                const current = existingByKey.get(this.getRestoreMatchKey(storeName, record));
+                if (!current) {
+                    counts.added++;
+                } else if (this.resolveRestoreConflict(current, record, conflictRule)) {
+                    counts.updated++;
+                } else {
+                    counts.skipped++;
+                }
+            }
+        }
+        
+        preview.stores[storeName] = counts;
+    }
+    
+    return preview;
+};
+
+// Restore a backup in one transaction so a failure in any store rolls everything back.
+// mode: 'replace' clears each store first; 'merge' keeps existing records and
+// resolves ID conflicts with conflictRule ('newer' | 'overwrite' | 'skip').
+// Synced stores get the same bookkeeping as put() and delete(): restored
+// records are queued for sync and drop their tombstones, and records a replace
+// removes leave tombstones, so the next sync does not undo the restore.
+// The audit log is a hash chain, so only 'replace' restores it; a merge keeps the local log.
+window.db.restoreBackup = async function(backup, options = {}) {
+    await this.requirePermission('backups.manage');
+    
+    const { mode = 'merge', conflictRule = 'newer', passphrase = null } = options;
+    
+    if (!['replace', 'merge'].includes(mode)) {
+        return { success: false, message: 'وضع الاستعادة غير معروف' };
+    }
+    
+    try {
+        backup = await this.parseBackup(backup, passphrase);
+        await this.ensureInit();
+        
+        const storeNames = this.getRestoreStores(backup);
+        const existing = {};
+        for (const storeName of storeNames) {
+            existing[storeName] = await this.getAll(storeName);
+        }
+        const syncing = storeNames.some(storeName => HaderDB.SYNCED_STORES.includes(storeName));
+        const tombstones = new Map(syncing
+            ? (await this.getAll('tombstones')).map(tombstone => [tombstone.id, tombstone])
+            : []);
+        
+        const counts = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(syncing ? [...storeNames, 'syncQueue', 'tombstones'] : storeNames, 'readwrite');
+            const result = {};
+            
+            transaction.oncomplete = () => {
+                if (syncing) this.notifySyncQueued();
+                resolve(result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('تم إلغاء الاستعادة'));
+            
+            try {
+                for (const storeName of storeNames) {
+                    const store = transaction.objectStore(storeName);
+                    const synced = HaderDB.SYNCED_STORES.includes(storeName);
+                    const incoming = this.getBackupRecords(backup, storeName);
+                    const existingByKey = new Map(existing[storeName].map(record =>
+                        [this.getRestoreMatchKey(storeName, record), record]));
+                    const storeCounts = { added: 0, updated: 0, skipped: 0, removed: 0 };
+                    const localVersions = new Map(synced ? existing[storeName].map(record =>
+                        [this.getSyncKey(storeName, record), record.syncVersion]) : []);
+                    
+                    if (storeName === 'audit' && mode === 'merge') {
+                        storeCounts.skipped = incoming.length;
+                        result[storeName] = storeCounts;
+                        continue;
+                    }
+                    
+                    const write = (value) => {
+                        if (!synced) {
+                            store.put(value);
+                            return;
+                        }
+                        
+                        // Same versioning as put(): the restored copy must dominate any tombstone
+                        const syncKey = this.getSyncKey(storeName, value);
+                        const tombstoneId = `${storeName}:${syncKey}`;
+                        const tombstone = tombstones.get(tombstoneId);
+                        const base = [localVersions.get(syncKey), tombstone?.version]
+                            .reduce((version, other) => this.mergeVersions(version, other), value.syncVersion);
+                        const saved = { ...value, syncVersion: this.incrementVersion(base), syncDeviceId: this.getDeviceId() };
+                        if (tombstone) {
+                            transaction.objectStore('tombstones').delete(tombstoneId);
+                        }
+                        
+                        const request = store.put(saved);
+                        request.onsuccess = () => {
+                            const record = { ...saved, [store.keyPath]: request.result };
+                            this.addSyncChange(transaction, storeName, 'put', syncKey, record, saved.syncVersion);
+                        };
+                    };
+                    
+                    if (mode === 'replace') {
+                        store.clear();
+                        storeCounts.removed = existing[storeName].length;
+                        existingByKey.clear();
+                        
+                        if (synced) {
+                            const kept = new Set(incoming.map(record => this.getSyncKey(storeName, record)));
+                            existing[storeName]
+                                .filter(record => !kept.has(this.getSyncKey(storeName, record)))
+                                .forEach(record => this.addSyncTombstone(transaction, storeName, record));
+                        }
+                    }
+                    
+                    for (const record of incoming) {
+                        const current = existingByKey.get(this.getRestoreMatchKey(storeName, record));
+                        let value = record;
+                        
+                        if (current) {
+                            if (!this.resolveRestoreConflict(current, record, conflictRule)) {
+                                storeCounts.skipped++;
+                                continue;
+                            }
+                            if (storeName === 'attendance' || storeName === 'users') {
+                                value = { ...record, id: current.id };
+                            }
+                            storeCounts.updated++;
+                        } else {
+                            if (storeName === 'attendance' && mode === 'merge') {
+                                // Let this device assign a fresh key
+                                value = { ...record };
+                                delete value.id;
+                            }
+                            storeCounts.added++;
+                        }
+                        
+                        if (storeName === 'attendance_corrections' && value.attendanceKey) {
+                            // The attendance restored above may carry a new local id
+                            const correction = value;
+                            const lookup = transaction.objectStore('attendance').index('studentDate')
+                                .get(correction.attendanceKey.split('|'));
+                            lookup.onsuccess = () => write(lookup.result
+                                ? { ...correction, attendanceId: lookup.result.id }
+                                : correction);
+                            continue;
+                        }
+                        
+                        write(value);
+                    }
+                    
+                    result[storeName] = storeCounts;
+                }
+            } catch (error) {
+                // Invalid keys throw synchronously; abort so nothing already queued is kept
+                reject(error);
+                transaction.abort();
+            }
+        });
+        
+        await this.logAudit('admin', 'RESTORE_BACKUP', 'database', null, {
+            backupTimestamp: backup.timestamp,
+            mode,
+            conflictRule,
+            counts
+        });
+        
+        return { success: true, counts };
+        
+    } catch (error) {
+        console.error('Backup restore failed:', error);
+        return { success: false, message: error.message || 'فشل في استعادة النسخة الاحتياطية' };
+    }
+};
+
+// Tombstone and queued delete, as delete() writes them, for a synced record dropped
+// inside a larger transaction (replace restores, student ID changes)
+window.db.addSyncTombstone = function(transaction, storeName, record) {
+    const syncKey = this.getSyncKey(storeName, record);
+    const tombstone = {
+        id: `${storeName}:${syncKey}`,
+        store: storeName,
+        key: syncKey,
+        version: this.incrementVersion(record.syncVersion),
+        deviceId: this.getDeviceId(),
+        deletedAt: new Date().toISOString()
+    };
+    transaction.objectStore('tombstones').put(tombstone);
+    this.addSyncChange(transaction, storeName, 'delete', syncKey, tombstone, tombstone.version);
+};
+
+// ============ LOCAL BACKUP SNAPSHOTS ============
+
+// Retention: newest snapshot of each of the last 7 days and of each of the last 4 weeks
+window.db.SNAPSHOT_RETENTION = { daily: 7, weekly: 4 };
+
+window.db.createSnapshot = async function(reason = 'manual') {
+    const backup = await this.buildFullBackup({ includeSounds: true });
+    const payload = JSON.stringify(backup);
+    const now = new Date().toISOString();
+    
+    const snapshot = {
+        id: now,
+        createdAt: now,
+        reason,
+        size: new Blob([payload]).size,
+        counts: Object.fromEntries(this.RESTORE_STORES.map(storeName =>
+            [storeName, this.getBackupRecords(backup, storeName).length])),
+        auditChainHead: backup.auditChainHead,
+        payload
+    };
+    
+    await this.put('backups', snapshot);
+    await this.logAudit('system', 'CREATE_SNAPSHOT', 'backups', null, { id: snapshot.id, reason, size: snapshot.size });
+    await this.pruneSnapshots();
+    
+    return this.getSnapshotInfo(snapshot);
+};
+
+// Snapshot metadata without the payload, newest first
+window.db.getSnapshots = async function() {
+    const snapshots = await this.getAll('backups');
+    return snapshots
+        .map(snapshot => this.getSnapshotInfo(snapshot))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+window.db.getSnapshotInfo = function(snapshot) {
+    const { payload, ...info } = snapshot;
+    return info;
+};
+
+// Ids and creation times of all snapshots, newest first. Reads the createdAt
+// index with a key cursor so no snapshot payload is loaded.
+window.db.getSnapshotTimes = async function() {
+    await this.ensureInit();
+    
+    return new Promise((resolve, reject) => {
+        const times = [];
+        const request = this.db.transaction(['backups'], 'readonly').objectStore('backups')
+            .index('createdAt').openKeyCursor(null, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(times);
+                return;
+            }
+            times.push({ id: cursor.primaryKey, createdAt: cursor.key });
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+};
+
+window.db.getLatestSnapshot = async function() {
+    const [latest] = await this.getSnapshotTimes();
+    const snapshot = latest ? await this.get('backups', latest.id) : null;
+    return snapshot ? this.getSnapshotInfo(snapshot) : null;
+};
+
+window.db.restoreSnapshot = async function(id, options = {}) {
+    await this.requirePermission('backups.manage');
+    
+    const snapshot = await this.get('backups', id);
+    if (!snapshot) {
+        return { success: false, message: 'النسخة الاحتياطية غير موجودة' };
+    }
+    
+    return await this.restoreBackup(JSON.parse(snapshot.payload), options);
+};
+
+window.db.deleteSnapshot = async function(id) {
+    await this.requirePermission('backups.manage');
+    
+    await this.delete('backups', id);
+    return { success: true };
+};
+
+// Drop snapshots outside the daily/weekly retention windows
+window.db.pruneSnapshots = async function() {
+    const snapshots = await this.getSnapshotTimes();
+    const keep = new Set();
+    const days = new Set();
+    const weeks = new Set();
+    
+    for (const snapshot of snapshots) {
+        const day = snapshot.createdAt.split('T')[0];
+        if (!days.has(day) && days.size < this.SNAPSHOT_RETENTION.daily) {
+            days.add(day);
+            keep.add(snapshot.id);
+        }
+        
+        const week = this.getWeekKey(snapshot.createdAt);
+        if (!weeks.has(week) && weeks.size < this.SNAPSHOT_RETENTION.weekly) {
+            weeks.add(week);
+            keep.add(snapshot.id);
+        }
+    }
+    
+    const removed = snapshots.filter(snapshot => !keep.has(snapshot.id));
+    for (const snapshot of removed) {
+        await this.delete('backups', snapshot.id);
+    }
+    
+    return removed.length;
+};
+
+// ISO week key such as 2024-W07
+window.db.getWeekKey = function(isoString) {
+    const date = new Date(isoString.split('T')[0] + 'T00:00:00Z');
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Attendance records written since a given time (used for write-triggered snapshots).
+// put() stamps updatedAt on every write, so the index covers them all.
+window.db.countAttendanceWritesSince = async function(isoString) {
+    await this.ensureInit();
+    
+    return new Promise((resolve, reject) => {
+        const request = this.db.transaction(['attendance'], 'readonly').objectStore('attendance')
+            .index('updatedAt').count(IDBKeyRange.lowerBound(isoString, true));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// ============ SYNC QUEUE ============
+
+// Pending changes in the order they were made
+window.db.getPendingSyncChanges = async function() {
+    const changes = await this.getAll('syncQueue', 'status', 'pending');
+    return changes.sort((a, b) => a.ts.localeCompare(b.ts) || a.id - b.id);
+};
+
+window.db.getSyncQueueStats = async function() {
+    const [pending, failed] = await Promise.all([
+        this.getAll('syncQueue', 'status', 'pending'),
+        this.getAll('syncQueue', 'status', 'failed')
+    ]);
+    return { pending: pending.length, failed: failed.length };
+};
+
+// The server acknowledged the change, drop it from the queue
+window.db.completeSyncChange = async function(id) {
+    await this.delete('syncQueue', id);
+};
+
+window.db.failSyncChange = async function(id, errorMessage, nextAttemptAt, giveUp = false) {
+    const change = await this.get('syncQueue', id);
+    if (!change) return null;
+    
+    change.attempts = (change.attempts || 0) + 1;
+    change.lastError = errorMessage;
+    change.nextAttemptAt = nextAttemptAt;
+    if (giveUp) change.status = 'failed';
+    
+    await this.put('syncQueue', change);
+    return change;
+};
+
+// Put changes that exhausted their attempts back into the queue
+window.db.retryFailedSyncChanges = async function() {
+    const failed = await this.getAll('syncQueue', 'status', 'failed');
+    const now = new Date().toISOString();
+    
+    for (const change of failed) {
+        await this.put('syncQueue', { ...change, status: 'pending', attempts: 0, nextAttemptAt: now });
+    }
+    
+    return failed.length;
+};
+
+// Write a change pulled from the sync server without queueing it again. Version
+// vectors decide whether it is newer, older or concurrent with the local copy;
+// concurrent copies go through resolveSyncConflict and are logged for the admin.
+window.db.applyRemoteChange = async function(change) {
+    if (!HaderDB.SYNCED_STORES.includes(change.store)) {
+        console.warn('Ignoring remote change for unsynced store:', change.store);
+        return 'ignored';
+    }
+    
+    await this.ensureInit();
+    const storeNames = [...new Set([change.store, 'attendance', 'tombstones', 'sync_conflicts'])];
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    
+    let outcome;
+    try {
+        const local = await this.findBySyncKeyIn(transaction, change.store, change.key);
+        const tombstone = local ? null
+            : await this.requestResult(transaction.objectStore('tombstones').get(`${change.store}:${change.key}`));
+        
+        let current = null;
+        if (local) current = { deleted: false, record: local, version: local.syncVersion || {} };
+        else if (tombstone) current = { deleted: true, record: null, version: tombstone.version, tombstone };
+        
+        const incoming = change.op === 'delete'
+            ? { deleted: true, record: null, version: change.version || {}, tombstone: change.data }
+            : { deleted: false, record: change.data, version: change.data.syncVersion || change.version || {} };
+        
+        const order = current ? this.compareVersions(incoming.version, current.version) : 'greater';
+        if (order === 'less' || order === 'equal') {
+            outcome = 'ignored';
+        } else if (order === 'greater') {
+            await this.writeSyncWinner(transaction, change.store, change.key, local, incoming, incoming.version);
+            outcome = 'applied';
+        } else {
+            const resolution = this.resolveSyncConflict(change.store, current, incoming);
+            const winner = resolution.winner === 'remote' ? incoming : current;
+            await this.writeSyncWinner(transaction, change.store, change.key, local, winner,
+                this.mergeVersions(current.version, incoming.version));
+            
+            if (!this.isSameSyncContent(current.record, incoming.record)) {
+                transaction.objectStore('sync_conflicts').add({
+                    store: change.store,
+                    key: change.key,
+                    rule: resolution.rule,
+                    kept: resolution.winner,
+                    local: current.record,
+                    remote: incoming.record,
+                    remoteDeviceId: change.deviceId,
+                    detectedAt: new Date().toISOString(),
+                    status: 'open'
+                });
+            }
+            outcome = 'conflict';
+        }
+    } catch (error) {
+        done.catch(() => {});
+        try {
+            transaction.abort();
+        } catch (abortError) {
+            // Already finished
+        }
+        throw error;
+    }
+    
+    await done;
+    return outcome;
+};
+
+window.db.requestResult = function(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+window.db.findBySyncKeyIn = async function(transaction, storeName, key) {
+    const store = transaction.objectStore(storeName);
+    if (storeName === 'attendance') {
+        return await this.requestResult(store.index('studentDate').get(key.split('|')));
+    }
+    return await this.requestResult(store.get(key));
+};
+
+window.db.findBySyncKey = async function(storeName, key) {
+    await this.ensureInit();
+    return await this.findBySyncKeyIn(this.db.transaction([storeName], 'readonly'), storeName, key);
+};
+
+// Store the winning copy under the merged version so every device converges on the same state
+window.db.writeSyncWinner = async function(transaction, storeName, key, local, winner, version) {
+    const store = transaction.objectStore(storeName);
+    const tombstones = transaction.objectStore('tombstones');
+    const tombstoneId = `${storeName}:${key}`;
+    
+    if (winner.deleted) {
+        if (local) store.delete(local.id);
+        tombstones.put({ ...winner.tombstone, id: tombstoneId, store: storeName, key, version });
+        return;
+    }
+    
+    const record = { ...winner.record, syncVersion: version };
+    if (storeName === 'attendance') {
+        // Attendance ids are local, keep ours or let the store assign one
+        if (local) record.id = local.id;
+        else delete record.id;
+    }
+    if (storeName === 'attendance_corrections' && record.attendanceKey) {
+        const attendance = await this.findBySyncKeyIn(transaction, 'attendance', record.attendanceKey);
+        if (attendance) record.attendanceId = attendance.id;
+    }
+    
+    store.put(record);
+    tombstones.delete(tombstoneId);
+};
+
+// Copies that differ only in timestamps and sync metadata are not worth reporting
+window.db.isSameSyncContent = function(a, b) {
+    if (!a || !b) return a === b;
+    
+    const ignored = new Set(['id', 'createdAt', 'updatedAt', 'syncVersion', 'syncDeviceId']);
+    const content = record => JSON.stringify(Object.keys(record)
+        .filter(key => !ignored.has(key))
+        .sort()
+        .map(key => [key, record[key]]));
+    return content(a) === content(b);
+};
+
+window.db.isManualAttendance = function(record) {
+    return Boolean(record.isManual || record.isCorrected);
+};
+
+// When the student first arrived that day. Repeat scans move timeISO but never
+// this; records written before it existed only have timeISO.
+window.db.getFirstScanTime = function(record) {
+    return record.firstScanISO || record.timeISO;
+};
+
+// Merge rules for concurrent copies. Both devices evaluate them with the sides
+// swapped, so every rule is symmetric and ties fall back to the device id.
+window.db.resolveSyncConflict = function(storeName, local, remote) {
+    const pick = (remoteWins, rule) => ({ winner: remoteWins ? 'remote' : 'local', rule });
+    const stamp = side => side.deleted
+        ? { ts: side.tombstone?.deletedAt || '', deviceId: side.tombstone?.deviceId || '' }
+        : { ts: side.record.updatedAt || '', deviceId: side.record.syncDeviceId || '' };
+    const l = stamp(local);
+    const r = stamp(remote);
+    const remoteIsLater = r.ts === l.ts ? r.deviceId > l.deviceId : r.ts > l.ts;
+    
+    if (local.deleted || remote.deleted) {
+        return pick(remoteIsLater, 'tombstone');
+    }
+    
+    if (storeName === 'attendance') {
+        const localManual = this.isManualAttendance(local.record);
+        const remoteManual = this.isManualAttendance(remote.record);
+        if (localManual !== remoteManual) {
+            return pick(remoteManual, 'manual-wins');
+        }
+        if (!localManual) {
+            const localTime = this.getFirstScanTime(local.record);
+            const remoteTime = this.getFirstScanTime(remote.record);
+            return pick(remoteTime === localTime ? r.deviceId < l.deviceId : remoteTime < localTime, 'earliest-arrival');
+        }
+    }
+    
+    return pick(remoteIsLater, 'last-writer');
+};
+
+// ============ SYNC CONFLICTS ============
+
+window.db.getSyncConflicts = async function(status = 'open') {
+    const conflicts = await this.getAll('sync_conflicts', 'status', status);
+    return conflicts.sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+};
+
+// Conflicts are reviewed with the sync server settings, under the same permission
+window.db.dismissSyncConflict = async function(id) {
+    await this.requirePermission('settings.manage');
+    
+    const conflict = await this.get('sync_conflicts', id);
+    if (!conflict) {
+        return { success: false, message: 'التعارض غير موجود' };
+    }
+    
+    const updated = { ...conflict, status: 'dismissed', resolvedAt: new Date().toISOString() };
+    await this.put('sync_conflicts', updated);
+    await this.logAudit('admin', 'DISMISS_SYNC_CONFLICT', 'sync_conflicts', conflict, updated);
+    return { success: true };
+};
+
+// Replace the automatic choice with the copy that lost. This is a normal local
+// write, so it dominates both copies and reaches the other devices.
+window.db.overrideSyncConflict = async function(id) {
+    await this.requirePermission('settings.manage');
+    
+    const conflict = await this.get('sync_conflicts', id);
+    if (!conflict) {
+        return { success: false, message: 'التعارض غير موجود' };
+    }
+    
+    const chosen = conflict.kept === 'local' ? conflict.remote : conflict.local;
+    const current = await this.findBySyncKey(conflict.store, conflict.key);
+    
+    if (chosen) {
+        const record = { ...chosen, syncVersion: current ? current.syncVersion : chosen.syncVersion };
+        if (conflict.store === 'attendance') {
+            if (current) record.id = current.id;
+            else delete record.id;
+        }
+        await this.put(conflict.store, record);
+    } else if (current) {
+        await this.delete(conflict.store, current.id);
+    }
+    
+    await this.put('sync_conflicts', { ...conflict, status: 'overridden', resolvedAt: new Date().toISOString() });
+    await this.logAudit('admin', 'OVERRIDE_SYNC_CONFLICT', conflict.store, current || null, chosen);
+    
+    return { success: true };
+};
+
+// ============ USERS AND SESSIONS ============
+
+window.db.USER_ROLES = {
+    principal: 'مدير المدرسة',
+    supervisor: 'مشرف',
+    teacher: 'معلم',
+    gate: 'مشغل البوابة'
+};
+window.db.USER_KDF_ITERATIONS = 310000;
+window.db.SESSION_STORAGE_KEY = 'hader-session';
+window.db.MAX_LOGIN_ATTEMPTS = 5;
+window.db.LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+// A PIN is 4 to 8 digits, anything else is a password of at least 8 characters
+window.db.validateUserSecret = function(secret) {
+    if (typeof secret !== 'string' || !secret) {
+        throw new Error('الرمز السري مطلوب');
+    }
+    if (/^\d+$/.test(secret)) {
+        if (secret.length < 4 || secret.length > 8) {
+            throw new Error('الرمز السري يجب أن يكون من 4 إلى 8 أرقام');
+        }
+    } else if (secret.length < 8) {
+        throw new Error('كلمة المرور يجب أن تكون 8 أحرف على الأقل');
+    }
+};
+
+window.db.hashUserSecret = async function(secret, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        256
+    );
+    return this.bytesToBase64(new Uint8Array(bits));
+};
+
+// Compare every character so the time taken does not reveal how much matched
+window.db.constantTimeEquals = function(a, b) {
+    if (a.length !== b.length) return false;
+    
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+window.db.createSecretHash = async function(secret) {
+    this.validateUserSecret(secret);
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        algorithm: 'PBKDF2-SHA256',
+        iterations: this.USER_KDF_ITERATIONS,
+        salt: this.bytesToBase64(salt),
+        hash: await this.hashUserSecret(secret, salt, this.USER_KDF_ITERATIONS)
+    };
+};
+
+window.db.normalizeUsername = function(username) {
+    return String(username || '').trim().toLowerCase();
+};
+
+// Users as shown to the interface, without the secret hash
+window.db.toPublicUser = function(user) {
+    if (!user) return null;
+    const { credential, ...publicUser } = user;
+    return publicUser;
+};
+
+window.db.getUsers = async function() {
+    const users = await this.getAll('users');
+    return users
+        .map(user => this.toPublicUser(user))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName, 'ar'));
+};
+
+window.db.getUserByUsername = async function(username) {
+    const users = await this.getAll('users', 'username', this.normalizeUsername(username));
+    return users[0] || null;
+};
+
+window.db.hasUsers = async function() {
+    const users = await this.getAll('users');
+    return users.length > 0;
+};
+
+window.db.createUser = async function(userData) {
+    await this.requirePermission('users.manage');
+    
+    const username = this.normalizeUsername(userData.username);
+    const displayName = String(userData.displayName || '').trim();
+    
+    if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+        throw new Error('اسم المستخدم يجب أن يكون من 3 إلى 32 حرفاً إنجليزياً أو رقماً');
+    }
+    if (!displayName) {
+        throw new Error('اسم المستخدم الظاهر مطلوب');
+    }
+    if (!this.USER_ROLES[userData.role]) {
+        throw new Error('الدور غير معروف');
+    }
+    if (await this.getUserByUsername(username)) {
+        throw new Error('اسم المستخدم مستخدم بالفعل');
+    }
+    
+    const user = {
+        id: this.generateIdempotencyKey(),
+        username,
+        displayName,
+        role: userData.role,
+        active: true,
+        credential: await this.createSecretHash(userData.secret),
+        failedAttempts: 0,
+        lockedUntil: null,
+        lastLoginAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    await this.put('users', user);
+    await this.logAudit('admin', 'CREATE_USER', 'user', null, this.toPublicUser(user));
+    
+    return this.toPublicUser(user);
+};
+
+// Leaving secret empty keeps the current one
+window.db.updateUser = async function(id, updates) {
+    await this.requirePermission('users.manage');
+    
+    const user = await this.get('users', id);
+    if (!user) {
+        throw new Error('المستخدم غير موجود');
+    }
+    
+    const updated = { ...user, updatedAt: new Date().toISOString() };
+    
+    if (updates.displayName !== undefined) {
+        updated.displayName = String(updates.displayName).trim();
+        if (!updated.displayName) {
+            throw new Error('اسم المستخدم الظاهر مطلوب');
+        }
+    }
+    if (updates.role !== undefined) {
+        if (!this.USER_ROLES[updates.role]) {
+            throw new Error('الدور غير معروف');
+        }
+        updated.role = updates.role;
+    }
+    if (updates.active !== undefined) {
+        updated.active = !!updates.active;
+    }
+    if (updates.secret) {
+        updated.credential = await this.createSecretHash(updates.secret);
+        updated.failedAttempts = 0;
+        updated.lockedUntil = null;
+    }
+    
+    // Open sessions of this account end at their next permission check
+    if (updated.role !== user.role || (user.active && !updated.active) || updates.secret) {
+        updated.sessionVersion = (user.sessionVersion || 0) + 1;
+    }
+    
+    // The school must always keep someone who can manage accounts
+    const losesPrincipal = user.role === 'principal' && user.active &&
+        (updated.role !== 'principal' || !updated.active);
+    if (losesPrincipal && await this.countActivePrincipals() <= 1) {
+        throw new Error('لا يمكن إزالة آخر مدير للمدرسة');
+    }
+    
+    await this.put('users', updated);
+    await this.logAudit('admin', 'UPDATE_USER', 'user', this.toPublicUser(user), this.toPublicUser(updated));
+    
+    // Changing your own secret keeps you signed in; losing your own role does not
+    const session = this.readSession();
+    if (session?.userId === id && updated.active && updated.role === session.role) {
+        session.sessionVersion = updated.sessionVersion || 0;
+        sessionStorage.setItem(this.SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
+    
+    return this.toPublicUser(updated);
+};
+
+window.db.deleteUser = async function(id) {
+    await this.requirePermission('users.manage');
+    
+    const user = await this.get('users', id);
+    if (!user) {
+        return { success: false, message: 'المستخدم غير موجود' };
+    }
+    if (user.role === 'principal' && user.active && await this.countActivePrincipals() <= 1) {
+        return { success: false, message: 'لا يمكن حذف آخر مدير للمدرسة' };
+    }
+    if (this.getCurrentUser()?.id === id) {
+        return { success: false, message: 'لا يمكنك حذف حسابك أثناء تسجيل الدخول' };
+    }
+    
+    await this.delete('users', id);
+    await this.logAudit('admin', 'DELETE_USER', 'user', this.toPublicUser(user), null);
+    
+    return { success: true };
+};
+
+window.db.countActivePrincipals = async function() {
+    const users = await this.getAll('users');
+    return users.filter(user => user.role === 'principal' && user.active).length;
+};
+
+// Check a username and secret, and open a session on success. Repeated
+// failures lock the account for a while so a short PIN cannot be guessed.
+window.db.authenticate = async function(username, secret) {
+    const user = await this.getUserByUsername(username);
+    const now = Date.now();
+    
+    if (!user || !user.active) {
+        // Spend the same work as a real check so unknown names are not revealed by timing
+        await this.hashUserSecret(String(secret || ''), new Uint8Array(16), this.USER_KDF_ITERATIONS);
+        throw new Error('اسم المستخدم أو الرمز السري غير صحيح');
+    }
+    
+    if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+        const minutes = Math.ceil((new Date(user.lockedUntil).getTime() - now) / 60000);
+        throw new Error(`تم قفل الحساب مؤقتاً، حاول بعد ${minutes} دقيقة`);
+    }
+    
+    const { credential } = user;
+    const hash = await this.hashUserSecret(String(secret || ''), this.base64ToBytes(credential.salt), credential.iterations);
+    
+    if (!this.constantTimeEquals(hash, credential.hash)) {
+        const failedAttempts = (user.failedAttempts || 0) + 1;
+        const locked = failedAttempts >= this.MAX_LOGIN_ATTEMPTS;
+        await this.put('users', {
+            ...user,
+            failedAttempts: locked ? 0 : failedAttempts,
+            lockedUntil: locked ? new Date(now + this.LOGIN_LOCKOUT_MS).toISOString() : null
+        });
+        await this.logAudit(user.username, 'LOGIN_FAILED', 'user', null, { failedAttempts });
+        throw new Error('اسم المستخدم أو الرمز السري غير صحيح');
+    }
+    
+    const loggedIn = { ...user, failedAttempts: 0, lockedUntil: null, lastLoginAt: new Date(now).toISOString() };
+    await this.put('users', loggedIn);
+    
+    const settings = await this.getSettings();
+    const session = this.startSession(loggedIn, (settings.sessionTimeoutMin || 15) * 60 * 1000);
+    await this.logAudit(user.username, 'LOGIN', 'user', null, null);
+    
+    return session;
+};
+
+// Sessions live in sessionStorage, so they end with the tab and each tab signs in on its own
+window.db.startSession = function(user, timeoutMs) {
+    const session = {
+        userId: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role,
+        sessionVersion: user.sessionVersion || 0,
+        timeoutMs,
+        startedAt: new Date().toISOString(),
+        expiresAt: Date.now() + timeoutMs
+    };
+    sessionStorage.setItem(this.SESSION_STORAGE_KEY, JSON.stringify(session));
+    return session;
+};
+
+window.db.readSession = function() {
+    if (typeof sessionStorage === 'undefined') return null;
+    
+    try {
+        return JSON.parse(sessionStorage.getItem(this.SESSION_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+};
+
+// The signed-in user, or null when nobody is signed in or the session timed out
+window.db.getCurrentUser = function() {
+    const session = this.readSession();
+    if (!session || session.expiresAt <= Date.now()) return null;
+    
+    return {
+        id: session.userId,
+        username: session.username,
+        displayName: session.displayName,
+        role: session.role,
+        expiresAt: session.expiresAt
+    };
+};
+
+/**
+ * The signed-in user after checking the account is still active with the same
+ * role and session version. A stale session is ended and null returned.
+ */
+window.db.verifySession = async function() {
+    const current = this.getCurrentUser();
+    if (!current) return null;
+    
+    const session = this.readSession();
+    const user = await this.get('users', current.id);
+    if (user && user.active && user.role === session.role &&
+        (user.sessionVersion || 0) === (session.sessionVersion || 0)) {
+        return current;
+    }
+    
+    sessionStorage.removeItem(this.SESSION_STORAGE_KEY);
+    await this.logAudit(session.username, 'SESSION_REVOKED', 'user', null, null);
+    return null;
+};
+
+// Push the inactivity deadline forward
+window.db.touchSession = function() {
+    if (!this.getCurrentUser()) return false;
+    
+    const session = this.readSession();
+    session.expiresAt = Date.now() + session.timeoutMs;
+    sessionStorage.setItem(this.SESSION_STORAGE_KEY, JSON.stringify(session));
+    return true;
+};
+
+// reason is recorded in the audit log, e.g. SESSION_TIMEOUT for an expired session
+window.db.logout = async function(reason = 'LOGOUT') {
+    const session = this.readSession();
+    if (!session) return;
+    
+    sessionStorage.removeItem(this.SESSION_STORAGE_KEY);
+    await this.logAudit(session.username, reason, 'user', null, null);
+};
+
+// ============ AUDIT LOG ============
+
+// Changes the log viewer can undo, by entity
+window.db.REVERTIBLE_AUDIT_ACTIONS = {
+    students: ['CREATE_STUDENT', 'UPDATE_STUDENT', 'DELETE_STUDENT'],
+    settings: ['UPDATE_SETTINGS'],
+    attendance: ['CREATE_ATTENDANCE', 'UPDATE_ATTENDANCE', 'MARK_ABSENT', 'CORRECT_ATTENDANCE', 'DELETE_ATTENDANCE']
+};
+window.db.AUDIT_REVERT_REASON = 'تراجع من سجل التدقيق';
+// Sync bookkeeping, neither shown in diffs nor ever reverted
+window.db.AUDIT_IGNORED_FIELDS = ['syncVersion', 'syncDeviceId'];
+
+/**
+ * Pick the narrowest index for the filters. The compound [field, ts] indexes keep
+ * each user/action/entity in time order, so a date range is part of the key range.
+ */
+window.db.getAuditQueryPlan = function(filters) {
+    const lower = filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '';
+    let upper = '\uffff';
+    if (filters.to) {
+        const end = new Date(`${filters.to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        upper = end.toISOString();
+    }
+    
+    for (const [field, indexName] of [['user', 'userTs'], ['action', 'actionTs'], ['entity', 'entityTs']]) {
+        if (filters[field]) {
+            return {
+                indexName,
+                range: IDBKeyRange.bound([filters[field], lower], [filters[field], upper], false, true)
+            };
+        }
+    }
+    
+    return { indexName: 'ts', range: IDBKeyRange.bound(lower, upper, false, true) };
+};
+
+window.db.matchesAuditFilters = function(record, filters) {
+    return (!filters.user || record.user === filters.user) &&
+        (!filters.action || record.action === filters.action) &&
+        (!filters.entity || record.entity === filters.entity);
+};
+
+window.db.parseAuditEntry = function(record) {
+    const parse = (json) => {
+        try {
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            return null;
+        }
+    };
+    return { ...record, before: parse(record.before), after: parse(record.after) };
+};
+
+/**
+ * Newest entries first. Filters: user, action, entity, from/to (YYYY-MM-DD, local days).
+ */
+window.db.queryAuditLog = async function(filters = {}, page = 1, pageSize = 50) {
+    await this.requirePermission('audit.view');
+    await this.ensureInit();
+    
+    const { indexName, range } = this.getAuditQueryPlan(filters);
+    const offset = (page - 1) * pageSize;
+    const entries = [];
+    let matched = 0;
+    
+    await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['audit'], 'readonly');
+        const request = transaction.objectStore('audit').index(indexName).openCursor(range, 'prev');
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            
+            if (this.matchesAuditFilters(cursor.value, filters)) {
+                if (matched >= offset) {
+                    entries.push(this.parseAuditEntry(cursor.value));
+                }
+                matched++;
+                
+                // One entry past the page tells whether there is a next page
+                if (entries.length > pageSize) {
+                    resolve();
+                    return;
+                }
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    
+    return {
+        entries: entries.slice(0, pageSize),
+        page,
+        pageSize,
+        hasMore: entries.length > pageSize
+    };
+};
+
+// Values for the viewer's filter lists, read from the index keys only
+window.db.getAuditFilterOptions = async function() {
+    await this.requirePermission('audit.view');
+    await this.ensureInit();
+    
+    const distinctKeys = (indexName) => new Promise((resolve, reject) => {
+        const keys = [];
+        const transaction = this.db.transaction(['audit'], 'readonly');
+        const request = transaction.objectStore('audit').index(indexName).openKeyCursor(null, 'nextunique');
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(keys);
+                return;
+            }
+            keys.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    
+    const [users, actions, entities] = await Promise.all([
+        distinctKeys('user'),
+        distinctKeys('action'),
+        distinctKeys('entity')
+    ]);
+    return { users, actions, entities };
+};
+
+/**
+ * Field-level differences between an entry's before and after snapshots.
+ * Nested objects are compared field by field ("qrCode.generated"), arrays as a whole.
+ */
+window.db.diffAuditEntry = function(entry) {
+    const flatten = (value, prefix = '', out = {}) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([key, child]) => {
+                flatten(child, prefix ? `${prefix}.${key}` : key, out);
+            });
+        } else if (prefix) {
+            out[prefix] = value;
+        }
+        return out;
+    };
+    
+    const before = flatten(entry.before);
+    const after = flatten(entry.after);
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    
+    return fields
+        .filter(field => !this.AUDIT_IGNORED_FIELDS.includes(field.split('.')[0]))
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({
+            field,
+            before: before[field],
+            after: after[field],
+            change: !(field in before) ? 'added' : !(field in after) ? 'removed' : 'changed'
+        }));
+};
+
+window.db.exportAuditLog = async function(filters = {}) {
+    const rows = [];
+    let page = 1;
+    let result;
+    
+    do {
+        result = await this.queryAuditLog(filters, page++, 500);
+        result.entries.forEach(entry => {
+            rows.push({
+                ts: entry.ts,
+                user: entry.user,
+                role: entry.role || '',
+                action: entry.action,
+                entity: entry.entity,
+                changes: this.diffAuditEntry(entry)
+                    .map(diff => `${diff.field}: ${this.formatAuditValue(diff.before)} → ${this.formatAuditValue(diff.after)}`)
+                    .join('; ')
+            });
+        });
+    } while (result.hasMore);
+    
+    return this.convertToCSV(rows, `audit_${new Date().toISOString().split('T')[0]}`, 'audit');
+};
+
+window.db.formatAuditValue = function(value) {
+    if (value === undefined || value === null) return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+window.db.isRevertibleAuditEntry = function(entry) {
+    return (this.REVERTIBLE_AUDIT_ACTIONS[entry.entity] || []).includes(entry.action);
+};
+
+// Top-level fields an entry changed
+window.db.getChangedAuditFields = function(before, after) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys]
+        .filter(key => !this.AUDIT_IGNORED_FIELDS.includes(key))
+        .filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]));
+};
+
+// Whether the record moved on since the entry, so undoing it would also discard later edits
+window.db.changedSinceAudit = function(current, after, fields) {
+    return fields.some(field => JSON.stringify(current[field]) !== JSON.stringify(after[field]));
+};
+
+/**
+ * Undo a logged change through the regular mutation methods, so the revert is
+ * permission-checked, audited and synced like any other edit. Pass force to
+ * revert even though the record was edited again afterwards.
+ */
+window.db.revertAuditEntry = async function(id, options = {}) {
+    const record = await this.get('audit', id);
+    if (!record) {
+        return { success: false, message: 'سجل التدقيق غير موجود' };
+    }
+    
+    const entry = this.parseAuditEntry(record);
+    if (!this.isRevertibleAuditEntry(entry)) {
+        return { success: false, message: 'لا يمكن التراجع عن هذا النوع من التغييرات' };
+    }
+    
+    let result;
+    if (entry.entity === 'students') {
+        result = await this.revertStudentChange(entry, options.force);
+    } else if (entry.entity === 'settings') {
+        result = await this.revertSettingsChange(entry, options.force);
+    } else {
+        result = await this.revertAttendanceChange(entry, options.force);
+    }
+    
+    if (result.success) {
+        await this.logAudit('admin', 'REVERT_CHANGE', entry.entity, { auditId: entry.id, action: entry.action }, null);
+    }
+    return result;
+};
+
+window.db.revertStudentChange = async function(entry, force) {
+    const { before, after } = entry;
+    const conflict = { success: false, conflict: true, message: 'تم تعديل بيانات الطالب بعد هذا التغيير' };
+    
+    if (entry.action === 'DELETE_STUDENT') {
+        if (await this.getStudent(before.id)) {
+            return { success: false, message: 'رقم الطالب موجود مسبقاً' };
+        }
+        await this.addStudent(before);
+        return { success: true };
+    }
+    
+    const current = await this.getStudent(after.id);
+    if (!current) {
+        return { success: false, message: 'الطالب غير موجود' };
+    }
+    
+    if (entry.action === 'CREATE_STUDENT') {
+        const fields = Object.keys(after).filter(field => !this.AUDIT_IGNORED_FIELDS.includes(field));
+        if (!force && this.changedSinceAudit(current, after, fields)) return conflict;
+        await this.deleteStudent(after.id);
+        return { success: true };
+    }
+    
+    const fields = this.getChangedAuditFields(before, after);
+    if (!force && this.changedSinceAudit(current, after, fields)) return conflict;
+    
+    await this.updateStudent(after.id, Object.fromEntries(fields.map(field => [field, before[field]])));
+    return { success: true };
+};
+
+window.db.revertSettingsChange = async function(entry, force) {
+    const { before, after } = entry;
+    const fields = this.getChangedAuditFields(before, after).filter(field => field !== 'id');
+    const current = await this.getSettings();
+    
+    if (!force && this.changedSinceAudit(current, after, fields)) {
+        return { success: false, conflict: true, message: 'تم تعديل الإعدادات بعد هذا التغيير' };
+    }
+    
+    await this.updateSettings(Object.fromEntries(fields.map(field => [field, before[field]])));
+    return { success: true };
+};
+
+// Attendance ids can change when sync merges records, so the record is found by student and day
+window.db.revertAttendanceChange = async function(entry, force) {
+    const { before, after } = entry;
+    const current = await this.findBySyncKey('attendance', this.getSyncKey('attendance', before || after));
+    const conflict = { success: false, conflict: true, message: 'تم تعديل سجل الحضور بعد هذا التغيير' };
+    
+    if (entry.action === 'DELETE_ATTENDANCE') {
+        if (current) {
+            return { success: false, message: 'يوجد سجل حضور لهذا الطالب في هذا اليوم' };
+        }
+        await this.requirePermission('attendance.correct');
+        
+        const { id, ...record } = before;
+        await this.put('attendance', { ...record, updatedAt: new Date().toISOString() });
+        this.dispatch('hader:attendance:updated', { action: 'restore', studentId: record.studentId });
+        return { success: true };
+    }
+    
+    if (!current) {
+        return { success: false, message: 'سجل الحضور غير موجود' };
+    }
+    if (!force && this.changedSinceAudit(current, after, ['status', 'lateMinutes'])) return conflict;
+    
+    if (entry.action === 'CREATE_ATTENDANCE' || entry.action === 'MARK_ABSENT') {
+        return await this.deleteAttendanceRecord(current.id, this.AUDIT_REVERT_REASON);
+    }
+    
+    return await this.correctAttendance(current.id, before.status, before.lateMinutes, this.AUDIT_REVERT_REASON);
+};
+
+// ============ AUDIT CHAIN ============
+
+window.db.AUDIT_VERIFY_BATCH_SIZE = 500;
+
+window.db.getAuditChainHead = async function() {
+    const head = await this.getAuditHead();
+    return head && head.hash ? { id: head.id, seq: head.seq, hash: head.hash, ts: head.ts } : null;
+};
+
+/**
+ * Walk the audit store in insertion order and recompute every link. Records
+ * written before chaining existed are accepted only ahead of the first chained
+ * one. With expectedHead (from a backup) a log cut back past that point, or
+ * rewritten up to it, is reported too.
+ *
+ * Returns { ok, checked, legacy, head, broken } where broken describes the
+ * first bad link: { id, seq, reason, message }.
+ */
+window.db.verifyAuditChain = async function(options = {}) {
+    await this.requirePermission('audit.view');
+    await this.ensureInit();
+    
+    const report = { ok: true, checked: 0, legacy: 0, head: null, broken: null };
+    const fail = (record, reason, message) => {
+        report.ok = false;
+        report.broken = { id: record ? record.id : null, seq: record ? record.seq : null, reason, message };
+        return report;
+    };
+    
+    let previous = null;
+    let lastKey = null;
+    let expectedSeen = false;
+    const expected = options.expectedHead || null;
+    
+    while (true) {
+        const batch = await this.getAuditBatch(lastKey, this.AUDIT_VERIFY_BATCH_SIZE);
+        if (batch.length === 0) break;
+        
+        for (const record of batch) {
+            lastKey = record.id;
+            
+            if (!record.hash) {
+                if (previous) {
+                    return fail(record, 'missing-hash', `السجل ${record.id} بدون بصمة بعد بداية السلسلة`);
+                }
+                report.legacy++;
+                continue;
+            }
+            
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            const expectedPrev = previous ? previous.hash : HaderDB.AUDIT_GENESIS_HASH;
+            
+            if (record.seq !== expectedSeq) {
+                return fail(record, 'sequence-gap', `السجل ${record.id}: الرقم التسلسلي ${record.seq} بدلاً من ${expectedSeq}، توجد سجلات محذوفة قبله`);
+            }
+            if (record.prevHash !== expectedPrev) {
+                return fail(record, 'link-mismatch', `السجل ${record.id} لا يرتبط بالسجل السابق له`);
+            }
+            if (await this.hashAuditRecord(record) !== record.hash) {
+                return fail(record, 'hash-mismatch', `تم تعديل محتوى السجل ${record.id}`);
+            }
+            
+            if (expected && record.seq === expected.seq) {
+                if (record.hash !== expected.hash) {
+                    return fail(record, 'head-mismatch', `السجل ${record.id} لا يطابق رأس السلسلة في النسخة الاحتياطية`);
+                }
+                expectedSeen = true;
+            }
+            
+            previous = record;
+            report.checked++;
+        }
+    }
+    
+    report.head = previous ? { id: previous.id, seq: previous.seq, hash: previous.hash, ts: previous.ts } : null;
+    
+    if (expected && !expectedSeen) {
+        return fail(previous, 'truncated', `السجل أقصر من النسخة الاحتياطية: آخر رقم تسلسلي ${previous ? previous.seq : 0} بدلاً من ${expected.seq} على الأقل`);
+    }
+    
+    return report;
+};
+
+// Hashing is async and would let a cursor's transaction close, so records are read in batches
+window.db.getAuditBatch = function(afterKey, count) {
+    const transaction = this.db.transaction(['audit'], 'readonly');
+    const range = afterKey === null ? null : IDBKeyRange.lowerBound(afterKey, true);
+    
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore('audit').getAll(range, count);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 };
 
 // Utility validation functions
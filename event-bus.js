@@ -0,0 +1,99 @@
+/**
+ * Hader Event Bus
+ * Relays change events between all open Hader pages on this device
+ *
+ * The kiosk, scanner and dashboards run in separate tabs, and window events
+ * never leave the tab that dispatched them. The bus listens for the relayed
+ * event types and forwards them over a BroadcastChannel. The other tabs
+ * re-dispatch them on their own window with `remote: true` in the detail.
+ */
+
+class EventBus {
+    constructor(channelName = 'hader-events') {
+        this.channelName = channelName;
+        this.channel = null;
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+        this.relayedEvents = new WeakSet();
+        this.isRunning = false;
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel not supported, live updates limited to this tab');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.receive(event.data);
+
+        this.onLocalEvent = (event) => this.relay(event);
+        EventBus.RELAYED_EVENTS.forEach(type => {
+            window.addEventListener(type, this.onLocalEvent);
+        });
+
+        this.isRunning = true;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        EventBus.RELAYED_EVENTS.forEach(type => {
+            window.removeEventListener(type, this.onLocalEvent);
+        });
+        this.channel.close();
+        this.channel = null;
+        this.isRunning = false;
+    }
+
+    relay(event) {
+        // Events that arrived from another tab are not sent back
+        if (this.relayedEvents.has(event)) return;
+
+        const message = { type: event.type, detail: event.detail, source: this.tabId };
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            // Details holding functions or DOM nodes cannot be cloned, send their plain data instead
+            this.channel.postMessage({ ...message, detail: this.toPlainData(event.detail) });
+        }
+    }
+
+    toPlainData(detail) {
+        try {
+            return JSON.parse(JSON.stringify(detail));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    receive(message) {
+        if (!message || message.source === this.tabId || !EventBus.RELAYED_EVENTS.includes(message.type)) {
+            return;
+        }
+
+        const event = new CustomEvent(message.type, {
+            detail: { ...(message.detail || {}), remote: true }
+        });
+        this.relayedEvents.add(event);
+        window.dispatchEvent(event);
+    }
+}
+
+EventBus.RELAYED_EVENTS = [
+    'hader:attendance:updated',
+    'hader:settings:updated',
+    'hader:messages:updated'
+];
+
+// Start right away so events dispatched during page setup are relayed too
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    window.eventBus = new EventBus();
+    window.eventBus.start();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
@@ -0,0 +1,745 @@
+/**
+ * Hader PDF Font
+ * TrueType parsing, Arabic shaping, bidi reordering and subsetting for PDF export
+ *
+ * layout() turns a logical-order string into glyphs in visual order: Arabic
+ * letters take their joined forms (presentation forms from the cmap when the
+ * font maps them, otherwise the font's own init/medi/fina/rlig GSUB lookups),
+ * then runs are reordered right to left with numbers and Latin kept left to
+ * right. subset() writes a font holding only the glyphs that were drawn,
+ * keeping their glyph ids so the PDF can use an identity CID mapping.
+ */
+
+class PdfFont {
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.tables = this.readTableDirectory();
+        this.usedGlyphs = new Map();
+        this.layoutCache = new Map();
+        this.glyphCache = new Map();
+        this.lookupCache = new Map();
+        this.direction = 'rtl'; // paragraph direction of every string, 'ltr' for left-to-right documents
+
+        this.readHead();
+        this.readMetrics();
+        this.readCmap();
+        this.readGsub();
+        this.postScriptName = this.readPostScriptName();
+    }
+
+    u8(offset) { return this.view.getUint8(offset); }
+    u16(offset) { return this.view.getUint16(offset); }
+    i16(offset) { return this.view.getInt16(offset); }
+    u32(offset) { return this.view.getUint32(offset); }
+
+    readTableDirectory() {
+        if (this.bytes.length < 12) {
+            throw new Error('ملف الخط غير صالح');
+        }
+
+        const version = this.u32(0);
+        if (version !== 0x00010000 && version !== 0x74727565) {
+            // 'OTTO' is CFF outlines, 'ttcf' a collection; neither can be embedded as FontFile2
+            throw new Error('خط التقارير يجب أن يكون بصيغة TrueType (ttf)');
+        }
+
+        const tables = {};
+        const count = this.u16(4);
+        for (let i = 0; i < count; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(this.u8(record), this.u8(record + 1), this.u8(record + 2), this.u8(record + 3));
+            tables[tag] = { offset: this.u32(record + 8), length: this.u32(record + 12) };
+        }
+
+        for (const tag of PdfFont.REQUIRED_TABLES) {
+            if (!tables[tag]) {
+                throw new Error(`ملف الخط ناقص (الجدول ${tag} غير موجود)`);
+            }
+        }
+        return tables;
+    }
+
+    readHead() {
+        const head = this.tables.head.offset;
+        this.unitsPerEm = this.u16(head + 18);
+        this.bbox = [this.i16(head + 36), this.i16(head + 38), this.i16(head + 40), this.i16(head + 42)];
+        this.indexToLocFormat = this.i16(head + 50);
+    }
+
+    readMetrics() {
+        const hhea = this.tables.hhea.offset;
+        this.ascent = this.i16(hhea + 4);
+        this.descent = this.i16(hhea + 6);
+        this.numberOfHMetrics = this.u16(hhea + 34);
+        this.numGlyphs = this.u16(this.tables.maxp.offset + 4);
+
+        const os2 = this.tables['OS/2'];
+        this.capHeight = os2 && os2.length >= 90 && this.u16(os2.offset) >= 2
+            ? this.i16(os2.offset + 88)
+            : this.ascent;
+    }
+
+    /**
+     * Pick the Unicode subtable: full repertoire (format 12) first, then BMP (format 4)
+     */
+    readCmap() {
+        const cmap = this.tables.cmap.offset;
+        const count = this.u16(cmap + 2);
+        const candidates = [];
+
+        for (let i = 0; i < count; i++) {
+            const record = cmap + 4 + i * 8;
+            const platform = this.u16(record);
+            const encoding = this.u16(record + 2);
+            const offset = cmap + this.u32(record + 4);
+            const format = this.u16(offset);
+            const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+            if (unicode && (format === 4 || format === 12)) {
+                candidates.push({ offset, format });
+            }
+        }
+
+        const subtable = candidates.find(c => c.format === 12) || candidates.find(c => c.format === 4);
+        if (!subtable) {
+            throw new Error('لا يحتوي الخط على جدول محارف يونيكود');
+        }
+
+        const { offset, format } = subtable;
+        this.cmapSegments = [];
+
+        if (format === 4) {
+            const segCount = this.u16(offset + 6) / 2;
+            const endCodes = offset + 14;
+            const startCodes = endCodes + segCount * 2 + 2;
+            const idDeltas = startCodes + segCount * 2;
+            const idRangeOffsets = idDeltas + segCount * 2;
+
+            for (let i = 0; i < segCount; i++) {
+                const rangeOffsetPos = idRangeOffsets + i * 2;
+                this.cmapSegments.push({
+                    start: this.u16(startCodes + i * 2),
+                    end: this.u16(endCodes + i * 2),
+                    delta: this.i16(idDeltas + i * 2),
+                    rangeOffset: this.u16(rangeOffsetPos),
+                    rangeOffsetPos
+                });
+            }
+        } else {
+            const groups = this.u32(offset + 12);
+            for (let i = 0; i < groups; i++) {
+                const group = offset + 16 + i * 12;
+                this.cmapSegments.push({
+                    start: this.u32(group),
+                    end: this.u32(group + 4),
+                    startGlyph: this.u32(group + 8)
+                });
+            }
+        }
+    }
+
+    getGlyphId(codePoint) {
+        if (this.glyphCache.has(codePoint)) return this.glyphCache.get(codePoint);
+
+        let gid = 0;
+        const segment = this.cmapSegments.find(s => codePoint >= s.start && codePoint <= s.end);
+        if (segment) {
+            if (segment.startGlyph !== undefined) {
+                gid = segment.startGlyph + codePoint - segment.start;
+            } else if (segment.rangeOffset === 0) {
+                gid = (codePoint + segment.delta) & 0xFFFF;
+            } else {
+                const address = segment.rangeOffsetPos + segment.rangeOffset + (codePoint - segment.start) * 2;
+                gid = this.u16(address);
+                if (gid !== 0) gid = (gid + segment.delta) & 0xFFFF;
+            }
+        }
+
+        this.glyphCache.set(codePoint, gid);
+        return gid;
+    }
+
+    getAdvance(gid) {
+        const hmtx = this.tables.hmtx.offset;
+        const index = Math.min(gid, this.numberOfHMetrics - 1);
+        return this.u16(hmtx + index * 4);
+    }
+
+    readPostScriptName() {
+        const table = this.tables.name;
+        if (!table) return 'HaderReportFont';
+
+        const count = this.u16(table.offset + 2);
+        const strings = table.offset + this.u16(table.offset + 4);
+        for (let i = 0; i < count; i++) {
+            const record = table.offset + 6 + i * 12;
+            if (this.u16(record + 6) !== 6) continue;
+
+            const platform = this.u16(record);
+            const length = this.u16(record + 8);
+            const start = strings + this.u16(record + 10);
+            let name = '';
+            if (platform === 3 || platform === 0) {
+                for (let j = 0; j + 1 < length; j += 2) name += String.fromCharCode(this.u16(start + j));
+            } else {
+                for (let j = 0; j < length; j++) name += String.fromCharCode(this.u8(start + j));
+            }
+
+            name = name.replace(/[^A-Za-z0-9-]/g, '');
+            if (name) return name;
+        }
+        return 'HaderReportFont';
+    }
+
+    // ============ GSUB ============
+
+    /**
+     * Map each feature of the Arabic script (or the default script) to its lookups
+     */
+    readGsub() {
+        this.gsubFeatures = new Map();
+        const table = this.tables.GSUB;
+        if (!table) return;
+
+        const gsub = table.offset;
+        const scriptList = gsub + this.u16(gsub + 4);
+        const featureList = gsub + this.u16(gsub + 6);
+        this.lookupList = gsub + this.u16(gsub + 8);
+
+        let script = null;
+        const scriptCount = this.u16(scriptList);
+        for (const wanted of ['arab', 'DFLT']) {
+            for (let i = 0; i < scriptCount && !script; i++) {
+                const record = scriptList + 2 + i * 6;
+                if (this.readTag(record) === wanted) {
+                    script = scriptList + this.u16(record + 4);
+                }
+            }
+        }
+        if (!script || this.u16(script) === 0) return;
+
+        const langSys = script + this.u16(script);
+        const featureCount = this.u16(langSys + 4);
+        for (let i = 0; i < featureCount; i++) {
+            const featureIndex = this.u16(langSys + 6 + i * 2);
+            const record = featureList + 2 + featureIndex * 6;
+            const tag = this.readTag(record);
+            const feature = featureList + this.u16(record + 4);
+
+            const lookups = this.gsubFeatures.get(tag) || [];
+            const lookupCount = this.u16(feature + 2);
+            for (let j = 0; j < lookupCount; j++) {
+                lookups.push(this.u16(feature + 4 + j * 2));
+            }
+            this.gsubFeatures.set(tag, lookups.sort((a, b) => a - b));
+        }
+    }
+
+    readTag(offset) {
+        return String.fromCharCode(this.u8(offset), this.u8(offset + 1), this.u8(offset + 2), this.u8(offset + 3));
+    }
+
+    /**
+     * Subtables of a lookup, with extension subtables (type 7) resolved
+     */
+    getLookupSubtables(index) {
+        if (this.lookupCache.has(index)) return this.lookupCache.get(index);
+
+        const lookup = this.lookupList + this.u16(this.lookupList + 2 + index * 2);
+        const type = this.u16(lookup);
+        const count = this.u16(lookup + 4);
+        const subtables = [];
+
+        for (let i = 0; i < count; i++) {
+            let offset = lookup + this.u16(lookup + 6 + i * 2);
+            let subtableType = type;
+            if (type === 7) {
+                subtableType = this.u16(offset + 2);
+                offset += this.u32(offset + 4);
+            }
+            subtables.push({ type: subtableType, offset });
+        }
+
+        this.lookupCache.set(index, subtables);
+        return subtables;
+    }
+
+    getCoverageIndex(coverage, gid) {
+        const format = this.u16(coverage);
+        const count = this.u16(coverage + 2);
+
+        if (format === 1) {
+            for (let i = 0; i < count; i++) {
+                if (this.u16(coverage + 4 + i * 2) === gid) return i;
+            }
+        } else if (format === 2) {
+            for (let i = 0; i < count; i++) {
+                const range = coverage + 4 + i * 6;
+                const start = this.u16(range);
+                if (gid >= start && gid <= this.u16(range + 2)) {
+                    return this.u16(range + 4) + gid - start;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Apply the single substitutions (type 1) of a feature to one glyph
+     */
+    substitute(gid, feature) {
+        for (const lookup of this.gsubFeatures.get(feature) || []) {
+            for (const { type, offset } of this.getLookupSubtables(lookup)) {
+                if (type !== 1) continue;
+
+                const index = this.getCoverageIndex(offset + this.u16(offset + 2), gid);
+                if (index < 0) continue;
+
+                if (this.u16(offset) === 1) {
+                    return (gid + this.i16(offset + 4)) & 0xFFFF;
+                }
+                return this.u16(offset + 6 + index * 2);
+            }
+        }
+        return gid;
+    }
+
+    /**
+     * Apply the ligature substitutions (type 4) of a feature at the start of a glyph sequence
+     * @returns {{gid: number, length: number}|null}
+     */
+    ligate(glyphs, feature) {
+        for (const lookup of this.gsubFeatures.get(feature) || []) {
+            for (const { type, offset } of this.getLookupSubtables(lookup)) {
+                if (type !== 4) continue;
+
+                const index = this.getCoverageIndex(offset + this.u16(offset + 2), glyphs[0]);
+                if (index < 0) continue;
+
+                const ligatureSet = offset + this.u16(offset + 6 + index * 2);
+                const ligatureCount = this.u16(ligatureSet);
+                for (let i = 0; i < ligatureCount; i++) {
+                    const ligature = ligatureSet + this.u16(ligatureSet + 2 + i * 2);
+                    const componentCount = this.u16(ligature + 2);
+                    if (componentCount > glyphs.length) continue;
+
+                    let matches = true;
+                    for (let c = 1; c < componentCount && matches; c++) {
+                        matches = this.u16(ligature + 4 + (c - 1) * 2) === glyphs[c];
+                    }
+                    if (matches) {
+                        return { gid: this.u16(ligature), length: componentCount };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // ============ TEXT LAYOUT ============
+
+    /**
+     * Shape and reorder a string
+     * @returns {{glyphs: Array<{gid: number, text: string, advance: number}>, width: number}} width in font units
+     */
+    layout(text) {
+        const key = String(text ?? '');
+        if (this.layoutCache.has(key)) return this.layoutCache.get(key);
+
+        const codePoints = Array.from(key.replace(/[\r\n\t]+/g, ' ')).map(ch => ch.codePointAt(0));
+        const levels = this.resolveLevels(codePoints);
+        const glyphs = this.reorder(this.shape(codePoints, levels));
+        const result = {
+            glyphs,
+            width: glyphs.reduce((sum, glyph) => sum + glyph.advance, 0)
+        };
+
+        this.layoutCache.set(key, result);
+        return result;
+    }
+
+    /**
+     * Width of a string in points at a font size
+     */
+    measure(text, size) {
+        return this.layout(text).width * size / this.unitsPerEm;
+    }
+
+    markUsed(glyphs) {
+        for (const glyph of glyphs) {
+            if (!this.usedGlyphs.has(glyph.gid)) {
+                this.usedGlyphs.set(glyph.gid, glyph.text);
+            }
+        }
+    }
+
+    /**
+     * Embedding levels of a single paragraph, a reduced form of the Unicode bidi
+     * algorithm: no explicit embeddings, numbers kept left to right
+     */
+    resolveLevels(codePoints) {
+        const types = codePoints.map(cp => PdfFont.getBidiType(cp));
+
+        // Separators between digits (07:20, 2026/10/19, 1.5) and percent signs belong to the number
+        types.forEach((type, i) => {
+            const cp = codePoints[i];
+            if (type !== 'N') return;
+            if (PdfFont.NUMBER_SEPARATORS.includes(cp) && types[i - 1] === 'EN' && types[i + 1] === 'EN') {
+                types[i] = 'EN';
+            } else if (PdfFont.NUMBER_TERMINATORS.includes(cp) && (types[i - 1] === 'EN' || types[i + 1] === 'EN')) {
+                types[i] = 'EN';
+            }
+        });
+
+        const paragraph = this.direction === 'ltr' ? 'L' : 'R';
+
+        // Neutrals take the direction of their surroundings when both sides agree
+        const strongAt = (i) => (types[i] === 'EN' ? 'R' : types[i]);
+        for (let i = 0; i < types.length; i++) {
+            if (types[i] !== 'N') continue;
+
+            let end = i;
+            while (end < types.length && types[end] === 'N') end++;
+            const before = i > 0 ? strongAt(i - 1) : paragraph;
+            const after = end < types.length ? strongAt(end) : paragraph;
+            const resolved = before === after ? before : paragraph;
+            for (let j = i; j < end; j++) types[j] = resolved;
+            i = end - 1;
+        }
+
+        let lastStrong = paragraph;
+        return types.map(type => {
+            if (type === 'L' || type === 'R') lastStrong = type;
+            if (paragraph === 'R') return type === 'R' ? 1 : 2;
+            if (type === 'R') return 1;
+            return type === 'EN' && lastStrong === 'R' ? 2 : 0;
+        });
+    }
+
+    /**
+     * Glyphs in logical order, each with the bidi level of its first character
+     */
+    shape(codePoints, levels) {
+        const joiningTypes = codePoints.map(cp => PdfFont.getJoiningType(cp));
+        const glyphs = [];
+
+        const neighbour = (i, step) => {
+            for (let j = i + step; j >= 0 && j < codePoints.length; j += step) {
+                if (joiningTypes[j] !== 'T') return j;
+            }
+            return -1;
+        };
+        const joinsPrevious = (i) => {
+            const previous = neighbour(i, -1);
+            return previous >= 0 && 'DRC'.includes(joiningTypes[i]) && 'DC'.includes(joiningTypes[previous]);
+        };
+        const joinsNext = (i) => {
+            const next = neighbour(i, 1);
+            return next >= 0 && 'DC'.includes(joiningTypes[i]) && 'DRC'.includes(joiningTypes[next]);
+        };
+        const push = (gid, text, level) => {
+            glyphs.push({ gid, text, level, advance: this.getAdvance(gid) });
+        };
+
+        for (let i = 0; i < codePoints.length; i++) {
+            const cp = codePoints[i];
+            const level = levels[i];
+
+            if (cp === PdfFont.LAM && PdfFont.LAM_ALEF[codePoints[i + 1]]) {
+                const alef = codePoints[i + 1];
+                const text = String.fromCodePoint(cp, alef);
+                const final = joinsPrevious(i);
+                const ligature = this.getGlyphId(PdfFont.LAM_ALEF[alef] + (final ? 1 : 0));
+
+                if (ligature) {
+                    push(ligature, text, level);
+                } else {
+                    const lam = this.getFormGlyph(cp, final ? 'medi' : 'init');
+                    const alefFinal = this.getFormGlyph(alef, 'fina');
+                    const combined = this.ligate([lam, alefFinal], 'rlig') || this.ligate([lam, alefFinal], 'liga');
+                    if (combined) {
+                        push(combined.gid, text, level);
+                    } else {
+                        push(lam, String.fromCodePoint(cp), level);
+                        push(alefFinal, String.fromCodePoint(alef), level);
+                    }
+                }
+                i++;
+                continue;
+            }
+
+            const joiningType = joiningTypes[i];
+            const text = String.fromCodePoint(cp);
+            if (joiningType === 'D' || joiningType === 'R') {
+                const previous = joinsPrevious(i);
+                const next = joinsNext(i);
+                const form = previous && next ? 'medi' : previous ? 'fina' : next ? 'init' : 'isol';
+                push(this.getFormGlyph(cp, form), text, level);
+            } else {
+                const mirrored = level % 2 === 1 ? PdfFont.MIRRORED[cp] : undefined;
+                push(this.getGlyphId(mirrored ?? cp), text, level);
+            }
+        }
+
+        return glyphs;
+    }
+
+    /**
+     * Glyph of an Arabic letter in a joining form: the presentation form when the
+     * cmap maps one, otherwise the font's positional GSUB feature
+     */
+    getFormGlyph(codePoint, form) {
+        const forms = PdfFont.getPresentationForms()[codePoint];
+        const presentation = forms?.[PdfFont.FORM_INDEX[form]];
+        if (presentation) {
+            const gid = this.getGlyphId(presentation);
+            if (gid) return gid;
+        }
+        return this.substitute(this.getGlyphId(codePoint), form);
+    }
+
+    /**
+     * Reverse runs from the highest level down to level 1
+     */
+    reorder(glyphs) {
+        const result = glyphs.slice();
+        const maxLevel = Math.max(0, ...result.map(glyph => glyph.level));
+
+        for (let level = maxLevel; level >= 1; level--) {
+            for (let i = 0; i < result.length; i++) {
+                if (result[i].level < level) continue;
+                let end = i;
+                while (end < result.length && result[end].level >= level) end++;
+                const run = result.slice(i, end).reverse();
+                result.splice(i, run.length, ...run);
+                i = end;
+            }
+        }
+        return result;
+    }
+
+    // ============ SUBSETTING ============
+
+    getGlyphRange(gid) {
+        const loca = this.tables.loca.offset;
+        if (this.indexToLocFormat === 0) {
+            return [this.u16(loca + gid * 2) * 2, this.u16(loca + gid * 2 + 2) * 2];
+        }
+        return [this.u32(loca + gid * 4), this.u32(loca + gid * 4 + 4)];
+    }
+
+    /**
+     * Glyph ids referenced by a composite glyph
+     */
+    getComponents(gid) {
+        const [start, end] = this.getGlyphRange(gid);
+        if (end <= start) return [];
+
+        const glyph = this.tables.glyf.offset + start;
+        if (this.i16(glyph) >= 0) return [];
+
+        const components = [];
+        let offset = glyph + 10;
+        let flags;
+        do {
+            flags = this.u16(offset);
+            components.push(this.u16(offset + 2));
+            offset += 4 + (flags & 0x0001 ? 4 : 2);
+            if (flags & 0x0008) offset += 2;
+            else if (flags & 0x0040) offset += 4;
+            else if (flags & 0x0080) offset += 8;
+        } while (flags & 0x0020);
+
+        return components;
+    }
+
+    /**
+     * A TrueType font with the outlines of the given glyphs (and notdef) only.
+     * Glyph ids are unchanged; the other glyphs are left empty.
+     */
+    subset(glyphIds = this.usedGlyphs.keys()) {
+        const keep = new Set([0, ...glyphIds]);
+        const queue = [...keep];
+        while (queue.length > 0) {
+            for (const component of this.getComponents(queue.pop())) {
+                if (!keep.has(component)) {
+                    keep.add(component);
+                    queue.push(component);
+                }
+            }
+        }
+
+        const parts = [];
+        const loca = new DataView(new ArrayBuffer((this.numGlyphs + 1) * 4));
+        let length = 0;
+        for (let gid = 0; gid < this.numGlyphs; gid++) {
+            loca.setUint32(gid * 4, length);
+            if (!keep.has(gid)) continue;
+
+            const [start, end] = this.getGlyphRange(gid);
+            if (end <= start) continue;
+
+            const data = this.bytes.subarray(this.tables.glyf.offset + start, this.tables.glyf.offset + end);
+            const padded = (data.length + 3) & ~3;
+            const copy = new Uint8Array(padded);
+            copy.set(data);
+            parts.push(copy);
+            length += padded;
+        }
+        loca.setUint32(this.numGlyphs * 4, length);
+
+        const glyf = new Uint8Array(length);
+        parts.reduce((offset, part) => {
+            glyf.set(part, offset);
+            return offset + part.length;
+        }, 0);
+
+        const head = this.copyTable('head');
+        const headView = new DataView(head.buffer);
+        headView.setUint32(8, 0);
+        headView.setInt16(50, 1);
+
+        const tables = { head, loca: new Uint8Array(loca.buffer), glyf };
+        for (const tag of ['hhea', 'maxp', 'hmtx', 'cvt ', 'fpgm', 'prep']) {
+            if (this.tables[tag]) tables[tag] = this.copyTable(tag);
+        }
+
+        return this.buildFont(tables);
+    }
+
+    copyTable(tag) {
+        const { offset, length } = this.tables[tag];
+        return this.bytes.slice(offset, offset + length);
+    }
+
+    buildFont(tables) {
+        const tags = Object.keys(tables).sort();
+        const count = tags.length;
+        const entrySelector = Math.floor(Math.log2(count));
+        const searchRange = Math.pow(2, entrySelector) * 16;
+
+        let size = 12 + count * 16;
+        const offsets = tags.map(tag => {
+            const offset = size;
+            size += (tables[tag].length + 3) & ~3;
+            return offset;
+        });
+
+        const output = new Uint8Array(size);
+        const view = new DataView(output.buffer);
+        view.setUint32(0, 0x00010000);
+        view.setUint16(4, count);
+        view.setUint16(6, searchRange);
+        view.setUint16(8, entrySelector);
+        view.setUint16(10, count * 16 - searchRange);
+
+        tags.forEach((tag, i) => {
+            const record = 12 + i * 16;
+            for (let c = 0; c < 4; c++) view.setUint8(record + c, tag.charCodeAt(c));
+            view.setUint32(record + 4, PdfFont.checksum(tables[tag]));
+            view.setUint32(record + 8, offsets[i]);
+            view.setUint32(record + 12, tables[tag].length);
+            output.set(tables[tag], offsets[i]);
+        });
+
+        const headOffset = offsets[tags.indexOf('head')];
+        view.setUint32(headOffset + 8, (0xB1B0AFBA - PdfFont.checksum(output)) >>> 0);
+        return output;
+    }
+
+    static checksum(bytes) {
+        const padded = new Uint8Array((bytes.length + 3) & ~3);
+        padded.set(bytes);
+        const view = new DataView(padded.buffer);
+        let sum = 0;
+        for (let i = 0; i < padded.length; i += 4) {
+            sum = (sum + view.getUint32(i)) >>> 0;
+        }
+        return sum;
+    }
+
+    // ============ CHARACTER TABLES ============
+
+    static getBidiType(cp) {
+        if ((cp >= 0x30 && cp <= 0x39) || (cp >= 0x0660 && cp <= 0x0669) || (cp >= 0x06F0 && cp <= 0x06F9)) {
+            return 'EN';
+        }
+        if ((cp >= 0x0590 && cp <= 0x08FF) || (cp >= 0xFB1D && cp <= 0xFDFF) || (cp >= 0xFE70 && cp <= 0xFEFF)) {
+            return PdfFont.NUMBER_SEPARATORS.includes(cp) || PdfFont.NUMBER_TERMINATORS.includes(cp) ? 'N' : 'R';
+        }
+        if ((cp >= 0x41 && cp <= 0x5A) || (cp >= 0x61 && cp <= 0x7A) || (cp >= 0xC0 && cp <= 0x024F && cp !== 0xD7 && cp !== 0xF7)) {
+            return 'L';
+        }
+        return 'N';
+    }
+
+    /**
+     * Arabic joining type: D dual, R right-joining, C join-causing, T transparent, U none
+     */
+    static getJoiningType(cp) {
+        if (cp === 0x0640 || cp === 0x200D) return 'C';
+        if ((cp >= 0x064B && cp <= 0x065F) || cp === 0x0670 || (cp >= 0x06D6 && cp <= 0x06ED && cp !== 0x06DD && cp !== 0x06DE && cp !== 0x06E5 && cp !== 0x06E6 && cp !== 0x06E9)) {
+            return 'T';
+        }
+        if (PdfFont.RIGHT_JOINING.has(cp)) return 'R';
+        if ((cp >= 0x0620 && cp <= 0x064A) || (cp >= 0x066E && cp <= 0x06D3) || cp === 0x06FA || cp === 0x06FB || cp === 0x06FC || cp === 0x06FF) {
+            return cp === 0x0621 || cp === 0x0674 ? 'U' : 'D';
+        }
+        return 'U';
+    }
+
+    /**
+     * Presentation Forms-B of the basic letters, [isolated, final, initial, medial]
+     */
+    static getPresentationForms() {
+        if (PdfFont.presentationForms) return PdfFont.presentationForms;
+
+        const forms = {};
+        let next = 0xFE80;
+        for (let cp = 0x0621; cp <= 0x064A; cp++) {
+            if (cp >= 0x063B && cp <= 0x0640) continue;
+
+            // Alef maksura joins on both sides but the block only encodes its isolated and final forms
+            const count = cp === 0x0621 ? 1 : PdfFont.RIGHT_JOINING.has(cp) || cp === 0x0649 ? 2 : 4;
+            forms[cp] = Array.from({ length: count }, (_, i) => next + i);
+            next += count;
+        }
+
+        PdfFont.presentationForms = forms;
+        return forms;
+    }
+}
+
+PdfFont.REQUIRED_TABLES = ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap'];
+
+PdfFont.FORM_INDEX = { isol: 0, fina: 1, init: 2, medi: 3 };
+
+PdfFont.RIGHT_JOINING = new Set([
+    0x0622, 0x0623, 0x0624, 0x0625, 0x0627, 0x0629, 0x062F, 0x0630, 0x0631, 0x0632, 0x0648,
+    0x0671, 0x0672, 0x0673, 0x0675, 0x0676, 0x0677,
+    0x0688, 0x0689, 0x068A, 0x068B, 0x068C, 0x068D, 0x068E, 0x068F, 0x0690, 0x0691, 0x0692, 0x0693,
+    0x0694, 0x0695, 0x0696, 0x0697, 0x0698, 0x0699, 0x06C0, 0x06C3, 0x06C4, 0x06C5, 0x06C6, 0x06C7,
+    0x06C8, 0x06C9, 0x06CA, 0x06CB, 0x06CD, 0x06CF, 0x06D2, 0x06D3, 0x06D5, 0x06EE, 0x06EF
+]);
+
+PdfFont.LAM = 0x0644;
+
+// Isolated lam-alef ligature for each alef; the final form follows it
+PdfFont.LAM_ALEF = { 0x0622: 0xFEF5, 0x0623: 0xFEF7, 0x0625: 0xFEF9, 0x0627: 0xFEFB };
+
+PdfFont.NUMBER_SEPARATORS = [0x2E, 0x2C, 0x3A, 0x2F, 0x2D, 0x066B, 0x066C];
+
+PdfFont.NUMBER_TERMINATORS = [0x25, 0x066A];
+
+PdfFont.MIRRORED = {
+    0x28: 0x29, 0x29: 0x28, 0x3C: 0x3E, 0x3E: 0x3C, 0x5B: 0x5D, 0x5D: 0x5B,
+    0x7B: 0x7D, 0x7D: 0x7B, 0xAB: 0xBB, 0xBB: 0xAB
+};
+
+if (typeof window !== 'undefined') {
+    window.PdfFont = PdfFont;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfFont;
+}
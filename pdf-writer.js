@@ -0,0 +1,454 @@
+/**
+ * Hader PDF Writer
+ * Builds PDF documents in the browser with an embedded subset of a PdfFont
+ *
+ * Coordinates are in points from the top left of the page. Text is drawn
+ * through a Type0/Identity-H font, so each glyph id from PdfFont.layout() is
+ * written as is; the ToUnicode map keeps the text searchable and copyable.
+ * Tables flow right to left and continue on new pages with their header row
+ * repeated. Page numbers are added once the page count is known, in save().
+ */
+
+class PdfWriter {
+    /**
+     * @param {Object} options
+     * @param {PdfFont} options.font
+     * @param {string} [options.title] - document title in the PDF metadata
+     * @param {boolean} [options.landscape]
+     * @param {Function} [options.onPageStart] - draws the page header, receives the writer
+     */
+    constructor(options = {}) {
+        if (!options.font) {
+            throw new Error('لم يتم تحميل خط التقرير');
+        }
+
+        this.font = options.font;
+        this.title = options.title || '';
+        this.margin = options.margin ?? 36;
+        this.fontSize = options.fontSize ?? 10;
+        this.lineGap = 1.35;
+        this.cellPadding = 4;
+        this.onPageStart = options.onPageStart || null;
+        this.pageNumberText = options.pageNumberText || ((page, total) => `صفحة ${page} من ${total}`);
+        this.pages = [];
+        this.page = null;
+        this.y = 0;
+        this.setLandscape(options.landscape === true);
+    }
+
+    setLandscape(landscape) {
+        const [width, height] = PdfWriter.A4;
+        this.width = landscape ? height : width;
+        this.height = landscape ? width : height;
+    }
+
+    get contentWidth() {
+        return this.width - this.margin * 2;
+    }
+
+    get bottom() {
+        // Room for the page number under the content
+        return this.height - this.margin - this.fontSize * 2;
+    }
+
+    addPage() {
+        this.page = { operations: [] };
+        this.pages.push(this.page);
+        this.y = this.margin;
+
+        if (this.onPageStart) {
+            this.onPageStart(this);
+        }
+        return this.page;
+    }
+
+    ensureSpace(height) {
+        if (!this.page || this.y + height > this.bottom) {
+            this.addPage();
+            return true;
+        }
+        return false;
+    }
+
+    lineHeight(size = this.fontSize) {
+        return size * this.lineGap;
+    }
+
+    measure(text, size = this.fontSize) {
+        return this.font.measure(text, size);
+    }
+
+    /**
+     * Draw one line of text with its top at y
+     * @param {Object} [options] - size, align (left | center | right within width), width, gray (0 black to 1 white)
+     */
+    text(text, x, y, options = {}) {
+        const size = options.size ?? this.fontSize;
+        const width = options.width ?? 0;
+        const layout = this.font.layout(text);
+        if (layout.glyphs.length === 0) return;
+
+        const textWidth = layout.width * size / this.font.unitsPerEm;
+        let left = x;
+        if (options.align === 'right') left = x + width - textWidth;
+        else if (options.align === 'center') left = x + (width - textWidth) / 2;
+
+        const ascent = this.font.ascent * size / this.font.unitsPerEm;
+        const baseline = this.height - y - ascent;
+        const hex = layout.glyphs.map(glyph => glyph.gid.toString(16).padStart(4, '0')).join('');
+
+        this.font.markUsed(layout.glyphs);
+        this.page.operations.push(
+            `BT ${this.num(options.gray ?? 0)} g /F1 ${this.num(size)} Tf ${this.num(left)} ${this.num(baseline)} Td <${hex}> Tj ET`
+        );
+    }
+
+    /**
+     * Split text into lines no wider than maxWidth, breaking at spaces
+     */
+    wrapText(text, maxWidth, size = this.fontSize) {
+        const words = String(text ?? '').split(/\s+/).filter(Boolean);
+        const lines = [];
+        let line = '';
+
+        for (const word of words) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.measure(candidate, size) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line || lines.length === 0) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Right-aligned paragraph at the cursor, wrapped to the content width
+     */
+    paragraph(text, options = {}) {
+        const size = options.size ?? this.fontSize;
+        for (const line of this.wrapText(text, this.contentWidth, size)) {
+            this.ensureSpace(this.lineHeight(size));
+            this.text(line, this.margin, this.y, { ...options, size, align: options.align || 'right', width: this.contentWidth });
+            this.y += this.lineHeight(size);
+        }
+    }
+
+    line(x1, y1, x2, y2, width = 0.5) {
+        this.page.operations.push(
+            `${this.num(width)} w ${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S`
+        );
+    }
+
+    rect(x, y, width, height, options = {}) {
+        const box = `${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re`;
+        if (options.fill !== undefined) {
+            this.page.operations.push(`${this.num(options.fill)} g ${box} f`);
+        }
+        if (options.stroke !== false) {
+            this.page.operations.push(`${this.num(options.lineWidth ?? 0.5)} w 0 G ${box} S`);
+        }
+    }
+
+    /**
+     * Widest cell of each column, padding included
+     */
+    naturalWidths(columns, rows, size = this.fontSize) {
+        return columns.map((column, i) => {
+            const cells = [column, ...rows.map(row => row[i])];
+            return Math.max(...cells.map(cell => this.measure(String(cell ?? ''), size))) + this.cellPadding * 2;
+        });
+    }
+
+    /**
+     * Fit the natural widths to the content width: extra room is shared out in
+     * proportion, a table too wide is scaled down and its cells wrap
+     */
+    columnWidths(columns, rows, size) {
+        const natural = this.naturalWidths(columns, rows, size);
+        const total = natural.reduce((sum, width) => sum + width, 0);
+        return natural.map(width => width * this.contentWidth / total);
+    }
+
+    /**
+     * Draw a table from the cursor down. The first column is on the right.
+     * @param {Object} table - columns (header texts), rows, optional totals row
+     */
+    table({ columns, rows, totals = null, size = this.fontSize }) {
+        const allRows = totals ? [...rows, totals] : rows;
+        const widths = this.columnWidths(columns, allRows, size);
+        const lineHeight = this.lineHeight(size);
+
+        const layoutRow = (cells) => {
+            const lines = cells.map((cell, i) => this.wrapText(String(cell ?? ''), widths[i] - this.cellPadding * 2, size));
+            const height = Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + this.cellPadding * 2;
+            return { lines, height };
+        };
+
+        const drawRow = (row, fill) => {
+            let right = this.width - this.margin;
+            row.lines.forEach((cellLines, i) => {
+                const left = right - widths[i];
+                this.rect(left, this.y, widths[i], row.height, { fill });
+                cellLines.forEach((line, lineIndex) => {
+                    this.text(line, left + this.cellPadding, this.y + this.cellPadding + lineIndex * lineHeight, {
+                        size,
+                        align: 'center',
+                        width: widths[i] - this.cellPadding * 2
+                    });
+                });
+                right = left;
+            });
+            this.y += row.height;
+        };
+
+        const header = layoutRow(columns);
+        const drawHeader = () => drawRow(header, PdfWriter.HEADER_FILL);
+
+        const bodyRows = allRows.map(layoutRow);
+        this.ensureSpace(header.height + (bodyRows[0]?.height || 0));
+        drawHeader();
+
+        bodyRows.forEach((row, i) => {
+            if (this.ensureSpace(row.height)) {
+                drawHeader();
+            }
+            drawRow(row, totals && i === bodyRows.length - 1 ? PdfWriter.TOTALS_FILL : undefined);
+        });
+    }
+
+    drawPageNumbers() {
+        const total = this.pages.length;
+        this.pages.forEach((page, i) => {
+            this.page = page;
+            this.text(this.pageNumberText(i + 1, total), this.margin, this.height - this.margin - this.fontSize, {
+                size: this.fontSize - 1,
+                align: 'center',
+                width: this.contentWidth,
+                gray: 0.3
+            });
+        });
+    }
+
+    num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    // ============ SERIALIZATION ============
+
+    /**
+     * Write the document
+     * @returns {Promise<Uint8Array>}
+     */
+    async save() {
+        if (this.pages.length === 0) this.addPage();
+        this.drawPageNumbers();
+
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const set = (id, value) => { objects[id - 1] = value; };
+
+        const catalogId = reserve();
+        const pagesId = reserve();
+        const fontId = reserve();
+        const cidFontId = reserve();
+        const descriptorId = reserve();
+        const fontFileId = reserve();
+        const toUnicodeId = reserve();
+        const infoId = reserve();
+
+        const pageIds = [];
+        for (const page of this.pages) {
+            const contentId = reserve();
+            const pageId = reserve();
+            set(contentId, await this.stream('', this.encode(page.operations.join('\n'))));
+            set(pageId, this.encode(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+                `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            ));
+            pageIds.push(pageId);
+        }
+
+        const used = Array.from(this.font.usedGlyphs.keys()).sort((a, b) => a - b);
+        const scale = 1000 / this.font.unitsPerEm;
+        const fontName = `${this.subsetTag(used)}+${this.font.postScriptName}`;
+        const fontFile = this.font.subset(used);
+        const [xMin, yMin, xMax, yMax] = this.font.bbox.map(value => Math.round(value * scale));
+        const widths = used.map(gid => `${gid} [${Math.round(this.font.getAdvance(gid) * scale)}]`).join(' ');
+
+        set(catalogId, this.encode(`<< /Type /Catalog /Pages ${pagesId} 0 R /Lang (ar) /ViewerPreferences << /Direction /R2L >> >>`));
+        set(pagesId, this.encode(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`));
+        set(fontId, this.encode(
+            `<< /Type /Font /Subtype /Type0 /BaseFont /${fontName} /Encoding /Identity-H ` +
+            `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+        ));
+        set(cidFontId, this.encode(
+            `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${fontName} ` +
+            `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+            `/FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity /DW 1000 /W [${widths}] >>`
+        ));
+        set(descriptorId, this.encode(
+            `<< /Type /FontDescriptor /FontName /${fontName} /Flags 4 /FontBBox [${xMin} ${yMin} ${xMax} ${yMax}] ` +
+            `/ItalicAngle 0 /Ascent ${Math.round(this.font.ascent * scale)} /Descent ${Math.round(this.font.descent * scale)} ` +
+            `/CapHeight ${Math.round(this.font.capHeight * scale)} /StemV 80 /FontFile2 ${fontFileId} 0 R >>`
+        ));
+        set(fontFileId, await this.stream(`/Length1 ${fontFile.length}`, fontFile));
+        set(toUnicodeId, await this.stream('', this.encode(this.buildToUnicode(used))));
+        set(infoId, this.encode(
+            `<< /Title ${this.textString(this.title)} /Producer (Hader) /CreationDate (${this.pdfDate(new Date())}) >>`
+        ));
+
+        return this.assemble(objects, catalogId, infoId);
+    }
+
+    assemble(objects, rootId, infoId) {
+        const chunks = [];
+        let length = 0;
+        const write = (bytes) => {
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        // The binary comment marks the file as binary for transfer tools
+        write(this.encode('%PDF-1.7\n'));
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        const offsets = objects.map((body, i) => {
+            const offset = length;
+            write(this.encode(`${i + 1} 0 obj\n`));
+            write(body);
+            write(this.encode('\nendobj\n'));
+            return offset;
+        });
+
+        const xrefOffset = length;
+        const id = Array.from({ length: 16 }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join('');
+        write(this.encode(
+            `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${rootId} 0 R /Info ${infoId} 0 R /ID [<${id}> <${id}>] >>\n` +
+            `startxref\n${xrefOffset}\n%%EOF\n`
+        ));
+
+        const output = new Uint8Array(length);
+        chunks.reduce((offset, chunk) => {
+            output.set(chunk, offset);
+            return offset + chunk.length;
+        }, 0);
+        return output;
+    }
+
+    /**
+     * Stream object, Flate-compressed where the browser can
+     */
+    async stream(extra, data) {
+        const compressed = await this.deflate(data);
+        const body = compressed || data;
+        const dictionary = `<< /Length ${body.length}${compressed ? ' /Filter /FlateDecode' : ''}${extra ? ` ${extra}` : ''} >>\nstream\n`;
+
+        const header = this.encode(dictionary);
+        const footer = this.encode('\nendstream');
+        const output = new Uint8Array(header.length + body.length + footer.length);
+        output.set(header, 0);
+        output.set(body, header.length);
+        output.set(footer, header.length + body.length);
+        return output;
+    }
+
+    async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.warn('PDF stream compression unavailable:', error);
+            return null;
+        }
+    }
+
+    buildToUnicode(glyphIds) {
+        const entries = glyphIds.map(gid => {
+            const text = this.font.usedGlyphs.get(gid) || '';
+            let hex = '';
+            for (let i = 0; i < text.length; i++) {
+                hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+            }
+            return `<${gid.toString(16).padStart(4, '0')}> <${hex || 'fffd'}>`;
+        });
+
+        const blocks = [];
+        for (let i = 0; i < entries.length; i += 100) {
+            const block = entries.slice(i, i + 100);
+            blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+        }
+
+        return [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <ffff>',
+            'endcodespacerange',
+            ...blocks,
+            'endcmap',
+            'CMapName currentdict /CMap defineresource pop',
+            'end',
+            'end'
+        ].join('\n');
+    }
+
+    /**
+     * Six capital letters naming the subset, derived from its glyphs
+     */
+    subsetTag(glyphIds) {
+        let hash = 2166136261;
+        for (const gid of glyphIds) {
+            hash = Math.imul(hash ^ gid, 16777619) >>> 0;
+        }
+        let tag = '';
+        for (let i = 0; i < 6; i++) {
+            tag += String.fromCharCode(65 + (hash % 26));
+            hash = Math.floor(hash / 26);
+        }
+        return tag;
+    }
+
+    // Text strings outside ASCII are written as UTF-16BE with a byte order mark
+    textString(text) {
+        let hex = 'feff';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    pdfDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    encode(text) {
+        return new TextEncoder().encode(text);
+    }
+}
+
+// Width and height in points
+PdfWriter.A4 = [595.28, 841.89];
+
+PdfWriter.HEADER_FILL = 0.9;
+PdfWriter.TOTALS_FILL = 0.95;
+
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
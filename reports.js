@@ -1,28 +1,532 @@
 /**
  * Hader Reports Generator
- * PDF/Excel export and print functionality
+ * Printable daily, weekly, monthly and term attendance reports
+ *
+ * Each report type builds a plain model (title, period and one section per
+ * class) from the attendance queries in HaderDB. renderHTML() turns a model
+ * into a standalone RTL page with the school header from settings and a page
+ * break after each class, which print() sends to the browser's print dialog.
+ * renderPDF() lays the same model out as a PDF file (pdf-writer.js) with the
+ * Arabic TrueType font at pdfFontUrl embedded. DejaVu Sans ships at that path
+ * (licence in assets/fonts/report-font-LICENSE.txt) and is precached so PDF
+ * export works offline; any TrueType Arabic font can replace it.
  */
 
 class ReportsGenerator {
     constructor() {
         this.isInitialized = false;
+        this.printFrame = null;
+        this.pdfFontUrl = 'assets/fonts/report-font.ttf';
+        this.pdfFont = null;
     }
 
     async init() {
         if (this.isInitialized) return;
-        
-        console.log('Reports generator ready for implementation in M8');
         this.isInitialized = true;
     }
+
+    /**
+     * Build the report model for a report type
+     * @param {string} type - daily | weekly | monthly | term
+     * @param {Object} params - date (daily, weekly), month YYYY-MM (monthly),
+     *   startDate/endDate (term), an optional classKey from getClassOptions()
+     *   and an optional status to list only those students (daily)
+     */
+    async generate(type, params = {}) {
+        const definition = ReportsGenerator.DEFINITIONS[type];
+        if (!definition) {
+            throw new Error('نوع التقرير غير معروف');
+        }
+
+        const settings = await window.db.getSettings();
+        const report = await this[definition.build](params);
+
+        return {
+            type,
+            title: definition.title,
+            school: {
+                name: settings.schoolName || '',
+                principal: settings.principalName || ''
+            },
+            generatedAt: new Date().toISOString(),
+            ...report
+        };
+    }
+
+    /**
+     * Daily gate report: every student of each class with their arrival for the day.
+     * Nobody is absent yet on a day that has not come.
+     */
+    async buildDailyReport({ date, classKey, status: onlyStatus }) {
+        this.requireDate(date);
+        const missingStatus = this.isFuture(date) ? null : 'absent';
+
+        const records = await window.db.getAttendanceByDateRange(date, date);
+        const byStudent = new Map(records.map(record => [record.studentId, record]));
+        const groups = this.groupStudents(await window.db.getAllStudents(), classKey);
+
+        const sections = groups.map(group => {
+            const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+            const listed = group.students.filter(student => {
+                const status = byStudent.get(student.id)?.status || missingStatus;
+                if (status) counts[status] = (counts[status] || 0) + 1;
+                return !onlyStatus || status === onlyStatus;
+            });
+
+            const rows = listed.map((student, index) => {
+                const record = byStudent.get(student.id);
+                const status = record?.status || missingStatus;
+
+                return [
+                    index + 1,
+                    student.id,
+                    student.name,
+                    record?.timeISO && status !== 'absent' ? this.formatTime(record.timeISO) : '-',
+                    status ? this.getStatusText(status) : '-',
+                    status === 'late' ? record.lateMinutes || 0 : '-'
+                ];
+            });
+
+            return {
+                title: group.title,
+                columns: ['#', 'رقم الطالب', 'اسم الطالب', 'وقت الوصول', 'الحالة', 'دقائق التأخير'],
+                rows,
+                footer: `حاضر: ${counts.present} — متأخر: ${counts.late} — غائب: ${counts.absent} — معذور: ${counts.excused}`
+            };
+        });
+
+        return { period: this.formatDate(date, { weekday: 'long', year: 'numeric', month: 'numeric', day: 'numeric' }), sections };
+    }
+
+    /**
+     * Weekly class report: one column per school day of the week containing the date.
+     * Days after today show '-' and are left out of the totals.
+     */
+    async buildWeeklyReport({ date, classKey }) {
+        this.requireDate(date);
+
+        const weekStart = this.addDays(date, -new Date(date).getUTCDay());
+        const weekEnd = this.addDays(weekStart, 6);
+        const schoolDays = await window.db.getSchoolDays(weekStart, weekEnd);
+
+        const records = await window.db.getAttendanceByDateRange(weekStart, weekEnd);
+        const byStudentDay = new Map(records.map(record => [`${record.studentId}|${record.dateISO}`, record]));
+        const groups = this.groupStudents(await window.db.getAllStudents(), classKey);
+
+        const dayColumns = schoolDays.map(day => this.formatDate(day, { weekday: 'short', day: 'numeric', month: 'numeric' }));
+
+        const sections = groups.map(group => ({
+            title: group.title,
+            columns: ['#', 'اسم الطالب', ...dayColumns, 'حضور', 'تأخر', 'غياب'],
+            rows: group.students.map((student, index) => {
+                const counts = { present: 0, late: 0, absent: 0 };
+                const cells = schoolDays.map(day => {
+                    if (this.isFuture(day)) return '-';
+                    const record = byStudentDay.get(`${student.id}|${day}`);
+                    const status = record?.status || 'absent';
+                    if (status in counts) counts[status]++;
+                    return status === 'late'
+                        ? `${this.getStatusText(status)} (${record.lateMinutes || 0})`
+                        : this.getStatusText(status);
+                });
+
+                return [index + 1, student.name, ...cells, counts.present, counts.late, counts.absent];
+            })
+        }));
+
+        return {
+            period: `${this.formatDate(weekStart)} - ${this.formatDate(weekEnd)}`,
+            sections
+        };
+    }
+
+    /**
+     * Monthly student report: attendance totals of each student over the month's school days so far
+     */
+    async buildMonthlyReport({ month, classKey }) {
+        if (!/^\d{4}-\d{2}$/.test(month || '')) {
+            throw new Error('يرجى اختيار الشهر');
+        }
+
+        const [year, monthIndex] = month.split('-').map(Number);
+        const startDate = `${month}-01`;
+        const endDate = new Date(Date.UTC(year, monthIndex, 0)).toISOString().split('T')[0];
+
+        const { schoolDays, summary } = await this.getStudentTotals(startDate, endDate);
+        const groups = this.groupStudents(await window.db.getAllStudents(), classKey);
+
+        const sections = groups.map(group => ({
+            title: group.title,
+            columns: ['#', 'رقم الطالب', 'اسم الطالب', 'أيام الدراسة', 'حاضر', 'متأخر', 'دقائق التأخير', 'غائب', 'معذور', 'نسبة الحضور'],
+            rows: group.students.map((student, index) => {
+                const totals = summary[student.id];
+                return [
+                    index + 1,
+                    student.id,
+                    student.name,
+                    schoolDays.length,
+                    totals.present,
+                    totals.late,
+                    totals.totalLateMinutes,
+                    totals.absent,
+                    totals.excused,
+                    this.formatPercent(totals.present + totals.late, schoolDays.length)
+                ];
+            })
+        }));
+
+        return {
+            period: new Date(startDate).toLocaleDateString('ar-SA', { month: 'long', year: 'numeric', calendar: 'gregory', timeZone: 'UTC' }),
+            sections
+        };
+    }
+
+    /**
+     * Term totals: one row per class with the summed attendance of its students
+     */
+    async buildTermReport({ startDate, endDate, classKey }) {
+        this.requireDate(startDate);
+        this.requireDate(endDate);
+        if (startDate > endDate) {
+            throw new Error('تاريخ البداية بعد تاريخ النهاية');
+        }
+
+        const { schoolDays, summary } = await this.getStudentTotals(startDate, endDate);
+        const groups = this.groupStudents(await window.db.getAllStudents(), classKey);
+
+        const grand = { students: 0, present: 0, late: 0, totalLateMinutes: 0, absent: 0, excused: 0 };
+        const rows = groups.map(group => {
+            const totals = { students: group.students.length, present: 0, late: 0, totalLateMinutes: 0, absent: 0, excused: 0 };
+            for (const student of group.students) {
+                for (const field of ['present', 'late', 'totalLateMinutes', 'absent', 'excused']) {
+                    totals[field] += summary[student.id][field];
+                }
+            }
+            Object.keys(grand).forEach(field => { grand[field] += totals[field]; });
+
+            return this.termRow(group.title, totals, schoolDays.length);
+        });
+
+        return {
+            period: `${this.formatDate(startDate)} - ${this.formatDate(endDate)} (${schoolDays.length} يوم دراسي)`,
+            sections: [{
+                title: 'إجمالي الفصول',
+                columns: ['الفصل', 'عدد الطلاب', 'حاضر', 'متأخر', 'دقائق التأخير', 'غائب', 'معذور', 'نسبة الحضور'],
+                rows,
+                totals: this.termRow('الإجمالي', grand, schoolDays.length)
+            }]
+        };
+    }
+
+    termRow(title, totals, dayCount) {
+        return [
+            title,
+            totals.students,
+            totals.present,
+            totals.late,
+            totals.totalLateMinutes,
+            totals.absent,
+            totals.excused,
+            this.formatPercent(totals.present + totals.late, totals.students * dayCount)
+        ];
+    }
+
+    // Totals and percentages only cover school days up to today
+    async getStudentTotals(startDate, endDate) {
+        const schoolDays = (await window.db.getSchoolDays(startDate, endDate)).filter(day => !this.isFuture(day));
+        const summary = await window.db.getAttendanceSummary(startDate, endDate, 'student', { schoolDays });
+        return { schoolDays, summary };
+    }
+
+    /**
+     * Students grouped by grade and class, both sorted in Arabic order
+     */
+    groupStudents(students, classKey = '') {
+        const groups = new Map();
+
+        for (const student of students) {
+            const key = this.getClassKey(student.grade, student.className);
+            if (classKey && key !== classKey) continue;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    grade: student.grade || '',
+                    className: student.className || '',
+                    title: `${student.grade || ''} - ${student.className || ''}`,
+                    students: []
+                });
+            }
+            groups.get(key).students.push(student);
+        }
+
+        const sorted = Array.from(groups.values()).sort((a, b) =>
+            a.grade.localeCompare(b.grade, 'ar') || a.className.localeCompare(b.className, 'ar'));
+        sorted.forEach(group => group.students.sort((a, b) => a.name.localeCompare(b.name, 'ar')));
+        return sorted;
+    }
+
+    getClassKey(grade, className) {
+        return `${grade || ''}|${className || ''}`;
+    }
+
+    /**
+     * Classes for the report filter, as {key, label}
+     */
+    async getClassOptions() {
+        const groups = this.groupStudents(await window.db.getAllStudents());
+        return groups.map(group => ({ key: group.key, label: group.title }));
+    }
+
+    /**
+     * Standalone print-ready page for a report model
+     */
+    renderHTML(report) {
+        const escape = (value) => this.escapeHtml(value);
+
+        const sections = report.sections.map(section => `
+            <section class="report-section">
+                <h2>${escape(section.title)}</h2>
+                <table>
+                    <thead>
+                        <tr>${section.columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${section.rows.length > 0
+                            ? section.rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('')
+                            : `<tr><td colspan="${section.columns.length}">لا يوجد طلاب</td></tr>`}
+                    </tbody>
+                    ${section.totals ? `<tfoot><tr>${section.totals.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr></tfoot>` : ''}
+                </table>
+                ${section.footer ? `<p class="section-footer">${escape(section.footer)}</p>` : ''}
+            </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="UTF-8">
+<title>${escape(report.title)} - ${escape(report.period)}</title>
+<style>${ReportsGenerator.PRINT_STYLES}</style>
+</head>
+<body>
+    <header class="report-header">
+        <div>
+            <h1>${escape(report.school.name)}</h1>
+            ${report.school.principal ? `<p>مدير المدرسة: ${escape(report.school.principal)}</p>` : ''}
+        </div>
+        <div class="report-meta">
+            <strong>${escape(report.title)}</strong>
+            <p>${escape(report.period)}</p>
+            <p>تاريخ الإصدار: ${escape(new Date(report.generatedAt).toLocaleString('ar-SA'))}</p>
+        </div>
+    </header>
+    ${report.sections.length > 0 ? sections : '<p>لا توجد بيانات لهذا التقرير</p>'}
+</body>
+</html>`;
+    }
+
+    /**
+     * The report font is loaded once; PDF text is drawn with its glyphs only
+     */
+    async loadPdfFont() {
+        if (this.pdfFont) return this.pdfFont;
+
+        let response;
+        try {
+            response = await fetch(this.pdfFontUrl);
+        } catch (error) {
+            response = null;
+        }
+        if (!response || !response.ok) {
+            throw new Error('تعذر تحميل خط التقارير، تأكد من وجود الملف ' + this.pdfFontUrl);
+        }
+
+        this.pdfFont = new PdfFont(await response.arrayBuffer());
+        return this.pdfFont;
+    }
+
+    /**
+     * Lay a report model out as a PDF: the school header on every page, a new
+     * page for each class, table headers repeated when a class runs over a page
+     * @param {Object} report - model from generate()
+     * @param {PdfFont} [font] - defaults to the font at pdfFontUrl
+     * @returns {Promise<Uint8Array>}
+     */
+    async renderPDF(report, font) {
+        const pdf = new PdfWriter({
+            font: font || await this.loadPdfFont(),
+            title: `${report.title} - ${report.period}`,
+            onPageStart: (writer) => this.drawPdfHeader(writer, report)
+        });
+
+        // Wide tables (the weekly grid) go landscape rather than wrapping every cell
+        const tooWide = report.sections.some(section => {
+            const widths = pdf.naturalWidths(section.columns, section.rows);
+            return widths.reduce((sum, width) => sum + width, 0) > pdf.contentWidth;
+        });
+        pdf.setLandscape(tooWide);
+
+        if (report.sections.length === 0) {
+            pdf.addPage();
+            pdf.paragraph('لا توجد بيانات لهذا التقرير');
+        }
+
+        for (const section of report.sections) {
+            pdf.addPage();
+            pdf.paragraph(section.title, { size: pdf.fontSize + 2 });
+            pdf.y += 4;
+            pdf.table(section);
+            if (section.footer) {
+                pdf.y += 6;
+                pdf.paragraph(section.footer);
+            }
+        }
+
+        return await pdf.save();
+    }
+
+    drawPdfHeader(pdf, report) {
+        const top = pdf.y;
+        const x = pdf.margin;
+        const width = pdf.contentWidth;
+        const lineHeight = pdf.lineHeight();
+
+        pdf.text(report.school.name, x, top, { size: pdf.fontSize + 4, align: 'right', width });
+        if (report.school.principal) {
+            pdf.text(`مدير المدرسة: ${report.school.principal}`, x, top + lineHeight * 1.6, { align: 'right', width });
+        }
+
+        pdf.text(report.title, x, top, { size: pdf.fontSize + 2, align: 'left', width });
+        pdf.text(report.period, x, top + lineHeight * 1.6, { align: 'left', width });
+        pdf.text(`تاريخ الإصدار: ${new Date(report.generatedAt).toLocaleString('ar-SA')}`, x, top + lineHeight * 2.6, { align: 'left', width });
+
+        pdf.y = top + lineHeight * 3.8;
+        pdf.line(pdf.margin, pdf.y, pdf.width - pdf.margin, pdf.y, 1);
+        pdf.y += 10;
+    }
+
+    async exportPDF(report) {
+        const bytes = await this.renderPDF(report);
+        const blob = new Blob([bytes], { type: 'application/pdf' });
+        const filename = `${report.title}_${new Date(report.generatedAt).toISOString().split('T')[0]}.pdf`;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Print through a hidden frame so the admin page itself is left as it was
+     */
+    print(report) {
+        if (this.printFrame) {
+            this.printFrame.remove();
+        }
+
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        };
+        frame.srcdoc = this.renderHTML(report);
+
+        document.body.appendChild(frame);
+        this.printFrame = frame;
+    }
+
+    requireDate(date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            throw new Error('يرجى اختيار التاريخ');
+        }
+    }
+
+    addDays(dateISO, days) {
+        const date = new Date(dateISO);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    // Attendance dates are UTC calendar days (see recordAttendance)
+    isFuture(dateISO) {
+        return dateISO > new Date().toISOString().split('T')[0];
+    }
+
+    formatDate(dateISO, options = {}) {
+        return new Date(dateISO).toLocaleDateString('ar-SA', { timeZone: 'UTC', ...options });
+    }
+
+    formatTime(isoString) {
+        return new Date(isoString).toLocaleTimeString('ar-SA', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatPercent(part, whole) {
+        if (!whole) return '-';
+        return `${Math.round((part / whole) * 100)}%`;
+    }
+
+    getStatusText(status) {
+        const statusMap = {
+            present: 'حاضر',
+            late: 'متأخر',
+            absent: 'غائب',
+            excused: 'معذور'
+        };
+        return statusMap[status] || status;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
+ReportsGenerator.DEFINITIONS = {
+    daily: { title: 'تقرير البوابة اليومي', build: 'buildDailyReport' },
+    weekly: { title: 'تقرير الفصل الأسبوعي', build: 'buildWeeklyReport' },
+    monthly: { title: 'تقرير الطلاب الشهري', build: 'buildMonthlyReport' },
+    term: { title: 'إجمالي الفصل الدراسي', build: 'buildTermReport' }
+};
+
+ReportsGenerator.PRINT_STYLES = `
+    @page { size: A4; margin: 15mm 12mm; }
+    * { box-sizing: border-box; }
+    body { font-family: Tahoma, Arial, sans-serif; font-size: 12px; color: #000; margin: 0; padding: 12px; }
+    .report-header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #000; padding-bottom: 8px; margin-bottom: 12px; }
+    .report-header h1 { font-size: 18px; margin: 0 0 4px; }
+    .report-header p, .report-meta p { margin: 2px 0; }
+    .report-meta { text-align: left; }
+    .report-section { break-after: page; page-break-after: always; }
+    .report-section:last-child { break-after: auto; page-break-after: auto; }
+    .report-section h2 { font-size: 14px; margin: 0 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; page-break-inside: avoid; }
+    th, td { border: 1px solid #444; padding: 4px 6px; text-align: center; }
+    th { background: #e8e8e8; }
+    tfoot td { font-weight: bold; background: #f3f3f3; }
+    .section-footer { margin: 6px 0 0; font-weight: bold; }
+    @media print { body { padding: 0; } th, tfoot td { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+`;
+
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-    const reportsGenerator = new ReportsGenerator();
-    await reportsGenerator.init();
-    window.reportsGenerator = reportsGenerator;
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        const reportsGenerator = new ReportsGenerator();
+        await reportsGenerator.init();
+        window.reportsGenerator = reportsGenerator;
+    });
+}
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ReportsGenerator;
-}
\ No newline at end of file
+}
@@ -0,0 +1,31 @@
+/**
+ * Hader Scanner Worker
+ * Decodes camera frames off the main thread using the Scanner decoders
+ */
+
+importScripts('scanner.js');
+
+const decoder = new Scanner();
+
+self.addEventListener('message', (event) => {
+    const { id, bitmap, buffer, width, height } = event.data;
+    
+    try {
+        const imageData = bitmap
+            ? readBitmap(bitmap)
+            : { data: new Uint8ClampedArray(buffer), width, height };
+        
+        self.postMessage({ id, result: decoder.detectCodes(imageData) });
+    } catch (error) {
+        self.postMessage({ id, result: null, error: error.message });
+    }
+});
+
+function readBitmap(bitmap) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
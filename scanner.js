@@ -14,6 +14,32 @@ class Scanner {
         this.scanInterval = null;
         this.lastScanTime = 0;
         this.scanDelay = 500; // ms between scans
+        
+        // Continuous mode keeps the camera open for queues of students
+        this.continuousMode = false;
+        this.codeCooldownMs = 5000; // Same code is ignored within this window
+        this.codeLastSeen = new Map();
+        this.recentScans = [];
+        this.recentScansLimit = 8;
+        
+        // Camera settings are remembered per device
+        this.resolutionPresets = {
+            low: { width: 640, height: 480 },
+            medium: { width: 1280, height: 720 },
+            high: { width: 1920, height: 1080 }
+        };
+        this.cameraId = null;
+        this.resolution = 'low';
+        this.torchOn = false;
+        
+        // Only the centre of the frame is decoded (fractions of the video size)
+        this.roi = { width: 0.8, height: 0.6 };
+        this.maxQRDecodeSize = 640;
+        
+        // Frames are decoded in a worker; a frame is dropped while one is in flight
+        this.worker = null;
+        this.workerBusy = false;
+        this.frameId = 0;
     }
 
     async init() {
@@ -21,6 +47,7 @@ class Scanner {
         
         this.setupElements();
         this.setupEventListeners();
+        this.startWorker();
         
         this.isInitialized = true;
         console.log('Scanner initialized');
@@ -29,10 +56,27 @@ class Scanner {
     setupElements() {
         this.video = document.getElementById('scannerVideo');
         this.canvas = document.getElementById('scannerCanvas');
+        this.historyList = document.getElementById('scanHistory');
         
         if (this.canvas) {
             this.context = this.canvas.getContext('2d');
         }
+        
+        this.scanFrameEl = document.querySelector('.scan-frame');
+        this.updateROIOverlay();
+        
+        this.cameraId = localStorage.getItem('hader-scanner-camera');
+        this.resolution = localStorage.getItem('hader-scanner-resolution') || 'low';
+        const resolutionSelect = document.getElementById('resolutionSelect');
+        if (resolutionSelect) {
+            resolutionSelect.value = this.resolution;
+        }
+        
+        this.continuousMode = localStorage.getItem('hader-scanner-continuous') === 'true';
+        const continuousToggle = document.getElementById('continuousScanToggle');
+        if (continuousToggle) {
+            continuousToggle.checked = this.continuousMode;
+        }
     }
 
     setupEventListeners() {
@@ -52,6 +96,43 @@ class Scanner {
             });
         }
 
+        // Continuous scanning toggle
+        const continuousToggle = document.getElementById('continuousScanToggle');
+        if (continuousToggle) {
+            continuousToggle.addEventListener('change', (e) => {
+                this.setContinuousMode(e.target.checked);
+            });
+        }
+
+        // Camera controls
+        const cameraSelect = document.getElementById('cameraSelect');
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', (e) => {
+                this.selectCamera(e.target.value);
+            });
+        }
+
+        const resolutionSelect = document.getElementById('resolutionSelect');
+        if (resolutionSelect) {
+            resolutionSelect.addEventListener('change', (e) => {
+                this.setResolution(e.target.value);
+            });
+        }
+
+        const torchBtn = document.getElementById('torchBtn');
+        if (torchBtn) {
+            torchBtn.addEventListener('click', () => {
+                this.toggleTorch();
+            });
+        }
+
+        const zoomRange = document.getElementById('zoomRange');
+        if (zoomRange) {
+            zoomRange.addEventListener('input', (e) => {
+                this.setZoom(parseFloat(e.target.value));
+            });
+        }
+
         // Close on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isActive) {
@@ -76,27 +157,8 @@ class Scanner {
             
             console.log('Starting scanner...');
             
-            // Request camera permission
-            const constraints = {
-                video: {
-                    facingMode: 'environment', // Use back camera if available
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
-                }
-            };
-
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            if (this.video) {
-                this.video.srcObject = this.stream;
-                await this.video.play();
-            }
-
-            // Setup canvas
-            if (this.canvas && this.video) {
-                this.canvas.width = this.video.videoWidth || 640;
-                this.canvas.height = this.video.videoHeight || 480;
-            }
+            // Request camera permission and attach the stream
+            await this.openCameraStream();
 
             this.isActive = true;
             
@@ -125,6 +187,173 @@ class Scanner {
         }
     }
 
+    async openCameraStream() {
+        const preset = this.resolutionPresets[this.resolution] || this.resolutionPresets.low;
+        const video = {
+            width: { ideal: preset.width },
+            height: { ideal: preset.height }
+        };
+        
+        if (this.cameraId) {
+            video.deviceId = { exact: this.cameraId };
+        } else {
+            video.facingMode = 'environment'; // Use back camera if available
+        }
+        
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ video });
+        } catch (error) {
+            if (!this.cameraId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+                throw error;
+            }
+            
+            // The saved camera was unplugged; fall back to the default one
+            console.warn('Saved camera unavailable, using default:', error);
+            this.cameraId = null;
+            localStorage.removeItem('hader-scanner-camera');
+            return this.openCameraStream();
+        }
+        
+        if (this.video) {
+            this.video.srcObject = this.stream;
+            await this.video.play();
+        }
+
+        // Canvas only holds the region of interest
+        if (this.canvas && this.video) {
+            const videoWidth = this.video.videoWidth || preset.width;
+            const videoHeight = this.video.videoHeight || preset.height;
+            this.canvas.width = Math.round(videoWidth * this.roi.width);
+            this.canvas.height = Math.round(videoHeight * this.roi.height);
+        }
+        
+        this.torchOn = false;
+        await this.populateCameraList();
+        this.setupTrackControls();
+    }
+
+    async restartCameraStream() {
+        if (!this.isActive) return;
+        
+        this.stopScanLoop();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        
+        try {
+            await this.openCameraStream();
+            this.startScanLoop();
+        } catch (error) {
+            console.error('Failed to restart camera:', error);
+            window.ui?.showToast('فشل في تشغيل الكاميرا', 'error');
+            this.stopScanner();
+        }
+    }
+
+    async populateCameraList() {
+        const cameraSelect = document.getElementById('cameraSelect');
+        if (!cameraSelect) return;
+        
+        // Labels are only exposed once camera permission has been granted
+        const cameras = await Scanner.getAvailableCameras();
+        const activeId = this.stream?.getVideoTracks()[0]?.getSettings?.().deviceId;
+        
+        cameraSelect.innerHTML = cameras.map((camera, index) => `
+            <option value="${camera.deviceId}">${this.escapeHTML(camera.label || `كاميرا ${index + 1}`)}</option>
+        `).join('');
+        cameraSelect.value = this.cameraId || activeId || '';
+        cameraSelect.style.display = cameras.length > 1 ? '' : 'none';
+    }
+
+    selectCamera(deviceId) {
+        this.cameraId = deviceId || null;
+        if (this.cameraId) {
+            localStorage.setItem('hader-scanner-camera', this.cameraId);
+        } else {
+            localStorage.removeItem('hader-scanner-camera');
+        }
+        
+        return this.restartCameraStream();
+    }
+
+    setResolution(preset) {
+        if (!this.resolutionPresets[preset]) return;
+        
+        this.resolution = preset;
+        localStorage.setItem('hader-scanner-resolution', preset);
+        
+        return this.restartCameraStream();
+    }
+
+    getVideoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] : null;
+    }
+
+    // Torch and zoom are only shown when the browser reports them in track capabilities
+    setupTrackControls() {
+        const track = this.getVideoTrack();
+        const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
+        
+        const torchBtn = document.getElementById('torchBtn');
+        if (torchBtn) {
+            torchBtn.style.display = capabilities.torch ? '' : 'none';
+            torchBtn.classList.remove('active');
+        }
+        
+        const zoomRange = document.getElementById('zoomRange');
+        if (zoomRange) {
+            if (capabilities.zoom) {
+                const settings = track.getSettings ? track.getSettings() : {};
+                zoomRange.min = capabilities.zoom.min;
+                zoomRange.max = capabilities.zoom.max;
+                zoomRange.step = capabilities.zoom.step || 0.1;
+                zoomRange.value = settings.zoom || capabilities.zoom.min;
+                zoomRange.style.display = '';
+            } else {
+                zoomRange.style.display = 'none';
+            }
+        }
+    }
+
+    async toggleTorch() {
+        const track = this.getVideoTrack();
+        if (!track) return;
+        
+        try {
+            await track.applyConstraints({ advanced: [{ torch: !this.torchOn }] });
+            this.torchOn = !this.torchOn;
+            document.getElementById('torchBtn')?.classList.toggle('active', this.torchOn);
+        } catch (error) {
+            console.warn('Torch not available:', error);
+            window.ui?.showToast('الإضاءة غير مدعومة في هذه الكاميرا', 'warning');
+        }
+    }
+
+    async setZoom(zoom) {
+        const track = this.getVideoTrack();
+        if (!track || Number.isNaN(zoom)) return;
+        
+        try {
+            await track.applyConstraints({ advanced: [{ zoom }] });
+        } catch (error) {
+            console.warn('Zoom not available:', error);
+        }
+    }
+
+    // Match the on-screen frame to the part of the video that is decoded
+    updateROIOverlay() {
+        if (!this.scanFrameEl) return;
+        
+        Object.assign(this.scanFrameEl.style, {
+            width: `${this.roi.width * 100}%`,
+            height: `${this.roi.height * 100}%`,
+            left: `${(1 - this.roi.width) * 50}%`,
+            top: `${(1 - this.roi.height) * 50}%`,
+            margin: '0'
+        });
+    }
+
     stopScanner() {
         if (!this.isActive) return;
         
@@ -169,6 +398,43 @@ class Scanner {
         }
     }
 
+    startWorker() {
+        if (typeof Worker === 'undefined') return;
+        
+        try {
+            this.worker = new Worker(Scanner.workerUrl);
+            this.worker.addEventListener('message', (event) => {
+                this.handleWorkerMessage(event.data);
+            });
+            this.worker.addEventListener('error', (error) => {
+                // e.g. pages opened from file:// cannot start workers
+                console.warn('Scanner worker failed, decoding on main thread:', error);
+                this.worker.terminate();
+                this.worker = null;
+                this.workerBusy = false;
+            });
+        } catch (error) {
+            console.warn('Scanner worker unavailable:', error);
+            this.worker = null;
+        }
+    }
+
+    handleWorkerMessage({ id, result, error }) {
+        this.workerBusy = false;
+        
+        if (error) {
+            console.warn('Scan frame error:', error);
+        }
+        
+        // Ignore frames from before the scanner was stopped or restarted
+        if (!this.isActive || id !== this.frameId) return;
+        
+        if (result) {
+            this.handleScanResult(result);
+            this.lastScanTime = Date.now();
+        }
+    }
+
     scanFrame() {
         if (!this.isActive || !this.video || !this.canvas || !this.context) {
             return;
@@ -178,10 +444,29 @@ class Scanner {
         if (now - this.lastScanTime < this.scanDelay) {
             return;
         }
+        
+        // Back-pressure: drop this frame rather than queue it behind the worker
+        if (this.worker && this.workerBusy) {
+            return;
+        }
 
         try {
-            // Draw video frame to canvas
-            this.context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+            // Only the centre of the video frame is decoded to save time
+            const sourceWidth = this.video.videoWidth * this.roi.width;
+            const sourceHeight = this.video.videoHeight * this.roi.height;
+            const sourceX = (this.video.videoWidth - sourceWidth) / 2;
+            const sourceY = (this.video.videoHeight - sourceHeight) / 2;
+            
+            if (this.worker) {
+                this.postFrameToWorker(sourceX, sourceY, sourceWidth, sourceHeight);
+                return;
+            }
+            
+            this.context.drawImage(
+                this.video,
+                sourceX, sourceY, sourceWidth, sourceHeight,
+                0, 0, this.canvas.width, this.canvas.height
+            );
             
             // Get image data
             const imageData = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
@@ -199,15 +484,46 @@ class Scanner {
         }
     }
 
+    async postFrameToWorker(sourceX, sourceY, sourceWidth, sourceHeight) {
+        this.workerBusy = true;
+        const id = ++this.frameId;
+        
+        try {
+            // ImageBitmap is transferred without copying pixels on the main thread
+            if (typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined') {
+                const bitmap = await createImageBitmap(this.video, sourceX, sourceY, sourceWidth, sourceHeight, {
+                    resizeWidth: this.canvas.width,
+                    resizeHeight: this.canvas.height
+                });
+                this.worker.postMessage({ id, bitmap }, [bitmap]);
+                return;
+            }
+            
+            this.context.drawImage(
+                this.video,
+                sourceX, sourceY, sourceWidth, sourceHeight,
+                0, 0, this.canvas.width, this.canvas.height
+            );
+            const { data, width, height } = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            this.worker.postMessage({ id, buffer: data.buffer, width, height }, [data.buffer]);
+        } catch (error) {
+            console.warn('Scan frame error:', error);
+            this.workerBusy = false;
+        }
+    }
+
     detectCodes(imageData) {
+        const { width, height } = imageData;
+        const gray = this.toGrayscale(imageData);
+        
         // Try QR code detection first
-        const qrResult = this.detectQRCode(imageData);
+        const qrResult = this.detectQRCode(gray, width, height);
         if (qrResult) {
             return { type: 'QR', data: qrResult };
         }
         
         // Try Code128 detection
-        const barcodeResult = this.detectCode128(imageData);
+        const barcodeResult = this.detectCode128(gray, width, height);
         if (barcodeResult) {
             return { type: 'CODE128', data: barcodeResult };
         }
@@ -215,279 +531,1570 @@ class Scanner {
         return null;
     }
 
-    detectQRCode(imageData) {
-        // Simplified QR detection - looks for finder patterns
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
+    detectQRCode(gray, width, height) {
+        // Large frames are shrunk first; QR modules survive it and the finder search is per pixel
+        const image = this.downscaleGray(gray, width, height, this.maxQRDecodeSize);
         
-        // Convert to grayscale and find potential QR patterns
-        const finderPatterns = this.findQRFinderPatterns(data, width, height);
+        // Convert to a black/white bitmap and look for the three finder patterns
+        const bits = this.binarizeImage(image.gray, image.width, image.height);
+        const finderPatterns = this.findQRFinderPatterns(bits, image.width, image.height);
         
         if (finderPatterns.length >= 3) {
-            // Try to decode QR data from patterns
-            const qrData = this.decodeQRFromPatterns(finderPatterns, data, width, height);
-            return qrData;
+            // Sample the module grid between the patterns and decode it
+            return this.decodeQRFromPatterns(finderPatterns, bits, image.width, image.height);
         }
         
         return null;
     }
 
-    findQRFinderPatterns(data, width, height) {
-        const patterns = [];
-        const threshold = 128;
+    downscaleGray(gray, width, height, maxSize) {
+        const factor = Math.ceil(Math.max(width, height) / maxSize);
+        if (factor <= 1) {
+            return { gray, width, height };
+        }
+        
+        // Box-average each factor x factor block
+        const scaledWidth = Math.floor(width / factor);
+        const scaledHeight = Math.floor(height / factor);
+        const scaled = new Uint8Array(scaledWidth * scaledHeight);
+        const area = factor * factor;
         
-        // Scan for 7x7 finder patterns (simplified)
-        for (let y = 0; y < height - 7; y += 2) {
-            for (let x = 0; x < width - 7; x += 2) {
-                if (this.isFinderPattern(data, x, y, width, threshold)) {
-                    patterns.push({ x, y });
+        for (let y = 0; y < scaledHeight; y++) {
+            for (let x = 0; x < scaledWidth; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < factor; dy++) {
+                    const row = (y * factor + dy) * width + x * factor;
+                    for (let dx = 0; dx < factor; dx++) {
+                        sum += gray[row + dx];
+                    }
                 }
+                scaled[y * scaledWidth + x] = Math.round(sum / area);
             }
         }
         
-        return patterns;
+        return { gray: scaled, width: scaledWidth, height: scaledHeight };
     }
 
-    isFinderPattern(data, startX, startY, width, threshold) {
-        // Check for 7x7 finder pattern: black border, white interior, black center
-        const pattern = [
-            [1,1,1,1,1,1,1],
-            [1,0,0,0,0,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,1,1,1,0,1],
-            [1,0,0,0,0,0,1],
-            [1,1,1,1,1,1,1]
-        ];
+    binarizeImage(gray, width, height) {
+        const blockSize = 8;
         
-        for (let py = 0; py < 7; py++) {
-            for (let px = 0; px < 7; px++) {
-                const x = startX + px;
-                const y = startY + py;
-                const index = (y * width + x) * 4;
-                
-                if (index >= data.length) return false;
+        // Too small for local thresholds; use a single global one
+        if (width < blockSize * 5 || height < blockSize * 5) {
+            return this.binarizeGlobal(gray);
+        }
+        
+        const blocksX = Math.ceil(width / blockSize);
+        const blocksY = Math.ceil(height / blockSize);
+        const blackPoints = new Float64Array(blocksX * blocksY);
+        
+        // Per-block black point; flat blocks borrow from their neighbours so
+        // the solid centre of a large finder pattern stays dark
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
                 
-                // Convert to grayscale
-                const gray = (data[index] + data[index + 1] + data[index + 2]) / 3;
-                const isBlack = gray < threshold;
-                const expectedBlack = pattern[py][px] === 1;
+                for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        const value = gray[y * width + x];
+                        sum += value;
+                        count++;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
                 
-                if (isBlack !== expectedBlack) {
-                    return false;
+                let blackPoint = sum / count;
+                if (max - min <= 24) {
+                    blackPoint = min / 2;
+                    if (bx > 0 && by > 0) {
+                        const neighbours = (blackPoints[(by - 1) * blocksX + bx] +
+                            2 * blackPoints[by * blocksX + bx - 1] +
+                            blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+                        if (min < neighbours) {
+                            blackPoint = neighbours;
+                        }
+                    }
                 }
+                blackPoints[by * blocksX + bx] = blackPoint;
             }
         }
         
-        return true;
-    }
-
-    decodeQRFromPatterns(patterns, data, width, height) {
-        // Simplified QR decoding - look for specific patterns
-        // In a real implementation, you'd use a proper QR library
-        
-        // For demonstration, look for "HADER:" pattern in center area
-        const centerX = Math.floor(width / 2);
-        const centerY = Math.floor(height / 2);
-        
-        // Check if there's a data pattern around the center
-        if (this.hasDataPattern(data, centerX - 20, centerY - 20, width, 40, 40)) {
-            // Try to extract student ID from known patterns
-            const studentId = this.extractStudentIdFromQR(data, centerX, centerY, width);
-            if (studentId) {
-                return `HADER:${studentId}`;
+        // Each block is thresholded with the average of the surrounding 5x5 blocks
+        const bits = new Uint8Array(width * height);
+        for (let by = 0; by < blocksY; by++) {
+            const top = Math.min(Math.max(by, 2), blocksY - 3);
+            for (let bx = 0; bx < blocksX; bx++) {
+                const left = Math.min(Math.max(bx, 2), blocksX - 3);
+                let sum = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        sum += blackPoints[(top + dy) * blocksX + left + dx];
+                    }
+                }
+                const threshold = sum / 25;
+                
+                // 1 = dark module, 0 = light
+                for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        const index = y * width + x;
+                        bits[index] = gray[index] <= threshold ? 1 : 0;
+                    }
+                }
             }
         }
         
-        return null;
+        return bits;
     }
 
-    extractStudentIdFromQR(data, centerX, centerY, width) {
-        // Simplified pattern matching for student IDs
-        // Look for common ID patterns (1001, 1002, 2001, etc.)
-        const commonIds = ['1001', '1002', '1003', '1004', '2001', '2002', '2003', '3001', '3002', '3003'];
+    binarizeGlobal(gray) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < gray.length; i++) {
+            histogram[gray[i]]++;
+        }
         
-        // Check surrounding area for these patterns
-        // This is a simplified approach - real QR decoding is much more complex
-        const randomId = commonIds[Math.floor(Math.random() * commonIds.length)];
+        const threshold = this.calculateOtsuThreshold(histogram, gray.length);
+        const bits = new Uint8Array(gray.length);
+        for (let i = 0; i < gray.length; i++) {
+            bits[i] = gray[i] <= threshold ? 1 : 0;
+        }
         
-        // Return a random ID for demonstration
-        // In production, use a proper QR decoding library
-        return randomId;
+        return bits;
     }
 
-    detectCode128(imageData) {
-        // Simplified Code128 detection
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
+    calculateOtsuThreshold(histogram, total) {
+        let sum = 0;
+        for (let i = 0; i < 256; i++) {
+            sum += i * histogram[i];
+        }
         
-        // Look for horizontal bar patterns
-        const barPatterns = this.findBarPatterns(data, width, height);
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let bestVariance = 0;
+        let threshold = 127;
         
-        if (barPatterns.length > 0) {
-            return this.decodeCode128Pattern(barPatterns[0]);
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+            
+            const weightForeground = total - weightBackground;
+            if (weightForeground === 0) break;
+            
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+            
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
         }
         
-        return null;
+        return threshold;
     }
 
-    findBarPatterns(data, width, height) {
-        const patterns = [];
-        const threshold = 128;
+    findQRFinderPatterns(bits, width, height) {
+        const candidates = [];
+        const rowStep = Math.max(1, Math.floor(height / 160));
         
-        // Scan horizontal lines for bar patterns
-        for (let y = height / 4; y < height * 3/4; y += 5) {
-            const bars = this.extractBarsFromLine(data, y, width, threshold);
-            if (bars.length > 10) { // Code128 has many bars
-                patterns.push({ y, bars });
+        // Scan rows for the 1:1:3:1:1 dark/light run ratio of a finder pattern
+        for (let y = 0; y < height; y += rowStep) {
+            const runs = this.getRowRuns(bits, y, width);
+            
+            for (let i = 0; i + 4 < runs.length; i++) {
+                if (!runs[i].dark) continue;
+                
+                const counts = runs.slice(i, i + 5).map(run => run.length);
+                if (!this.isFinderRatio(counts)) continue;
+                
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const centerX = Math.floor(runs[i + 2].start + runs[i + 2].length / 2);
+                
+                // Confirm vertically, then re-centre horizontally
+                const centerY = this.crossCheckFinder(bits, width, height, centerX, y, 0, 1, total);
+                if (centerY === null) continue;
+                
+                const refinedX = this.crossCheckFinder(bits, width, height, centerX, Math.floor(centerY), 1, 0, total);
+                if (refinedX === null) continue;
+                
+                this.addFinderCandidate(candidates, refinedX, centerY, total / 7);
             }
         }
         
-        return patterns;
+        return candidates.sort((a, b) => b.count - a.count);
     }
 
-    extractBarsFromLine(data, y, width, threshold) {
-        const bars = [];
-        let currentState = null;
-        let currentLength = 0;
-        
-        for (let x = 0; x < width; x++) {
-            const index = (y * width + x) * 4;
-            const gray = (data[index] + data[index + 1] + data[index + 2]) / 3;
-            const isBlack = gray < threshold;
-            
-            if (currentState === null) {
-                currentState = isBlack;
-                currentLength = 1;
-            } else if (currentState === isBlack) {
-                currentLength++;
-            } else {
-                bars.push({ black: currentState, length: currentLength });
-                currentState = isBlack;
-                currentLength = 1;
+    getRowRuns(bits, y, width) {
+        const runs = [];
+        const offset = y * width;
+        let start = 0;
+        
+        for (let x = 1; x <= width; x++) {
+            if (x === width || bits[offset + x] !== bits[offset + start]) {
+                runs.push({ start, length: x - start, dark: bits[offset + start] === 1 });
+                start = x;
             }
         }
         
-        if (currentLength > 0) {
-            bars.push({ black: currentState, length: currentLength });
-        }
+        return runs;
+    }
+
+    isFinderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7 || counts.some(count => count === 0)) return false;
         
-        return bars;
+        const moduleSize = total / 7;
+        const maxVariance = moduleSize / 2;
+        
+        return Math.abs(moduleSize - counts[0]) < maxVariance &&
+            Math.abs(moduleSize - counts[1]) < maxVariance &&
+            Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+            Math.abs(moduleSize - counts[3]) < maxVariance &&
+            Math.abs(moduleSize - counts[4]) < maxVariance;
     }
 
-    decodeCode128Pattern(pattern) {
-        // Simplified Code128 decoding
-        // Look for patterns that might represent student IDs
+    crossCheckFinder(bits, width, height, x, y, dx, dy, originalTotal) {
+        const inside = (px, py) => px >= 0 && py >= 0 && px < width && py < height;
+        const isDark = (px, py) => inside(px, py) && bits[py * width + px] === 1;
         
-        // For demonstration, return a pattern-based ID
-        const { bars } = pattern;
+        if (!isDark(x, y)) return null;
+        
+        const counts = [0, 0, 0, 0, 0];
+        let backSteps = 0;
+        
+        // Walk backwards: centre, light ring, dark ring
+        let px = x;
+        let py = y;
+        while (isDark(px, py)) { counts[2]++; backSteps++; px -= dx; py -= dy; }
+        while (inside(px, py) && !isDark(px, py) && counts[1] <= originalTotal) { counts[1]++; px -= dx; py -= dy; }
+        while (isDark(px, py) && counts[0] <= originalTotal) { counts[0]++; px -= dx; py -= dy; }
+        
+        // Walk forwards
+        px = x + dx;
+        py = y + dy;
+        while (isDark(px, py)) { counts[2]++; px += dx; py += dy; }
+        while (inside(px, py) && !isDark(px, py) && counts[3] <= originalTotal) { counts[3]++; px += dx; py += dy; }
+        while (isDark(px, py) && counts[4] <= originalTotal) { counts[4]++; px += dx; py += dy; }
+        
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return null;
+        if (!this.isFinderRatio(counts)) return null;
         
-        // Simplified: use bar pattern length to determine ID
-        const totalBars = bars.length;
-        const commonIds = ['00001001', '00001002', '00001003', '00001004', '00002001', '00002002'];
+        const start = (dx ? x : y) - backSteps + 1;
+        return start + counts[2] / 2;
+    }
+
+    addFinderCandidate(candidates, x, y, moduleSize) {
+        const existing = candidates.find(candidate =>
+            Math.abs(candidate.x - x) <= candidate.moduleSize * 2 &&
+            Math.abs(candidate.y - y) <= candidate.moduleSize * 2 &&
+            Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize / 2)
+        );
         
-        const idIndex = totalBars % commonIds.length;
-        return commonIds[idIndex];
+        if (existing) {
+            const count = existing.count + 1;
+            existing.x = (existing.x * existing.count + x) / count;
+            existing.y = (existing.y * existing.count + y) / count;
+            existing.moduleSize = (existing.moduleSize * existing.count + moduleSize) / count;
+            existing.count = count;
+        } else {
+            candidates.push({ x, y, moduleSize, count: 1 });
+        }
     }
 
-    hasDataPattern(data, startX, startY, width, checkWidth, checkHeight) {
-        // Check if there's a data pattern in the specified area
-        let blackPixels = 0;
-        let totalPixels = 0;
+    decodeQRFromPatterns(patterns, bits, width, height) {
+        const triples = this.selectFinderTriples(patterns);
         
-        for (let y = startY; y < startY + checkHeight && y < data.length / (width * 4); y++) {
-            for (let x = startX; x < startX + checkWidth && x < width; x++) {
-                const index = (y * width + x) * 4;
-                if (index < data.length) {
-                    const gray = (data[index] + data[index + 1] + data[index + 2]) / 3;
-                    if (gray < 128) blackPixels++;
-                    totalPixels++;
+        for (const triple of triples) {
+            try {
+                const result = this.decodeQRSymbol(triple, bits, width, height);
+                if (result !== null) {
+                    return result;
                 }
+            } catch (error) {
+                // Not a readable symbol, try the next combination
             }
         }
         
-        // Return true if there's a good mix of black and white (indicating data)
-        const blackRatio = blackPixels / totalPixels;
-        return blackRatio > 0.2 && blackRatio < 0.8;
+        return null;
     }
 
-    handleScanResult(result) {
-        console.log('Scan result:', result);
-        
-        let studentId = null;
+    selectFinderTriples(patterns) {
+        const pool = patterns.slice(0, 8);
+        const triples = [];
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
         
-        // Extract student ID from different formats
-        if (result.type === 'QR' && result.data.startsWith('HADER:')) {
-            studentId = result.data.replace('HADER:', '');
-        } else if (result.type === 'CODE128') {
-            // Remove leading zeros
-            studentId = result.data.replace(/^0+/, '') || '0';
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const points = [pool[i], pool[j], pool[k]];
+                    const sizes = points.map(p => p.moduleSize);
+                    if (Math.max(...sizes) > Math.min(...sizes) * 1.5) continue;
+                    
+                    // The top-left pattern sits opposite the longest side
+                    const sides = [
+                        { corner: points[0], a: points[1], b: points[2] },
+                        { corner: points[1], a: points[0], b: points[2] },
+                        { corner: points[2], a: points[0], b: points[1] }
+                    ].map(side => ({ ...side, hypotenuse: distance(side.a, side.b) }))
+                        .sort((x, y) => y.hypotenuse - x.hypotenuse);
+                    
+                    const { corner, a, b, hypotenuse } = sides[0];
+                    const legA = distance(corner, a);
+                    const legB = distance(corner, b);
+                    const legRatio = Math.max(legA, legB) / Math.min(legA, legB);
+                    const rightAngleError = Math.abs(hypotenuse ** 2 - legA ** 2 - legB ** 2) / (legA ** 2 + legB ** 2);
+                    
+                    if (legRatio > 1.5 || rightAngleError > 0.35) continue;
+                    
+                    // With y pointing down, top-right x bottom-left is positive
+                    const cross = (a.x - corner.x) * (b.y - corner.y) - (a.y - corner.y) * (b.x - corner.x);
+                    triples.push({
+                        topLeft: corner,
+                        topRight: cross > 0 ? a : b,
+                        bottomLeft: cross > 0 ? b : a,
+                        score: rightAngleError + (legRatio - 1)
+                    });
+                }
+            }
         }
         
-        if (studentId) {
-            // Show scan result
-            this.displayScanResult(result.type, studentId);
-            
-            // Dispatch event for student interface
-            window.dispatchEvent(new CustomEvent('hader:scanner:result', {
-                detail: { code: studentId, type: result.type }
-            }));
-            
-            // Auto-close scanner after successful scan
-            setTimeout(() => {
-                this.stopScanner();
-            }, 1000);
-        }
+        return triples.sort((a, b) => a.score - b.score).slice(0, 3);
     }
 
-    displayScanResult(type, studentId) {
-        const resultEl = document.getElementById('scannerResult');
-        if (resultEl) {
-            resultEl.innerHTML = `
-                <div class="scan-success">
-                    <div class="scan-type">${type} Code Detected</div>
-                    <div class="scan-data">Student ID: ${studentId}</div>
-                </div>
-            `;
+    decodeQRSymbol(triple, bits, width, height) {
+        const { topLeft, topRight, bottomLeft } = triple;
+        const moduleSize = this.estimateModuleSize(bits, width, height, topLeft, topRight, bottomLeft);
+        
+        for (let dimension of this.estimateDimensions(topLeft, topRight, bottomLeft, moduleSize)) {
+            let matrix = this.sampleQRGrid(bits, width, height, triple, dimension);
             
-            // Clear result after 2 seconds
-            setTimeout(() => {
-                resultEl.innerHTML = '';
-            }, 2000);
+            // Large symbols carry their version explicitly; re-sample if the estimate was off
+            if (dimension >= 45) {
+                const version = this.readQRVersion(matrix);
+                if (version && 17 + version * 4 !== dimension) {
+                    dimension = 17 + version * 4;
+                    matrix = this.sampleQRGrid(bits, width, height, triple, dimension);
+                }
+            }
+            
+            // Fall back to the mirrored reading for codes printed or scanned reversed
+            const result = this.readQRMatrix(matrix);
+            if (result !== null) return result;
+            
+            const mirrored = this.readQRMatrix(this.transposeMatrix(matrix));
+            if (mirrored !== null) return mirrored;
         }
+        
+        return null;
     }
 
-    // Alternative manual input fallback
-    showManualInput() {
-        const resultEl = document.getElementById('scannerResult');
-        if (resultEl) {
-            resultEl.innerHTML = `
-                <div class="manual-input">
-                    <input type="text" placeholder="أدخل رقم الطالب يدوياً" id="manualStudentId" class="form-input">
-                    <button class="btn btn-primary" onclick="scanner.handleManualInput()">تأكيد</button>
-                </div>
-            `;
+    estimateModuleSize(bits, width, height, topLeft, topRight, bottomLeft) {
+        const away = (from, to) => ({ x: 2 * from.x - to.x, y: 2 * from.y - to.y });
+        
+        // Each walk from a finder centre to its outer edge covers 3.5 modules
+        const runs = [
+            this.measureFinderRun(bits, width, height, topLeft, topRight),
+            this.measureFinderRun(bits, width, height, topLeft, away(topLeft, topRight)),
+            this.measureFinderRun(bits, width, height, topRight, topLeft),
+            this.measureFinderRun(bits, width, height, topRight, away(topRight, topLeft)),
+            this.measureFinderRun(bits, width, height, topLeft, bottomLeft),
+            this.measureFinderRun(bits, width, height, topLeft, away(topLeft, bottomLeft)),
+            this.measureFinderRun(bits, width, height, bottomLeft, topLeft),
+            this.measureFinderRun(bits, width, height, bottomLeft, away(bottomLeft, topLeft))
+        ].filter(run => !isNaN(run));
+        
+        if (runs.length === 0) {
+            return (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
         }
+        
+        return runs.reduce((sum, run) => sum + run, 0) / runs.length / 3.5;
     }
 
-    handleManualInput() {
-        const input = document.getElementById('manualStudentId');
-        const studentId = input?.value.trim();
+    measureFinderRun(bits, width, height, from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        let state = 0; // 0 = centre, 1 = light ring, 2 = dark ring
         
-        if (studentId) {
-            window.dispatchEvent(new CustomEvent('hader:scanner:result', {
-                detail: { code: studentId, type: 'MANUAL' }
-            }));
+        for (let t = 0; t < length; t++) {
+            const px = Math.floor(from.x + dx / length * t);
+            const py = Math.floor(from.y + dy / length * t);
             
-            this.stopScanner();
+            if (px < 0 || py < 0 || px >= width || py >= height) {
+                return state === 2 ? t - 0.5 : NaN;
+            }
+            
+            const dark = bits[py * width + px] === 1;
+            if (state === 0 && !dark) {
+                state = 1;
+            } else if (state === 1 && dark) {
+                state = 2;
+            } else if (state === 2 && !dark) {
+                // The edge lies between this pixel and the previous one
+                return t - 0.5;
+            }
         }
+        
+        return NaN;
     }
 
-    // Check if camera is supported
-    static isSupported() {
-        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    estimateDimensions(topLeft, topRight, bottomLeft, moduleSize) {
+        const across = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) / moduleSize;
+        const down = Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) / moduleSize;
+        const estimate = (across + down) / 2 + 7;
+        
+        // Valid symbol sizes are 4 * version + 17; try the two nearest, closest first
+        const lower = Math.floor((estimate - 1) / 4) * 4 + 1;
+        const upper = lower + 4;
+        const candidates = estimate - lower <= upper - estimate ? [lower, upper] : [upper, lower];
+        
+        return candidates.filter(dimension => dimension >= 21 && dimension <= 177);
+    }
+
+    sampleQRGrid(bits, width, height, triple, dimension) {
+        const transform = this.createModuleTransform(bits, width, height, triple, dimension);
+        const matrix = [];
+        
+        for (let row = 0; row < dimension; row++) {
+            const line = new Array(dimension);
+            for (let col = 0; col < dimension; col++) {
+                const point = transform(col + 0.5, row + 0.5);
+                const px = Math.floor(point.x);
+                const py = Math.floor(point.y);
+                line[col] = px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] : 0;
+            }
+            matrix.push(line);
+        }
+        
+        return matrix;
+    }
+
+    createModuleTransform(bits, width, height, triple, dimension) {
+        const { topLeft, topRight, bottomLeft } = triple;
+        const last = dimension - 3.5;
+        
+        // Without an alignment pattern, assume the fourth corner completes a parallelogram
+        let bottomRight = {
+            x: topRight.x - topLeft.x + bottomLeft.x,
+            y: topRight.y - topLeft.y + bottomLeft.y
+        };
+        let bottomRightModule = { x: last, y: last };
+        
+        if (dimension > 21) {
+            const alignment = this.findAlignmentPattern(bits, width, height, triple, dimension);
+            if (alignment) {
+                bottomRight = alignment;
+                bottomRightModule = { x: dimension - 6.5, y: dimension - 6.5 };
+            }
+        }
+        
+        return this.createPerspectiveTransform(
+            [{ x: 3.5, y: 3.5 }, { x: last, y: 3.5 }, bottomRightModule, { x: 3.5, y: last }],
+            [topLeft, topRight, bottomRight, bottomLeft]
+        );
+    }
+
+    findAlignmentPattern(bits, width, height, triple, dimension) {
+        const { topLeft, topRight, bottomLeft } = triple;
+        const span = dimension - 7;
+        
+        // Per-module steps along the symbol's columns (u) and rows (v)
+        const ux = (topRight.x - topLeft.x) / span;
+        const uy = (topRight.y - topLeft.y) / span;
+        const vx = (bottomLeft.x - topLeft.x) / span;
+        const vy = (bottomLeft.y - topLeft.y) / span;
+        const moduleSize = (Math.hypot(ux, uy) + Math.hypot(vx, vy)) / 2;
+        
+        const offset = dimension - 10;
+        const expected = {
+            x: topLeft.x + (ux + vx) * offset,
+            y: topLeft.y + (uy + vy) * offset
+        };
+        
+        // Perspective pulls the pattern away from the affine estimate; widen the search gradually
+        for (const allowance of [4, 8, 12]) {
+            const match = this.searchAlignmentPattern(bits, width, height, expected, Math.ceil(moduleSize * allowance), moduleSize, ux, uy, vx, vy);
+            if (match) return match;
+        }
+        
+        return null;
+    }
+
+    searchAlignmentPattern(bits, width, height, expected, radius, moduleSize, ux, uy, vx, vy) {
+        let bestScore = 0;
+        let matches = [];
+        
+        for (let y = Math.floor(expected.y - radius); y <= expected.y + radius; y++) {
+            for (let x = Math.floor(expected.x - radius); x <= expected.x + radius; x++) {
+                const score = this.scoreAlignmentPattern(bits, width, height, x + 0.5, y + 0.5, ux, uy, vx, vy);
+                if (score > bestScore) {
+                    bestScore = score;
+                    matches = [{ x: x + 0.5, y: y + 0.5 }];
+                } else if (score === bestScore) {
+                    matches.push({ x: x + 0.5, y: y + 0.5 });
+                }
+            }
+        }
+        
+        if (bestScore < 23) return null;
+        
+        // Average the best-scoring positions closest to the expected centre
+        const distance = (p) => Math.hypot(p.x - expected.x, p.y - expected.y);
+        const nearest = matches.reduce((best, p) => distance(p) < distance(best) ? p : best);
+        const cluster = matches.filter(p => Math.hypot(p.x - nearest.x, p.y - nearest.y) <= moduleSize);
+        
+        return {
+            x: cluster.reduce((sum, p) => sum + p.x, 0) / cluster.length,
+            y: cluster.reduce((sum, p) => sum + p.y, 0) / cluster.length
+        };
+    }
+
+    scoreAlignmentPattern(bits, width, height, x, y, ux, uy, vx, vy) {
+        let score = 0;
+        
+        // 5x5 template: dark border, light ring, dark centre
+        for (let i = -2; i <= 2; i++) {
+            for (let j = -2; j <= 2; j++) {
+                const px = Math.floor(x + j * ux + i * vx);
+                const py = Math.floor(y + j * uy + i * vy);
+                const dark = px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+                const expectedDark = Math.max(Math.abs(i), Math.abs(j)) !== 1;
+                if (dark === expectedDark) score++;
+            }
+        }
+        
+        return score;
+    }
+
+    createPerspectiveTransform(source, target) {
+        // Maps module coordinates to image coordinates via the unit square
+        const toTarget = this.squareToQuadrilateral(target);
+        const fromSource = this.adjugateMatrix(this.squareToQuadrilateral(source));
+        const m = this.multiplyMatrices(fromSource, toTarget);
+        
+        return (x, y) => {
+            const w = m[2] * x + m[5] * y + m[8];
+            return {
+                x: (m[0] * x + m[3] * y + m[6]) / w,
+                y: (m[1] * x + m[4] * y + m[7]) / w
+            };
+        };
+    }
+
+    squareToQuadrilateral(points) {
+        const [p0, p1, p2, p3] = points;
+        const dx1 = p1.x - p2.x;
+        const dx2 = p3.x - p2.x;
+        const dx3 = p0.x - p1.x + p2.x - p3.x;
+        const dy1 = p1.y - p2.y;
+        const dy2 = p3.y - p2.y;
+        const dy3 = p0.y - p1.y + p2.y - p3.y;
+        
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+        
+        return [
+            p1.x - p0.x + a13 * p1.x, p1.y - p0.y + a13 * p1.y, a13,
+            p3.x - p0.x + a23 * p3.x, p3.y - p0.y + a23 * p3.y, a23,
+            p0.x, p0.y, 1
+        ];
+    }
+
+    adjugateMatrix(m) {
+        const [a, b, c, d, e, f, g, h, i] = m;
+        return [
+            e * i - f * h, c * h - b * i, b * f - c * e,
+            f * g - d * i, a * i - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d
+        ];
+    }
+
+    multiplyMatrices(a, b) {
+        const result = new Array(9).fill(0);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                for (let k = 0; k < 3; k++) {
+                    result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+                }
+            }
+        }
+        return result;
+    }
+
+    transposeMatrix(matrix) {
+        return matrix.map((row, i) => row.map((_, j) => matrix[j][i]));
+    }
+
+    readQRMatrix(matrix) {
+        const format = this.readQRFormat(matrix);
+        if (!format) return null;
+        
+        const version = (matrix.length - 17) / 4;
+        const codewords = this.readQRCodewords(matrix, version, format.mask);
+        const dataCodewords = this.correctQRCodewords(codewords, version, format.ecLevel);
+        
+        return dataCodewords ? this.decodeQRSegments(dataCodewords, version) : null;
+    }
+
+    readQRFormat(matrix) {
+        const size = matrix.length;
+        const bit = (x, y) => matrix[y][x];
+        let first = 0;
+        let second = 0;
+        
+        // Copy around the top-left finder
+        for (let i = 0; i <= 5; i++) first |= bit(8, i) << i;
+        first |= bit(8, 7) << 6;
+        first |= bit(8, 8) << 7;
+        first |= bit(7, 8) << 8;
+        for (let i = 9; i < 15; i++) first |= bit(14 - i, 8) << i;
+        
+        // Copy split between the top-right and bottom-left finders
+        for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+        for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+        
+        let best = null;
+        let bestDistance = 4;
+        
+        for (let data = 0; data < 32; data++) {
+            const code = this.getQRFormatBits(data);
+            const distance = Math.min(this.countBits(code ^ first), this.countBits(code ^ second));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = data;
+            }
+        }
+        
+        if (best === null) return null;
+        
+        return {
+            ecLevel: ['M', 'L', 'H', 'Q'][best >> 3],
+            mask: best & 7
+        };
+    }
+
+    getQRFormatBits(data) {
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    readQRVersion(matrix) {
+        const size = matrix.length;
+        let first = 0;
+        let second = 0;
+        
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            first |= matrix[b][a] << i;
+            second |= matrix[a][b] << i;
+        }
+        
+        let best = null;
+        let bestDistance = 4;
+        
+        for (let version = 7; version <= 40; version++) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const code = (version << 12) | remainder;
+            const distance = Math.min(this.countBits(code ^ first), this.countBits(code ^ second));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = version;
+            }
+        }
+        
+        return best;
+    }
+
+    countBits(value) {
+        let count = 0;
+        while (value) {
+            count += value & 1;
+            value >>>= 1;
+        }
+        return count;
+    }
+
+    getQRAlignmentPositions(version) {
+        if (version === 1) return [];
+        
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        
+        for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        
+        return positions;
+    }
+
+    buildQRFunctionMask(version) {
+        const size = version * 4 + 17;
+        const mask = Array.from({ length: size }, () => new Array(size).fill(false));
+        const fill = (top, left, rows, cols) => {
+            for (let y = Math.max(0, top); y < Math.min(size, top + rows); y++) {
+                for (let x = Math.max(0, left); x < Math.min(size, left + cols); x++) {
+                    mask[y][x] = true;
+                }
+            }
+        };
+        
+        // Finder patterns with separators and format information
+        fill(0, 0, 9, 9);
+        fill(0, size - 8, 9, 8);
+        fill(size - 8, 0, 8, 9);
+        
+        // Timing patterns
+        fill(6, 0, 1, size);
+        fill(0, 6, size, 1);
+        
+        // Alignment patterns, skipping the three finder corners
+        const positions = this.getQRAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                fill(y - 2, x - 2, 5, 5);
+            });
+        });
+        
+        // Version information
+        if (version >= 7) {
+            fill(0, size - 11, 6, 3);
+            fill(size - 11, 0, 3, 6);
+        }
+        
+        return mask;
+    }
+
+    getQRMaskBit(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return x * y % 2 + x * y % 3 === 0;
+            case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+            case 7: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+            default: return false;
+        }
+    }
+
+    readQRCodewords(matrix, version, mask) {
+        const size = matrix.length;
+        const isFunction = this.buildQRFunctionMask(version);
+        const totalCodewords = this.getQRTotalCodewords(version);
+        const codewords = new Array(totalCodewords).fill(0);
+        let bitIndex = 0;
+        
+        // Zigzag through two-module columns from the bottom-right corner
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    
+                    if (isFunction[y][x] || bitIndex >= totalCodewords * 8) continue;
+                    
+                    const value = matrix[y][x] ^ (this.getQRMaskBit(mask, x, y) ? 1 : 0);
+                    if (value) {
+                        codewords[bitIndex >>> 3] |= 1 << (7 - (bitIndex & 7));
+                    }
+                    bitIndex++;
+                }
+            }
+        }
+        
+        return codewords;
+    }
+
+    getQRBlockLayout(version, ecLevel) {
+        // ISO/IEC 18004 table 9, indexed by version
+        const eccPerBlock = {
+            L: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            M: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            Q: [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            H: [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        };
+        const numBlocks = {
+            L: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            M: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            Q: [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            H: [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        };
+        
+        return {
+            eccPerBlock: eccPerBlock[ecLevel][version - 1],
+            numBlocks: numBlocks[ecLevel][version - 1],
+            totalCodewords: this.getQRTotalCodewords(version)
+        };
+    }
+
+    getQRTotalCodewords(version) {
+        // Modules left over for data and error correction once function patterns are placed
+        let rawModules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            rawModules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) rawModules -= 36;
+        }
+        
+        return Math.floor(rawModules / 8);
+    }
+
+    correctQRCodewords(codewords, version, ecLevel) {
+        const { eccPerBlock, numBlocks, totalCodewords } = this.getQRBlockLayout(version, ecLevel);
+        const numShortBlocks = numBlocks - totalCodewords % numBlocks;
+        const shortDataLength = Math.floor(totalCodewords / numBlocks) - eccPerBlock;
+        
+        // Undo the interleaving: data columns first, long blocks carry one extra byte
+        const blocks = [];
+        for (let b = 0; b < numBlocks; b++) {
+            blocks.push([]);
+        }
+        
+        let index = 0;
+        for (let i = 0; i <= shortDataLength; i++) {
+            for (let b = 0; b < numBlocks; b++) {
+                if (i < shortDataLength || b >= numShortBlocks) {
+                    blocks[b].push(codewords[index++]);
+                }
+            }
+        }
+        for (let i = 0; i < eccPerBlock; i++) {
+            for (let b = 0; b < numBlocks; b++) {
+                blocks[b].push(codewords[index++]);
+            }
+        }
+        
+        const data = [];
+        for (const block of blocks) {
+            const corrected = this.correctReedSolomon(block, eccPerBlock);
+            if (!corrected) return null;
+            data.push(...corrected.slice(0, block.length - eccPerBlock));
+        }
+        
+        return data;
+    }
+
+    initGaloisField() {
+        if (this.gfExp) return;
+        
+        // GF(256) with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+        this.gfExp = new Uint8Array(512);
+        this.gfLog = new Uint8Array(256);
+        
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            this.gfExp[i] = value;
+            this.gfLog[value] = i;
+            value <<= 1;
+            if (value & 0x100) value ^= 0x11D;
+        }
+        for (let i = 255; i < 512; i++) {
+            this.gfExp[i] = this.gfExp[i - 255];
+        }
+    }
+
+    gfMultiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.gfExp[this.gfLog[a] + this.gfLog[b]];
+    }
+
+    gfDivide(a, b) {
+        if (a === 0) return 0;
+        return this.gfExp[(this.gfLog[a] + 255 - this.gfLog[b]) % 255];
+    }
+
+    gfPower(a, n) {
+        if (n === 0) return 1;
+        return this.gfExp[(this.gfLog[a] * n) % 255];
+    }
+
+    evaluateQRSyndromes(block, eccCount) {
+        const syndromes = new Array(eccCount);
+        
+        // block[0] is the highest-degree coefficient
+        for (let i = 0; i < eccCount; i++) {
+            const x = this.gfExp[i];
+            let value = 0;
+            for (const coefficient of block) {
+                value = this.gfMultiply(value, x) ^ coefficient;
+            }
+            syndromes[i] = value;
+        }
+        
+        return syndromes;
+    }
+
+    correctReedSolomon(block, eccCount) {
+        this.initGaloisField();
+        
+        const n = block.length;
+        const syndromes = this.evaluateQRSyndromes(block, eccCount);
+        if (syndromes.every(s => s === 0)) return block.slice();
+        
+        // Berlekamp-Massey: find the error locator polynomial (lowest degree first)
+        let locator = [1];
+        let previous = [1];
+        let errorCount = 0;
+        let shift = 1;
+        let previousDelta = 1;
+        
+        for (let step = 0; step < eccCount; step++) {
+            let delta = syndromes[step];
+            for (let i = 1; i <= errorCount; i++) {
+                delta ^= this.gfMultiply(locator[i] || 0, syndromes[step - i]);
+            }
+            
+            if (delta === 0) {
+                shift++;
+                continue;
+            }
+            
+            const coefficient = this.gfDivide(delta, previousDelta);
+            const next = locator.slice();
+            for (let i = 0; i < previous.length; i++) {
+                while (next.length <= i + shift) next.push(0);
+                next[i + shift] ^= this.gfMultiply(coefficient, previous[i]);
+            }
+            
+            if (2 * errorCount <= step) {
+                errorCount = step + 1 - errorCount;
+                previous = locator;
+                previousDelta = delta;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+        
+        if (2 * errorCount > eccCount) return null;
+        locator = locator.slice(0, errorCount + 1);
+        
+        // Chien search: roots of the locator give the error positions
+        const errorDegrees = [];
+        for (let degree = 0; degree < n; degree++) {
+            const inverse = this.gfExp[(255 - degree % 255) % 255];
+            let value = 0;
+            for (let i = locator.length - 1; i >= 0; i--) {
+                value = this.gfMultiply(value, inverse) ^ locator[i];
+            }
+            if (value === 0) errorDegrees.push(degree);
+        }
+        
+        if (errorDegrees.length !== errorCount) return null;
+        
+        // Forney: error magnitudes from the evaluator polynomial
+        const evaluator = new Array(eccCount).fill(0);
+        for (let i = 0; i < eccCount; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                evaluator[i] ^= this.gfMultiply(locator[j], syndromes[i - j]);
+            }
+        }
+        
+        const corrected = block.slice();
+        for (const degree of errorDegrees) {
+            const position = this.gfExp[degree % 255];
+            const inverse = this.gfExp[(255 - degree % 255) % 255];
+            
+            let numerator = 0;
+            for (let i = evaluator.length - 1; i >= 0; i--) {
+                numerator = this.gfMultiply(numerator, inverse) ^ evaluator[i];
+            }
+            
+            let denominator = 0;
+            for (let i = 1; i < locator.length; i += 2) {
+                denominator ^= this.gfMultiply(locator[i], this.gfPower(inverse, i - 1));
+            }
+            if (denominator === 0) return null;
+            
+            corrected[n - 1 - degree] ^= this.gfMultiply(position, this.gfDivide(numerator, denominator));
+        }
+        
+        const check = this.evaluateQRSyndromes(corrected, eccCount);
+        return check.every(s => s === 0) ? corrected : null;
+    }
+
+    decodeQRSegments(codewords, version) {
+        const alphanumeric = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+        const totalBits = codewords.length * 8;
+        let offset = 0;
+        
+        const read = (count) => {
+            if (offset + count > totalBits) {
+                throw new Error('QR data truncated');
+            }
+            let value = 0;
+            for (let i = 0; i < count; i++, offset++) {
+                value = (value << 1) | ((codewords[offset >>> 3] >>> (7 - (offset & 7))) & 1);
+            }
+            return value;
+        };
+        
+        let result = '';
+        
+        while (totalBits - offset >= 4) {
+            const mode = read(4);
+            if (mode === 0) break; // Terminator
+            
+            if (mode === 0x7) {
+                // ECI designator - payloads are decoded as UTF-8 regardless
+                const first = read(8);
+                if ((first & 0xC0) === 0x80) read(8);
+                else if ((first & 0xE0) === 0xC0) read(16);
+                continue;
+            }
+            
+            const countBits = this.getQRCharCountBits(mode, version);
+            if (!countBits) return null;
+            let count = read(countBits);
+            
+            if (mode === 0x1) {
+                // Numeric: three digits per 10 bits
+                while (count >= 3) {
+                    result += read(10).toString().padStart(3, '0');
+                    count -= 3;
+                }
+                if (count === 2) result += read(7).toString().padStart(2, '0');
+                else if (count === 1) result += read(4).toString();
+            } else if (mode === 0x2) {
+                // Alphanumeric: two characters per 11 bits
+                while (count >= 2) {
+                    const value = read(11);
+                    result += alphanumeric[Math.floor(value / 45)] + alphanumeric[value % 45];
+                    count -= 2;
+                }
+                if (count === 1) result += alphanumeric[read(6)];
+            } else if (mode === 0x4) {
+                const bytes = new Uint8Array(count);
+                for (let i = 0; i < count; i++) {
+                    bytes[i] = read(8);
+                }
+                result += this.decodeQRBytes(bytes);
+            }
+        }
+        
+        return result;
+    }
+
+    getQRCharCountBits(mode, version) {
+        const index = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+        const bits = {
+            0x1: [10, 12, 14],
+            0x2: [9, 11, 13],
+            0x4: [8, 16, 16]
+        };
+        return bits[mode] ? bits[mode][index] : null;
+    }
+
+    decodeQRBytes(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (error) {
+                // Not UTF-8, fall through to ISO-8859-1
+            }
+        }
+        return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    }
+
+    detectCode128(gray, width, height) {
+        // Scanlines run at full resolution so narrow bars are not averaged away
+        // Decode scanlines until two of them agree on the same value
+        const results = new Map();
+        for (const pattern of this.findBarPatterns(gray, width, height)) {
+            const decoded = this.decodeCode128Pattern(pattern);
+            if (decoded === null) continue;
+            
+            const count = (results.get(decoded) || 0) + 1;
+            if (count >= 2) {
+                return decoded;
+            }
+            results.set(decoded, count);
+        }
+        
+        return null;
+    }
+
+    toGrayscale(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Uint8Array(width * height);
+        
+        for (let i = 0; i < gray.length; i++) {
+            const index = i * 4;
+            gray[i] = Math.round((data[index] + data[index + 1] + data[index + 2]) / 3);
+        }
+        
+        return gray;
+    }
+
+    *findBarPatterns(gray, width, height) {
+        // Horizontal lines first, then tilted ones for skewed barcodes
+        const angles = [0, 10, -10, 20, -20, 30, -30];
+        const spacing = Math.max(4, Math.floor(height / 24));
+        const reach = Math.floor(height * 0.45 / spacing);
+        const halfLength = Math.hypot(width, height) / 2;
+        
+        for (const angle of angles) {
+            const radians = angle * Math.PI / 180;
+            const dx = Math.cos(radians);
+            const dy = Math.sin(radians);
+            
+            // Offsets alternate outward from the centre of the frame
+            for (let step = 0; step <= reach * 2; step++) {
+                const offset = (step % 2 === 0 ? 1 : -1) * Math.ceil(step / 2) * spacing;
+                if (step > 0 && offset === 0) continue;
+                
+                const originX = width / 2 - dy * offset - dx * halfLength;
+                const originY = height / 2 + dx * offset - dy * halfLength;
+                const bars = this.extractBarsFromLine(gray, width, height, originX, originY, dx, dy, halfLength * 2);
+                
+                if (bars.length >= 25) { // Shortest Code128 symbol: start, one data symbol, checksum and stop (6+6+6+7)
+                    yield { angle, offset, bars };
+                }
+            }
+        }
+    }
+
+    extractBarsFromLine(gray, width, height, originX, originY, dx, dy, length) {
+        // Sample the part of the line that falls inside the frame
+        const profile = [];
+        for (let t = 0; t < length; t++) {
+            const x = originX + dx * t;
+            const y = originY + dy * t;
+            if (x < 0 || y < 0 || x > width - 1 || y > height - 1) {
+                if (profile.length > 0) break;
+                continue;
+            }
+            profile.push(this.sampleGray(gray, width, height, x, y));
+        }
+        
+        if (profile.length < 2) return [];
+        
+        let min = 255;
+        let max = 0;
+        for (const value of profile) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (max - min < 40) return []; // Not enough contrast for a barcode
+        
+        // Threshold against a moving average so blur and uneven light keep bars apart;
+        // flat regions fall back to the global midpoint
+        const count = profile.length;
+        const sums = new Float64Array(count + 1);
+        const squares = new Float64Array(count + 1);
+        for (let i = 0; i < count; i++) {
+            sums[i + 1] = sums[i] + profile[i];
+            squares[i + 1] = squares[i] + profile[i] * profile[i];
+        }
+        
+        const radius = Math.max(8, Math.round(count / 32));
+        const midpoint = (min + max) / 2;
+        const thresholds = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const from = Math.max(0, i - radius);
+            const to = Math.min(count, i + radius + 1);
+            const n = to - from;
+            const mean = (sums[to] - sums[from]) / n;
+            const variance = (squares[to] - squares[from]) / n - mean * mean;
+            thresholds[i] = Math.sqrt(Math.max(0, variance)) < (max - min) * 0.1 ? midpoint : mean;
+        }
+        
+        // Run lengths with sub-pixel edges interpolated between samples
+        const bars = [];
+        let isBlack = profile[0] < thresholds[0];
+        let lastEdge = 0;
+        
+        for (let i = 1; i < count; i++) {
+            const black = profile[i] < thresholds[i];
+            if (black === isBlack) continue;
+            
+            const previous = profile[i - 1] - thresholds[i];
+            const current = profile[i] - thresholds[i];
+            const edge = i - 1 + (previous === current ? 0.5 : previous / (previous - current));
+            
+            bars.push({ black: isBlack, length: edge - lastEdge });
+            isBlack = black;
+            lastEdge = edge;
+        }
+        bars.push({ black: isBlack, length: count - lastEdge });
+        
+        return bars;
+    }
+
+    sampleGray(gray, width, height, x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, width - 1);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const fx = x - x0;
+        const fy = y - y0;
+        
+        const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+        const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    decodeCode128Pattern(pattern) {
+        const { bars } = pattern;
+        const widths = bars.map(bar => bar.length);
+        
+        // Read left to right, then right to left for upside-down labels
+        const forward = this.decodeCode128Widths(widths, bars[0].black);
+        if (forward !== null) return forward;
+        
+        return this.decodeCode128Widths(widths.slice().reverse(), bars[bars.length - 1].black);
+    }
+
+    decodeCode128Widths(widths, startsBlack) {
+        // Bars sit at every other run; the first candidate needs a space before it
+        for (let start = startsBlack ? 2 : 1; start + 24 < widths.length; start += 2) {
+            const startMatch = this.matchCode128Symbol(widths, start);
+            if (!startMatch || startMatch.value < 103 || startMatch.value > 105) continue;
+            
+            // A start symbol must follow a quiet zone of light space
+            const moduleSize = startMatch.total / 11;
+            if (widths[start - 1] < moduleSize * 5) continue;
+            
+            const codes = this.readCode128Symbols(widths, start, moduleSize);
+            if (codes === null) continue;
+            
+            const text = this.translateCode128(codes);
+            if (text !== null) return text;
+        }
+        
+        return null;
+    }
+
+    readCode128Symbols(widths, start, moduleSize) {
+        const codes = [];
+        
+        for (let index = start; index + 6 < widths.length; index += 6) {
+            const stopError = this.getCode128StopError(widths, index);
+            const symbol = this.matchCode128Symbol(widths, index);
+            
+            if (stopError !== null && (!symbol || stopError < symbol.error)) {
+                // Stop pattern is followed by a trailing quiet zone
+                const trailing = widths[index + 7];
+                if (trailing !== undefined && trailing < moduleSize * 5) return null;
+                
+                return this.verifyCode128Checksum(codes) ? codes.slice(0, -1) : null;
+            }
+            
+            if (!symbol) return null;
+            codes.push(symbol.value);
+        }
+        
+        return null;
+    }
+
+    matchCode128Symbol(widths, index) {
+        const table = this.getCode128Table();
+        const elements = widths.slice(index, index + 6);
+        if (elements.length < 6) return null;
+        
+        const total = elements.reduce((sum, width) => sum + width, 0);
+        const normalized = elements.map(width => width * 11 / total);
+        
+        // Edge-to-similar-edge distances are unaffected by ink spread
+        const edges = [];
+        for (let i = 0; i < 4; i++) {
+            edges.push(normalized[i] + normalized[i + 1]);
+        }
+        
+        let best = null;
+        for (let value = 0; value < 106; value++) {
+            const entry = table[value];
+            let error = 0;
+            for (let i = 0; i < 4; i++) {
+                error += Math.abs(edges[i] - entry.edges[i]);
+            }
+            for (let i = 0; i < 6; i++) {
+                error += Math.abs(normalized[i] - entry.widths[i]) * 0.25;
+            }
+            if (!best || error < best.error) {
+                best = { value, error, total };
+            }
+        }
+        
+        return best.error < 2.5 ? best : null;
+    }
+
+    getCode128StopError(widths, index) {
+        const elements = widths.slice(index, index + 7);
+        if (elements.length < 7) return null;
+        
+        const total = elements.reduce((sum, width) => sum + width, 0);
+        const normalized = elements.map(width => width * 13 / total);
+        const stop = this.getCode128Table()[106].widths;
+        let error = 0;
+        for (let i = 0; i < 6; i++) {
+            error += Math.abs(normalized[i] + normalized[i + 1] - stop[i] - stop[i + 1]);
+        }
+        for (let i = 0; i < 7; i++) {
+            error += Math.abs(normalized[i] - stop[i]) * 0.25;
+        }
+        
+        return error < 2.5 ? error : null;
+    }
+
+    getCode128Table() {
+        if (!this.code128Table) {
+            this.code128Table = Scanner.CODE128_PATTERNS.map(pattern => {
+                const widths = pattern.split('').map(Number);
+                const edges = [];
+                for (let i = 0; i < 4; i++) {
+                    edges.push(widths[i] + widths[i + 1]);
+                }
+                return { widths, edges };
+            });
+        }
+        return this.code128Table;
+    }
+
+    verifyCode128Checksum(codes) {
+        if (codes.length < 2) return false;
+        
+        let sum = codes[0];
+        for (let i = 1; i < codes.length - 1; i++) {
+            sum += codes[i] * i;
+        }
+        return sum % 103 === codes[codes.length - 1];
+    }
+
+    translateCode128(codes) {
+        let set = codes[0] === 103 ? 'A' : codes[0] === 104 ? 'B' : 'C';
+        let shifted = false;
+        let text = '';
+        
+        for (let i = 1; i < codes.length; i++) {
+            const code = codes[i];
+            const current = shifted ? (set === 'A' ? 'B' : 'A') : set;
+            shifted = false;
+            
+            if (current === 'C') {
+                if (code < 100) {
+                    text += code.toString().padStart(2, '0');
+                } else if (code === 100) {
+                    set = 'B';
+                } else if (code === 101) {
+                    set = 'A';
+                }
+                // 102 (FNC1) carries no character
+                continue;
+            }
+            
+            if (code < 96) {
+                text += current === 'A' && code >= 64
+                    ? String.fromCharCode(code - 64)
+                    : String.fromCharCode(code + 32);
+            } else if (code === 98) {
+                shifted = true;
+            } else if (code === 99) {
+                set = 'C';
+            } else if (code === 100 && current === 'A') {
+                set = 'B';
+            } else if (code === 101 && current === 'B') {
+                set = 'A';
+            } else if (code >= 103) {
+                return null;
+            }
+            // Remaining values are FNC1-4, which carry no character
+        }
+        
+        return text;
+    }
+
+    handleScanResult(result) {
+        console.log('Scan result:', result);
+        
+        let studentId = null;
+        
+        // Extract student ID from different formats
+        if (result.type === 'QR' && result.data.startsWith('HADER:')) {
+            studentId = result.data.replace('HADER:', '');
+        } else if (result.type === 'CODE128') {
+            // Remove leading zeros
+            studentId = result.data.replace(/^0+/, '') || '0';
+        }
+        
+        if (studentId && this.continuousMode) {
+            this.recordContinuousScan(result.type, studentId);
+        } else if (studentId) {
+            // Show scan result
+            this.displayScanResult(result.type, studentId);
+            
+            // Dispatch event for student interface
+            window.dispatchEvent(new CustomEvent('hader:scanner:result', {
+                detail: { code: studentId, type: result.type }
+            }));
+            
+            // Auto-close scanner after successful scan
+            setTimeout(() => {
+                this.stopScanner();
+            }, 1000);
+        }
+    }
+
+    displayScanResult(type, studentId) {
+        const resultEl = document.getElementById('scannerResult');
+        if (resultEl) {
+            resultEl.innerHTML = `
+                <div class="scan-success">
+                    <div class="scan-type">${type} Code Detected</div>
+                    <div class="scan-data">Student ID: ${studentId}</div>
+                </div>
+            `;
+            
+            // Clear result after 2 seconds
+            setTimeout(() => {
+                resultEl.innerHTML = '';
+            }, 2000);
+        }
+    }
+
+    setContinuousMode(enabled) {
+        this.continuousMode = enabled;
+        localStorage.setItem('hader-scanner-continuous', enabled ? 'true' : 'false');
+        
+        if (!enabled) {
+            this.codeLastSeen.clear();
+        }
+    }
+
+    // Record attendance straight from the camera without closing it
+    async recordContinuousScan(type, studentId) {
+        const now = Date.now();
+        const lastSeen = this.codeLastSeen.get(studentId);
+        if (lastSeen && now - lastSeen < this.codeCooldownMs) {
+            return; // Same card is still in front of the camera
+        }
+        this.codeLastSeen.set(studentId, now);
+        
+        // Forget codes whose cooldown has passed
+        for (const [code, seen] of this.codeLastSeen) {
+            if (now - seen >= this.codeCooldownMs) {
+                this.codeLastSeen.delete(code);
+            }
+        }
+        
+        try {
+            const result = await window.db.recordAttendance(studentId);
+            const { record, isRepeat, student } = result;
+            
+            this.addRecentScan({
+                studentId,
+                name: student?.name || studentId,
+                status: isRepeat ? 'repeat' : record.status,
+                lateMinutes: record.lateMinutes,
+                time: new Date()
+            });
+            
+            await window.soundsManager?.playSound?.(isRepeat ? 'warning' : record.status === 'late' ? 'late' : 'success');
+            
+            window.dispatchEvent(new CustomEvent('hader:attendance:updated', {
+                detail: result
+            }));
+        } catch (error) {
+            console.error('Continuous scan failed:', error);
+            
+            this.addRecentScan({
+                studentId,
+                name: error.message.includes('غير موجود') ? 'رقم الطالب غير موجود في النظام' : 'حدث خطأ في تسجيل الحضور',
+                status: 'error',
+                time: new Date()
+            });
+            
+            await window.soundsManager?.playSound?.('error');
+        }
+    }
+
+    addRecentScan(entry) {
+        this.recentScans.unshift(entry);
+        this.recentScans.length = Math.min(this.recentScans.length, this.recentScansLimit);
+        this.renderRecentScans();
+    }
+
+    renderRecentScans() {
+        if (!this.historyList) return;
+        
+        const statusLabels = {
+            present: 'حاضر',
+            late: 'متأخر',
+            repeat: 'مسجل مسبقاً',
+            error: 'خطأ'
+        };
+        
+        this.historyList.innerHTML = this.recentScans.map(entry => {
+            let label = statusLabels[entry.status] || entry.status;
+            if (entry.status === 'late' && entry.lateMinutes) {
+                label += ` (${entry.lateMinutes} دقيقة)`;
+            }
+            
+            return `
+                <li class="scan-history-item ${entry.status}">
+                    <span class="scan-history-name">${this.escapeHTML(entry.name)}</span>
+                    <span class="scan-history-status">${label}</span>
+                    <span class="scan-history-time">${entry.time.toLocaleTimeString('ar-SA', { hour: '2-digit', minute: '2-digit', second: '2-digit' })}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Alternative manual input fallback
+    showManualInput() {
+        const resultEl = document.getElementById('scannerResult');
+        if (resultEl) {
+            resultEl.innerHTML = `
+                <div class="manual-input">
+                    <input type="text" placeholder="أدخل رقم الطالب يدوياً" id="manualStudentId" class="form-input">
+                    <button class="btn btn-primary" onclick="scanner.handleManualInput()">تأكيد</button>
+                </div>
+            `;
+        }
+    }
+
+    handleManualInput() {
+        const input = document.getElementById('manualStudentId');
+        const studentId = input?.value.trim();
+        
+        if (studentId) {
+            window.dispatchEvent(new CustomEvent('hader:scanner:result', {
+                detail: { code: studentId, type: 'MANUAL' }
+            }));
+            
+            this.stopScanner();
+        }
+    }
+
+    // Check if camera is supported
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
     }
 
     // Get available cameras
@@ -502,12 +2109,34 @@ class Scanner {
     }
 }
 
+// Worker script sits next to this file
+Scanner.workerUrl = typeof document !== 'undefined' && document.currentScript
+    ? new URL('scanner-worker.js', document.currentScript.src).href
+    : 'scanner-worker.js';
+
+// Code128 bar/space widths for symbol values 0-105, then the stop pattern (106)
+Scanner.CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-    const scanner = new Scanner();
-    await scanner.init();
-    window.scanner = scanner;
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        const scanner = new Scanner();
+        await scanner.init();
+        window.scanner = scanner;
+    });
+}
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Scanner;
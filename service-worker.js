@@ -0,0 +1,147 @@
+/**
+ * Hader Service Worker
+ * App-shell precache, cache-first static assets and Background Sync
+ *
+ * Bump CACHE_VERSION with every release: the new worker precaches the new
+ * shell next to the old one and waits until the user accepts the update
+ * prompt (ui.js), then the old caches are dropped on activation.
+ */
+
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `hader-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `hader-runtime-${CACHE_VERSION}`;
+const SYNC_TAG = 'hader-sync';
+const SYNC_TIMEOUT_MS = 60 * 1000;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/student.html',
+    '/admin.html',
+    '/manifest.json',
+    '/assets/css/main.css',
+    '/assets/img/icon-144.png',
+    '/assets/fonts/report-font.ttf',
+    '/assets/js/db.js',
+    '/assets/js/event-bus.js',
+    '/assets/js/ui.js',
+    '/assets/js/api.js',
+    '/assets/js/sync.js',
+    '/assets/js/auth.js',
+    '/assets/js/sounds.js',
+    '/assets/js/scanner.js',
+    '/assets/js/scanner-worker.js',
+    '/assets/js/barcode-generator.js',
+    '/assets/js/csv.js',
+    '/assets/js/xlsx.js',
+    '/assets/js/pdf-font.js',
+    '/assets/js/pdf-writer.js',
+    '/assets/js/reports.js',
+    '/assets/js/student.js',
+    '/assets/js/admin_simple.js',
+    '/assets/js/admin.js',
+    '/assets/js/backup-scheduler.js'
+];
+
+self.addEventListener('install', (event) => {
+    // Fetch the shell bypassing the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('hader-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Pages come from the shell cache; an unknown page falls back to the dashboard
+ */
+async function handleNavigation(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+}
+
+/**
+ * Static assets: cache first, anything outside the shell is cached on first use
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Background Sync: ask an open page to drain its SyncManager queue. Rejecting
+ * makes the browser retry later, which covers the case where no page is open
+ * or the sync server is still unreachable.
+ */
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(requestSyncFromClients());
+    }
+});
+
+async function requestSyncFromClients() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    if (clients.length === 0) {
+        throw new Error('No open page to sync from');
+    }
+
+    // Any page can drain the shared queue; the first one is enough
+    const result = await new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error('Sync timed out')), SYNC_TIMEOUT_MS);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        clients[0].postMessage({ type: 'SYNC_REQUESTED' }, [channel.port2]);
+    });
+
+    if (result.pending > 0) {
+        throw new Error(`${result.pending} changes still pending`);
+    }
+}
@@ -191,7 +191,7 @@ class SoundsManager {
 
             // Save to database
             if (window.db) {
-                await window.db.put('sounds', {
+                await window.db.saveSoundFile({
                     id: soundId,
                     fileName: file.name,
                     blobRef: blob,
@@ -7,13 +7,30 @@ class StudentInterface {
     constructor() {
         this.isInitialized = false;
         this.currentStudent = null;
+        
+        // USB/HID barcode guns type the code as a fast burst of keystrokes
+        this.wedgeOptions = {
+            maxKeyIntervalMs: 50,  // Slower gaps are treated as human typing
+            minLength: 3,
+            prefix: '',
+            suffix: 'Enter',       // '' = end the burst after a short idle gap
+            idleTimeoutMs: 80,
+            debounceMs: 3000       // Ignore the same code read twice in a row
+        };
+        this.wedgeBuffer = '';
+        this.wedgeLastKeyTime = 0;
+        this.wedgeIdleTimer = null;
+        this.lastWedgeCode = null;
+        this.lastWedgeCodeTime = 0;
     }
 
     async init() {
         if (this.isInitialized) return;
         
         await this.waitForDependencies();
+        await this.loadWedgeOptions();
         this.setupEventListeners();
+        this.setupWedgeListener();
         this.loadMessages();
         this.loadAnnouncements();
         
@@ -105,6 +122,20 @@ class StudentInterface {
             }
         });
 
+        // Messages edited in the admin tab show up on the kiosk right away
+        window.addEventListener('hader:messages:updated', (event) => {
+            if (event.detail.entity === 'announcements') {
+                this.loadAnnouncements();
+            } else {
+                this.loadMessages();
+            }
+        });
+
+        // Scanner prefix, suffix and timing changed in the admin tab apply without a reload
+        window.addEventListener('hader:settings:updated', () => {
+            this.loadWedgeOptions();
+        });
+
         // Request audio permission on first interaction
         document.addEventListener('click', () => {
             if (window.soundsManager) {
@@ -113,6 +144,112 @@ class StudentInterface {
         }, { once: true });
     }
 
+    async loadWedgeOptions() {
+        try {
+            if (!window.db?.isInitialized) return;
+            
+            const settings = await window.db.getSettings();
+            this.wedgeOptions = {
+                ...this.wedgeOptions,
+                prefix: settings.scannerPrefix ?? this.wedgeOptions.prefix,
+                suffix: settings.scannerSuffix ?? this.wedgeOptions.suffix,
+                maxKeyIntervalMs: settings.scannerMaxKeyIntervalMs ?? this.wedgeOptions.maxKeyIntervalMs
+            };
+        } catch (error) {
+            console.warn('Failed to load scanner settings:', error);
+        }
+    }
+
+    // Listen globally so bursts are caught even when the ID field has no focus
+    setupWedgeListener() {
+        document.addEventListener('keydown', (e) => {
+            this.handleWedgeKey(e);
+        }, true);
+    }
+
+    handleWedgeKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+        
+        const now = Date.now();
+        const { maxKeyIntervalMs, suffix } = this.wedgeOptions;
+        
+        if (suffix && e.key === suffix) {
+            if (this.isWedgeBurst(now)) {
+                // Keep the ID field's own Enter handler from submitting the raw text too
+                e.preventDefault();
+                e.stopPropagation();
+                this.finishWedgeBurst(e.target);
+            }
+            this.wedgeBuffer = '';
+            return;
+        }
+        
+        // Digits are read from the physical key so Arabic keyboard layouts still work
+        const char = /^(Digit|Numpad)\d$/.test(e.code) ? e.code.slice(-1) : e.key;
+        if (char.length !== 1) return;
+        
+        if (now - this.wedgeLastKeyTime > maxKeyIntervalMs) {
+            this.wedgeBuffer = '';
+        }
+        this.wedgeBuffer += char;
+        this.wedgeLastKeyTime = now;
+        
+        if (!suffix) {
+            clearTimeout(this.wedgeIdleTimer);
+            this.wedgeIdleTimer = setTimeout(() => {
+                if (this.isWedgeBurst(Date.now())) {
+                    this.finishWedgeBurst(e.target);
+                }
+                this.wedgeBuffer = '';
+            }, this.wedgeOptions.idleTimeoutMs);
+        }
+    }
+
+    isWedgeBurst(now) {
+        const { minLength, prefix, maxKeyIntervalMs, idleTimeoutMs } = this.wedgeOptions;
+        const maxGap = this.wedgeOptions.suffix ? maxKeyIntervalMs : idleTimeoutMs + maxKeyIntervalMs;
+        
+        return this.wedgeBuffer.length >= prefix.length + minLength &&
+            this.wedgeBuffer.startsWith(prefix) &&
+            now - this.wedgeLastKeyTime <= maxGap;
+    }
+
+    finishWedgeBurst(target) {
+        const burst = this.wedgeBuffer;
+        const code = burst.slice(this.wedgeOptions.prefix.length).trim();
+        
+        // The burst was also typed into whatever field had focus; take it back out
+        if (target && typeof target.value === 'string' && target.value.endsWith(burst)) {
+            target.value = target.value.slice(0, -burst.length);
+        }
+        
+        const now = Date.now();
+        if (code === this.lastWedgeCode && now - this.lastWedgeCodeTime < this.wedgeOptions.debounceMs) {
+            console.log('Ignoring repeated scan:', code);
+            return;
+        }
+        this.lastWedgeCode = code;
+        this.lastWedgeCodeTime = now;
+        
+        this.handleScannedCode(code);
+    }
+
+    async handleScannedCode(code) {
+        try {
+            const student = await window.db.getStudentByCode(code);
+            if (!student) {
+                this.showToast('رقم الطالب غير موجود في النظام', 'error');
+                await window.soundsManager?.playSound?.('error');
+                return;
+            }
+            
+            this.handleBarcodeInput(student.id);
+        } catch (error) {
+            console.error('Scanned code lookup failed:', error);
+            this.showToast('حدث خطأ في تسجيل الحضور', 'error');
+        }
+    }
+
     async processAttendance() {
         const studentInput = document.getElementById('studentId');
         const studentId = studentInput?.value.trim();
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * Hader Sync Server
+ * Reference LAN server for the WebSocket sync adapter (api.js)
+ *
+ * Gate kiosks push their queued changes here and pull the changes made by the
+ * other devices, so one supervisor screen sees every gate. Plain Node, no
+ * dependencies:
+ *
+ *   node sync-server.js --token <secret> [--port 8787] [--host 0.0.0.0] [--data ./hader-sync-data.json]
+ *
+ * Devices must present the shared secret (HADER_SYNC_TOKEN or --token) as the
+ * token query parameter of the WebSocket URL; without it the upgrade is refused
+ * with 401. When no secret is given one is generated and printed at startup.
+ *
+ * The change log is kept in memory and written to the data file. Each change
+ * gets an increasing sequence number; a client's cursor is the last sequence
+ * number it has seen.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const SYNCED_STORES = ['students', 'attendance', 'attendance_corrections'];
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+const PULL_LIMIT = 500;
+const PING_EVERY_MS = 30 * 1000;
+
+class ChangeLog {
+    constructor(file) {
+        this.file = file;
+        this.changes = [];
+        this.seen = new Map(); // idempotencyKey -> seq
+        this.lastSeq = 0;
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.changes = saved.changes || [];
+        this.changes.forEach(change => this.seen.set(change.idempotencyKey, change.seq));
+        this.lastSeq = this.changes.length ? this.changes[this.changes.length - 1].seq : 0;
+    }
+
+    // Debounced write through a temp file so a crash never leaves half a log
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            const tmp = this.file + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify({ changes: this.changes }));
+            fs.renameSync(tmp, this.file);
+        }, 500);
+    }
+
+    flush() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        fs.writeFileSync(this.file, JSON.stringify({ changes: this.changes }));
+    }
+
+    validate(change) {
+        if (!change || typeof change !== 'object' || Array.isArray(change)) return 'change must be an object';
+        if (typeof change.idempotencyKey !== 'string' || !change.idempotencyKey) {
+            return 'missing idempotencyKey';
+        }
+        if (!SYNCED_STORES.includes(change.store)) return `unknown store ${change.store}`;
+        if (change.op !== 'put' && change.op !== 'delete') return `unknown op ${change.op}`;
+        if (change.key === undefined || change.key === null) return 'missing key';
+        if (change.op === 'put' && (typeof change.data !== 'object' || change.data === null)) {
+            return 'missing data';
+        }
+        return null;
+    }
+
+    append(change, deviceId) {
+        const error = this.validate(change);
+        if (error) {
+            return { idempotencyKey: change?.idempotencyKey ?? null, status: 'rejected', error };
+        }
+
+        if (this.seen.has(change.idempotencyKey)) {
+            return { idempotencyKey: change.idempotencyKey, status: 'duplicate', seq: this.seen.get(change.idempotencyKey) };
+        }
+
+        const entry = {
+            seq: ++this.lastSeq,
+            receivedAt: new Date().toISOString(),
+            idempotencyKey: change.idempotencyKey,
+            deviceId: change.deviceId || deviceId,
+            store: change.store,
+            op: change.op,
+            key: change.key,
+            data: change.data ?? null,
+            version: change.version || null,
+            ts: change.ts
+        };
+        this.changes.push(entry);
+        this.seen.set(entry.idempotencyKey, entry.seq);
+        this.scheduleSave();
+
+        return { idempotencyKey: entry.idempotencyKey, status: 'accepted', seq: entry.seq };
+    }
+
+    // Changes after the cursor made by other devices
+    since(cursor, deviceId) {
+        const start = this.changes.findIndex(change => change.seq > cursor);
+        if (start === -1) return { changes: [], cursor: this.lastSeq, hasMore: false };
+
+        const changes = [];
+        let nextCursor = cursor;
+        let index = start;
+        for (; index < this.changes.length && changes.length < PULL_LIMIT; index++) {
+            const change = this.changes[index];
+            nextCursor = change.seq;
+            if (change.deviceId !== deviceId) changes.push(change);
+        }
+
+        return { changes, cursor: nextCursor, hasMore: index < this.changes.length };
+    }
+}
+
+/**
+ * Minimal RFC 6455 connection: text frames, ping/pong and close
+ */
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isAlive = true;
+        this.deviceId = null;
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask every frame
+            if (!masked) return this.close(1002);
+            if (length > MAX_MESSAGE_BYTES) return this.close(1009);
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    return this.close(1009);
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(this, text);
+                }
+                break;
+            case 0x8:
+                this.close(1000);
+                break;
+            case 0x9:
+                this.sendFrame(0xA, payload);
+                break;
+            case 0xA:
+                this.isAlive = true;
+                break;
+            default:
+                this.close(1003);
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    ping() {
+        this.isAlive = false;
+        this.sendFrame(0x9, Buffer.alloc(0));
+    }
+
+    close(code) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.onClose) {
+            const onClose = this.onClose;
+            this.onClose = null;
+            this.closed = true;
+            onClose(this);
+        }
+    }
+}
+
+class SyncServer {
+    constructor(options = {}) {
+        if (!options.token) {
+            throw new Error('A shared sync token is required');
+        }
+        this.token = String(options.token);
+        this.port = options.port ?? 8787;
+        this.host = options.host || '0.0.0.0';
+        this.log = new ChangeLog(options.dataFile);
+        this.clients = new Set();
+        this.server = http.createServer((req, res) => this.handleHttp(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.pingInterval = setInterval(() => this.pingClients(), PING_EVERY_MS);
+                resolve(this);
+            });
+        });
+    }
+
+    close() {
+        clearInterval(this.pingInterval);
+        this.clients.forEach(client => client.close(1001));
+        this.log.flush();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handleHttp(req, res) {
+        if (req.method === 'GET' && req.url === '/health') {
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            });
+            res.end(JSON.stringify({ ok: true, cursor: this.log.lastSeq, clients: this.clients.size }));
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key
+            || req.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        // Browsers cannot set headers on a WebSocket, so the secret travels in the URL
+        const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+        if (!this.isValidToken(token)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = new Connection(
+            socket,
+            (connection, text) => this.handleMessage(connection, text),
+            connection => this.clients.delete(connection)
+        );
+        this.clients.add(client);
+    }
+
+    // Compare digests so the check takes the same time whatever the token length
+    isValidToken(token) {
+        if (!token) return false;
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.token));
+    }
+
+    handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            client.send({ type: 'error', message: 'invalid JSON', retryable: false });
+            return;
+        }
+
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            client.send({ type: 'error', message: 'message must be an object', retryable: false });
+            return;
+        }
+
+        switch (message.type) {
+            case 'hello':
+                client.deviceId = message.deviceId || null;
+                client.send({ type: 'welcome', cursor: this.log.lastSeq, serverTime: new Date().toISOString() });
+                break;
+            case 'push':
+                this.handlePush(client, message);
+                break;
+            case 'pull':
+                client.send({
+                    type: 'pull:result',
+                    requestId: message.requestId,
+                    ...this.log.since(Number(message.cursor) || 0, client.deviceId)
+                });
+                break;
+            default:
+                client.send({
+                    type: 'error',
+                    requestId: message.requestId,
+                    message: `unknown message type ${message.type}`,
+                    retryable: false
+                });
+        }
+    }
+
+    handlePush(client, message) {
+        if (!Array.isArray(message.changes)) {
+            client.send({ type: 'error', requestId: message.requestId, message: 'changes must be an array', retryable: false });
+            return;
+        }
+
+        const before = this.log.lastSeq;
+        const results = message.changes.map(change => this.log.append(change, client.deviceId));
+        client.send({ type: 'push:result', requestId: message.requestId, results, cursor: this.log.lastSeq });
+
+        if (this.log.lastSeq > before) {
+            this.clients.forEach(other => {
+                if (other !== client) other.send({ type: 'changes', cursor: this.log.lastSeq });
+            });
+        }
+    }
+
+    pingClients() {
+        this.clients.forEach(client => {
+            if (!client.isAlive) {
+                client.socket.destroy();
+                return;
+            }
+            client.ping();
+        });
+    }
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        host: '0.0.0.0',
+        dataFile: path.resolve('hader-sync-data.json'),
+        token: process.env.HADER_SYNC_TOKEN || ''
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') options.port = Number(value);
+        if (argv[i] === '--host') options.host = value;
+        if (argv[i] === '--data') options.dataFile = path.resolve(value);
+        if (argv[i] === '--token') options.token = value;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const generated = !options.token;
+    if (generated) options.token = crypto.randomBytes(18).toString('base64url');
+
+    const server = new SyncServer(options);
+    server.listen().then(() => {
+        console.log(`Hader sync server listening on ws://${server.host}:${server.port}`);
+        if (generated) console.log(`Sync token (enter it on every device): ${server.token}`);
+        console.log(`Change log: ${server.log.file} (${server.log.changes.length} changes)`);
+    });
+
+    const shutdown = () => server.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { SyncServer, ChangeLog };
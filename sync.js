@@ -1,30 +1,364 @@
 /**
  * Hader Sync Manager
  * Offline queue and sync with remote services
+ *
+ * HaderDB writes a change record to the syncQueue store with every mutation of a
+ * synced store. The manager pushes that queue in order through the API adapter,
+ * retrying failures with exponential backoff, then pulls the changes made on the
+ * other devices. Each change carries an idempotency key so the server can ignore
+ * a resend whose first delivery was not acknowledged.
  */
 
 class SyncManager {
     constructor() {
-        this.queue = [];
-        this.isOnline = navigator.onLine;
+        this.isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true;
         this.isInitialized = false;
+        this.isDraining = false;
+        this.drainAgain = false;
+        this.retryTimer = null;
+        this.pollInterval = null;
+        this.pollEveryMs = 30 * 1000; // other tabs (kiosk, scanner) write to the same queue
+        this.baseDelayMs = 2000;
+        this.maxDelayMs = 5 * 60 * 1000;
+        this.maxAttempts = 10;
+        this.batchSize = 50;
+        this.lastSyncAt = null;
+        this.backgroundSyncRequested = false;
     }
 
     async init() {
         if (this.isInitialized) return;
-        
-        console.log('Sync manager ready for implementation in M7');
+
+        this.onOnline = () => {
+            this.isOnline = true;
+            this.drain();
+        };
+        this.onOffline = () => {
+            this.isOnline = false;
+            this.reportStatus();
+        };
+        this.onQueued = () => this.drain();
+
+        // Drain on (re)connect and pull as soon as another device pushes
+        if (window.apiAdapter) {
+            this.unsubscribe = window.apiAdapter.subscribe(event => {
+                if (event.type === 'changes' || event.connected) {
+                    this.drain();
+                } else {
+                    this.reportStatus();
+                }
+            });
+        }
+
+        window.addEventListener('online', this.onOnline);
+        window.addEventListener('offline', this.onOffline);
+        window.addEventListener('hader:sync:queued', this.onQueued);
+
+        // Background Sync in service-worker.js asks a page to drain when connectivity returns
+        this.onWorkerMessage = (event) => {
+            if (event.data?.type === 'SYNC_REQUESTED' && event.ports[0]) {
+                this.handleBackgroundSync(event.ports[0]);
+            }
+        };
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+            navigator.serviceWorker.addEventListener('message', this.onWorkerMessage);
+        }
+
+        this.pollInterval = setInterval(() => {
+            this.drain();
+        }, this.pollEveryMs);
+
         this.isInitialized = true;
+        await this.drain();
+    }
+
+    stop() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        window.removeEventListener('online', this.onOnline);
+        window.removeEventListener('offline', this.onOffline);
+        window.removeEventListener('hader:sync:queued', this.onQueued);
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+            navigator.serviceWorker.removeEventListener('message', this.onWorkerMessage);
+        }
+        if (this.unsubscribe) this.unsubscribe();
+        this.isInitialized = false;
+    }
+
+    /**
+     * The adapter used to deliver changes, or null while there is none connected
+     */
+    getTransport() {
+        const adapter = window.apiAdapter;
+        if (!adapter || !adapter.isConnected()) return null;
+        return adapter;
+    }
+
+    /**
+     * Push due changes, then pull what the other devices changed
+     */
+    async drain() {
+        if (this.isDraining) {
+            this.drainAgain = true;
+            return;
+        }
+        this.isDraining = true;
+
+        try {
+            do {
+                this.drainAgain = false;
+                await this.pushBatch();
+            } while (this.drainAgain);
+
+            await this.pullRemoteChanges();
+        } catch (error) {
+            console.error('Sync drain failed:', error);
+        } finally {
+            this.isDraining = false;
+        }
+
+        await this.reportStatus();
+    }
+
+    /**
+     * Send the due head of the queue as one batch. Only changes whose retry time
+     * has come are included, so a later change never overtakes an earlier one.
+     */
+    async pushBatch() {
+        const transport = this.isOnline ? this.getTransport() : null;
+        if (!transport) return;
+
+        const changes = await window.db.getPendingSyncChanges();
+        if (changes.length === 0) return;
+
+        const now = new Date().toISOString();
+        const batch = [];
+        for (const change of changes) {
+            if (change.nextAttemptAt > now) {
+                this.scheduleRetry(change.nextAttemptAt);
+                break;
+            }
+            batch.push(change);
+            if (batch.length === this.batchSize) break;
+        }
+        if (batch.length === 0) return;
+
+        let results;
+        try {
+            ({ results } = await transport.pushChanges(batch.map(change => this.toPayload(change))));
+        } catch (error) {
+            await this.handleFailure(batch[0], error);
+            return;
+        }
+
+        const byKey = new Map(results.map(result => [result.idempotencyKey, result]));
+        for (const change of batch) {
+            const result = byKey.get(change.idempotencyKey);
+            if (result && result.status !== 'rejected') {
+                await window.db.completeSyncChange(change.id);
+            } else {
+                const error = new Error(result?.error || 'لم يؤكد الخادم استلام التغيير');
+                error.retryable = !result;
+                await this.handleFailure(change, error);
+                if (!result) return;
+            }
+        }
+
+        this.lastSyncAt = new Date().toISOString();
+        if (batch.length === this.batchSize) {
+            this.drainAgain = true;
+        }
+    }
+
+    /**
+     * Apply changes pushed by other devices since the stored cursor
+     */
+    async pullRemoteChanges() {
+        const transport = this.isOnline ? this.getTransport() : null;
+        if (!transport) return;
+
+        let cursor = this.getCursor();
+        let hasMore = true;
+        let attendanceChanges = 0;
+        let conflicts = 0;
+
+        while (hasMore) {
+            const response = await transport.pullChanges(cursor);
+            for (const change of response.changes) {
+                const outcome = await window.db.applyRemoteChange(change);
+                if (outcome === 'conflict') conflicts++;
+                if (outcome !== 'ignored' && change.store === 'attendance') attendanceChanges++;
+            }
+
+            cursor = response.cursor;
+            hasMore = response.hasMore;
+            this.setCursor(cursor);
+        }
+
+        this.lastSyncAt = new Date().toISOString();
+
+        if (conflicts > 0) {
+            window.dispatchEvent(new CustomEvent('hader:sync:conflict', {
+                detail: { count: conflicts }
+            }));
+        }
+
+        // Refresh the supervisor dashboard with the other gates' scans
+        if (attendanceChanges > 0) {
+            window.dispatchEvent(new CustomEvent('hader:attendance:updated', {
+                detail: { source: 'sync', count: attendanceChanges }
+            }));
+        }
+    }
+
+    getCursor() {
+        return Number(localStorage.getItem('hader-sync-cursor')) || 0;
+    }
+
+    setCursor(cursor) {
+        localStorage.setItem('hader-sync-cursor', String(cursor));
+    }
+
+    toPayload(change) {
+        return {
+            idempotencyKey: change.idempotencyKey,
+            deviceId: change.deviceId,
+            store: change.store,
+            op: change.op,
+            key: change.key,
+            data: change.data,
+            version: change.version,
+            ts: change.ts
+        };
+    }
+
+    async handleFailure(change, error) {
+        const attempts = (change.attempts || 0) + 1;
+
+        // Errors flagged as permanent (e.g. validation rejected by the server) are not retried
+        const giveUp = error?.retryable === false || attempts >= this.maxAttempts;
+        const nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(attempts)).toISOString();
+
+        await window.db.failSyncChange(change.id, error?.message || String(error), nextAttemptAt, giveUp);
+        console.warn(`Sync of change ${change.id} failed (attempt ${attempts}):`, error);
+
+        if (giveUp) {
+            window.dispatchEvent(new CustomEvent('hader:sync:failed', {
+                detail: { id: change.id, store: change.store, key: change.key, error: error?.message }
+            }));
+            // Later changes may still go through
+            this.drainAgain = true;
+        } else {
+            this.scheduleRetry(nextAttemptAt);
+        }
+    }
+
+    /**
+     * Exponential backoff with full jitter: random delay up to base * 2^(attempts - 1)
+     */
+    getBackoffDelay(attempts) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempts - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    scheduleRetry(isoString) {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+
+        const delay = Math.max(0, new Date(isoString).getTime() - Date.now());
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.drain();
+        }, delay);
+    }
+
+    async handleBackgroundSync(port) {
+        await this.drain();
+        const stats = await window.db.getSyncQueueStats();
+        port.postMessage({ type: 'SYNC_COMPLETE', pending: stats.pending });
+    }
+
+    /**
+     * Let the browser wake us up once connectivity returns, even if this tab is throttled
+     */
+    async requestBackgroundSync() {
+        if (this.backgroundSyncRequested) return;
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) return;
+
+            await registration.sync.register('hader-sync');
+            this.backgroundSyncRequested = true;
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    }
+
+    /**
+     * Resend changes that exhausted their attempts
+     */
+    async retryFailed() {
+        const count = await window.db.retryFailedSyncChanges();
+        await this.drain();
+        return count;
+    }
+
+    async getQueueCount() {
+        const stats = await window.db.getSyncQueueStats();
+        return stats.pending + stats.failed;
+    }
+
+    /**
+     * Report the number of unsynced changes to the connection indicator
+     */
+    async reportStatus() {
+        let queueCount = 0;
+        try {
+            queueCount = await this.getQueueCount();
+        } catch (error) {
+            console.warn('Failed to read sync queue:', error);
+        }
+
+        // With a sync server configured, "online" means connected to it
+        const adapter = window.apiAdapter;
+        const reachable = adapter?.isConfigured() ? adapter.isConnected() : this.isOnline;
+
+        let status = this.isOnline && reachable ? 'online' : 'offline';
+        if (queueCount > 0) status = 'pending';
+
+        if (queueCount > 0 && !reachable) {
+            this.requestBackgroundSync();
+        } else if (queueCount === 0) {
+            this.backgroundSyncRequested = false;
+        }
+
+        const detail = { status, queueCount, connected: adapter?.isConnected() || false, lastSyncAt: this.lastSyncAt };
+        window.dispatchEvent(new CustomEvent('hader:sync:status', { detail }));
+        return detail;
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-    const syncManager = new SyncManager();
-    await syncManager.init();
-    window.syncManager = syncManager;
-});
+// Start once the database is open
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const syncManager = new SyncManager();
+        window.syncManager = syncManager;
+
+        if (window.db?.isInitialized) {
+            syncManager.init();
+        } else {
+            window.addEventListener('hader:db:ready', () => syncManager.init(), { once: true });
+        }
+    });
+}
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SyncManager;
-}
\ No newline at end of file
+}
@@ -0,0 +1,38 @@
+/**
+ * Attendance scans (db.js recordAttendance) and the sync rules that merge them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a repeat scan keeps the first arrival, which still decides the earliest-arrival rule', async () => {
+    const db = await loadDb();
+    await db.createUser({ username: 'head', displayName: 'مدير المدرسة', role: 'principal', secret: '1234' });
+    await db.authenticate('head', '1234');
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ' });
+
+    const { record: first } = await db.recordAttendance('1001');
+    await wait(5);
+    const { record: repeat } = await db.recordAttendance('1001');
+
+    assert.strictEqual(first.firstScanISO, first.timeISO);
+    assert.strictEqual(repeat.firstScanISO, first.timeISO);
+    assert.ok(repeat.timeISO > first.timeISO);
+
+    // Another gate saw the student after the first scan here but before the repeat
+    const local = await db.get('attendance', first.id);
+    const between = new Date(Date.parse(first.timeISO) + 1).toISOString();
+    const remote = { ...local, id: undefined, timeISO: between, firstScanISO: between, syncDeviceId: 'gate-2' };
+
+    const result = db.resolveSyncConflict('attendance', { record: local }, { record: remote });
+    assert.strictEqual(result.rule, 'earliest-arrival');
+    assert.strictEqual(result.winner, 'local');
+
+    // Records from before firstScanISO fall back to timeISO
+    const legacy = { ...remote };
+    delete legacy.firstScanISO;
+    assert.strictEqual(db.resolveSyncConflict('attendance', { record: local }, { record: legacy }).winner, 'local');
+});
@@ -0,0 +1,115 @@
+/**
+ * Full backups (db.js buildFullBackup, restoreBackup) with attendance
+ * corrections, user accounts and the audit log
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+async function signIn(db, username, secret) {
+    await db.createUser({ username, displayName: 'مدير المدرسة', role: 'principal', secret });
+    await db.authenticate(username, secret);
+}
+
+/**
+ * A signed-in school with two accounts, two scans and one correction, and a
+ * backup of it as it would come back from the exported file
+ */
+async function backUpSchool() {
+    const db = await loadDb();
+    await signIn(db, 'head', '1234');
+    await db.createUser({ username: 'gate1', displayName: 'البوابة', role: 'gate', secret: '5678' });
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ' });
+    await db.addStudent({ id: '1002', name: 'محمد العتيبي', grade: 'الأول', className: 'أ' });
+    await db.recordAttendance('1001');
+    const { record } = await db.recordAttendance('1002');
+    await db.correctAttendance(record.id, 'excused', 0, 'موعد طبي');
+
+    const backup = JSON.parse(JSON.stringify(await db.buildFullBackup()));
+    return { db, backup };
+}
+
+test('a backup carries corrections, accounts with their credential hashes and the audit log', async () => {
+    const { db, backup } = await backUpSchool();
+
+    assert.strictEqual(backup.data.attendance_corrections.length, 1);
+    assert.deepStrictEqual(backup.data.users.map(user => user.username).sort(), ['gate1', 'head']);
+    assert.deepStrictEqual(backup.data.users, JSON.parse(JSON.stringify(await db.getAll('users'))));
+    assert.ok(backup.data.users.every(user => user.credential && user.credential.hash));
+    assert.ok(backup.data.audit.some(entry => entry.action === 'CORRECT_ATTENDANCE'));
+    assert.strictEqual(backup.data.audit[backup.data.audit.length - 1].hash, backup.auditChainHead.hash);
+});
+
+test('a replace restore brings the accounts, corrections and audit chain back', async () => {
+    const { db: source, backup } = await backUpSchool();
+    const target = await loadDb();
+    await signIn(target, 'head', '9999');
+
+    const result = await target.restoreBackup(backup, { mode: 'replace' });
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(result.counts.audit.added, backup.data.audit.length);
+
+    // The restored account signs in with the secret it had when the backup was taken
+    await assert.rejects(target.authenticate('head', '9999'));
+    await target.authenticate('head', '1234');
+    assert.deepStrictEqual(
+        (await target.getAll('users')).map(user => [user.id, user.username, user.credential]),
+        backup.data.users.map(user => [user.id, user.username, user.credential]));
+
+    const [correction] = await target.getAll('attendance_corrections');
+    const [original] = await source.getAll('attendance_corrections');
+    assert.strictEqual(correction.id, original.id);
+    assert.strictEqual(correction.attendanceId, original.attendanceId);
+    assert.strictEqual(correction.reason, 'موعد طبي');
+
+    const audit = await target.getAll('audit');
+    assert.deepStrictEqual(audit.slice(0, backup.data.audit.length), backup.data.audit);
+    assert.ok(audit.slice(backup.data.audit.length).some(entry => entry.action === 'RESTORE_BACKUP'));
+    assert.strictEqual((await target.verifyAuditChain()).ok, true);
+});
+
+test('a merge restore adds accounts, re-points corrections at local attendance and keeps the local audit log', async () => {
+    const { backup } = await backUpSchool();
+    const target = await loadDb();
+    await signIn(target, 'head', '9999');
+    await target.addStudent({ id: '1003', name: 'نورة القحطاني', grade: 'الأول', className: 'أ' });
+    await target.recordAttendance('1003');
+    const localAudit = await target.getAll('audit');
+
+    const result = await target.restoreBackup(backup, { mode: 'merge' });
+    assert.strictEqual(result.success, true, result.message);
+    assert.deepStrictEqual({ ...result.counts.users }, { added: 1, updated: 0, skipped: 1, removed: 0 });
+    assert.deepStrictEqual({ ...result.counts.audit }, { added: 0, updated: 0, skipped: backup.data.audit.length, removed: 0 });
+
+    const gate = await target.getUserByUsername('gate1');
+    assert.deepStrictEqual(gate.credential, backup.data.users.find(user => user.username === 'gate1').credential);
+    assert.strictEqual((await target.getUserByUsername('head')).id, target.getCurrentUser().id);
+
+    // Attendance ids are per device, so the correction follows its record by student and day
+    const [correction] = await target.getAll('attendance_corrections');
+    const attendance = (await target.getAll('attendance')).find(record => record.studentId === '1002');
+    assert.notStrictEqual(attendance.id, backup.data.attendance_corrections[0].attendanceId);
+    assert.strictEqual(correction.attendanceId, attendance.id);
+
+    const audit = await target.getAll('audit');
+    assert.deepStrictEqual(audit.slice(0, localAudit.length), localAudit);
+    assert.strictEqual((await target.verifyAuditChain()).ok, true);
+});
+
+test('a backup without corrections, accounts or audit log leaves those stores alone', async () => {
+    const { backup } = await backUpSchool();
+    delete backup.data.attendance_corrections;
+    delete backup.data.users;
+    delete backup.data.audit;
+
+    const target = await loadDb();
+    await signIn(target, 'head', '9999');
+    const users = await target.getAll('users');
+
+    const result = await target.restoreBackup(backup, { mode: 'replace' });
+    assert.strictEqual(result.success, true, result.message);
+    assert.deepStrictEqual(Object.keys(result.counts).filter(name => ['attendance_corrections', 'users', 'audit'].includes(name)), []);
+    assert.deepStrictEqual(await target.getAll('users'), users);
+    assert.strictEqual((await target.verifyAuditChain()).ok, true);
+});
@@ -0,0 +1,61 @@
+/**
+ * Automatic snapshots (backup-scheduler.js, db.js snapshot methods)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('snapshot times come from the createdAt index and writes are counted since the latest one', async () => {
+    const db = await loadDb();
+    await db.createUser({ username: 'head', displayName: 'مدير المدرسة', role: 'principal', secret: '1234' });
+    await db.authenticate('head', '1234');
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ' });
+    await db.addStudent({ id: '1002', name: 'محمد العتيبي', grade: 'الأول', className: 'أ' });
+
+    const snapshot = await db.createSnapshot('manual');
+    const times = await db.getSnapshotTimes();
+    assert.deepStrictEqual(Array.from(times, time => ({ ...time })), [{ id: snapshot.id, createdAt: snapshot.createdAt }]);
+    assert.strictEqual((await db.getLatestSnapshot()).id, snapshot.id);
+    assert.strictEqual(await db.countAttendanceWritesSince(snapshot.createdAt), 0);
+
+    await wait(5);
+    await db.recordAttendance('1001');
+    await db.recordAttendance('1002');
+    await db.recordAttendance('1002');
+    assert.strictEqual(await db.countAttendanceWritesSince(snapshot.createdAt), 2);
+});
+
+test('a burst of attendance writes runs one check, and writes relayed from other tabs none', async (t) => {
+    const listeners = new Map();
+    global.window = {
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        removeEventListener: (type) => listeners.delete(type)
+    };
+    const BackupScheduler = require('../backup-scheduler.js');
+    const scheduler = new BackupScheduler();
+    let checks = 0;
+    scheduler.check = async () => { checks++; };
+    scheduler.writeCheckDelayMs = 10;
+
+    scheduler.start();
+    t.after(() => scheduler.stop());
+    assert.strictEqual(checks, 1);
+
+    const updated = listeners.get('hader:attendance:updated');
+    for (let i = 0; i < 20; i++) updated({ detail: { action: 'create' } });
+    await wait(30);
+    assert.strictEqual(checks, 2);
+
+    updated({ detail: { action: 'create', remote: true } });
+    await wait(30);
+    assert.strictEqual(checks, 2);
+
+    updated({ detail: { action: 'create' } });
+    scheduler.stop();
+    await wait(30);
+    assert.strictEqual(checks, 2);
+    assert.strictEqual(listeners.size, 0);
+});
@@ -0,0 +1,29 @@
+/**
+ * Code128 encoder (barcode-generator.js) and scanline decoder (scanner.js) round trips
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BarcodeGenerator = require('../barcode-generator.js');
+const Scanner = require('../scanner.js');
+const { renderBars } = require('./helpers');
+
+const generator = new BarcodeGenerator();
+const scanner = new Scanner();
+
+const scanImage = (image) => scanner.detectCode128(scanner.toGrayscale(image), image.width, image.height);
+
+test('a one-character payload decodes', () => {
+    assert.strictEqual(scanImage(renderBars(generator.createCode128Pattern('7'))), '7');
+});
+
+test('short and long student numbers decode', () => {
+    for (const text of ['42', 'A', '123', '12345', '20031234', 'HADER-1001', 'Stu#9/b']) {
+        assert.strictEqual(scanImage(renderBars(generator.createCode128Pattern(text))), text, text);
+    }
+});
+
+test('upside-down labels decode', () => {
+    const widths = generator.createCode128Pattern('42').slice().reverse();
+    assert.strictEqual(scanImage(renderBars(widths)), '42');
+});
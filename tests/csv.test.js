@@ -0,0 +1,48 @@
+/**
+ * CSV codec (csv.js) writer guards and write/parse round trips
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CsvCodec = require('../csv.js');
+
+const codec = new CsvCodec();
+
+test('text a spreadsheet would run as a formula is written with a leading apostrophe', () => {
+    assert.strictEqual(codec.formatField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.strictEqual(codec.formatField('+cmd|calc'), "'+cmd|calc");
+    assert.strictEqual(codec.formatField('-2+3'), "'-2+3");
+    assert.strictEqual(codec.formatField('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(codec.formatField("'=A1"), "''=A1");
+    assert.strictEqual(codec.formatField('\t=1+2'), "'\t=1+2");
+    assert.strictEqual(codec.formatField('\r=1+2'), '"\'\r=1+2"');
+
+    // Numbers and text with an operator further in are left alone
+    assert.strictEqual(codec.formatField(-3), '-3');
+    assert.strictEqual(codec.formatField('-5'), '-5');
+    assert.strictEqual(codec.formatField('+966501234567'), '+966501234567');
+    assert.strictEqual(codec.formatField('a=b'), 'a=b');
+});
+
+test('guarded fields read back as they were written', async () => {
+    const row = ['=HYPERLINK("http://x")', '+cmd|calc', '-2+3', '@SUM(A1)', "'=A1", '\t=1+2', '\n=1+2', '-5', 'محمد', 'a, b'];
+    const { rows, errors } = await codec.parse(codec.toBlob([['h'], row]));
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(rows[1].values, row);
+});
+
+test('apostrophes in files this codec did not write are kept', async () => {
+    const text = "name,formula\r\nسارة,'=A1\r\nمحمد,'+966501234567\r\n";
+    const expected = [['name', 'formula'], ['سارة', "'=A1"], ['محمد', "'+966501234567"]];
+
+    const fromString = await codec.parse(text);
+    assert.deepStrictEqual(fromString.rows.map(row => row.values), expected);
+
+    const fromFile = await codec.parse(new Blob([text]));
+    assert.deepStrictEqual(fromFile.rows.map(row => row.values), expected);
+
+    // The byte order mark toBlob() writes marks a file as guarded
+    const guarded = await codec.parse('\uFEFF' + text);
+    assert.deepStrictEqual(guarded.rows[1].values, ['سارة', '=A1']);
+});
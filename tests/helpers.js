@@ -0,0 +1,118 @@
+/**
+ * Shared helpers for the Node tests (run with `node --test tests/`)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { FakeIDBFactory, FakeIDBKeyRange } = require('./indexeddb.js');
+
+/**
+ * Draw a module matrix (rows of truthy/falsy or '0'/'1' strings) as an
+ * RGBA image the way a camera frame reaches the scanner
+ */
+function renderMatrix(matrix, { scale = 4, quiet = 4, angle = 0 } = {}) {
+    const rows = matrix.map(row => Array.from(row, value => value === true || value === 1 || value === '1'));
+    const size = rows.length;
+    const side = (size + 2 * quiet) * scale;
+    const width = angle ? Math.ceil(side * 1.5) : side;
+    const height = width;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const cos = Math.cos(angle * Math.PI / 180);
+    const sin = Math.sin(angle * Math.PI / 180);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x + 0.5 - width / 2;
+            const dy = y + 0.5 - height / 2;
+            const mx = Math.floor((cos * dx + sin * dy + side / 2) / scale) - quiet;
+            const my = Math.floor((-sin * dx + cos * dy + side / 2) / scale) - quiet;
+            const dark = mx >= 0 && my >= 0 && mx < size && my < size && rows[my][mx];
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = dark ? 30 : 220;
+            data[i + 3] = 255;
+        }
+    }
+
+    return { data, width, height };
+}
+
+/**
+ * Draw a Code128 bar pattern (widths in modules, starting with a bar) as an
+ * RGBA image with a quiet zone on both sides
+ */
+function renderBars(widths, { moduleWidth = 3, height = 60, quiet = 12 } = {}) {
+    const modules = widths.reduce((sum, width) => sum + width, 0) + 2 * quiet;
+    const width = modules * moduleWidth;
+    const data = new Uint8ClampedArray(width * height * 4).fill(235);
+    let x = quiet * moduleWidth;
+
+    widths.forEach((barWidth, index) => {
+        const end = x + barWidth * moduleWidth;
+        if (index % 2 === 0) {
+            for (let y = 0; y < height; y++) {
+                for (let px = x; px < end; px++) {
+                    const i = (y * width + px) * 4;
+                    data[i] = data[i + 1] = data[i + 2] = 25;
+                }
+            }
+        }
+        x = end;
+    });
+
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return { data, width, height };
+}
+
+/**
+ * Web Storage backed by a Map
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Run db.js the way a page loads it, against an empty in-memory IndexedDB.
+ * Resolves with the initialized window.db; events it dispatches are kept in
+ * `db.events`.
+ */
+async function loadDb() {
+    const events = [];
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error: console.error },
+        indexedDB: new FakeIDBFactory(),
+        IDBKeyRange: FakeIDBKeyRange,
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        CustomEvent: class CustomEvent {
+            constructor(type, options = {}) {
+                this.type = type;
+                this.detail = options.detail;
+            }
+        },
+        dispatchEvent: event => events.push(event),
+        addEventListener() {},
+        CsvCodec: require('../csv.js'),
+        XlsxCodec: require('../xlsx.js'),
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        crypto, TextEncoder, TextDecoder, atob, btoa, structuredClone,
+        Blob, Response, CompressionStream, DecompressionStream,
+        Date, Uint8Array, ArrayBuffer, DataView
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'db.js'), 'utf8'), context, { filename: 'db.js' });
+
+    const db = context.db;
+    await db.init();
+    db.events = events;
+    return db;
+}
+
+module.exports = { renderMatrix, renderBars, loadDb };
@@ -0,0 +1,96 @@
+/**
+ * The import wizard path (db.js readImportTable, suggestImportMapping,
+ * mapImportRows, findImportDuplicates, processImport)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+async function setUp() {
+    const db = await loadDb();
+    await db.createUser({ username: 'head', displayName: 'مدير المدرسة', role: 'principal', secret: '1234' });
+    await db.authenticate('head', '1234');
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ', guardianPhone: '0500000001' });
+    await db.addStudent({ id: '1002', name: 'محمد العتيبي', grade: 'الأول', className: 'أ', guardianPhone: '0500000002' });
+    return db;
+}
+
+/**
+ * Read a file through the wizard steps up to the duplicate check
+ */
+async function preview(db, file, dataType) {
+    const table = await db.readImportTable(file, dataType);
+    const mapping = db.suggestImportMapping(table.headers, dataType);
+    const { records, lineNumbers } = db.mapImportRows(table, mapping, dataType);
+    const validation = await db.validateImportData(records, dataType, { lineNumbers });
+    const duplicates = await db.findImportDuplicates(validation.validRecords, dataType);
+    return { mapping, validation, duplicates };
+}
+
+test('each duplicate student follows its own action, the rest the policy for all', async () => {
+    const db = await setUp();
+    const file = new File([
+        'رقم الطالب,الاسم,الصف,الفصل,الجوال\r\n',
+        '1001,سارة الزهراني,الأول,أ,\r\n',
+        '1002,محمد القحطاني,الأول,ب,0599999999\r\n',
+        '1003,نورة الشهري,الأول,أ,0500000003\r\n'
+    ], 'students.csv');
+
+    const { mapping, validation, duplicates } = await preview(db, file, 'students');
+    assert.deepStrictEqual({ ...mapping }, { id: 0, name: 1, grade: 2, className: 3, guardianPhone: 4 });
+    assert.deepStrictEqual([...duplicates.keys()], [0, 1]);
+
+    const result = await db.processImport(validation.validRecords, 'students', {
+        lineNumbers: validation.validLineNumbers,
+        onDuplicate: 'skip',
+        duplicateActions: { 0: 'upsert' }
+    });
+    assert.strictEqual(result.errorCount, 0, JSON.stringify(result.errors));
+    assert.strictEqual(result.successCount, 2);
+    assert.strictEqual(result.skippedCount, 1);
+
+    // An empty cell keeps the stored value
+    const updated = await db.getStudent('1001');
+    assert.strictEqual(updated.name, 'سارة الزهراني');
+    assert.strictEqual(updated.guardianPhone, '0500000001');
+
+    const skipped = await db.getStudent('1002');
+    assert.strictEqual(skipped.name, 'محمد العتيبي');
+    assert.strictEqual(skipped.className, 'أ');
+
+    assert.strictEqual((await db.getStudent('1003')).name, 'نورة الشهري');
+});
+
+test('a row action overrides the policy for all, and attendance upserts keep the row time', async () => {
+    const db = await setUp();
+    await db.recordAttendance('1001');
+    await db.recordAttendance('1002');
+    const [first, second] = await db.getAll('attendance');
+    const day = first.dateISO;
+
+    const file = new File([
+        'رقم الطالب,الحالة,الوقت,دقائق التأخر\r\n',
+        `1001,late,${day}T08:10:00,25\r\n`,
+        `1002,late,${day}T08:20:00,35\r\n`
+    ], 'attendance.csv');
+
+    const { validation, duplicates } = await preview(db, file, 'attendance');
+    assert.deepStrictEqual([...duplicates.values()].map(record => record.id), [first.id, second.id]);
+
+    const result = await db.processImport(validation.validRecords, 'attendance', {
+        lineNumbers: validation.validLineNumbers,
+        onDuplicate: 'upsert',
+        duplicateActions: { 1: 'skip' }
+    });
+    assert.strictEqual(result.errorCount, 0, JSON.stringify(result.errors));
+    assert.strictEqual(result.successCount, 1);
+    assert.strictEqual(result.skippedCount, 1);
+
+    const upserted = await db.get('attendance', first.id);
+    assert.strictEqual(upserted.status, 'late');
+    assert.strictEqual(upserted.lateMinutes, 25);
+    assert.strictEqual(upserted.timeISO, new Date(`${day}T08:10:00`).toISOString());
+    assert.deepStrictEqual(await db.get('attendance', second.id), second);
+    assert.strictEqual((await db.getAll('attendance')).length, 2);
+});
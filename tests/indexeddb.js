@@ -0,0 +1,752 @@
+/**
+ * In-memory IndexedDB for running db.js under Node in the tests.
+ *
+ * Covers what db.js uses: versioned opens with an upgrade transaction, object
+ * stores with key paths, key generators and (unique, compound) indexes, key
+ * ranges and cursors. Requests run one at a time in the order they were made;
+ * a transaction commits once it has nothing left to run, and rolls back on
+ * abort() or on a request error nobody handled.
+ */
+
+function domError(name, message) {
+    const error = new Error(message || name);
+    error.name = name;
+    return error;
+}
+
+// ============ KEYS ============
+
+function keyType(key) {
+    if (typeof key === 'number') return Number.isNaN(key) ? null : 1;
+    if (key instanceof Date) return Number.isNaN(key.getTime()) ? null : 2;
+    if (typeof key === 'string') return 3;
+    if (Array.isArray(key)) return key.every(part => keyType(part) !== null) ? 4 : null;
+    return null;
+}
+
+function isValidKey(key) {
+    return keyType(key) !== null;
+}
+
+function compareKeys(a, b) {
+    const typeA = keyType(a);
+    const typeB = keyType(b);
+    if (typeA === null || typeB === null) {
+        throw domError('DataError', 'The parameter is not a valid key.');
+    }
+    if (typeA !== typeB) return typeA - typeB;
+
+    if (typeA === 4) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = compareKeys(a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    }
+
+    const valueA = typeA === 2 ? a.getTime() : a;
+    const valueB = typeB === 2 ? b.getTime() : b;
+    return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+}
+
+function extractKey(value, keyPath) {
+    if (Array.isArray(keyPath)) {
+        const key = keyPath.map(path => extractKey(value, path));
+        return key.every(isValidKey) ? key : undefined;
+    }
+
+    let current = value;
+    for (const part of keyPath === '' ? [] : keyPath.split('.')) {
+        if (current === null || typeof current !== 'object' || !(part in current)) return undefined;
+        current = current[part];
+    }
+    return isValidKey(current) ? current : undefined;
+}
+
+class FakeIDBKeyRange {
+    constructor(lower, upper, lowerOpen, upperOpen) {
+        this.lower = lower;
+        this.upper = upper;
+        this.lowerOpen = lowerOpen;
+        this.upperOpen = upperOpen;
+    }
+
+    static only(value) {
+        compareKeys(value, value);
+        return new FakeIDBKeyRange(value, value, false, false);
+    }
+
+    static lowerBound(lower, open = false) {
+        compareKeys(lower, lower);
+        return new FakeIDBKeyRange(lower, undefined, open, true);
+    }
+
+    static upperBound(upper, open = false) {
+        compareKeys(upper, upper);
+        return new FakeIDBKeyRange(undefined, upper, true, open);
+    }
+
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+        if (compareKeys(lower, upper) > 0) {
+            throw domError('DataError', 'The lower key is greater than the upper key.');
+        }
+        return new FakeIDBKeyRange(lower, upper, lowerOpen, upperOpen);
+    }
+
+    includes(key) {
+        if (this.lower !== undefined) {
+            const order = compareKeys(key, this.lower);
+            if (order < 0 || (order === 0 && this.lowerOpen)) return false;
+        }
+        if (this.upper !== undefined) {
+            const order = compareKeys(key, this.upper);
+            if (order > 0 || (order === 0 && this.upperOpen)) return false;
+        }
+        return true;
+    }
+}
+
+function toRange(query) {
+    if (query === undefined || query === null) return null;
+    if (query instanceof FakeIDBKeyRange) return query;
+    return FakeIDBKeyRange.only(query);
+}
+
+function nameList(names) {
+    const list = [...names].sort();
+    return Object.assign(list, { contains: name => list.includes(name), item: i => list[i] ?? null });
+}
+
+// ============ EVENTS ============
+
+function dispatch(target, type, extra = {}) {
+    const event = {
+        type,
+        target,
+        currentTarget: target,
+        defaultPrevented: false,
+        preventDefault() { this.defaultPrevented = true; },
+        stopPropagation() {},
+        ...extra
+    };
+    const handler = target['on' + type];
+    if (typeof handler === 'function') {
+        handler.call(target, event);
+    }
+    return event;
+}
+
+class FakeIDBRequest {
+    constructor(source, transaction) {
+        this.source = source;
+        this.transaction = transaction;
+        this.readyState = 'pending';
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+}
+
+class FakeIDBOpenDBRequest extends FakeIDBRequest {
+    constructor() {
+        super(null, null);
+        this.onupgradeneeded = null;
+        this.onblocked = null;
+    }
+}
+
+// ============ TRANSACTIONS ============
+
+function copyStore(store) {
+    return { ...store, records: store.records.slice(), indexes: new Map(store.indexes) };
+}
+
+class FakeIDBTransaction {
+    constructor(connection, storeNames, mode, hooks = {}) {
+        this.db = connection;
+        this.mode = mode;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.scope = new Set(storeNames);
+        this.queue = [];
+        this.finished = false;
+        this.hooks = hooks;
+
+        // Upgrades may add and drop stores, so they keep the whole schema to roll back to
+        const data = connection.data;
+        this.saved = mode === 'versionchange'
+            ? { version: data.version, stores: new Map([...data.stores].map(([name, store]) => [name, copyStore(store)])) }
+            : { stores: new Map(storeNames.map(name => [name, copyStore(data.stores.get(name))])) };
+
+        this.schedule();
+    }
+
+    get objectStoreNames() {
+        return nameList(this.scope);
+    }
+
+    objectStore(name) {
+        if (this.finished) throw domError('InvalidStateError', 'The transaction has finished.');
+        if (!this.scope.has(name) || !this.db.data.stores.has(name)) {
+            throw domError('NotFoundError', `No objectStore named ${name} in this transaction`);
+        }
+        return new FakeIDBObjectStore(this, name);
+    }
+
+    abort() {
+        if (this.finished) throw domError('InvalidStateError', 'The transaction has finished.');
+        this.rollback(null);
+    }
+
+    request(source, operation, request = new FakeIDBRequest(source, this)) {
+        if (this.finished) throw domError('TransactionInactiveError', 'The transaction has finished.');
+        request.readyState = 'pending';
+        this.queue.push({ request, operation });
+        this.schedule();
+        return request;
+    }
+
+    schedule() {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        setImmediate(() => this.step());
+    }
+
+    step() {
+        this.scheduled = false;
+        if (this.finished) return;
+
+        if (this.queue.length === 0) {
+            this.finished = true;
+            this.hooks.complete?.();
+            dispatch(this, 'complete');
+            return;
+        }
+
+        const { request, operation } = this.queue.shift();
+        let result;
+        try {
+            result = operation();
+        } catch (error) {
+            request.readyState = 'done';
+            request.error = error;
+            request.result = undefined;
+            const event = dispatch(request, 'error');
+            dispatch(this, 'error', { target: request });
+            if (!event.defaultPrevented && !this.finished) {
+                this.rollback(error);
+            }
+            if (!this.finished) this.schedule();
+            return;
+        }
+
+        request.readyState = 'done';
+        request.result = result;
+        try {
+            dispatch(request, 'success');
+        } catch (error) {
+            // A throwing success handler aborts the transaction, as in browsers
+            if (!this.finished) this.rollback(error);
+            setImmediate(() => { throw error; });
+            return;
+        }
+        if (!this.finished) this.schedule();
+    }
+
+    rollback(error) {
+        const data = this.db.data;
+        if (this.mode === 'versionchange') {
+            data.version = this.saved.version;
+            data.stores = this.saved.stores;
+        } else {
+            for (const [name, store] of this.saved.stores) {
+                data.stores.set(name, store);
+            }
+        }
+
+        this.finished = true;
+        this.error = error || domError('AbortError', 'The transaction was aborted.');
+        for (const { request } of this.queue.splice(0)) {
+            request.readyState = 'done';
+            request.error = domError('AbortError', 'The transaction was aborted.');
+            dispatch(request, 'error');
+        }
+        if (!error) this.error = null;
+        this.hooks.abort?.();
+        dispatch(this, 'abort');
+    }
+
+    checkWritable() {
+        if (this.finished) throw domError('TransactionInactiveError', 'The transaction has finished.');
+        if (this.mode === 'readonly') throw domError('ReadOnlyError', 'The transaction is read-only.');
+    }
+}
+
+// ============ STORES AND INDEXES ============
+
+/**
+ * Records of a store or index in key order as { key, primaryKey, value }
+ */
+function indexEntries(store, index) {
+    const entries = [];
+    for (const record of store.records) {
+        const key = extractKey(record.value, index.keyPath);
+        if (key === undefined) continue;
+        if (index.multiEntry && Array.isArray(key)) {
+            for (const part of new Set(key)) entries.push({ key: part, primaryKey: record.key, value: record.value });
+        } else {
+            entries.push({ key, primaryKey: record.key, value: record.value });
+        }
+    }
+    return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+}
+
+class FakeIDBCursor {
+    constructor(source, request, direction, range, withValue) {
+        this.source = source;
+        this.request = request;
+        this.direction = direction;
+        this.range = range;
+        this.withValue = withValue;
+        this.key = undefined;
+        this.primaryKey = undefined;
+        this.value = undefined;
+    }
+
+    // Next entry after the current position, or null when the cursor runs out
+    move(target) {
+        const reverse = this.direction.startsWith('prev');
+        const unique = this.direction.endsWith('unique');
+        let entries = this.source.entries().filter(entry => !this.range || this.range.includes(entry.key));
+        if (reverse) entries = entries.reverse();
+
+        const sign = reverse ? -1 : 1;
+        const found = entries.find(entry => {
+            if (this.key !== undefined) {
+                const order = compareKeys(entry.key, this.key) * sign;
+                if (order < 0) return false;
+                if (order === 0 && (unique || compareKeys(entry.primaryKey, this.primaryKey) * sign <= 0)) return false;
+            }
+            return target === undefined || compareKeys(entry.key, target) * sign >= 0;
+        });
+        if (!found) return null;
+
+        // prevunique stops on the first record of each key, like browsers do
+        const entry = reverse && unique
+            ? entries.filter(other => compareKeys(other.key, found.key) === 0).pop()
+            : found;
+        this.key = entry.key;
+        this.primaryKey = entry.primaryKey;
+        this.value = this.withValue ? structuredClone(entry.value) : undefined;
+        return this;
+    }
+
+    continue(key) {
+        const transaction = this.source.transaction;
+        transaction.request(this.source, () => this.move(key), this.request);
+    }
+
+    advance(count) {
+        const transaction = this.source.transaction;
+        transaction.request(this.source, () => {
+            let cursor = this;
+            for (let i = 0; i < count && cursor; i++) cursor = this.move();
+            return cursor;
+        }, this.request);
+    }
+
+    update(value) {
+        return this.source.objectStoreFor().put(value, this.source.objectStoreFor().keyPath === null ? this.primaryKey : undefined);
+    }
+
+    delete() {
+        return this.source.objectStoreFor().delete(this.primaryKey);
+    }
+}
+
+class FakeIDBObjectStore {
+    constructor(transaction, name) {
+        this.transaction = transaction;
+        this.name = name;
+    }
+
+    get data() {
+        return this.transaction.db.data.stores.get(this.name);
+    }
+
+    get keyPath() {
+        return this.data.keyPath;
+    }
+
+    get autoIncrement() {
+        return this.data.autoIncrement;
+    }
+
+    get indexNames() {
+        return nameList(this.data.indexes.keys());
+    }
+
+    objectStoreFor() {
+        return this;
+    }
+
+    entries() {
+        return this.data.records.map(record => ({ key: record.key, primaryKey: record.key, value: record.value }));
+    }
+
+    createIndex(name, keyPath, options = {}) {
+        if (this.transaction.mode !== 'versionchange') {
+            throw domError('InvalidStateError', 'Indexes can only be created while upgrading.');
+        }
+        if (this.data.indexes.has(name)) throw domError('ConstraintError', `Index ${name} already exists`);
+        const store = copyStore(this.data);
+        store.indexes.set(name, { name, keyPath, unique: !!options.unique, multiEntry: !!options.multiEntry });
+        this.transaction.db.data.stores.set(this.name, store);
+        return this.index(name);
+    }
+
+    deleteIndex(name) {
+        if (this.transaction.mode !== 'versionchange') {
+            throw domError('InvalidStateError', 'Indexes can only be deleted while upgrading.');
+        }
+        const store = copyStore(this.data);
+        store.indexes.delete(name);
+        this.transaction.db.data.stores.set(this.name, store);
+    }
+
+    index(name) {
+        if (!this.data.indexes.has(name)) throw domError('NotFoundError', `No index named ${name}`);
+        return new FakeIDBIndex(this, name);
+    }
+
+    put(value, key) {
+        return this.write(value, key, false);
+    }
+
+    add(value, key) {
+        return this.write(value, key, true);
+    }
+
+    write(value, key, noOverwrite) {
+        this.transaction.checkWritable();
+        const clone = structuredClone(value);
+        if (this.keyPath !== null && key !== undefined) {
+            throw domError('DataError', 'A key was given for a store that uses in-line keys.');
+        }
+        let inlineKey = this.keyPath !== null ? extractKey(clone, this.keyPath) : key;
+        if (inlineKey === undefined && !this.autoIncrement) {
+            throw domError('DataError', 'The object store has no key generator and no key was given.');
+        }
+
+        return this.transaction.request(this, () => {
+            const store = copyStore(this.data);
+            if (inlineKey === undefined) {
+                inlineKey = store.current;
+                store.current++;
+                if (this.keyPath !== null) clone[this.keyPath] = inlineKey;
+            } else if (this.autoIncrement && typeof inlineKey === 'number' && inlineKey >= store.current) {
+                store.current = Math.floor(inlineKey) + 1;
+            }
+
+            const position = store.records.findIndex(record => compareKeys(record.key, inlineKey) >= 0);
+            const exists = position !== -1 && compareKeys(store.records[position].key, inlineKey) === 0;
+            if (exists && noOverwrite) {
+                throw domError('ConstraintError', 'A record with this key already exists.');
+            }
+
+            for (const index of store.indexes.values()) {
+                if (!index.unique) continue;
+                const indexKey = extractKey(clone, index.keyPath);
+                if (indexKey === undefined) continue;
+                const taken = store.records.some(record => compareKeys(record.key, inlineKey) !== 0
+                    && extractKey(record.value, index.keyPath) !== undefined
+                    && compareKeys(extractKey(record.value, index.keyPath), indexKey) === 0);
+                if (taken) {
+                    throw domError('ConstraintError', `Unique index ${index.name} already has this key.`);
+                }
+            }
+
+            const record = { key: inlineKey, value: clone };
+            if (exists) {
+                store.records[position] = record;
+            } else if (position === -1) {
+                store.records.push(record);
+            } else {
+                store.records.splice(position, 0, record);
+            }
+            this.transaction.db.data.stores.set(this.name, store);
+            return inlineKey;
+        });
+    }
+
+    delete(query) {
+        this.transaction.checkWritable();
+        const range = toRange(query);
+        return this.transaction.request(this, () => {
+            const store = copyStore(this.data);
+            store.records = store.records.filter(record => !range.includes(record.key));
+            this.transaction.db.data.stores.set(this.name, store);
+            return undefined;
+        });
+    }
+
+    clear() {
+        this.transaction.checkWritable();
+        return this.transaction.request(this, () => {
+            const store = copyStore(this.data);
+            store.records = [];
+            this.transaction.db.data.stores.set(this.name, store);
+            return undefined;
+        });
+    }
+
+    get(query) {
+        const range = toRange(query);
+        return this.transaction.request(this, () => {
+            const entry = this.entries().find(item => range.includes(item.key));
+            return entry ? structuredClone(entry.value) : undefined;
+        });
+    }
+
+    getKey(query) {
+        const range = toRange(query);
+        return this.transaction.request(this, () => this.entries().find(item => range.includes(item.key))?.primaryKey);
+    }
+
+    getAll(query, count) {
+        return this.select(query, count, entry => structuredClone(entry.value));
+    }
+
+    getAllKeys(query, count) {
+        return this.select(query, count, entry => entry.primaryKey);
+    }
+
+    count(query) {
+        const range = toRange(query);
+        return this.transaction.request(this, () => this.entries().filter(entry => !range || range.includes(entry.key)).length);
+    }
+
+    select(query, count, map) {
+        const range = toRange(query);
+        return this.transaction.request(this, () => {
+            const entries = this.entries().filter(entry => !range || range.includes(entry.key));
+            return (count ? entries.slice(0, count) : entries).map(map);
+        });
+    }
+
+    openCursor(query, direction = 'next') {
+        return this.cursor(query, direction, true);
+    }
+
+    openKeyCursor(query, direction = 'next') {
+        return this.cursor(query, direction, false);
+    }
+
+    cursor(query, direction, withValue) {
+        const range = toRange(query);
+        const request = new FakeIDBRequest(this, this.transaction);
+        const cursor = new FakeIDBCursor(this, request, direction, range, withValue);
+        return this.transaction.request(this, () => cursor.move(), request);
+    }
+}
+
+class FakeIDBIndex {
+    constructor(objectStore, name) {
+        this.objectStore = objectStore;
+        this.name = name;
+    }
+
+    get transaction() {
+        return this.objectStore.transaction;
+    }
+
+    get definition() {
+        return this.objectStore.data.indexes.get(this.name);
+    }
+
+    get keyPath() {
+        return this.definition.keyPath;
+    }
+
+    get unique() {
+        return this.definition.unique;
+    }
+
+    get multiEntry() {
+        return this.definition.multiEntry;
+    }
+
+    objectStoreFor() {
+        return this.objectStore;
+    }
+
+    entries() {
+        return indexEntries(this.objectStore.data, this.definition);
+    }
+}
+
+for (const method of ['get', 'getKey', 'getAll', 'getAllKeys', 'count', 'select', 'openCursor', 'openKeyCursor', 'cursor']) {
+    FakeIDBIndex.prototype[method] = FakeIDBObjectStore.prototype[method];
+}
+
+// ============ DATABASES ============
+
+class FakeIDBDatabase {
+    constructor(factory, data) {
+        this.factory = factory;
+        this.data = data;
+        this.name = data.name;
+        this.closed = false;
+        this.onversionchange = null;
+        this.upgrade = null;
+    }
+
+    get version() {
+        return this.data.version;
+    }
+
+    get objectStoreNames() {
+        return nameList(this.data.stores.keys());
+    }
+
+    transaction(storeNames, mode = 'readonly') {
+        if (this.closed) throw domError('InvalidStateError', 'The database connection is closing.');
+        if (this.upgrade && !this.upgrade.finished) {
+            throw domError('InvalidStateError', 'A version change transaction is running.');
+        }
+        const names = [...new Set(Array.isArray(storeNames) ? storeNames : [storeNames])];
+        for (const name of names) {
+            if (!this.data.stores.has(name)) throw domError('NotFoundError', `No objectStore named ${name}`);
+        }
+        return new FakeIDBTransaction(this, names, mode);
+    }
+
+    createObjectStore(name, options = {}) {
+        if (!this.upgrade || this.upgrade.finished) {
+            throw domError('InvalidStateError', 'Object stores can only be created while upgrading.');
+        }
+        if (this.data.stores.has(name)) throw domError('ConstraintError', `Object store ${name} already exists`);
+        this.data.stores.set(name, {
+            keyPath: options.keyPath ?? null,
+            autoIncrement: !!options.autoIncrement,
+            current: 1,
+            records: [],
+            indexes: new Map()
+        });
+        this.upgrade.scope.add(name);
+        return new FakeIDBObjectStore(this.upgrade, name);
+    }
+
+    deleteObjectStore(name) {
+        if (!this.upgrade || this.upgrade.finished) {
+            throw domError('InvalidStateError', 'Object stores can only be deleted while upgrading.');
+        }
+        this.data.stores.delete(name);
+        this.upgrade.scope.delete(name);
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+class FakeIDBFactory {
+    constructor() {
+        this.data = new Map();
+        this.connections = [];
+    }
+
+    open(name, version) {
+        if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+            throw new TypeError('The version must be a positive integer.');
+        }
+        const request = new FakeIDBOpenDBRequest();
+
+        setImmediate(() => {
+            const existing = this.data.get(name);
+            const oldVersion = existing ? existing.version : 0;
+            const newVersion = version ?? (existing ? existing.version : 1);
+
+            if (newVersion < oldVersion) {
+                request.readyState = 'done';
+                request.error = domError('VersionError', 'The requested version is less than the existing version.');
+                dispatch(request, 'error');
+                return;
+            }
+
+            const data = existing || { name, version: 0, stores: new Map() };
+            this.data.set(name, data);
+            const connection = new FakeIDBDatabase(this, data);
+
+            if (newVersion === oldVersion) {
+                this.connections.push(connection);
+                request.readyState = 'done';
+                request.result = connection;
+                dispatch(request, 'success');
+                return;
+            }
+
+            for (const other of this.connections.filter(open => open.name === name && !open.closed)) {
+                dispatch(other, 'versionchange', { oldVersion, newVersion });
+            }
+            if (this.connections.some(open => open.name === name && !open.closed)) {
+                dispatch(request, 'blocked', { oldVersion, newVersion });
+            }
+
+            const upgrade = new FakeIDBTransaction(connection, [...data.stores.keys()], 'versionchange', {
+                complete: () => {
+                    request.transaction = null;
+                    this.connections.push(connection);
+                    setImmediate(() => {
+                        request.readyState = 'done';
+                        request.result = connection;
+                        dispatch(request, 'success');
+                    });
+                },
+                abort: () => {
+                    if (oldVersion === 0) this.data.delete(name);
+                    connection.closed = true;
+                    request.transaction = null;
+                    setImmediate(() => {
+                        request.readyState = 'done';
+                        request.result = undefined;
+                        request.error = domError('AbortError', 'The upgrade transaction was aborted.');
+                        dispatch(request, 'error');
+                    });
+                }
+            });
+            connection.upgrade = upgrade;
+            data.version = newVersion;
+
+            request.result = connection;
+            request.transaction = upgrade;
+            request.readyState = 'done';
+            dispatch(request, 'upgradeneeded', { oldVersion, newVersion });
+        });
+
+        return request;
+    }
+
+    deleteDatabase(name) {
+        const request = new FakeIDBOpenDBRequest();
+        setImmediate(() => {
+            this.data.delete(name);
+            request.readyState = 'done';
+            dispatch(request, 'success');
+        });
+        return request;
+    }
+
+    async databases() {
+        return [...this.data.values()].map(({ name, version }) => ({ name, version }));
+    }
+
+    cmp(a, b) {
+        return Math.sign(compareKeys(a, b));
+    }
+}
+
+module.exports = { FakeIDBFactory, FakeIDBKeyRange };
@@ -0,0 +1,75 @@
+/**
+ * QR encoder (barcode-generator.js) and decoder (scanner.js) round trips
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BarcodeGenerator = require('../barcode-generator.js');
+const Scanner = require('../scanner.js');
+const { renderMatrix } = require('./helpers');
+const fixture = require('./fixtures/qr-cross-library.json');
+
+const generator = new BarcodeGenerator();
+const scanner = new Scanner();
+
+const scanImage = (image) => scanner.detectQRCode(scanner.toGrayscale(image), image.width, image.height);
+
+/**
+ * Longest byte-mode payload that still fits the given version, so every
+ * version is reached exactly
+ */
+function payloadForVersion(version, ecLevel) {
+    const text = (length) => Array.from({ length }, (_, i) => 'hader-qr/'[i % 9]).join('');
+    const versionOf = (length) => generator.chooseQRVersion(generator.createQRSegment(text(length)), ecLevel);
+
+    let low = 1;
+    let high = 2953;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        let fits;
+        try {
+            fits = versionOf(mid) <= version;
+        } catch (error) {
+            fits = false;
+        }
+        if (fits) low = mid; else high = mid - 1;
+    }
+    return text(low);
+}
+
+for (const ecLevel of ['L', 'M', 'Q', 'H']) {
+    test(`every version round-trips at error correction ${ecLevel}`, () => {
+        for (let version = 1; version <= 40; version++) {
+            const text = payloadForVersion(version, ecLevel);
+            const matrix = generator.createQRMatrix(text, ecLevel);
+
+            assert.strictEqual(matrix.length, 17 + 4 * version, `version ${version}`);
+            assert.strictEqual(scanner.readQRMatrix(matrix), text, `matrix, version ${version}`);
+            assert.strictEqual(scanImage(renderMatrix(matrix, { scale: 2 })), text, `image, version ${version}`);
+        }
+    });
+}
+
+test('rotated symbols with numeric, alphanumeric and Arabic payloads decode', () => {
+    for (const text of ['7', 'HADER:1001', '20031234567890', 'مرحبا HADER:55']) {
+        for (const angle of [0, 20, 45]) {
+            const image = renderMatrix(generator.createQRMatrix(text, 'M'), { scale: 4, angle });
+            assert.strictEqual(scanImage(image), text, `${text} at ${angle}°`);
+        }
+    }
+});
+
+test('symbols encoded by the qrcode library decode', () => {
+    for (const { text, ecLevel, rows } of fixture.qrcode) {
+        const matrix = rows.map(row => Array.from(row, bit => bit === '1'));
+        assert.strictEqual(scanner.readQRMatrix(matrix), text, `${text} (${ecLevel})`);
+        assert.strictEqual(scanImage(renderMatrix(rows)), text, `${text} (${ecLevel}) image`);
+    }
+});
+
+test('the encoder still produces the symbols jsQR decoded', () => {
+    for (const { text, ecLevel, rows } of fixture.hader) {
+        const matrix = generator.createQRMatrix(text, ecLevel).map(row => row.map(dark => (dark ? '1' : '0')).join(''));
+        assert.deepStrictEqual(matrix, rows, `${text} (${ecLevel})`);
+    }
+});
@@ -0,0 +1,137 @@
+/**
+ * PDF export (reports.js, pdf-writer.js, pdf-font.js) with the bundled report font
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const PdfFont = require('../pdf-font.js');
+global.PdfWriter = require('../pdf-writer.js');
+const ReportsGenerator = require('../reports.js');
+
+const root = path.join(__dirname, '..');
+const generator = new ReportsGenerator();
+const fontPath = path.join(root, generator.pdfFontUrl);
+
+const report = {
+    title: 'تقرير البوابة اليومي',
+    period: 'الاثنين 19/10/2026',
+    school: { name: 'مدرسة النموذجية', principal: 'الأستاذ أحمد محمد' },
+    generatedAt: '2026-10-19T07:30:00.000Z',
+    sections: [
+        {
+            title: 'الأول الثانوي - أ',
+            columns: ['#', 'رقم الطالب', 'اسم الطالب', 'الحالة'],
+            rows: Array.from({ length: 70 }, (_, i) => [i + 1, 5000 + i, `طالب رقم ${i + 1}`, i % 5 ? 'حاضر' : 'غائب']),
+            footer: 'حاضر: 56 — غائب: 14'
+        },
+        {
+            title: 'الثاني الثانوي - ب',
+            columns: ['#', 'رقم الطالب', 'اسم الطالب', 'الحالة'],
+            rows: [[1, 6001, 'سارة الغامدي', 'متأخر']]
+        }
+    ]
+};
+
+/**
+ * Objects by number, with stream data inflated
+ */
+function readObjects(buffer) {
+    const text = buffer.toString('latin1');
+    const objects = new Map();
+    const pattern = /(\d+) 0 obj\n/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const start = match.index + match[0].length;
+        const end = text.indexOf('\nendobj', start);
+        const body = text.slice(start, end);
+        const streamAt = body.indexOf('stream\n');
+        let data = null;
+        if (streamAt !== -1) {
+            const length = Number(/\/Length (\d+)/.exec(body)[1]);
+            data = buffer.subarray(start + streamAt + 7, start + streamAt + 7 + length);
+            if (body.includes('/FlateDecode')) data = zlib.inflateSync(data);
+        }
+        objects.set(Number(match[1]), { dict: streamAt === -1 ? body : body.slice(0, streamAt), data });
+        pattern.lastIndex = end;
+    }
+    return objects;
+}
+
+/**
+ * Text runs of each page in logical order: glyph ids are mapped back through the
+ * ToUnicode CMap, and the visual right-to-left order is undone except inside numbers
+ */
+function extractPages(objects) {
+    const find = (regex) => Array.from(objects.values()).filter(object => regex.test(object.dict));
+    const cmapText = find(/^<< \/Length/).map(object => object.data?.toString('latin1')).find(data => data?.includes('beginbfchar'));
+    const cmap = new Map();
+    for (const [, gid, hex] of cmapText.matchAll(/<([0-9a-f]{4})> <([0-9a-f]+)>/g)) {
+        cmap.set(gid, hex.match(/.{4}/g).map(unit => String.fromCharCode(parseInt(unit, 16))).join(''));
+    }
+
+    return find(/\/Type \/Page /).map(page => {
+        const content = objects.get(Number(/\/Contents (\d+)/.exec(page.dict)[1])).data.toString('latin1');
+        return Array.from(content.matchAll(/<([0-9a-f]*)> Tj/g), ([, hex]) => (hex.match(/.{4}/g) || [])
+            .map(gid => cmap.get(gid))
+            .reverse()
+            .join('')
+            .replace(/\d+/g, digits => [...digits].reverse().join('')));
+    });
+}
+
+test('the report font ships at pdfFontUrl and is precached', () => {
+    assert.ok(fs.existsSync(fontPath), generator.pdfFontUrl);
+    assert.ok(fs.existsSync(path.join(root, 'assets/fonts/report-font-LICENSE.txt')));
+
+    const serviceWorker = fs.readFileSync(path.join(root, 'service-worker.js'), 'utf8');
+    assert.ok(serviceWorker.includes(`'/${generator.pdfFontUrl}'`));
+});
+
+test('an exported report is a well-formed PDF with searchable Arabic text and page numbers', async () => {
+    const font = new PdfFont(fs.readFileSync(fontPath));
+    const buffer = Buffer.from(await generator.renderPDF(report, font));
+    const text = buffer.toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.7\n'));
+    assert.ok(text.endsWith('%%EOF\n'));
+
+    // Every xref entry points at the start of its object
+    const xrefOffset = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+    assert.ok(text.startsWith('xref\n', xrefOffset));
+    const [, count] = /^xref\n0 (\d+)\n/.exec(text.slice(xrefOffset));
+    const entries = text.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+    assert.strictEqual(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, i) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        assert.ok(text.startsWith(`${i + 1} 0 obj\n`, Number(entry.slice(0, 10))), `object ${i + 1}`);
+    });
+    assert.match(text, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R`));
+
+    const objects = readObjects(buffer);
+    assert.strictEqual(objects.size, Number(count) - 1);
+
+    const pagesObject = Array.from(objects.values()).find(object => /\/Type \/Pages/.test(object.dict));
+    const pages = extractPages(objects);
+    assert.strictEqual(Number(/\/Count (\d+)/.exec(pagesObject.dict)[1]), pages.length);
+    assert.ok(pages.length >= 3, `${pages.length} pages`);
+
+    pages.forEach((runs, i) => {
+        assert.ok(runs.includes(report.school.name), `school name on page ${i + 1}`);
+        assert.ok(runs.includes(`صفحة ${i + 1} من ${pages.length}`), `page number on page ${i + 1}`);
+    });
+
+    const all = pages.flat();
+    for (const expected of ['اسم الطالب', 'طالب رقم 1', 'طالب رقم 70', '5069', 'حاضر: 56 — غائب: 14', 'سارة الغامدي', 'متأخر']) {
+        assert.ok(all.includes(expected), expected);
+    }
+
+    // The last section starts on its own page
+    assert.ok(pages[pages.length - 1].includes('الثاني الثانوي - ب'));
+
+    const fontFile = Array.from(objects.values()).find(object => /\/Length1 /.test(object.dict));
+    assert.strictEqual(fontFile.data.length, Number(/\/Length1 (\d+)/.exec(fontFile.dict)[1]));
+    assert.ok(fontFile.data.length < fs.statSync(fontPath).size / 4, 'font is subset');
+});
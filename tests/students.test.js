@@ -0,0 +1,33 @@
+/**
+ * Student records (db.js) and the sync changes they queue
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+test('changing a student ID moves attendance and queues deletes for the old sync keys', async () => {
+    const db = await loadDb();
+    await db.createUser({ username: 'head', displayName: 'مدير المدرسة', role: 'principal', secret: '1234' });
+    await db.authenticate('head', '1234');
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ' });
+    const { record } = await db.recordAttendance('1001');
+    const oldKey = `1001|${record.dateISO}`;
+    const newKey = `2001|${record.dateISO}`;
+
+    await db.updateStudent('1001', { id: '2001' });
+
+    const attendance = await db.getAll('attendance');
+    assert.deepStrictEqual(attendance.map(entry => [entry.id, entry.studentId]), [[record.id, '2001']]);
+
+    const tombstone = await db.get('tombstones', `attendance:${oldKey}`);
+    assert.ok(tombstone, 'old attendance key is tombstoned');
+
+    const changes = (await db.getPendingSyncChanges()).filter(change => change.store === 'attendance');
+    const deleted = changes.find(change => change.op === 'delete' && change.key === oldKey);
+    const moved = changes.find(change => change.op === 'put' && change.key === newKey);
+    assert.ok(deleted, 'delete queued for the old key');
+    assert.ok(moved, 'put queued for the new key');
+    assert.deepStrictEqual(deleted.version, tombstone.version);
+    assert.deepStrictEqual(moved.version, attendance[0].syncVersion);
+});
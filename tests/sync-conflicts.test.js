@@ -0,0 +1,55 @@
+/**
+ * Reviewing sync conflicts (db.js dismissSyncConflict, overrideSyncConflict)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadDb } = require('./helpers.js');
+
+async function setUp() {
+    const db = await loadDb();
+    await db.createUser({ username: 'head', displayName: 'مدير المدرسة', role: 'principal', secret: '1234' });
+    await db.authenticate('head', '1234');
+    await db.createUser({ username: 'gate1', displayName: 'البوابة', role: 'gate', secret: '5678' });
+    await db.addStudent({ id: '1001', name: 'سارة الغامدي', grade: 'الأول', className: 'أ' });
+
+    const local = await db.getStudent('1001');
+    const conflict = {
+        store: 'students',
+        key: '1001',
+        kept: 'local',
+        rule: 'last-writer',
+        local,
+        remote: { ...local, name: 'سارة الزهراني', syncDeviceId: 'gate-2' },
+        status: 'open',
+        detectedAt: new Date().toISOString()
+    };
+    const id = await db.put('sync_conflicts', conflict);
+    return { db, id };
+}
+
+test('only accounts that manage settings can dismiss or override a conflict', async () => {
+    const { db, id } = await setUp();
+    await db.logout();
+    await db.authenticate('gate1', '5678');
+
+    await assert.rejects(db.dismissSyncConflict(id), { name: 'PermissionError' });
+    await assert.rejects(db.overrideSyncConflict(id), { name: 'PermissionError' });
+    assert.strictEqual((await db.get('sync_conflicts', id)).status, 'open');
+    assert.strictEqual((await db.getStudent('1001')).name, 'سارة الغامدي');
+});
+
+test('dismissing and overriding a conflict are audited', async () => {
+    const { db, id } = await setUp();
+
+    assert.strictEqual((await db.overrideSyncConflict(id)).success, true);
+    assert.strictEqual((await db.getStudent('1001')).name, 'سارة الزهراني');
+
+    const second = await db.put('sync_conflicts', { ...(await db.get('sync_conflicts', id)), id: undefined, status: 'open' });
+    assert.strictEqual((await db.dismissSyncConflict(second)).success, true);
+    assert.strictEqual((await db.get('sync_conflicts', second)).status, 'dismissed');
+
+    const actions = (await db.getAll('audit')).map(entry => [entry.action, entry.user]);
+    assert.ok(actions.some(([action, user]) => action === 'OVERRIDE_SYNC_CONFLICT' && user === 'head'));
+    assert.ok(actions.some(([action, user]) => action === 'DISMISS_SYNC_CONFLICT' && user === 'head'));
+});
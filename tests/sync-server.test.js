@@ -0,0 +1,94 @@
+/**
+ * sync-server.js message validation and shared-token check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SyncServer, ChangeLog } = require('../sync-server.js');
+
+const TOKEN = 'test-secret';
+
+const change = (overrides = {}) => ({
+    idempotencyKey: 'device-1:1',
+    store: 'students',
+    op: 'put',
+    key: '1001',
+    data: { id: '1001', name: 'طالب' },
+    ...overrides
+});
+
+function fakeClient() {
+    return { deviceId: 'device-1', sent: [], send(message) { this.sent.push(message); } };
+}
+
+function upgrade(port, query) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            path: `/${query}`,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('upgrade', (res, socket) => {
+            socket.destroy();
+            resolve(res.statusCode);
+        });
+        req.on('response', res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('non-object changes are rejected instead of throwing', () => {
+    const log = new ChangeLog();
+    for (const value of [null, undefined, 'x', 42, []]) {
+        const result = log.append(value, 'device-1');
+        assert.strictEqual(result.status, 'rejected', JSON.stringify(value));
+        assert.strictEqual(result.error, 'change must be an object');
+    }
+    assert.strictEqual(log.changes.length, 0);
+});
+
+test('an invalid change is rejected even when its key was already accepted', () => {
+    const log = new ChangeLog();
+    assert.strictEqual(log.append(change(), 'device-1').status, 'accepted');
+    assert.strictEqual(log.append(change(), 'device-1').status, 'duplicate');
+
+    const result = log.append(change({ store: 'users' }), 'device-1');
+    assert.strictEqual(result.status, 'rejected');
+    assert.strictEqual(result.error, 'unknown store users');
+});
+
+test('non-object messages get an error reply', () => {
+    const server = new SyncServer({ token: TOKEN });
+    for (const text of ['null', '42', '"push"', '[]']) {
+        const client = fakeClient();
+        server.handleMessage(client, text);
+        assert.deepStrictEqual(client.sent, [{ type: 'error', message: 'message must be an object', retryable: false }], text);
+    }
+
+    const client = fakeClient();
+    server.handleMessage(client, JSON.stringify({ type: 'push', requestId: 1, changes: [null, change()] }));
+    assert.deepStrictEqual(client.sent[0].results.map(result => result.status), ['rejected', 'accepted']);
+});
+
+test('the server needs a token and refuses upgrades without it', async () => {
+    assert.throws(() => new SyncServer({}), /token/);
+
+    const server = await new SyncServer({ port: 0, host: '127.0.0.1', token: TOKEN }).listen();
+    try {
+        assert.strictEqual(await upgrade(server.port, ''), 401);
+        assert.strictEqual(await upgrade(server.port, '?token=wrong'), 401);
+        assert.strictEqual(await upgrade(server.port, `?token=${TOKEN}`), 101);
+    } finally {
+        await server.close();
+    }
+});
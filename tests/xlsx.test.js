@@ -0,0 +1,28 @@
+/**
+ * XLSX codec (xlsx.js) write/read round trips
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const XlsxCodec = require('../xlsx.js');
+
+const codec = new XlsxCodec();
+
+test('text that looks like an _xHHHH_ escape comes back unchanged', async () => {
+    const texts = ['_x0041_', 'a_X00FFb', '_x005F_', '__x0020__', 'plain_x', 'رقم_x1234_'];
+    const workbook = await codec.read(await codec.write([{ name: 'ورقة_x0041_', rows: [texts] }]));
+
+    assert.strictEqual(workbook.sheets[0].name, 'ورقة_x0041_');
+    assert.deepStrictEqual(workbook.sheets[0].rows[0], texts);
+});
+
+test('numbers, booleans and dates keep their type', async () => {
+    const date = new Date(Date.UTC(2026, 9, 19, 7, 20, 33));
+    const workbook = await codec.read(await codec.write([{ name: 'attendance', rows: [['a', 20, true, date]] }]));
+    const [text, number, flag, value] = workbook.sheets[0].rows[0];
+
+    assert.strictEqual(text, 'a');
+    assert.strictEqual(number, 20);
+    assert.strictEqual(flag, true);
+    assert.strictEqual(value.toISOString(), date.toISOString());
+});
@@ -53,7 +53,7 @@ class UIManager {
     /**
      * Apply theme to document
      */
-    applyTheme(theme) {
+    applyTheme(theme, persist = true) {
         const body = document.body;
         
         // Remove existing theme classes
@@ -74,7 +74,7 @@ class UIManager {
         localStorage.setItem('hader-theme', theme);
         
         // Update in database if available
-        if (window.db && this.isInitialized) {
+        if (persist && window.db && this.isInitialized) {
             window.db.updateSettings({ theme }).catch(error => {
                 console.warn('Failed to save theme to database:', error);
             });
@@ -219,11 +219,12 @@ class UIManager {
             this.updateSchoolInfo();
         });
         
-        // Listen for settings updates
+        // Listen for settings updates, including those relayed from other tabs
         window.addEventListener('hader:settings:updated', (event) => {
             this.updateSchoolInfo();
             if (event.detail.theme && event.detail.theme !== this.currentTheme) {
-                this.applyTheme(event.detail.theme);
+                // Already saved by whoever changed it
+                this.applyTheme(event.detail.theme, false);
             }
         });
         
@@ -375,6 +376,68 @@ class UIManager {
             element.classList.remove('loading');
         }
     }
+
+    /**
+     * Register the service worker and prompt when a new version is waiting
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return null;
+        
+        try {
+            // clients.claim() on the first install also fires controllerchange; only an update needs a reload
+            const hadController = !!navigator.serviceWorker.controller;
+            const registration = await navigator.serviceWorker.register('/service-worker.js');
+            
+            // A worker already waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+            
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !hadController) return;
+                reloading = true;
+                window.location.reload();
+            });
+            
+            return registration;
+        } catch (error) {
+            console.log('SW registration failed: ', error);
+            return null;
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        if (document.getElementById('updatePrompt')) return;
+        
+        const prompt = document.createElement('div');
+        prompt.id = 'updatePrompt';
+        prompt.className = 'update-prompt';
+        prompt.innerHTML = `
+            <span>يتوفر إصدار جديد من النظام</span>
+            <button class="btn btn-primary btn-sm" data-action="update">تحديث الآن</button>
+            <button class="btn btn-secondary btn-sm" data-action="later">لاحقاً</button>
+        `;
+        
+        prompt.querySelector('[data-action="update"]').addEventListener('click', () => {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        prompt.querySelector('[data-action="later"]').addEventListener('click', () => {
+            prompt.remove();
+        });
+        
+        document.body.appendChild(prompt);
+    }
 }
 
 // Initialize UI Manager
@@ -0,0 +1,546 @@
+/**
+ * Hader XLSX Codec
+ * Minimal Excel (SpreadsheetML) writer and reader without external libraries
+ *
+ * write() packs one or more sheets into an .xlsx zip: strings go to the shared
+ * strings table, numbers and booleans keep their type, and Date values become
+ * date serials with a date format so Excel shows and sorts them as dates.
+ * Sheets are right to left by default. read() unpacks a workbook written by
+ * Excel, LibreOffice or write() into rows of typed values: dates come back as
+ * Date objects (UTC), numbers as numbers and everything else as text.
+ */
+
+class XlsxCodec {
+    constructor() {
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+    }
+
+    // ============ WRITER ============
+
+    /**
+     * @param {Array<{name: string, rows: Array<Array>, rightToLeft?: boolean, header?: boolean}>} sheets
+     *   header (default true) makes the first row bold and freezes it
+     * @returns {Promise<Uint8Array>}
+     */
+    async write(sheets) {
+        if (!Array.isArray(sheets) || sheets.length === 0) {
+            throw new Error('لا توجد أوراق لكتابتها في ملف Excel');
+        }
+
+        const sharedStrings = new Map();
+        const names = this.uniqueSheetNames(sheets.map(sheet => sheet.name));
+        const sheetXml = sheets.map(sheet => this.buildSheet(sheet, sharedStrings));
+
+        const files = [
+            ['[Content_Types].xml', this.buildContentTypes(sheets.length)],
+            ['_rels/.rels', XlsxCodec.ROOT_RELS],
+            ['xl/workbook.xml', this.buildWorkbook(names)],
+            ['xl/_rels/workbook.xml.rels', this.buildWorkbookRels(sheets.length)],
+            ['xl/styles.xml', XlsxCodec.STYLES],
+            ['xl/sharedStrings.xml', this.buildSharedStrings(sharedStrings)],
+            ...sheetXml.map((xml, i) => [`xl/worksheets/sheet${i + 1}.xml`, xml])
+        ];
+
+        return await this.zip(files.map(([name, xml]) => ({ name, data: this.encoder.encode(xml) })));
+    }
+
+    buildSheet(sheet, sharedStrings) {
+        const rows = sheet.rows || [];
+        const header = sheet.header !== false && rows.length > 0;
+        const widths = [];
+
+        const rowXml = rows.map((row, r) => {
+            const cells = row.map((value, c) => {
+                const text = value instanceof Date ? '0000-00-00 00:00' : String(value ?? '');
+                widths[c] = Math.max(widths[c] || 0, Math.min(60, text.length));
+                return this.buildCell(value, `${this.columnName(c)}${r + 1}`, header && r === 0, sharedStrings);
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        const cols = widths.length > 0
+            ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.max(8, width + 2)}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+        const pane = header ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' : '';
+        const rtl = sheet.rightToLeft !== false ? ' rightToLeft="1"' : '';
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+            `<worksheet xmlns="${XlsxCodec.NS_MAIN}" xmlns:r="${XlsxCodec.NS_REL}">` +
+            `<sheetViews><sheetView workbookViewId="0"${rtl}>${pane}</sheetView></sheetViews>` +
+            `${cols}<sheetData>${rowXml}</sheetData></worksheet>`;
+    }
+
+    buildCell(value, ref, bold, sharedStrings) {
+        if (value === null || value === undefined || value === '') return '';
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${bold ? ` s="${XlsxCodec.STYLE_HEADER}"` : ''}><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (value instanceof Date && !isNaN(value)) {
+            const serial = value.getTime() / 86400000 + XlsxCodec.EPOCH_OFFSET;
+            const dateOnly = value.getUTCHours() === 0 && value.getUTCMinutes() === 0 && value.getUTCSeconds() === 0;
+            return `<c r="${ref}" s="${dateOnly ? XlsxCodec.STYLE_DATE : XlsxCodec.STYLE_DATETIME}"><v>${serial}</v></c>`;
+        }
+
+        const text = String(value);
+        if (!sharedStrings.has(text)) {
+            sharedStrings.set(text, sharedStrings.size);
+        }
+        return `<c r="${ref}" t="s"${bold ? ` s="${XlsxCodec.STYLE_HEADER}"` : ''}><v>${sharedStrings.get(text)}</v></c>`;
+    }
+
+    buildSharedStrings(sharedStrings) {
+        const items = Array.from(sharedStrings.keys())
+            .map(text => `<si><t xml:space="preserve">${this.escapeXml(text)}</t></si>`)
+            .join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+            `<sst xmlns="${XlsxCodec.NS_MAIN}" count="${sharedStrings.size}" uniqueCount="${sharedStrings.size}">${items}</sst>`;
+    }
+
+    buildWorkbook(names) {
+        const sheets = names
+            .map((name, i) => `<sheet name="${this.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+            .join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+            `<workbook xmlns="${XlsxCodec.NS_MAIN}" xmlns:r="${XlsxCodec.NS_REL}">` +
+            `<bookViews><workbookView/></bookViews><sheets>${sheets}</sheets></workbook>`;
+    }
+
+    buildWorkbookRels(count) {
+        const sheets = Array.from({ length: count }, (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="${XlsxCodec.REL_TYPE}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+            `<Relationships xmlns="${XlsxCodec.NS_PACKAGE_REL}">${sheets}` +
+            `<Relationship Id="rId${count + 1}" Type="${XlsxCodec.REL_TYPE}/styles" Target="styles.xml"/>` +
+            `<Relationship Id="rId${count + 2}" Type="${XlsxCodec.REL_TYPE}/sharedStrings" Target="sharedStrings.xml"/>` +
+            `</Relationships>`;
+    }
+
+    buildContentTypes(count) {
+        const sheets = Array.from({ length: count }, (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+            `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+            `<Default Extension="xml" ContentType="application/xml"/>` +
+            `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+            `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+            `<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>` +
+            `${sheets}</Types>`;
+    }
+
+    /**
+     * Sheet names are limited to 31 characters without []:*?/\ and must be unique
+     */
+    uniqueSheetNames(names) {
+        const used = new Set();
+        return names.map((name, i) => {
+            const base = String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`;
+            let unique = base;
+            for (let n = 2; used.has(unique.toLowerCase()); n++) {
+                unique = `${base.slice(0, 31 - String(n).length - 1)}_${n}`;
+            }
+            used.add(unique.toLowerCase());
+            return unique;
+        });
+    }
+
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    columnIndex(ref) {
+        const letters = /^[A-Z]+/i.exec(ref)?.[0].toUpperCase() || '';
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + letter.charCodeAt(0) - 64;
+        }
+        return index - 1;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // A literal _xHHHH would be decoded by readers, so its underscore is escaped too
+            .replace(/_(?=x[0-9a-f]{4})/gi, '_x005F_');
+    }
+
+    // ============ READER ============
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} data
+     * @returns {Promise<{sheets: Array<{name: string, rows: Array<Array>}>}>}
+     */
+    async read(data) {
+        const files = await this.unzip(data instanceof Uint8Array ? data : new Uint8Array(data));
+        const text = (name) => files.has(name) ? this.decoder.decode(files.get(name)) : '';
+
+        const workbook = text('xl/workbook.xml');
+        if (!workbook) {
+            throw new Error('الملف ليس مصنف Excel صالحاً (xlsx)');
+        }
+
+        const date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbook);
+        const sharedStrings = this.elements(text('xl/sharedStrings.xml'), 'si').map(si => this.readRichText(si.inner));
+        const dateStyles = this.readDateStyles(text('xl/styles.xml'));
+
+        const targets = new Map(this.elements(text('xl/_rels/workbook.xml.rels'), 'Relationship')
+            .map(rel => [rel.attrs.Id, rel.attrs.Target]));
+
+        const sheets = this.elements(workbook, 'sheet').map(sheet => {
+            const target = targets.get(sheet.attrs['r:id']) || '';
+            const path = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+            return {
+                name: this.unescapeXml(sheet.attrs.name || ''),
+                rows: this.readSheet(text(path), sharedStrings, dateStyles, date1904)
+            };
+        });
+
+        return { sheets };
+    }
+
+    readSheet(xml, sharedStrings, dateStyles, date1904) {
+        const rows = [];
+
+        this.elements(xml, 'row').forEach((row, r) => {
+            const rowIndex = row.attrs.r ? Number(row.attrs.r) - 1 : r;
+            const values = [];
+
+            this.elements(row.inner, 'c').forEach((cell, c) => {
+                const column = cell.attrs.r ? this.columnIndex(cell.attrs.r) : c;
+                const value = this.readCell(cell, sharedStrings, dateStyles, date1904);
+                if (value !== null) values[column] = value;
+            });
+
+            rows[rowIndex] = Array.from(values, value => value ?? null);
+        });
+
+        return Array.from(rows, row => row || []);
+    }
+
+    readCell(cell, sharedStrings, dateStyles, date1904) {
+        const type = cell.attrs.t || 'n';
+        const raw = /<v>([\s\S]*?)<\/v>/.exec(cell.inner)?.[1];
+
+        if (type === 'inlineStr') {
+            const inline = /<is>([\s\S]*?)<\/is>/.exec(cell.inner)?.[1];
+            return inline !== undefined ? this.readRichText(inline) : null;
+        }
+        if (raw === undefined) return null;
+
+        switch (type) {
+            case 's':
+                return sharedStrings[Number(raw)] ?? '';
+            case 'b':
+                return raw === '1' || raw === 'true';
+            case 'str':
+            case 'e':
+                return this.unescapeXml(raw);
+            case 'd':
+                return new Date(raw);
+            default: {
+                const number = Number(raw);
+                if (Number.isNaN(number)) return this.unescapeXml(raw);
+                if (dateStyles.has(Number(cell.attrs.s || 0))) {
+                    const offset = date1904 ? XlsxCodec.EPOCH_OFFSET_1904 : XlsxCodec.EPOCH_OFFSET;
+                    // Round to the millisecond: serials are stored as binary fractions of a day
+                    return new Date(Math.round((number - offset) * 86400000));
+                }
+                return number;
+            }
+        }
+    }
+
+    /**
+     * Text of a string item, joining rich text runs and skipping phonetic hints
+     */
+    readRichText(xml) {
+        const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        let text = '';
+        for (const match of withoutPhonetic.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+            text += match[1];
+        }
+        return this.unescapeXml(text);
+    }
+
+    /**
+     * Indexes of the cell formats that display a date or time
+     */
+    readDateStyles(xml) {
+        const customFormats = new Map(this.elements(xml, 'numFmt')
+            .map(format => [Number(format.attrs.numFmtId), this.unescapeXml(format.attrs.formatCode || '')]));
+
+        const isDateFormat = (id) => {
+            if (XlsxCodec.BUILTIN_DATE_FORMATS.has(id)) return true;
+            const code = customFormats.get(id);
+            if (!code) return false;
+            // Ignore quoted text, escapes and [colour]/[locale] sections before looking for date parts
+            const stripped = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+            return /[dmyhs]/i.test(stripped);
+        };
+
+        const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml)?.[1] || '';
+        const styles = new Set();
+        this.elements(cellXfs, 'xf').forEach((xf, i) => {
+            if (isDateFormat(Number(xf.attrs.numFmtId || 0))) styles.add(i);
+        });
+        return styles;
+    }
+
+    /**
+     * Elements with the given tag name (prefix-free), as {attrs, inner}.
+     * Enough for the flat, well-formed parts of a workbook; not a general XML parser.
+     */
+    elements(xml, tag) {
+        const result = [];
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+        for (const match of xml.matchAll(pattern)) {
+            const attrs = {};
+            for (const attr of match[1].matchAll(/([\w:]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                attrs[attr[1]] = attr[3] ?? attr[4];
+            }
+            result.push({ attrs, inner: match[2] || '' });
+        }
+        return result;
+    }
+
+    unescapeXml(text) {
+        return String(text)
+            .replace(/&(lt|gt|amp|quot|apos|#x[0-9a-f]+|#\d+);/gi, (entity, name) => {
+                const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+                if (named) return named;
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            })
+            // Excel escapes characters XML cannot carry as _xHHHH_
+            .replace(/_x([0-9a-f]{4})_/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    // ============ ZIP ============
+
+    /**
+     * @param {Array<{name: string, data: Uint8Array}>} files
+     */
+    async zip(files) {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        const [time, date] = this.dosDateTime(new Date());
+
+        for (const file of files) {
+            const name = this.encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const compressed = await this.deflate(file.data);
+            const method = compressed && compressed.length < file.data.length ? 8 : 0;
+            const body = method === 8 ? compressed : file.data;
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // names are UTF-8
+            header.setUint16(8, method, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, body.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, method, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, body.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(header.buffer), name, body);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + body.length;
+        }
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...chunks, ...central, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Files of a zip archive by name, read through the central directory
+     * @returns {Promise<Map<string, Uint8Array>>}
+     */
+    async unzip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('الملف ليس مصنف Excel صالحاً (xlsx)');
+        }
+
+        const files = new Map();
+        const count = view.getUint16(end + 10, true);
+        let entry = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(entry, true) !== 0x02014b50) {
+                throw new Error('ملف Excel تالف');
+            }
+
+            const method = view.getUint16(entry + 10, true);
+            const size = view.getUint32(entry + 20, true);
+            const nameLength = view.getUint16(entry + 28, true);
+            const extraLength = view.getUint16(entry + 30, true);
+            const commentLength = view.getUint16(entry + 32, true);
+            const localOffset = view.getUint32(entry + 42, true);
+            const name = this.decoder.decode(bytes.subarray(entry + 46, entry + 46 + nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + size);
+
+            if (method === 0) {
+                files.set(name, data);
+            } else if (method === 8) {
+                files.set(name, await this.inflate(data));
+            } else {
+                throw new Error('طريقة ضغط غير مدعومة في ملف Excel');
+            }
+
+            entry += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('المتصفح لا يدعم فك ضغط ملفات Excel');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    crc32(data) {
+        if (!XlsxCodec.crcTable) {
+            XlsxCodec.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = XlsxCodec.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    dosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return [time, day];
+    }
+
+    concat(chunks) {
+        const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        chunks.reduce((offset, chunk) => {
+            output.set(chunk, offset);
+            return offset + chunk.length;
+        }, 0);
+        return output;
+    }
+}
+
+XlsxCodec.MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+XlsxCodec.NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+XlsxCodec.NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+XlsxCodec.NS_PACKAGE_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+XlsxCodec.REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Days between the 1899-12-30 (or 1904-01-01) spreadsheet epoch and 1970-01-01
+XlsxCodec.EPOCH_OFFSET = 25569;
+XlsxCodec.EPOCH_OFFSET_1904 = 24107;
+
+XlsxCodec.BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+// Cell format indexes in STYLES
+XlsxCodec.STYLE_DATE = 1;
+XlsxCodec.STYLE_DATETIME = 2;
+XlsxCodec.STYLE_HEADER = 3;
+
+XlsxCodec.ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<Relationships xmlns="${XlsxCodec.NS_PACKAGE_REL}">` +
+    `<Relationship Id="rId1" Type="${XlsxCodec.REL_TYPE}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+XlsxCodec.STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<styleSheet xmlns="${XlsxCodec.NS_MAIN}">` +
+    '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.XlsxCodec = XlsxCodec;
+    window.xlsxCodec = new XlsxCodec();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxCodec;
+}